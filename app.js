@@ -18,10 +18,28 @@ let visualizer;
 let blochSphere;
 let parser;
 
+// Probability view: 'exact', 'shots' or 'overlay' (shots drawn over exact probabilities)
+let samplingSettings = { mode: 'exact', shots: 1024, seed: null };
+
 // Sync state
 let syncDirection = null; // 'code-to-circuit' or 'circuit-to-code'
 let isSyncing = false;
 
+// Text marks underlining the parser diagnostics in the editor
+let diagnosticMarks = [];
+
+// Where each gate of the last parsed code lives in it, so circuit edits can patch the code
+let sourceMap = null;
+
+// Undo timeline across editor and canvas: 'code' entries are CodeMirror history events,
+// 'canvas' entries are circuit commands with whether they wrote to the editor
+let undoTimeline = { undo: [], redo: [] };
+let editorHistoryDepth = 0;
+let applyingHistory = false;
+
+// Last copied gates, pasteable in this tab even when the browser refuses clipboard access
+let gateClipboard = null;
+
 // ============================================
 // DOM Elements
 // ============================================
@@ -36,7 +54,12 @@ const elements = {
     // Actions
     runBtn: document.getElementById('runBtn'),
     clearBtn: document.getElementById('clearBtn'),
+    undoBtn: document.getElementById('undoBtn'),
+    selectionBar: document.getElementById('selectionBar'),
+    selectionCount: document.getElementById('selectionCount'),
+    redoBtn: document.getElementById('redoBtn'),
     saveBtn: document.getElementById('saveBtn'),
+    saveMenu: document.getElementById('saveMenu'),
     loadBtn: document.getElementById('loadBtn'),
     loadInput: document.getElementById('loadInput'),
     themeToggle: document.getElementById('themeToggle'),
@@ -47,6 +70,23 @@ const elements = {
 
     // Circuit
     qubitCount: document.getElementById('qubitCount'),
+    addCregBtn: document.getElementById('addCregBtn'),
+    backendSelect: document.getElementById('backendSelect'),
+    noiseBtn: document.getElementById('noiseBtn'),
+    debugBtn: document.getElementById('debugBtn'),
+    debugBar: document.getElementById('debugBar'),
+    debugPosition: document.getElementById('debugPosition'),
+
+    // Noise Model Modal
+    noiseModal: document.getElementById('noiseModal'),
+    noiseGateRows: document.getElementById('noiseGateRows'),
+    noiseQubitRows: document.getElementById('noiseQubitRows'),
+    noiseGateTime: document.getElementById('noiseGateTime'),
+    addNoiseGateBtn: document.getElementById('addNoiseGateBtn'),
+    closeNoiseModal: document.getElementById('closeNoiseModal'),
+    clearNoiseBtn: document.getElementById('clearNoiseBtn'),
+    cancelNoiseBtn: document.getElementById('cancelNoiseBtn'),
+    applyNoiseBtn: document.getElementById('applyNoiseBtn'),
     circuitSvg: document.getElementById('circuitSvg'),
 
     // Visualization
@@ -54,28 +94,102 @@ const elements = {
     blochCanvas: document.getElementById('blochCanvas'),
     stateFormula: document.getElementById('stateFormula'),
     stateVectorDisplay: document.getElementById('stateVectorDisplay'),
+    classicalBitsDisplay: document.getElementById('classicalBitsDisplay'),
     probabilityBars: document.getElementById('probabilityBars'),
+    probModeSelect: document.getElementById('probModeSelect'),
+    shotsInput: document.getElementById('shotsInput'),
+    seedInput: document.getElementById('seedInput'),
+    addObservableBtn: document.getElementById('addObservableBtn'),
+    observableList: document.getElementById('observableList'),
+
+    // Parameters and sweeps
+    addParameterBtn: document.getElementById('addParameterBtn'),
+    parameterList: document.getElementById('parameterList'),
+    sweepParameter: document.getElementById('sweepParameter'),
+    sweepStart: document.getElementById('sweepStart'),
+    sweepEnd: document.getElementById('sweepEnd'),
+    sweepPoints: document.getElementById('sweepPoints'),
+    sweepMetric: document.getElementById('sweepMetric'),
+    sweepTarget: document.getElementById('sweepTarget'),
+    sweepBtn: document.getElementById('sweepBtn'),
+    sweepCanvas: document.getElementById('sweepCanvas'),
+
+    // Variational optimizer
+    optimizerObservable: document.getElementById('optimizerObservable'),
+    optimizerMethod: document.getElementById('optimizerMethod'),
+    optimizerStep: document.getElementById('optimizerStep'),
+    optimizerIterations: document.getElementById('optimizerIterations'),
+    optimizerBtn: document.getElementById('optimizerBtn'),
+    optimizerResetBtn: document.getElementById('optimizerResetBtn'),
+    optimizerStatus: document.getElementById('optimizerStatus'),
+    optimizerCanvas: document.getElementById('optimizerCanvas'),
+
+    // Parameter-shift gradients
+    gradientObservable: document.getElementById('gradientObservable'),
+    gradientBtn: document.getElementById('gradientBtn'),
+    gradientCheckBtn: document.getElementById('gradientCheckBtn'),
+    gradientStatus: document.getElementById('gradientStatus'),
+    gradientList: document.getElementById('gradientList'),
 
     // Output
+    problemsList: document.getElementById('problemsList'),
     outputArea: document.getElementById('outputArea'),
     clearOutputBtn: document.getElementById('clearOutputBtn'),
 
     // Parameter Modal
     paramModal: document.getElementById('paramModal'),
     paramModalTitle: document.getElementById('paramModalTitle'),
-    paramTheta: document.getElementById('paramTheta'),
-    paramThetaSlider: document.getElementById('paramThetaSlider'),
+    angleGroups: document.querySelectorAll('.angle-group'),
     targetQubitGroup: document.getElementById('targetQubitGroup'),
     targetQubit: document.getElementById('targetQubit'),
+    controlsGroup: document.getElementById('controlsGroup'),
+    controlsInput: document.getElementById('controlsInput'),
+    clbitGroup: document.getElementById('clbitGroup'),
+    clbitSelect: document.getElementById('clbitSelect'),
+    conditionSelect: document.getElementById('conditionSelect'),
+    conditionValue: document.getElementById('conditionValue'),
     closeParamModal: document.getElementById('closeParamModal'),
     cancelParamBtn: document.getElementById('cancelParamBtn'),
     applyParamBtn: document.getElementById('applyParamBtn'),
-    presetBtns: document.querySelectorAll('.preset-btn')
+
+    // Custom Unitary Modal
+    unitaryModal: document.getElementById('unitaryModal'),
+    unitaryModalTitle: document.getElementById('unitaryModalTitle'),
+    unitarySize: document.getElementById('unitarySize'),
+    unitaryTargetGroup: document.getElementById('unitaryTargetGroup'),
+    unitaryTarget: document.getElementById('unitaryTarget'),
+    unitaryGrid: document.getElementById('unitaryGrid'),
+    unitaryError: document.getElementById('unitaryError'),
+    closeUnitaryModal: document.getElementById('closeUnitaryModal'),
+    cancelUnitaryBtn: document.getElementById('cancelUnitaryBtn'),
+    applyUnitaryBtn: document.getElementById('applyUnitaryBtn')
 };
 
 // Current gate being configured
 let pendingGate = null;
 
+// Custom unitary being entered: { type: 'add', qubit, position } or { type: 'edit', gateId }
+let pendingUnitary = null;
+
+// Parameter names the parameters panel shows, and the sweep in progress ({ stopped })
+let shownParameters = null;
+let activeSweep = null;
+
+// The optimizer run in progress ({ session, stopped, discarded }), and a stopped one that can
+// resume ({ session, observable, state }) while the circuit stays as it left it
+let activeOptimizer = null;
+let pausedOptimizer = null;
+
+// Whether the gradients panel and badges are shown and follow the circuit, whether they are
+// checked against finite differences, and what the shown ones were computed for
+let gradientsShown = false;
+let gradientsChecked = false;
+let gradientsKey = null;
+
+// The debugger while stepping through the circuit ({ seed }); the columns it has run
+// are visualizer.playhead
+let debugSession = null;
+
 // ============================================
 // Initialization
 // ============================================
@@ -87,13 +201,15 @@ async function init() {
         initVisualizer();
         initBlochSphere();
         initParser();
+        initSimulator();
 
         // Setup event listeners
         setupEventListeners();
         setupDragAndDrop();
 
-        // Load saved state
+        // Load saved state; undo starts from here
         loadSavedState();
+        resetHistory();
 
         // Initial render
         updateVisualization();
@@ -115,6 +231,7 @@ function initEditor() {
         mode: 'python',
         theme: 'material-darker',
         lineNumbers: true,
+        gutters: ['CodeMirror-linenumbers', 'diagnostic-gutter'],
         matchBrackets: true,
         autoCloseBrackets: true,
         indentUnit: 4,
@@ -122,7 +239,12 @@ function initEditor() {
         indentWithTabs: false,
         styleActiveLine: true,
         extraKeys: {
-            'Shift-Enter': () => runCode()
+            'Shift-Enter': () => runCode(),
+            'Ctrl-Z': () => undoEdit(),
+            'Cmd-Z': () => undoEdit(),
+            'Shift-Ctrl-Z': () => redoEdit(),
+            'Shift-Cmd-Z': () => redoEdit(),
+            'Ctrl-Y': () => redoEdit()
         }
     });
 
@@ -134,6 +256,12 @@ function initEditor() {
         saveState();
     }, 300));
 
+    // Highlight the gates created by the code under the cursor
+    editor.on('cursorActivity', () => highlightGatesAtCursor());
+
+    // Typing adds 'code' steps to the undo timeline
+    editor.on('changes', (cm, changes) => trackEditorHistory(changes));
+
     // Set initial code
     const defaultCode = getDefaultCode();
     editor.setValue(defaultCode);
@@ -198,10 +326,16 @@ print(qml.draw(circuit)())`;
 function initCircuit() {
     circuit = new QuantumCircuit(3);
 
-    // Listen for changes
-    circuit.onChange(() => {
-        if (!isSyncing && syncDirection !== 'code-to-circuit') {
-            syncCircuitToCode();
+    // Listen for changes; undo and redo bring their own code, and a group syncs once it ends
+    circuit.onChange((c, change) => {
+        if (!applyingHistory && !circuit.isGrouping()) {
+            const depth = editor.historySize().undo;
+            if (!isSyncing && syncDirection !== 'code-to-circuit') {
+                syncCircuitToCode();
+            }
+            if (change && change.type === 'edit') {
+                recordCanvasEdit(editor.historySize().undo > depth);
+            }
         }
         updateVisualization();
     });
@@ -213,10 +347,18 @@ function initCircuit() {
 function initVisualizer() {
     visualizer = new CircuitVisualizer(elements.circuitSvg, circuit);
 
-    // Gate click handler
+    // Clicking a gate shows the code that created it; double-click edits it, or
+    // expands a custom gate in place
     visualizer.onGateClick((gate) => {
-        const gateDef = GATES[gate.gate];
-        if (gateDef && gateDef.type === 'rotation') {
+        revealGateSource(gate);
+    });
+
+    visualizer.onGateDoubleClick((gate) => {
+        if (gate.gate === 'CUSTOM') {
+            expandCustomGates([gate.id]);
+        } else if (gate.gate === 'UNITARY') {
+            openUnitaryModal(gate);
+        } else if (GATES[gate.gate]) {
             openParameterModal(gate);
         }
     });
@@ -226,6 +368,19 @@ function initVisualizer() {
         addGateInteractive(gateType, qubit, position);
     });
 
+    visualizer.onSelectionChange((gateIds) => {
+        updateSelectionBar(gateIds);
+    });
+
+    // Placed gate dragged elsewhere, or copied with Alt held
+    visualizer.onGateMoved((gateId, placement, copy) => {
+        if (copy) {
+            circuit.duplicateGate(gateId, placement);
+        } else {
+            circuit.moveGate(gateId, placement);
+        }
+    });
+
     // Gate removed (right-click)
     visualizer.onGateRemoved((gateId) => {
         circuit.removeGate(gateId);
@@ -253,7 +408,8 @@ function initParser() {
 // Simulator
 // ============================================
 function initSimulator() {
-    simulator = new QuantumSimulator(circuit.numQubits);
+    // Simulation runs in a Web Worker; results arrive asynchronously
+    simulator = new SimulatorClient();
 }
 
 // ============================================
@@ -293,6 +449,8 @@ import sys
 from io import StringIO
 import numpy as np
 from collections import Counter
+import copy
+import inspect
 import random
 
 class CaptureOutput:
@@ -319,15 +477,442 @@ sys.stderr = _captured_output
 # Mock Qiskit Implementation (Browser-compatible)
 # =============================================
 
+class Register:
+    """Mock Qiskit register; indexing yields (register, index) bits"""
+
+    def __init__(self, size, name=None):
+        self.size = size
+        self.name = name
+
+    def __len__(self):
+        return self.size
+
+    def __getitem__(self, index):
+        return (self, index)
+
+
+class QuantumRegister(Register):
+    pass
+
+
+class ClassicalRegister(Register):
+    pass
+
+
+def _on_branches(method):
+    """Apply a gate method to the state of every measurement branch
+
+    Branches failing the active if_test condition are left untouched; the
+    returned instruction keeps the prior states so c_if can undo the gate.
+    """
+    def wrapper(self, *args, **kwargs):
+        if self._pending is not None or _is_unbound(args):
+            return self._defer(method.__name__, args, kwargs)
+        if self._unmeasured is not None:
+            self._unmeasured = False
+        self.gates.append((method.__name__.upper(),) + args)
+        self._calls.append((method.__name__, args, kwargs))
+        history = []
+        for branch in self._branches:
+            history.append((branch, branch['state']))
+            if self._condition is not None and not self._condition(branch['clbits']):
+                continue
+            self._state = branch['state'].copy()
+            method(self, *args, **kwargs)
+            branch['state'] = self._state
+        return _Instruction(self, history)
+    wrapper.__name__ = method.__name__
+    wrapper.__doc__ = method.__doc__
+    wrapper.__wrapped__ = method  # So inspect.signature sees the gate's arguments
+    return wrapper
+
+
+class _Instruction:
+    """Handle returned by gate methods, supporting the legacy .c_if()"""
+
+    def __init__(self, circuit, history):
+        self.circuit = circuit
+        self.history = history
+
+    def c_if(self, target, value):
+        condition = self.circuit._make_condition(target, value)
+        for branch, state in self.history:
+            if not condition(branch['clbits']):
+                branch['state'] = state
+        return self
+
+
+class _IfTest:
+    """Context manager returned by QuantumCircuit.if_test"""
+
+    def __init__(self, circuit, condition):
+        self.circuit = circuit
+        self.condition = condition
+
+    def __enter__(self):
+        self.circuit._condition = self.condition
+        return self
+
+    def __exit__(self, *exc):
+        self.circuit._condition = None
+        return False
+
+
+# Gate matrices by Qiskit method name, for controlled and library gates; two-qubit
+# matrices take their first qubit as the high bit, and gphase acts on no qubit
+_GATE_MATRICES = {
+    'h': lambda: np.array([[1, 1], [1, -1]], dtype=complex) / np.sqrt(2),
+    'x': lambda: np.array([[0, 1], [1, 0]], dtype=complex),
+    'y': lambda: np.array([[0, -1j], [1j, 0]], dtype=complex),
+    'z': lambda: np.array([[1, 0], [0, -1]], dtype=complex),
+    's': lambda: np.array([[1, 0], [0, 1j]], dtype=complex),
+    't': lambda: np.array([[1, 0], [0, np.exp(1j * np.pi / 4)]], dtype=complex),
+    'rx': lambda theta: np.array([[np.cos(theta/2), -1j * np.sin(theta/2)],
+                                  [-1j * np.sin(theta/2), np.cos(theta/2)]], dtype=complex),
+    'ry': lambda theta: np.array([[np.cos(theta/2), -np.sin(theta/2)],
+                                  [np.sin(theta/2), np.cos(theta/2)]], dtype=complex),
+    'rz': lambda theta: np.array([[np.exp(-1j * theta/2), 0], [0, np.exp(1j * theta/2)]], dtype=complex),
+    'p': lambda theta: np.array([[1, 0], [0, np.exp(1j * theta)]], dtype=complex),
+    'sdg': lambda: np.array([[1, 0], [0, -1j]], dtype=complex),
+    'tdg': lambda: np.array([[1, 0], [0, np.exp(-1j * np.pi / 4)]], dtype=complex),
+    'sx': lambda: np.array([[1 + 1j, 1 - 1j], [1 - 1j, 1 + 1j]], dtype=complex) / 2,
+    'u': lambda theta, phi, lam: np.array([
+        [np.cos(theta/2), -np.exp(1j * lam) * np.sin(theta/2)],
+        [np.exp(1j * phi) * np.sin(theta/2), np.exp(1j * (phi + lam)) * np.cos(theta/2)]
+    ], dtype=complex),
+    'swap': lambda: np.array([[1, 0, 0, 0], [0, 0, 1, 0], [0, 1, 0, 0], [0, 0, 0, 1]], dtype=complex),
+    'rxx': lambda theta: np.cos(theta/2) * np.eye(4) - 1j * np.sin(theta/2) * np.fliplr(np.eye(4)),
+    'ryy': lambda theta: np.cos(theta/2) * np.eye(4) - 1j * np.sin(theta/2) * np.array(
+        [[0, 0, 0, -1], [0, 0, 1, 0], [0, 1, 0, 0], [-1, 0, 0, 0]]),
+    'rzz': lambda theta: np.diag(np.exp(-1j * theta/2 * np.array([1, -1, -1, 1]))),
+    'iswap': lambda: np.array([[1, 0, 0, 0], [0, 0, 1j, 0], [0, 1j, 0, 0], [0, 0, 0, 1]], dtype=complex),
+    'ecr': lambda: np.array([[0, 0, 1, 1j], [0, 0, 1j, 1], [1, -1j, 0, 0], [-1j, 1, 0, 0]], dtype=complex) / np.sqrt(2),
+    'gphase': lambda theta: np.array([[np.exp(1j * theta)]]),
+    'unitary': lambda matrix: np.array(matrix, dtype=complex),
+}
+
+
+def _gate_matrix(name, params):
+    """Matrix of a gate; an 'adjoint:' prefix (from qml.adjoint) takes its inverse"""
+    if name.startswith('adjoint:'):
+        return _gate_matrix(name[len('adjoint:'):], params).conj().T
+    return _GATE_MATRICES[name](*params)
+
+
+def _ctrl_values(ctrl_state, count):
+    """Control values from a Qiskit ctrl_state; bit i (from the right) is control i"""
+    if ctrl_state is None:
+        return [1] * count
+    if isinstance(ctrl_state, str):
+        return [int(bit) for bit in reversed(ctrl_state)]
+    return [(ctrl_state >> i) & 1 for i in range(count)]
+
+
+class _LibraryGate:
+    """Mock qiskit.circuit.library gate, applied with QuantumCircuit.append"""
+
+    def __init__(self, name, params=(), num_ctrl_qubits=0, ctrl_state=None):
+        self.name = name
+        self.params = list(params)
+        self.num_ctrl_qubits = num_ctrl_qubits
+        self.ctrl_state = _ctrl_values(ctrl_state, num_ctrl_qubits)
+
+    def control(self, num_ctrl_qubits=1, ctrl_state=None):
+        """Controlled version; the new controls come before the existing ones"""
+        gate = _LibraryGate(self.name, self.params)
+        gate.num_ctrl_qubits = num_ctrl_qubits + self.num_ctrl_qubits
+        gate.ctrl_state = _ctrl_values(ctrl_state, num_ctrl_qubits) + self.ctrl_state
+        return gate
+
+
+def _library_gate(name, num_ctrl_qubits=0):
+    def create(*params, ctrl_state=None):
+        return _LibraryGate(name, params, num_ctrl_qubits, ctrl_state)
+    return create
+
+
+class QiskitLibraryModule:
+    HGate = staticmethod(_library_gate('h'))
+    XGate = staticmethod(_library_gate('x'))
+    YGate = staticmethod(_library_gate('y'))
+    ZGate = staticmethod(_library_gate('z'))
+    SGate = staticmethod(_library_gate('s'))
+    TGate = staticmethod(_library_gate('t'))
+    RXGate = staticmethod(_library_gate('rx'))
+    RYGate = staticmethod(_library_gate('ry'))
+    RZGate = staticmethod(_library_gate('rz'))
+    PhaseGate = staticmethod(_library_gate('p'))
+    SdgGate = staticmethod(_library_gate('sdg'))
+    TdgGate = staticmethod(_library_gate('tdg'))
+    SXGate = staticmethod(_library_gate('sx'))
+    UGate = staticmethod(_library_gate('u'))
+    SwapGate = staticmethod(_library_gate('swap'))
+    RXXGate = staticmethod(_library_gate('rxx'))
+    RYYGate = staticmethod(_library_gate('ryy'))
+    RZZGate = staticmethod(_library_gate('rzz'))
+    iSwapGate = staticmethod(_library_gate('iswap'))
+    ECRGate = staticmethod(_library_gate('ecr'))
+    GlobalPhaseGate = staticmethod(_library_gate('gphase'))
+    CXGate = staticmethod(_library_gate('x', 1))
+    CZGate = staticmethod(_library_gate('z', 1))
+
+
+class ParameterExpression:
+    """Mock Qiskit expression over Parameters, evaluated once they are all bound"""
+
+    def __init__(self, parameters, evaluate):
+        self.parameters = frozenset(parameters)
+        self._evaluate = evaluate
+
+    def bind(self, values):
+        """Value when every parameter is in values, otherwise a partly bound expression"""
+        remaining = {p for p in self.parameters if p not in values}
+        if not remaining:
+            return float(self._evaluate(values))
+        values = dict(values)
+        return ParameterExpression(remaining, lambda more: self._evaluate({**values, **more}))
+
+    def _combine(self, other, fn):
+        if isinstance(other, ParameterExpression):
+            return ParameterExpression(self.parameters | other.parameters,
+                                       lambda v: fn(self._evaluate(v), other._evaluate(v)))
+        return ParameterExpression(self.parameters, lambda v: fn(self._evaluate(v), other))
+
+    def _apply(self, fn):
+        return ParameterExpression(self.parameters, lambda v: fn(self._evaluate(v)))
+
+    __add__ = lambda self, other: self._combine(other, lambda a, b: a + b)
+    __radd__ = lambda self, other: self._combine(other, lambda a, b: b + a)
+    __sub__ = lambda self, other: self._combine(other, lambda a, b: a - b)
+    __rsub__ = lambda self, other: self._combine(other, lambda a, b: b - a)
+    __mul__ = lambda self, other: self._combine(other, lambda a, b: a * b)
+    __rmul__ = lambda self, other: self._combine(other, lambda a, b: b * a)
+    __truediv__ = lambda self, other: self._combine(other, lambda a, b: a / b)
+    __rtruediv__ = lambda self, other: self._combine(other, lambda a, b: b / a)
+    __pow__ = lambda self, other: self._combine(other, lambda a, b: a ** b)
+    __rpow__ = lambda self, other: self._combine(other, lambda a, b: b ** a)
+    __neg__ = lambda self: self._apply(lambda a: -a)
+    __pos__ = lambda self: self
+
+    # Called by np.sin(expression) and the other numpy functions
+    sin = lambda self: self._apply(np.sin)
+    cos = lambda self: self._apply(np.cos)
+    tan = lambda self: self._apply(np.tan)
+    exp = lambda self: self._apply(np.exp)
+    log = lambda self: self._apply(np.log)
+    sqrt = lambda self: self._apply(np.sqrt)
+
+    def __repr__(self):
+        return f"ParameterExpression({', '.join(sorted(p.name for p in self.parameters))})"
+
+
+class Parameter(ParameterExpression):
+    """Mock Qiskit Parameter; a circuit using it runs once assign_parameters binds it"""
+
+    def __init__(self, name):
+        self.name = name
+        super().__init__([self], lambda values: values[self])
+
+    def __repr__(self):
+        return f"Parameter({self.name})"
+
+
+def _collect_parameters(value, found):
+    if isinstance(value, ParameterExpression):
+        found.update(value.parameters)
+    elif isinstance(value, (list, tuple)):
+        for item in value:
+            _collect_parameters(item, found)
+    elif isinstance(value, _LibraryGate):
+        _collect_parameters(value.params, found)
+
+
+def _is_unbound(value):
+    """Whether a gate argument still holds an unbound parameter"""
+    if isinstance(value, ParameterExpression):
+        return True
+    if isinstance(value, (list, tuple)):
+        return any(_is_unbound(item) for item in value)
+    if isinstance(value, _LibraryGate):
+        return _is_unbound(value.params)
+    return False
+
+
+def _bind(value, values):
+    """A gate argument with the parameters in values bound"""
+    if isinstance(value, ParameterExpression):
+        return value.bind(values)
+    if isinstance(value, (list, tuple)):
+        return type(value)(_bind(item, values) for item in value)
+    if isinstance(value, _LibraryGate):
+        gate = copy.copy(value)
+        gate.params = _bind(value.params, values)
+        return gate
+    return value
+
+
+class _CircuitGate:
+    """Mock Gate from QuantumCircuit.to_gate(), applied with QuantumCircuit.append
+
+    Holds the subcircuit's gate calls and replays them with its qubits mapped
+    onto the ones it is appended to.
+    """
+
+    def __init__(self, name, num_qubits, calls):
+        self.name = name
+        self.num_qubits = num_qubits
+        self.calls = calls
+
+    def replay(self, circuit, qargs):
+        qargs = list(qargs)
+        if len(qargs) != self.num_qubits:
+            raise ValueError(f"Gate '{self.name}' acts on {self.num_qubits} qubits, not {len(qargs)}")
+
+        def place(qubits):
+            if isinstance(qubits, int):
+                return qargs[qubits]
+            return [qargs[q] for q in qubits]
+
+        for name, args, kwargs in self.calls:
+            method = getattr(circuit, name)
+            bound = inspect.signature(method).bind(*args, **kwargs)
+            for key, value in bound.arguments.items():
+                if 'qubit' in key or key == 'qargs':
+                    bound.arguments[key] = place(value)
+            method(*bound.args, **bound.kwargs)
+
+
+class _DeferredInstruction:
+    """Handle for a gate waiting on its parameters; a c_if is replayed with it"""
+
+    def __init__(self, call):
+        self.call = call
+
+    def c_if(self, target, value):
+        self.call['c_if'] = (target, value)
+        return self
+
+
 class QuantumCircuit:
-    """Mock Qiskit-style QuantumCircuit for browser simulation"""
+    """Mock Qiskit-style QuantumCircuit for browser simulation
+
+    Mid-circuit measurements split the simulation into weighted branches,
+    one per outcome history, so counts match repeated shots exactly. From the
+    first gate with an unbound Parameter on, calls are recorded instead, and
+    assign_parameters replays them with values.
+    """
     
-    def __init__(self, num_qubits, num_classical=None):
+    def __init__(self, *args, name=None):
+        self.name = name
+        self.cregs = []
+        num_qubits = 0
+        num_classical = None
+        for arg in args:
+            if isinstance(arg, QuantumRegister):
+                num_qubits += arg.size
+            elif isinstance(arg, ClassicalRegister):
+                self.cregs.append(arg)
+            elif num_qubits == 0:
+                num_qubits = arg
+            else:
+                num_classical = arg
+        if not self.cregs:
+            size = num_classical if num_classical is not None else num_qubits
+            self.cregs.append(ClassicalRegister(size, 'c'))
+
         self.num_qubits = num_qubits
-        self.num_classical = num_classical if num_classical else num_qubits
+        self.num_classical = sum(reg.size for reg in self.cregs)
         self.gates = []
-        self._state = np.zeros(2**num_qubits, dtype=complex)
-        self._state[0] = 1.0  # |00...0⟩
+        self._calls = []  # Gate method calls applied so far, replayed by to_gate()
+        state = np.zeros(2**num_qubits, dtype=complex)
+        state[0] = 1.0  # |00...0⟩
+        self._branches = [{'weight': 1.0, 'state': state, 'clbits': [0] * self.num_classical}]
+        self._state = state
+        self._condition = None
+        self._pending = None
+        self._unmeasured = None  # Branches before the first measurement; False once a gate follows it
+
+    @property
+    def clbits(self):
+        return [reg[i] for reg in self.cregs for i in range(reg.size)]
+
+    @property
+    def parameters(self):
+        """Unbound parameters of the recorded gates, sorted by name"""
+        found = set()
+        for call in self._pending or []:
+            for value in (call['args'], list(call['kwargs'].values())):
+                _collect_parameters(value, found)
+        return sorted(found, key=lambda p: p.name)
+
+    def _defer(self, name, args, kwargs):
+        """Record a gate call (and the if_test it is in) to replay once bound"""
+        call = {'name': name, 'args': args, 'kwargs': kwargs, 'condition': self._condition, 'c_if': None}
+        if self._pending is None:
+            self._pending = []
+        self._pending.append(call)
+        return _DeferredInstruction(call)
+
+    def assign_parameters(self, parameters, inplace=False, strict=True):
+        """Bind parameters (a dict, or values in the order of qc.parameters)"""
+        if not isinstance(parameters, dict):
+            parameters = dict(zip(self.parameters, parameters))
+        unknown = [p for p in parameters if p not in self.parameters]
+        if strict and unknown:
+            names = ', '.join(getattr(p, 'name', str(p)) for p in unknown)
+            raise ValueError(f"Cannot bind parameters ({names}) not present in the circuit.")
+
+        target = self if inplace else self._copy()
+        calls, target._pending = target._pending or [], None
+        outer = target._condition
+        for call in calls:
+            target._condition = call['condition']
+            args = _bind(call['args'], parameters)
+            kwargs = {key: _bind(value, parameters) for key, value in call['kwargs'].items()}
+            instruction = getattr(target, call['name'])(*args, **kwargs)
+            if call['c_if'] is not None:
+                instruction.c_if(*call['c_if'])
+        target._condition = outer
+        return None if inplace else target
+
+    def _copy(self):
+        circuit = copy.copy(self)
+        circuit.gates = list(self.gates)
+        circuit._calls = list(self._calls)
+        circuit._branches = [dict(branch, clbits=list(branch['clbits'])) for branch in self._branches]
+        circuit._pending = [dict(call) for call in self._pending] if self._pending is not None else None
+        return circuit
+
+    def _check_bound(self):
+        unbound = self.parameters
+        if unbound:
+            names = ', '.join(p.name for p in unbound)
+            raise ValueError(f"Circuit has unbound parameters ({names}); bind them with assign_parameters first")
+
+    def _make_condition(self, target, value):
+        """Predicate over branch clbits for a bit or register == value"""
+        if isinstance(target, ClassicalRegister):
+            offset = self._clbit_index((target, 0))
+            return lambda bits: sum(bits[offset + i] << i for i in range(target.size)) == value
+        flat = self._clbit_index(target)
+        return lambda bits: bits[flat] == value
+
+    def if_test(self, condition):
+        """Gates inside the with-block only act on branches where condition holds"""
+        target, value = condition
+        return _IfTest(self, self._make_condition(target, value))
+
+    def _clbit_index(self, clbit):
+        """Flat index of an int or register[index] classical bit"""
+        if isinstance(clbit, tuple):
+            register, index = clbit
+            offset = 0
+            for reg in self.cregs:
+                if reg is register:
+                    return offset + index
+                offset += reg.size
+            raise ValueError("Classical register not in circuit")
+        return clbit
         
     def _apply_single_qubit_gate(self, matrix, qubit):
         """Apply a single-qubit gate"""
@@ -343,101 +928,252 @@ class QuantumCircuit:
         
         self._state = new_state
     
+    @_on_branches
     def h(self, qubit):
         """Hadamard gate"""
-        self.gates.append(('H', qubit))
         H = np.array([[1, 1], [1, -1]], dtype=complex) / np.sqrt(2)
         self._apply_single_qubit_gate(H, qubit)
         
+    @_on_branches
     def x(self, qubit):
         """Pauli-X gate"""
-        self.gates.append(('X', qubit))
         X = np.array([[0, 1], [1, 0]], dtype=complex)
         self._apply_single_qubit_gate(X, qubit)
         
+    @_on_branches
     def y(self, qubit):
         """Pauli-Y gate"""
-        self.gates.append(('Y', qubit))
         Y = np.array([[0, -1j], [1j, 0]], dtype=complex)
         self._apply_single_qubit_gate(Y, qubit)
         
+    @_on_branches
     def z(self, qubit):
         """Pauli-Z gate"""
-        self.gates.append(('Z', qubit))
         Z = np.array([[1, 0], [0, -1]], dtype=complex)
         self._apply_single_qubit_gate(Z, qubit)
         
+    @_on_branches
     def s(self, qubit):
         """S gate"""
-        self.gates.append(('S', qubit))
         S = np.array([[1, 0], [0, 1j]], dtype=complex)
         self._apply_single_qubit_gate(S, qubit)
         
+    @_on_branches
     def t(self, qubit):
         """T gate"""
-        self.gates.append(('T', qubit))
         T = np.array([[1, 0], [0, np.exp(1j * np.pi / 4)]], dtype=complex)
         self._apply_single_qubit_gate(T, qubit)
         
+    @_on_branches
     def rx(self, theta, qubit):
         """Rotation around X"""
-        self.gates.append(('RX', theta, qubit))
         RX = np.array([
             [np.cos(theta/2), -1j * np.sin(theta/2)],
             [-1j * np.sin(theta/2), np.cos(theta/2)]
         ], dtype=complex)
         self._apply_single_qubit_gate(RX, qubit)
         
+    @_on_branches
     def ry(self, theta, qubit):
         """Rotation around Y"""
-        self.gates.append(('RY', theta, qubit))
         RY = np.array([
             [np.cos(theta/2), -np.sin(theta/2)],
             [np.sin(theta/2), np.cos(theta/2)]
         ], dtype=complex)
         self._apply_single_qubit_gate(RY, qubit)
         
+    @_on_branches
     def rz(self, theta, qubit):
         """Rotation around Z"""
-        self.gates.append(('RZ', theta, qubit))
         RZ = np.array([
             [np.exp(-1j * theta/2), 0],
             [0, np.exp(1j * theta/2)]
         ], dtype=complex)
         self._apply_single_qubit_gate(RZ, qubit)
         
-    def cx(self, control, target):
+    @_on_branches
+    def p(self, theta, qubit):
+        """Phase gate"""
+        self._apply_single_qubit_gate(_GATE_MATRICES['p'](theta), qubit)
+
+    @_on_branches
+    def sdg(self, qubit):
+        """S† gate"""
+        self._apply_single_qubit_gate(_GATE_MATRICES['sdg'](), qubit)
+
+    @_on_branches
+    def tdg(self, qubit):
+        """T† gate"""
+        self._apply_single_qubit_gate(_GATE_MATRICES['tdg'](), qubit)
+
+    @_on_branches
+    def sx(self, qubit):
+        """Square root of X"""
+        self._apply_single_qubit_gate(_GATE_MATRICES['sx'](), qubit)
+
+    @_on_branches
+    def u(self, theta, phi, lam, qubit):
+        """Universal single-qubit gate U(theta, phi, lambda)"""
+        self._apply_single_qubit_gate(_GATE_MATRICES['u'](theta, phi, lam), qubit)
+
+    @_on_branches
+    def rxx(self, theta, qubit1, qubit2):
+        """XX rotation"""
+        self._apply_controlled_gate('rxx', [theta], [], [qubit1, qubit2])
+
+    @_on_branches
+    def ryy(self, theta, qubit1, qubit2):
+        """YY rotation"""
+        self._apply_controlled_gate('ryy', [theta], [], [qubit1, qubit2])
+
+    @_on_branches
+    def rzz(self, theta, qubit1, qubit2):
+        """ZZ rotation"""
+        self._apply_controlled_gate('rzz', [theta], [], [qubit1, qubit2])
+
+    @_on_branches
+    def iswap(self, qubit1, qubit2):
+        """iSWAP gate"""
+        self._apply_controlled_gate('iswap', [], [], [qubit1, qubit2])
+
+    @_on_branches
+    def ecr(self, qubit1, qubit2):
+        """Echoed cross-resonance gate"""
+        self._apply_controlled_gate('ecr', [], [], [qubit1, qubit2])
+
+    @_on_branches
+    def unitary(self, obj, qubits, label=None):
+        """Custom unitary; its first qubit is the low bit of the matrix"""
+        qubits = [qubits] if isinstance(qubits, int) else list(qubits)
+        self._apply_controlled_gate('unitary', [obj], [], qubits[::-1])
+
+    @_on_branches
+    def cx(self, control, target, ctrl_state=None):
         """CNOT gate"""
-        self.gates.append(('CX', control, target))
         n = self.num_qubits
         size = 2**n
         new_state = self._state.copy()
+        value = _ctrl_values(ctrl_state, 1)[0]
         
         for i in range(size):
             control_bit = (i >> (n - 1 - control)) & 1
-            if control_bit == 1:
-                target_bit = (i >> (n - 1 - target)) & 1
-                new_target_bit = 1 - target_bit
-                new_index = (i & ~(1 << (n - 1 - target))) | (new_target_bit << (n - 1 - target))
+            target_bit = (i >> (n - 1 - target)) & 1
+            if control_bit == value and target_bit == 0:
+                new_index = i | (1 << (n - 1 - target))
                 new_state[i], new_state[new_index] = new_state[new_index], new_state[i]
         
         self._state = new_state
         
-    def cz(self, control, target):
+    @_on_branches
+    def cz(self, control, target, ctrl_state=None):
         """CZ gate"""
-        self.gates.append(('CZ', control, target))
         n = self.num_qubits
         size = 2**n
+        value = _ctrl_values(ctrl_state, 1)[0]
         
         for i in range(size):
             control_bit = (i >> (n - 1 - control)) & 1
             target_bit = (i >> (n - 1 - target)) & 1
-            if control_bit == 1 and target_bit == 1:
+            if control_bit == value and target_bit == 1:
                 self._state[i] *= -1
+
+    def _apply_controlled_gate(self, name, params, controls, targets, values=None):
+        """Apply a gate on its targets where every control holds its value"""
+        values = values if values is not None else [1] * len(controls)
+        matrix = _gate_matrix(name, params)
+        n = self.num_qubits
+        shifts = [n - 1 - t for t in targets]
+        # Index offset of each target basis state, first target as the high bit
+        offsets = [sum(((j >> (len(targets) - 1 - b)) & 1) << shift for b, shift in enumerate(shifts))
+                   for j in range(2**len(targets))]
+        new_state = self._state.copy()
+        for i in range(2**n):
+            if any((i >> shift) & 1 for shift in shifts):
+                continue
+            if all(((i >> (n - 1 - c)) & 1) == v for c, v in zip(controls, values)):
+                indices = [i | offset for offset in offsets]
+                new_state[indices] = matrix @ self._state[indices]
+        self._state = new_state
+
+    @_on_branches
+    def ch(self, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled-Hadamard gate"""
+        self._apply_controlled_gate('h', [], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def cy(self, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled-Y gate"""
+        self._apply_controlled_gate('y', [], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def crx(self, theta, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled RX gate"""
+        self._apply_controlled_gate('rx', [theta], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def cry(self, theta, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled RY gate"""
+        self._apply_controlled_gate('ry', [theta], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def crz(self, theta, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled RZ gate"""
+        self._apply_controlled_gate('rz', [theta], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def cp(self, theta, control_qubit, target_qubit, ctrl_state=None):
+        """Controlled phase gate"""
+        self._apply_controlled_gate('p', [theta], [control_qubit], [target_qubit], _ctrl_values(ctrl_state, 1))
+
+    @_on_branches
+    def ccx(self, control_qubit1, control_qubit2, target_qubit, ctrl_state=None):
+        """Toffoli gate"""
+        controls = [control_qubit1, control_qubit2]
+        self._apply_controlled_gate('x', [], controls, [target_qubit], _ctrl_values(ctrl_state, 2))
+
+    @_on_branches
+    def mcx(self, control_qubits, target_qubit, ctrl_state=None):
+        """Multi-controlled X gate"""
+        controls = list(control_qubits)
+        self._apply_controlled_gate('x', [], controls, [target_qubit], _ctrl_values(ctrl_state, len(controls)))
+
+    @_on_branches
+    def mcp(self, lam, control_qubits, target_qubit):
+        """Multi-controlled phase gate"""
+        self._apply_controlled_gate('p', [lam], list(control_qubits), [target_qubit])
+
+    @_on_branches
+    def cswap(self, control_qubit, target_qubit1, target_qubit2, ctrl_state=None):
+        """Fredkin (controlled-SWAP) gate"""
+        targets = [target_qubit1, target_qubit2]
+        self._apply_controlled_gate('swap', [], [control_qubit], targets, _ctrl_values(ctrl_state, 1))
+
+    def to_gate(self):
+        """The circuit as a gate to append to others; unbound parameters stay unbound"""
+        pending = [(call['name'], call['args'], call['kwargs']) for call in self._pending or []]
+        return _CircuitGate(self.name or 'circuit', self.num_qubits, self._calls + pending)
+
+    def append(self, gate, qargs):
+        """Append a qiskit.circuit.library gate, controls first, or a to_gate() subcircuit"""
+        if isinstance(gate, _CircuitGate):
+            gate.replay(self, qargs)
+            return None
+        return self._append_library(gate, qargs)
+
+    @_on_branches
+    def _append_library(self, gate, qargs):
+        """Library gate with its controls first"""
+        k = gate.num_ctrl_qubits
+        self._apply_controlled_gate(gate.name, gate.params, list(qargs[:k]), list(qargs[k:]), gate.ctrl_state)
+
+    @_on_branches
+    def _controlled(self, name, params, controls, targets, values):
+        """Gate with controls, as applied by PennyLane operations"""
+        self._apply_controlled_gate(name, params, controls, targets, values)
                 
+    @_on_branches
     def swap(self, qubit1, qubit2):
         """SWAP gate"""
-        self.gates.append(('SWAP', qubit1, qubit2))
         n = self.num_qubits
         size = 2**n
         new_state = np.zeros(size, dtype=complex)
@@ -453,21 +1189,204 @@ class QuantumCircuit:
         self._state = new_state
         
     def measure(self, qubit, classical):
-        """Measure a single qubit"""
-        self.gates.append(('M', qubit, classical))
+        """Measure a qubit into a classical bit, splitting every branch by outcome"""
+        if isinstance(qubit, (list, range)):
+            for q, c in zip(qubit, classical):
+                self.measure(q, c)
+            return
+        if self._pending is not None:
+            self._defer('measure', (qubit, classical), {})
+            return
+        clbit = self._clbit_index(classical)
+        self.gates.append(('M', qubit, clbit))
+        if self._unmeasured is None:
+            self._unmeasured = [dict(branch) for branch in self._branches]
+
+        n = self.num_qubits
+        ones = ((np.arange(2**n) >> (n - 1 - qubit)) & 1).astype(bool)
+        branches = []
+        for branch in self._branches:
+            state = branch['state']
+            for outcome, selected in ((0, ~ones), (1, ones)):
+                p = float(np.sum(np.abs(state[selected]) ** 2))
+                if p < 1e-12:
+                    continue
+                clbits = list(branch['clbits'])
+                clbits[clbit] = outcome
+                branches.append({
+                    'weight': branch['weight'] * p,
+                    'state': np.where(selected, state, 0) / np.sqrt(p),
+                    'clbits': clbits
+                })
+        self._branches = branches
+        self._state = branches[0]['state']
         
     def measure_all(self):
         """Add measurement to all qubits"""
         for i in range(self.num_qubits):
-            self.gates.append(('M', i, i))
+            self.measure(i, i)
             
+    def has_measurements(self):
+        return any(g[0] == 'M' for g in self.gates)
+
+    def remove_final_measurements(self, inplace=True):
+        """Drop the measurements that end the circuit, going back to the state before them"""
+        target = self if inplace else self._copy()
+        if target._pending is not None:
+            while target._pending and target._pending[-1]['name'] == 'measure':
+                target._pending.pop()
+        elif target._unmeasured is False:
+            raise ValueError("Only measurements at the end of the circuit can be removed in this simulation")
+        elif target._unmeasured is not None:
+            target._branches, target._unmeasured = target._unmeasured, None
+            target._state = target._branches[0]['state']
+            target.gates = [g for g in target.gates if g[0] != 'M']
+        return None if inplace else target
+
+    def _expectation(self, observable):
+        """Exact expectation value of an observable, averaged over measurement branches"""
+        terms = observable._terms()
+        return sum(b['weight'] * _pauli_expectation(b['state'], self.num_qubits, terms) for b in self._branches)
+
     def get_statevector(self):
-        """Get the current state vector"""
-        return self._state.copy()
+        """Get the current state vector (one sampled branch after measurements)"""
+        weights = np.array([b['weight'] for b in self._branches])
+        branch = self._branches[np.random.choice(len(weights), p=weights / weights.sum())]
+        return branch['state'].copy()
     
     def get_probabilities(self):
-        """Get measurement probabilities"""
-        return np.abs(self._state) ** 2
+        """Get measurement probabilities, averaged over measurement outcomes"""
+        return sum(b['weight'] * np.abs(b['state']) ** 2 for b in self._branches)
+
+    def get_classical_distribution(self):
+        """Probability of each classical register value, keyed by bit string"""
+        dist = {}
+        for branch in self._branches:
+            key = ' '.join(
+                ''.join(str(bit) for bit in branch['clbits'][offset:offset + reg.size])
+                for offset, reg in self._register_offsets()
+            )
+            dist[key] = dist.get(key, 0) + branch['weight']
+        return dist
+
+    def _register_offsets(self):
+        offset = 0
+        for reg in self.cregs:
+            yield offset, reg
+            offset += reg.size
+
+
+def _pauli_expectation(state, num_qubits, terms):
+    """<state| sum of coeff * P |state> over terms (coeff, {qubit: 'X' | 'Y' | 'Z'})"""
+    psi = state.reshape([2] * num_qubits)
+    total = 0
+    for coeff, ops in terms:
+        phi = psi
+        for qubit, pauli in ops.items():
+            phi = np.moveaxis(np.tensordot(_GATE_MATRICES[pauli.lower()](), phi, axes=([1], [qubit])), 0, qubit)
+        total += coeff * np.vdot(psi, phi)
+    return float(np.real(total))
+
+
+class SparsePauliOp:
+    """Mock Qiskit SparsePauliOp: Pauli labels (qubit 0 rightmost) with coefficients"""
+    __array_ufunc__ = None  # numpy scalars defer to __rmul__
+
+    def __init__(self, data, coeffs=None):
+        if isinstance(data, SparsePauliOp):
+            data, coeffs = data.paulis, data.coeffs
+        self.paulis = [data] if isinstance(data, str) else list(data)
+        self.coeffs = np.array([1] * len(self.paulis) if coeffs is None else coeffs, dtype=complex)
+        self.num_qubits = len(self.paulis[0])
+
+    @staticmethod
+    def from_list(obj, num_qubits=None):
+        return SparsePauliOp([entry[0] for entry in obj], [entry[1] if len(entry) > 1 else 1 for entry in obj])
+
+    @staticmethod
+    def from_sparse_list(obj, num_qubits):
+        labels = []
+        for paulis, qubits, coeff in obj:
+            label = ['I'] * num_qubits
+            for pauli, qubit in zip(paulis, qubits):
+                label[num_qubits - 1 - qubit] = pauli
+            labels.append(''.join(label))
+        return SparsePauliOp(labels, [entry[2] for entry in obj])
+
+    def _terms(self):
+        return [(coeff, {q: p for q, p in enumerate(reversed(label)) if p != 'I'})
+                for label, coeff in zip(self.paulis, self.coeffs)]
+
+    def __add__(self, other):
+        return SparsePauliOp(self.paulis + other.paulis, np.concatenate([self.coeffs, other.coeffs]))
+
+    def __sub__(self, other):
+        return self + (-1) * other
+
+    def __mul__(self, other):
+        return SparsePauliOp(self.paulis, self.coeffs * other)
+
+    __rmul__ = __mul__
+
+    def __truediv__(self, other):
+        return self * (1 / other)
+
+    def __neg__(self):
+        return -1 * self
+
+    def simplify(self):
+        return self
+
+    def __repr__(self):
+        return f"SparsePauliOp({self.paulis}, coeffs={list(self.coeffs)})"
+
+
+class _DataBin:
+    """Fields of a primitive result, such as data.evs"""
+
+    def __init__(self, **fields):
+        self.__dict__.update(fields)
+
+
+class _PrimitiveJob:
+    def __init__(self, result):
+        self._result = result
+
+    def result(self):
+        return self._result
+
+
+def _estimate(circuit, observables):
+    """Expectation values of one observable or a list of them"""
+    if isinstance(observables, (list, tuple)):
+        return np.array([_estimate(circuit, o) for o in observables])
+    circuit._check_bound()
+    if circuit.has_measurements():
+        raise ValueError("The estimator needs a circuit without measurements; use qc.remove_final_measurements(inplace=False)")
+    return np.float64(circuit._expectation(observables))
+
+
+class StatevectorEstimator:
+    """Mock Qiskit StatevectorEstimator: exact values for (circuit, observables[, parameter values]) pubs"""
+
+    def run(self, pubs, precision=None):
+        results = []
+        for circuit, observables, *values in pubs:
+            if values and values[0] is not None:
+                circuit = circuit.assign_parameters(values[0])
+            evs = _estimate(circuit, observables)
+            results.append(_DataBin(data=_DataBin(evs=evs, stds=np.zeros_like(evs)), metadata={}))
+        return _PrimitiveJob(results)
+
+
+class Estimator:
+    """Mock Qiskit Estimator (V1): run(circuits, observables).result().values"""
+
+    def run(self, circuits, observables, parameter_values=None):
+        circuits = circuits if isinstance(circuits, (list, tuple)) else [circuits]
+        observables = observables if isinstance(observables, (list, tuple)) else [observables]
+        values = [_estimate(c, o) for c, o in zip(circuits, observables)]
+        return _PrimitiveJob(_DataBin(values=np.array(values), metadata=[{}] * len(values)))
 
 
 def transpile(circuit, backend):
@@ -477,29 +1396,45 @@ def transpile(circuit, backend):
 
 class AerSimulator:
     """Mock Aer Simulator"""
+
+    def __init__(self, noise_model=None):
+        self.noise_model = noise_model
     
-    def run(self, circuit, shots=1024):
+    def run(self, circuit, shots=1024, seed_simulator=None):
         """Run the circuit and return results"""
-        return SimulationResult(circuit, shots)
+        circuit._check_bound()
+        if self.noise_model is not None:
+            print("Note: the noise model is not simulated here; use the Density matrix backend to see its effect.")
+        return SimulationResult(circuit, shots, seed_simulator)
 
 
 class SimulationResult:
     """Mock simulation result"""
     
-    def __init__(self, circuit, shots):
+    def __init__(self, circuit, shots, seed=None):
         self.circuit = circuit
         self.shots = shots
+        self._rng = np.random.default_rng(seed)
         
     def result(self):
         return self
     
     def get_counts(self):
         """Sample from the probability distribution"""
+        if self.circuit.has_measurements():
+            # Counts over classical bits (bit 0 leftmost, registers separated by spaces)
+            dist = self.circuit.get_classical_distribution()
+            keys = list(dist.keys())
+            weights = np.array([dist[k] for k in keys])
+            indices = self._rng.choice(len(keys), size=self.shots, p=weights / weights.sum())
+            counts = Counter(indices)
+            return dict(sorted((keys[idx], count) for idx, count in counts.items()))
+
         probs = self.circuit.get_probabilities()
         n = self.circuit.num_qubits
         
         # Sample shots times
-        indices = np.random.choice(len(probs), size=self.shots, p=probs)
+        indices = self._rng.choice(len(probs), size=self.shots, p=probs / probs.sum())
         counts = Counter(indices)
         
         # Convert to binary strings
@@ -514,14 +1449,100 @@ class SimulationResult:
 # Create qiskit module namespace
 class QiskitModule:
     QuantumCircuit = QuantumCircuit
-    transpile = transpile
+    QuantumRegister = QuantumRegister
+    ClassicalRegister = ClassicalRegister
+    transpile = staticmethod(transpile)
+
+class QiskitCircuitModule:
+    QuantumCircuit = QuantumCircuit
+    Parameter = Parameter
+    ParameterExpression = ParameterExpression
+
+class QiskitQuantumInfoModule:
+    SparsePauliOp = SparsePauliOp
+
+class QiskitPrimitivesModule:
+    StatevectorEstimator = StatevectorEstimator
+    Estimator = Estimator
+    EstimatorV2 = StatevectorEstimator
     
+class _QuantumError:
+    """Mock Aer quantum error; compositions are recorded, not simulated"""
+
+    def __init__(self, *parts):
+        self.parts = parts
+
+    def compose(self, other):
+        return _QuantumError(self, other)
+
+    tensor = compose
+    expand = compose
+
+
+def depolarizing_error(param, num_qubits):
+    return _QuantumError('depolarizing', param, num_qubits)
+
+
+def amplitude_damping_error(param):
+    return _QuantumError('amplitude_damping', param)
+
+
+def phase_damping_error(param):
+    return _QuantumError('phase_damping', param)
+
+
+def pauli_error(noise_ops):
+    return _QuantumError('pauli', noise_ops)
+
+
+def thermal_relaxation_error(t1, t2, time):
+    return _QuantumError('thermal_relaxation', t1, t2, time)
+
+
+class ReadoutError:
+    def __init__(self, probabilities):
+        self.probabilities = probabilities
+
+
+class NoiseModel:
+    """Mock Aer noise model"""
+
+    def __init__(self):
+        self.quantum_errors = []
+        self.readout_errors = []
+
+    def add_quantum_error(self, error, instructions, qubits):
+        self.quantum_errors.append((error, instructions, qubits))
+
+    def add_all_qubit_quantum_error(self, error, instructions):
+        self.quantum_errors.append((error, instructions, None))
+
+    def add_readout_error(self, error, qubits):
+        self.readout_errors.append((error, qubits))
+
+
+class QiskitAerNoiseModule:
+    NoiseModel = NoiseModel
+    ReadoutError = ReadoutError
+    depolarizing_error = staticmethod(depolarizing_error)
+    amplitude_damping_error = staticmethod(amplitude_damping_error)
+    phase_damping_error = staticmethod(phase_damping_error)
+    pauli_error = staticmethod(pauli_error)
+    thermal_relaxation_error = staticmethod(thermal_relaxation_error)
+
 class QiskitAerModule:
     AerSimulator = AerSimulator
+    noise = QiskitAerNoiseModule()
 
 # Register as modules
 sys.modules['qiskit'] = QiskitModule()
+sys.modules['qiskit.circuit'] = QiskitCircuitModule()
+sys.modules['qiskit.circuit.library'] = QiskitLibraryModule()
+sys.modules['qiskit.quantum_info'] = QiskitQuantumInfoModule()
+sys.modules['qiskit.primitives'] = QiskitPrimitivesModule()
 sys.modules['qiskit_aer'] = QiskitAerModule()
+sys.modules['qiskit_aer.noise'] = QiskitAerModule.noise
+sys.modules['qiskit_aer.primitives'] = QiskitPrimitivesModule()
 
 # =============================================
 # Mock PennyLane Implementation
@@ -557,24 +1578,117 @@ class Hadamard(PennyLaneOp):
         super().__init__(wires)
 
 
-class PauliX(PennyLaneOp):
+class _PauliOp(PennyLaneOp):
+    """Pauli operation, which also builds observables with @, * and +"""
+    __array_ufunc__ = None  # numpy scalars defer to __rmul__
+
+    def __matmul__(self, other):
+        return _as_observable(self) @ other
+
+    def __mul__(self, other):
+        return _as_observable(self) * other
+
+    __rmul__ = __mul__
+
+    def __add__(self, other):
+        return _as_observable(self) + other
+
+    __radd__ = __add__
+
+    def __sub__(self, other):
+        return _as_observable(self) - other
+
+    def __neg__(self):
+        return -_as_observable(self)
+
+
+class PauliX(_PauliOp):
     name = "PauliX"
+    pauli = "X"
     def __init__(self, wires):
         super().__init__(wires)
 
 
-class PauliY(PennyLaneOp):
+class PauliY(_PauliOp):
     name = "PauliY"
+    pauli = "Y"
     def __init__(self, wires):
         super().__init__(wires)
 
 
-class PauliZ(PennyLaneOp):
+class PauliZ(_PauliOp):
     name = "PauliZ"
+    pauli = "Z"
     def __init__(self, wires):
         super().__init__(wires)
 
 
+class Identity(_PauliOp):
+    name = "Identity"
+    pauli = "I"
+    def __init__(self, wires=0):
+        super().__init__(wires)
+
+
+class _PauliSum:
+    """Observable built from Pauli operations: terms of (coeff, {wire: pauli})"""
+    __array_ufunc__ = None
+
+    def __init__(self, terms):
+        self.terms = terms
+
+    def _terms(self):
+        return self.terms
+
+    def __add__(self, other):
+        if isinstance(other, (int, float)) and other == 0:
+            return self  # sum() starts from 0
+        return _PauliSum(self.terms + _as_observable(other).terms)
+
+    __radd__ = __add__
+
+    def __sub__(self, other):
+        return self + (-1) * _as_observable(other)
+
+    def __mul__(self, other):
+        if isinstance(other, (int, float, complex, np.number)):
+            return _PauliSum([(coeff * other, ops) for coeff, ops in self.terms])
+        return self @ other
+
+    __rmul__ = __mul__
+
+    def __truediv__(self, other):
+        return self * (1 / other)
+
+    def __neg__(self):
+        return -1 * self
+
+    def __matmul__(self, other):
+        other = _as_observable(other)
+        terms = []
+        for coeff, ops in self.terms:
+            for other_coeff, other_ops in other.terms:
+                if set(ops) & set(other_ops):
+                    raise ValueError("Products of Paulis on the same wire are not supported in this simulation")
+                terms.append((coeff * other_coeff, {**ops, **other_ops}))
+        return _PauliSum(terms)
+
+
+def _as_observable(value):
+    """A Pauli operation or observable as a _PauliSum; the operation stops being a gate"""
+    if isinstance(value, _PauliSum):
+        return value
+    if isinstance(value, _PauliOp):
+        _unregister_op(value)
+        return _PauliSum([(1, {} if value.pauli == 'I' else {value.wires[0]: value.pauli})])
+    raise TypeError(f"Only Pauli observables are supported in this simulation, not {getattr(value, 'name', type(value).__name__)}")
+
+
+def Hamiltonian(coeffs, observables):
+    """Weighted sum of Pauli observables"""
+    return sum((coeff * _as_observable(o) for coeff, o in zip(coeffs, observables)), _PauliSum([]))
+
+
 class S(PennyLaneOp):
     name = "S"
     def __init__(self, wires):
@@ -623,14 +1737,271 @@ class SWAP(PennyLaneOp):
         super().__init__(wires)
 
 
+class _RegisteredOp(PennyLaneOp):
+    """Operation taking parameters, then wires; registers itself with the running qnode"""
+    def __init__(self, *args, wires=None, control_values=None):
+        if wires is None:
+            *args, wires = args
+        super().__init__(wires, list(args))
+        if control_values is not None:
+            self.control_values = [int(v) for v in control_values]
+        _register_op(self)
+
+
+class PhaseShift(_RegisteredOp):
+    name = "PhaseShift"
+
+
+class CY(_RegisteredOp):
+    name = "CY"
+
+
+class CH(_RegisteredOp):
+    name = "CH"
+
+
+class CRX(_RegisteredOp):
+    name = "CRX"
+
+
+class CRY(_RegisteredOp):
+    name = "CRY"
+
+
+class CRZ(_RegisteredOp):
+    name = "CRZ"
+
+
+class ControlledPhaseShift(_RegisteredOp):
+    name = "ControlledPhaseShift"
+
+
+class Toffoli(_RegisteredOp):
+    name = "Toffoli"
+
+
+class CSWAP(_RegisteredOp):
+    name = "CSWAP"
+
+
+class MultiControlledX(_RegisteredOp):
+    name = "MultiControlledX"
+
+
+class SX(_RegisteredOp):
+    name = "SX"
+
+
+class U3(_RegisteredOp):
+    name = "U3"
+
+
+class IsingXX(_RegisteredOp):
+    name = "IsingXX"
+
+
+class IsingYY(_RegisteredOp):
+    name = "IsingYY"
+
+
+class IsingZZ(_RegisteredOp):
+    name = "IsingZZ"
+
+
+class ISWAP(_RegisteredOp):
+    name = "ISWAP"
+
+
+class ECR(_RegisteredOp):
+    name = "ECR"
+
+
+class QubitUnitary(_RegisteredOp):
+    name = "QubitUnitary"
+
+
+class GlobalPhase(_RegisteredOp):
+    """Global phase e^{-i phi}; it is stored as the gphase angle -phi"""
+    name = "GlobalPhase"
+    def __init__(self, phi, wires=()):
+        super().__init__(-phi, wires=list(wires))
+
+
+# Gate name and number of leading control wires (None: all but the last) by operation
+_PENNYLANE_GATES = {
+    'Hadamard': ('h', 0), 'PauliX': ('x', 0), 'PauliY': ('y', 0), 'PauliZ': ('z', 0),
+    'S': ('s', 0), 'T': ('t', 0), 'RX': ('rx', 0), 'RY': ('ry', 0), 'RZ': ('rz', 0),
+    'PhaseShift': ('p', 0), 'SWAP': ('swap', 0), 'CNOT': ('x', 1), 'CZ': ('z', 1),
+    'CY': ('y', 1), 'CH': ('h', 1), 'CRX': ('rx', 1), 'CRY': ('ry', 1), 'CRZ': ('rz', 1),
+    'ControlledPhaseShift': ('p', 1), 'Toffoli': ('x', 2), 'CSWAP': ('swap', 1),
+    'MultiControlledX': ('x', None), 'SX': ('sx', 0), 'U3': ('u', 0), 'IsingXX': ('rxx', 0),
+    'IsingYY': ('ryy', 0), 'IsingZZ': ('rzz', 0), 'ISWAP': ('iswap', 0), 'ECR': ('ecr', 0),
+    'GlobalPhase': ('gphase', 0), 'QubitUnitary': ('unitary', 0),
+}
+
+
+class _Controlled(PennyLaneOp):
+    """Operation returned by qml.ctrl; its control wires come first"""
+    name = "Controlled"
+    def __init__(self, base, control, control_values):
+        super().__init__(control + base.wires, base.params)
+        self.base = base
+        self.control = control
+        self.control_values = control_values
+        _register_op(self)
+
+
+def _controlled_parts(op):
+    """Gate name, control wires, target wires and control values of an operation"""
+    if op.name == "Controlled":
+        gate, controls, targets, values = _controlled_parts(op.base)
+        return gate, op.control + controls, targets, op.control_values + values
+    if op.name == "Adjoint":
+        gate, controls, targets, values = _controlled_parts(op.base)
+        return 'adjoint:' + gate, controls, targets, values
+    gate, count = _PENNYLANE_GATES[op.name]
+    count = len(op.wires) - 1 if count is None else count
+    values = getattr(op, 'control_values', None) or [1] * count
+    return gate, op.wires[:count], op.wires[count:], list(values)
+
+
+def ctrl(op, control, control_values=None):
+    """Controlled version of an operation, or of an operation class"""
+    control = list(control) if isinstance(control, (list, tuple, range)) else [control]
+    if control_values is None:
+        values = [1] * len(control)
+    elif isinstance(control_values, (list, tuple, str)):
+        values = [int(v) for v in control_values]
+    else:
+        values = [int(control_values)]
+
+    def controlled(base):
+        _unregister_op(base)
+        return _Controlled(base, control, values)
+
+    if isinstance(op, PennyLaneOp):
+        return controlled(op)
+    return lambda *args, **kwargs: controlled(op(*args, **kwargs))
+
+
+class _Adjoint(PennyLaneOp):
+    """Operation returned by qml.adjoint"""
+    name = "Adjoint"
+    def __init__(self, base):
+        super().__init__(base.wires, base.params)
+        self.base = base
+        _register_op(self)
+
+
+def adjoint(op):
+    """Inverse of an operation, or of an operation class"""
+    def inverted(base):
+        _unregister_op(base)
+        return _Adjoint(base)
+
+    if isinstance(op, PennyLaneOp):
+        return inverted(op)
+    return lambda *args, **kwargs: inverted(op(*args, **kwargs))
+
+
+class _NoiseChannel(PennyLaneOp):
+    """Noise channel (default.mixed); recorded but not simulated by this mock"""
+    def __init__(self, p, wires):
+        super().__init__(wires, [p])
+        _register_op(self)
+
+
+class DepolarizingChannel(_NoiseChannel):
+    name = "DepolarizingChannel"
+
+
+class AmplitudeDamping(_NoiseChannel):
+    name = "AmplitudeDamping"
+
+
+class PhaseDamping(_NoiseChannel):
+    name = "PhaseDamping"
+
+
+class BitFlip(_NoiseChannel):
+    name = "BitFlip"
+
+
+class PhaseFlip(_NoiseChannel):
+    name = "PhaseFlip"
+
+
 def probs(wires):
     """Return probabilities measurement"""
     return ('probs', wires)
 
 
+def expval(op):
+    """Expectation value measurement of a Pauli observable"""
+    return ('expval', _as_observable(op))
+
+
+class _ClassicalValue:
+    """Arithmetic/comparison on measurement values, evaluated per branch"""
+    __hash__ = object.__hash__
+
+    def evaluate(self, bits):
+        raise NotImplementedError
+
+    def _combine(self, other, fn):
+        def evaluate(bits):
+            rhs = other.evaluate(bits) if isinstance(other, _ClassicalValue) else other
+            return fn(self.evaluate(bits), rhs)
+        return _ClassicalExpr(evaluate)
+
+    def __add__(self, other):
+        return self._combine(other, lambda a, b: a + b)
+
+    __radd__ = __add__
+
+    def __mul__(self, other):
+        return self._combine(other, lambda a, b: a * b)
+
+    __rmul__ = __mul__
+
+    def __eq__(self, other):
+        return self._combine(other, lambda a, b: int(a == b))
+
+    def __ne__(self, other):
+        return self._combine(other, lambda a, b: int(a != b))
+
+    def __invert__(self):
+        return _ClassicalExpr(lambda bits: int(not self.evaluate(bits)))
+
+
+class _ClassicalExpr(_ClassicalValue):
+    def __init__(self, evaluate):
+        self.evaluate = evaluate
+
+
+class MidMeasure(PennyLaneOp, _ClassicalValue):
+    """Mid-circuit measurement; the instance stands in for its MeasurementValue"""
+    name = "Measure"
+
+    def evaluate(self, bits):
+        return bits[self.clbit]
+    def __init__(self, wires):
+        super().__init__(wires)
+        self.clbit = None
+
+
 def measure(wires):
-    """Return measurement operation"""
-    return ('measure', wires)
+    """Mid-circuit measurement"""
+    return _register_op(MidMeasure(wires))
+
+
+def cond(condition, op_class):
+    """Apply op_class only when the measurement expression is true"""
+    def conditioned(*args, **kwargs):
+        op = op_class(*args, **kwargs)
+        op.condition = condition
+        return op
+    return conditioned
 
 
 def device(name, wires):
@@ -651,19 +2022,27 @@ class QNodeWrapper:
         self.dev.reset()
         self._ops = []
         
-        # Create a mock QuantumCircuit
-        qc = QuantumCircuit(self.dev.num_qubits)
-        
         # Capture operations by calling the function
         _current_qnode[0] = self
         result = self.func(*args, **kwargs)
         _current_qnode[0] = None
         
+        # Create a mock QuantumCircuit with a classical bit per mid-circuit measurement
+        n = self.dev.num_qubits
+        measurements = [op for op in self._ops if op.name == "Measure"]
+        for i, op in enumerate(measurements):
+            op.clbit = i
+        qc = QuantumCircuit(n, max(n, len(measurements)))
+        
         # Apply operations to circuit
         for op in self._ops:
             name = op.name
             wires = op.wires
             params = op.params
+            condition = getattr(op, 'condition', None)
+            qc._condition = None if condition is None else (
+                lambda bits, c=condition: bool(c.evaluate(bits) if isinstance(c, _ClassicalValue) else c)
+            )
             
             if name == "Hadamard":
                 qc.h(wires[0])
@@ -689,8 +2068,22 @@ class QNodeWrapper:
                 qc.cz(wires[0], wires[1])
             elif name == "SWAP":
                 qc.swap(wires[0], wires[1])
+            elif name == "Measure":
+                qc.measure(wires[0], op.clbit)
+            elif name in _PENNYLANE_GATES or name in ("Controlled", "Adjoint"):
+                gate, controls, targets, values = _controlled_parts(op)
+                qc._controlled(gate, params, controls, targets, values)
+        qc._condition = None
         
-        # Return probabilities
+        # Measurement results, in the order the function returns them
+        if isinstance(result, (tuple, list)) and result and not isinstance(result[0], str):
+            return tuple(self._measurement_value(qc, m) for m in result)
+        return self._measurement_value(qc, result)
+
+    def _measurement_value(self, qc, measurement):
+        """Expectation value of an expval, otherwise the probabilities"""
+        if isinstance(measurement, tuple) and measurement and measurement[0] == 'expval':
+            return qc._expectation(measurement[1])
         return qc.get_probabilities()
 
 
@@ -705,6 +2098,16 @@ def _register_op(op):
     return op
 
 
+def _unregister_op(op):
+    """Drop an operation that another one (such as qml.ctrl) applies instead"""
+    if _current_qnode[0] is not None:
+        ops = _current_qnode[0]._ops
+        for i, registered in enumerate(ops):
+            if registered is op:
+                del ops[i]
+                break
+
+
 # Override operation __init__ to register
 _orig_hadamard_init = Hadamard.__init__
 def _new_hadamard_init(self, wires):
@@ -796,8 +2199,8 @@ def draw(qnode_func):
 
 # Create pennylane module
 class PennyLaneModule:
-    device = device
-    qnode = qnode
+    device = staticmethod(device)
+    qnode = staticmethod(qnode)
     Hadamard = Hadamard
     PauliX = PauliX
     PauliY = PauliY
@@ -810,9 +2213,40 @@ class PennyLaneModule:
     CNOT = CNOT
     CZ = CZ
     SWAP = SWAP
-    probs = probs
-    measure = measure
-    draw = draw
+    PhaseShift = PhaseShift
+    CY = CY
+    CH = CH
+    CRX = CRX
+    CRY = CRY
+    CRZ = CRZ
+    ControlledPhaseShift = ControlledPhaseShift
+    Toffoli = Toffoli
+    CSWAP = CSWAP
+    MultiControlledX = MultiControlledX
+    SX = SX
+    U3 = U3
+    IsingXX = IsingXX
+    IsingYY = IsingYY
+    IsingZZ = IsingZZ
+    ISWAP = ISWAP
+    ECR = ECR
+    QubitUnitary = QubitUnitary
+    GlobalPhase = GlobalPhase
+    DepolarizingChannel = DepolarizingChannel
+    AmplitudeDamping = AmplitudeDamping
+    PhaseDamping = PhaseDamping
+    BitFlip = BitFlip
+    PhaseFlip = PhaseFlip
+    Identity = Identity
+    Hamiltonian = staticmethod(Hamiltonian)
+    dot = staticmethod(Hamiltonian)
+    probs = staticmethod(probs)
+    expval = staticmethod(expval)
+    measure = staticmethod(measure)
+    cond = staticmethod(cond)
+    ctrl = staticmethod(ctrl)
+    adjoint = staticmethod(adjoint)
+    draw = staticmethod(draw)
     numpy = np
 
 
@@ -847,6 +2281,8 @@ function updateRuntimeStatus(state, text) {
 // ============================================
 function syncCodeToCircuit() {
     if (isSyncing) return;
+    // Code the circuit was just synced from or to needs no parsing
+    if (sourceMap && sourceMap.code === editor.getValue() && sourceMap.framework === currentFramework) return;
 
     isSyncing = true;
     syncDirection = 'code-to-circuit';
@@ -855,24 +2291,33 @@ function syncCodeToCircuit() {
     try {
         const code = editor.getValue();
         const parsed = parser.parseCode(code);
-
-        // Update circuit
-        circuit.numQubits = parsed.numQubits;
-        circuit.gates = parsed.gates.map(g => ({
-            ...g,
-            id: Date.now() + Math.random()
-        }));
-
-        // Update qubit count input
-        elements.qubitCount.value = parsed.numQubits;
-        updateQubitSelect();
-
-        // Re-render visualizer
-        visualizer.render();
-
-        // Update simulation
-        updateVisualization();
-
+        showDiagnostics(parsed.errors);
+
+        // Keep the current circuit while the code is mid-edit and does not parse
+        if (!parsed.syntaxError) {
+            // Update circuit
+            circuit.numQubits = parsed.numQubits;
+            circuit.classicalRegisters = parsed.classicalRegisters;
+            circuit.customGates = parsed.customGates;
+            circuit.parameters = parsed.parameters;
+            circuit.observables = parsed.observables;
+            circuit.gates = parsed.gates.map((g, i) => {
+                const gate = { ...g, id: Date.now() + Math.random() };
+                if (parsed.sourceMap) parsed.sourceMap.gates[i].id = gate.id;
+                return gate;
+            });
+            rememberSourceMap(parsed.sourceMap, code);
+
+            // Update qubit count input
+            elements.qubitCount.value = parsed.numQubits;
+            updateQubitSelect();
+
+            // Re-render visualizer
+            visualizer.render();
+
+            // Update simulation
+            updateVisualization();
+        }
     } catch (e) {
         console.error('Parse error:', e);
     }
@@ -892,8 +2337,16 @@ function syncCircuitToCode() {
     showSyncIndicator();
 
     try {
-        const code = parser.generateCode(circuit);
-        editor.setValue(code);
+        const patched = patchEditorCode();
+        if (patched) {
+            replaceEditorText(patched.code);
+            rememberSourceMap(patched.sourceMap, patched.code);
+        } else {
+            const code = parser.generateCode(circuit);
+            editor.setValue(code);
+            rememberSourceMap(parser.mapSourceMap(code, circuit), code);
+        }
+        showDiagnostics([]);
     } catch (e) {
         console.error('Code generation error:', e);
     }
@@ -905,6 +2358,69 @@ function syncCircuitToCode() {
     }, 100);
 }
 
+/**
+ * Patch the circuit edits into the user's code, or null when the code should be
+ * regenerated: it was never parsed, is what we would generate anyway, or the
+ * edits cannot be mapped onto it
+ */
+function patchEditorCode() {
+    const code = editor.getValue();
+    if (!sourceMap || sourceMap.code !== code || sourceMap.framework !== currentFramework) return null;
+    if (sourceMap.noise !== JSON.stringify(circuit.noiseModel || null)) return null;
+    if (!parser.hasManualModifications(code, sourceMap.generated)) return null;
+
+    const patched = parser.patchCode(code, sourceMap, circuit);
+    if (!patched) {
+        logOutput('Circuit edit could not be applied to the existing code; regenerated it', 'info');
+    }
+    return patched;
+}
+
+/**
+ * Remember the source map of the editor code, with what generated code would look
+ * like, and point each circuit gate at the code that creates it
+ */
+function rememberSourceMap(map, code) {
+    sourceMap = map;
+    const entries = new Map((map ? map.gates : []).map(e => [e.id, e]));
+    for (const gate of circuit.gates) {
+        const entry = entries.get(gate.id);
+        if (entry && entry.source) {
+            gate.source = entry.source;
+        } else {
+            delete gate.source;
+        }
+    }
+    highlightGatesAtCursor();
+
+    if (!sourceMap) return;
+    sourceMap.code = code;
+    sourceMap.generated = parser.generateCode(circuit);
+    sourceMap.noise = JSON.stringify(circuit.noiseModel || null);
+}
+
+/**
+ * Replace the editor text, touching only the changed middle so the cursor,
+ * scroll position and undo history of the rest stay put
+ */
+function replaceEditorText(text) {
+    const old = editor.getValue();
+    if (old === text) return;
+
+    let start = 0;
+    while (start < old.length && start < text.length && old[start] === text[start]) start++;
+    let end = 0;
+    while (end < old.length - start && end < text.length - start &&
+           old[old.length - 1 - end] === text[text.length - 1 - end]) end++;
+
+    editor.replaceRange(
+        text.slice(start, text.length - end),
+        editor.posFromIndex(start),
+        editor.posFromIndex(old.length - end),
+        'sync'
+    );
+}
+
 function showSyncIndicator() {
     elements.syncIndicator.classList.add('syncing');
 }
@@ -914,41 +2430,410 @@ function hideSyncIndicator() {
 }
 
 // ============================================
-// Visualization Updates
+// Diagnostics
 // ============================================
-function updateVisualization() {
-    // Initialize/update simulator
-    if (!simulator || simulator.numQubits !== circuit.numQubits) {
-        simulator = new QuantumSimulator(circuit.numQubits);
+/**
+ * Underline parser diagnostics in the editor, mark their lines in the gutter
+ * and list them above the output
+ */
+function showDiagnostics(diagnostics) {
+    editor.operation(() => {
+        diagnosticMarks.forEach(mark => mark.clear());
+        diagnosticMarks = [];
+        editor.clearGutter('diagnostic-gutter');
+
+        const byLine = new Map();
+        for (const d of diagnostics) {
+            const from = { line: d.line - 1, ch: d.column };
+            let to = { line: d.endLine - 1, ch: d.endColumn };
+            // Widen empty spans (e.g. at the end of a line) so they stay visible
+            if (to.line === from.line && to.ch <= from.ch) {
+                to = { line: from.line, ch: from.ch + 1 };
+            }
+            diagnosticMarks.push(editor.markText(from, to, {
+                className: `cm-diagnostic-${d.severity}`,
+                title: d.message
+            }));
+
+            if (!byLine.has(from.line)) byLine.set(from.line, []);
+            byLine.get(from.line).push(d);
+        }
+
+        byLine.forEach((lineDiagnostics, line) => {
+            const severity = lineDiagnostics.some(d => d.severity === 'error') ? 'error' : 'warning';
+            const marker = document.createElement('div');
+            marker.className = `diagnostic-marker ${severity}`;
+            marker.textContent = severity === 'error' ? '●' : '▲';
+            marker.title = lineDiagnostics.map(d => d.message).join('\n');
+            editor.setGutterMarker(line, 'diagnostic-gutter', marker);
+        });
+    });
+
+    renderProblemsList(diagnostics);
+}
+
+function renderProblemsList(diagnostics) {
+    const list = elements.problemsList;
+    list.innerHTML = '';
+    list.classList.toggle('hidden', diagnostics.length === 0);
+
+    for (const d of diagnostics) {
+        const item = document.createElement('div');
+        item.className = `problem-item ${d.severity}`;
+        item.title = 'Go to line';
+
+        const location = document.createElement('span');
+        location.className = 'problem-location';
+        location.textContent = `Ln ${d.line}, Col ${d.column + 1}`;
+
+        const message = document.createElement('span');
+        message.className = 'problem-message';
+        message.textContent = d.message;
+
+        item.append(location, message);
+        item.addEventListener('click', () => {
+            editor.focus();
+            editor.setCursor({ line: d.line - 1, ch: d.column });
+            editor.scrollIntoView(null, 80);
+        });
+        list.appendChild(item);
+    }
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+
+/**
+ * Add editor history events made by typing to the undo timeline
+ */
+function trackEditorHistory(changes) {
+    const depth = editor.historySize().undo;
+    const typed = changes.some(c => !['sync', 'setValue', 'undo', 'redo'].includes(c.origin));
+    if (typed) {
+        for (let i = editorHistoryDepth; i < depth; i++) {
+            pushUndoEntry({ origin: 'code' });
+        }
+        // CodeMirror drops its redo steps on a new edit; so do we
+        undoTimeline.redo = [];
+        circuit.clearRedo();
+    }
+    editorHistoryDepth = depth;
+    updateHistoryButtons();
+}
+
+function recordCanvasEdit(wroteEditor) {
+    pushUndoEntry({ origin: 'canvas', wroteEditor });
+    undoTimeline.redo = [];
+    updateHistoryButtons();
+}
+
+function pushUndoEntry(entry) {
+    undoTimeline.undo.push(entry);
+    if (undoTimeline.undo.length > QuantumCircuit.MAX_HISTORY) {
+        undoTimeline.undo.shift();
+    }
+}
+
+/**
+ * Undo the last edit, whether it was typed or made on the canvas
+ */
+function undoEdit() {
+    const entry = undoTimeline.undo.pop();
+    if (!entry) return;
+    undoTimeline.redo.push(entry);
+
+    if (entry.origin === 'code') {
+        editor.undo();
+    } else {
+        applyCanvasStep(() => circuit.undo(), () => editor.undo(), entry.wroteEditor);
+    }
+    updateHistoryButtons();
+}
+
+function redoEdit() {
+    const entry = undoTimeline.redo.pop();
+    if (!entry) return;
+    undoTimeline.undo.push(entry);
+
+    if (entry.origin === 'code') {
+        editor.redo();
+    } else {
+        applyCanvasStep(() => circuit.redo(), () => editor.redo(), entry.wroteEditor);
+    }
+    updateHistoryButtons();
+}
+
+/**
+ * Step the circuit history and restore the code it wrote, so both sides keep
+ * their exact earlier state: gate ids, positions and the user's code
+ */
+function applyCanvasStep(circuitStep, editorStep, wroteEditor) {
+    applyingHistory = true;
+    try {
+        circuitStep();
+        if (wroteEditor) editorStep();
+    } finally {
+        applyingHistory = false;
+    }
+
+    const code = editor.getValue();
+    rememberSourceMap(parser.mapSourceMap(code, circuit), code);
+    elements.qubitCount.value = circuit.numQubits;
+    elements.backendSelect.value = circuit.backend;
+    updateQubitSelect();
+}
+
+/**
+ * Start a new history, for when the editor code is replaced wholesale
+ */
+function resetHistory() {
+    editor.clearHistory();
+    circuit.clearHistory();
+    undoTimeline = { undo: [], redo: [] };
+    editorHistoryDepth = 0;
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    if (!elements.undoBtn) return;
+    elements.undoBtn.disabled = undoTimeline.undo.length === 0;
+    elements.redoBtn.disabled = undoTimeline.redo.length === 0;
+}
+
+// ============================================
+// Selection and Clipboard
+// ============================================
+
+/**
+ * Whether keyboard and clipboard events on `target` belong to a text field or the editor
+ */
+function isTextInput(target) {
+    return Boolean(target.closest && target.closest('.CodeMirror, input, textarea, select'));
+}
+
+function updateSelectionBar(gateIds) {
+    elements.selectionBar.classList.toggle('hidden', gateIds.length === 0);
+    elements.selectionCount.textContent = `${gateIds.length} selected`;
+    const custom = circuit.gates.some(g => gateIds.includes(g.id) && g.gate === 'CUSTOM');
+    elements.selectionBar.querySelector('[data-action="expand"]').classList.toggle('hidden', !custom);
+}
+
+function handleSelectionKey(e) {
+    const actions = {
+        Delete: 'delete',
+        Backspace: 'delete',
+        ArrowLeft: 'shift-left',
+        ArrowRight: 'shift-right',
+        Escape: 'deselect'
+    };
+    const action = actions[e.key];
+    if (!action || e.ctrlKey || e.metaKey || e.altKey) return;
+    e.preventDefault();
+    runSelectionAction(action);
+}
+
+function runSelectionAction(action) {
+    const selection = visualizer.getSelection();
+    switch (action) {
+        case 'copy':
+        case 'cut':
+            writeClipboard(JSON.stringify(circuit.toJSON(selection)));
+            if (action === 'cut') circuit.removeGates(selection);
+            break;
+        case 'delete':
+            circuit.removeGates(selection);
+            break;
+        case 'shift-left':
+            circuit.shiftGates(selection, -1);
+            break;
+        case 'shift-right':
+            circuit.shiftGates(selection, 1);
+            break;
+        case 'mirror':
+            circuit.mirrorGates(selection, 'time');
+            break;
+        case 'flip':
+            circuit.mirrorGates(selection, 'qubits');
+            break;
+        case 'create-gate':
+            createCustomGate(selection);
+            break;
+        case 'expand':
+            expandCustomGates(selection);
+            break;
+        case 'deselect':
+            visualizer.setSelection([]);
+            break;
     }
+}
+
+/**
+ * Replace the selected gates with a new custom gate named by the user
+ */
+function createCustomGate(gateIds) {
+    const name = prompt('Name of the new gate, e.g. bell:');
+    if (!name) return;
+
+    try {
+        const id = circuit.createCustomGate(name.trim(), gateIds);
+        visualizer.setSelection([id]);
+    } catch (e) {
+        logOutput(e.message, 'error');
+    }
+}
+
+/**
+ * Replace custom gates with the gates they are made of, as one undo step
+ */
+function expandCustomGates(gateIds) {
+    const custom = circuit.gates.filter(g => gateIds.includes(g.id) && g.gate === 'CUSTOM');
+    if (custom.length === 0) return;
+
+    circuit.beginGroup('Expand custom gates');
+    const ids = custom.flatMap(g => circuit.expandCustomGate(g.id));
+    circuit.endGroup();
+    visualizer.setSelection(ids);
+}
+
+/**
+ * Clipboard writes for the buttons, which have no clipboard event to write into
+ */
+function writeClipboard(text) {
+    gateClipboard = text;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).catch(() => {});
+    }
+}
+
+/**
+ * Copy (or cut) the selected gates as QuantumCircuit.toJSON() data
+ */
+function copySelection(e, cut) {
+    const selection = visualizer.getSelection();
+    if (isTextInput(e.target) || selection.length === 0) return;
+    // Leave copying of selected page text alone
+    if (!window.getSelection().isCollapsed) return;
+
+    e.preventDefault();
+    const text = JSON.stringify(circuit.toJSON(selection));
+    e.clipboardData.setData('text/plain', text);
+    gateClipboard = text;
+    if (cut) circuit.removeGates(selection);
+}
+
+/**
+ * Paste gates at the clicked empty cell, or after the last column
+ */
+function pasteGates(e) {
+    if (isTextInput(e.target)) return;
+
+    let data;
+    try {
+        data = JSON.parse(e.clipboardData.getData('text/plain') || gateClipboard);
+    } catch (error) {
+        return; // Not gates
+    }
+    if (!data || !Array.isArray(data.gates)) return;
+    e.preventDefault();
 
-    // Simulate circuit
-    const result = simulator.simulateCircuit(circuit);
+    try {
+        const ids = circuit.pasteGates(data, visualizer.pasteAnchor);
+        visualizer.setSelection(ids);
+    } catch (error) {
+        logOutput(error.message, 'error');
+    }
+}
 
-    // Update state vector display
-    updateStateVectorDisplay(result.stateVector);
+// ============================================
+// Code and Circuit Highlighting
+// ============================================
 
-    // Update probability bars
-    updateProbabilityBars(result.probabilities);
+/**
+ * Highlight the gates whose code spans the cursor line
+ */
+function highlightGatesAtCursor() {
+    if (!visualizer) return;
+    const line = editor.getCursor().line + 1;
+    const ids = circuit.gates
+        .filter(g => g.source && g.source.line <= line && line <= g.source.endLine)
+        .map(g => g.id);
+    visualizer.highlightGates(ids);
+}
 
-    // Update Bloch sphere for selected qubit
-    updateBlochSphere();
+/**
+ * Select the call that created a gate in the editor and scroll it into view
+ */
+function revealGateSource(gate) {
+    if (!gate.source) return;
+    const from = { line: gate.source.line - 1, ch: gate.source.column };
+    const to = { line: gate.source.endLine - 1, ch: gate.source.endColumn };
+    editor.setSelection(from, to);
+    editor.scrollIntoView({ from, to }, 60);
+}
 
+// ============================================
+// Visualization Updates
+// ============================================
+function updateVisualization() {
     // Re-render circuit
+    updateDebugger();
     visualizer.render();
+    renderParameters();
+    updateGradients();
+
+    // Simulate circuit in the worker; a newer edit cancels this run. The debugger runs
+    // the columns in front of its playhead, with measurement outcomes that stay put
+    // while it steps.
+    const shots = samplingSettings.mode === 'exact' ? 0 : samplingSettings.shots;
+    const options = { shots, seed: samplingSettings.seed };
+    if (debugSession) {
+        options.until = visualizer.playhead;
+        if (options.seed === null) options.seed = debugSession.seed;
+    }
+    simulator.simulate(circuit, options).then(result => {
+        if (!result) return; // Superseded
+
+        // Update state vector display
+        updateStateVectorDisplay(result.amplitudes, result.numQubits, result.purity);
+
+        // Update probability bars
+        updateProbabilityBars(result.probabilities, result.numQubits, result.counts, result.shots);
+        renderObservables(result.expectations);
+
+        // Update classical register readout
+        updateClassicalBits(result.classicalBits);
+
+        // Update Bloch sphere for selected qubit
+        updateBlochSphere();
+    }).catch(e => {
+        console.error('Simulation error:', e);
+        logOutput('Simulation error: ' + e.message, 'error');
+    });
 }
 
-function updateStateVectorDisplay(stateVector) {
+function updateStateVectorDisplay(amplitudes, numQubits, purity = 1) {
     const container = elements.stateVectorDisplay;
     container.innerHTML = '';
 
-    const numQubits = circuit.numQubits;
+    // Density-matrix backend: a mixed state has no state vector
+    if (!amplitudes) {
+        container.innerHTML = `<div class="state-item"><span class="state-basis">mixed state</span><span class="state-amplitude">Tr(ρ²) = ${purity.toFixed(3)}</span></div>`;
+        return;
+    }
 
-    for (let i = 0; i < stateVector.length; i++) {
-        const amp = stateVector[i];
-        const prob = Complex.magnitude(amp) ** 2;
+    const maxRows = 64; // Large registers can have millions of non-zero amplitudes
+    let hidden = 0;
+
+    for (let i = 0; i < amplitudes.length / 2; i++) {
+        const amp = Complex.create(amplitudes[2 * i], amplitudes[2 * i + 1]);
+        const prob = amp.re * amp.re + amp.im * amp.im;
 
         if (prob > 0.0001) { // Only show non-negligible
+            if (container.children.length >= maxRows) {
+                hidden++;
+                continue;
+            }
             const basis = i.toString(2).padStart(numQubits, '0');
 
             const item = document.createElement('div');
@@ -964,16 +2849,26 @@ function updateStateVectorDisplay(stateVector) {
     if (container.children.length === 0) {
         container.innerHTML = '<div class="state-item"><span class="state-basis">|0...0⟩</span><span class="state-amplitude">1.000</span></div>';
     }
+
+    if (hidden > 0) {
+        const more = document.createElement('div');
+        more.className = 'state-item';
+        more.innerHTML = `<span class="state-basis">…</span><span class="state-amplitude">${hidden} more</span>`;
+        container.appendChild(more);
+    }
 }
 
-function updateProbabilityBars(probabilities) {
+function updateProbabilityBars(probabilities, numQubits, counts = null, shots = 0) {
     const container = elements.probabilityBars;
     container.innerHTML = '';
 
-    const numQubits = circuit.numQubits;
+    if (counts && shots > 0) {
+        updateSampledBars(probabilities, numQubits, counts, shots);
+        return;
+    }
 
     // Sort by probability (descending)
-    const sorted = probabilities.map((p, i) => ({ index: i, prob: p }))
+    const sorted = Array.from(probabilities, (p, i) => ({ index: i, prob: p }))
         .filter(x => x.prob > 0.001)
         .sort((a, b) => b.prob - a.prob)
         .slice(0, 8); // Top 8
@@ -995,6 +2890,94 @@ function updateProbabilityBars(probabilities) {
     }
 }
 
+/**
+ * Histogram of sampled counts with ±1σ binomial error bars,
+ * plus exact-probability markers in overlay mode
+ */
+function updateSampledBars(probabilities, numQubits, counts, shots) {
+    const container = elements.probabilityBars;
+    const overlay = samplingSettings.mode === 'overlay';
+
+    const indices = new Set(Object.keys(counts).map(Number));
+    if (overlay) {
+        probabilities.forEach((p, i) => {
+            if (p > 0.001) indices.add(i);
+        });
+    }
+
+    const rows = [...indices]
+        .map(index => {
+            const count = counts[index] || 0;
+            const freq = count / shots;
+            return {
+                index,
+                count,
+                freq,
+                sigma: Math.sqrt(freq * (1 - freq) / shots),
+                prob: probabilities[index]
+            };
+        })
+        .sort((a, b) => b.count - a.count || b.prob - a.prob)
+        .slice(0, 8); // Top 8
+
+    for (const { index, count, freq, sigma, prob } of rows) {
+        const basis = index.toString(2).padStart(numQubits, '0');
+        const percent = (freq * 100).toFixed(1);
+        const errLeft = Math.max(0, freq - sigma) * 100;
+        const errRight = Math.min(1, freq + sigma) * 100;
+
+        const item = document.createElement('div');
+        item.className = 'prob-item';
+        item.title = `${count}/${shots} shots (±${(sigma * 100).toFixed(1)}%)` +
+            (overlay ? `, exact ${(prob * 100).toFixed(1)}%` : '');
+        item.innerHTML = `
+            <span class="prob-label">|${basis}⟩</span>
+            <div class="prob-bar-container sampled">
+                <div class="prob-bar sampled" style="width: ${percent}%"></div>
+                <div class="prob-error" style="left: ${errLeft}%; width: ${errRight - errLeft}%"></div>
+                ${overlay ? `<div class="prob-exact" style="left: ${prob * 100}%"></div>` : ''}
+            </div>
+            <span class="prob-value">${count}</span>
+        `;
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Read the sampling controls and re-run the simulation
+ */
+function updateSamplingSettings() {
+    const shots = parseInt(elements.shotsInput.value);
+    const seed = elements.seedInput.value.trim();
+
+    samplingSettings = {
+        mode: elements.probModeSelect.value,
+        shots: Math.max(1, Math.min(100000, shots || 1024)),
+        seed: seed === '' || isNaN(parseInt(seed)) ? null : parseInt(seed)
+    };
+
+    elements.probModeSelect.parentElement.classList.toggle('exact', samplingSettings.mode === 'exact');
+    updateVisualization();
+}
+
+function updateClassicalBits(classicalBits) {
+    const display = elements.classicalBitsDisplay;
+    const hasMeasurement = circuit.gates.some(g => g.gate === 'M');
+
+    if (!hasMeasurement || !classicalBits) {
+        display.textContent = '';
+        return;
+    }
+
+    // One group per register, bit 0 leftmost like the basis labels
+    let offset = 0;
+    display.textContent = circuit.classicalRegisters.map(reg => {
+        const bits = classicalBits.slice(offset, offset + reg.size).join('');
+        offset += reg.size;
+        return `${reg.name}=${bits}`;
+    }).join(' ');
+}
+
 function updateBlochSphere() {
     const qubitIndex = parseInt(elements.qubitSelect.value) || 0;
 
@@ -1003,12 +2986,14 @@ function updateBlochSphere() {
         return updateBlochSphere();
     }
 
-    const qubitState = simulator.getQubitState(qubitIndex);
-    blochSphere.setStateFromQubit(qubitState);
+    simulator.getQubitState(qubitIndex).then(qubitState => {
+        if (!qubitState) return;
+        blochSphere.setStateFromQubit(qubitState);
 
-    // Update state formula
-    const stateStr = blochSphere.getStateString();
-    elements.stateFormula.textContent = stateStr;
+        // Update state formula
+        const stateStr = blochSphere.getStateString();
+        elements.stateFormula.textContent = stateStr;
+    });
 }
 
 function updateQubitSelect() {
@@ -1031,20 +3016,30 @@ function updateQubitSelect() {
 // Gate Interaction
 // ============================================
 function addGateInteractive(gateType, qubit, position) {
+    // Presets such as CCX put their base gate on the qubit, with controls to set
+    const preset = GATES[gateType] ? null : CONTROLLED_GATES[gateType];
+    if (preset) gateType = preset.base;
+
     const gateDef = GATES[gateType];
     if (!gateDef) return;
 
-    if (gateDef.type === 'rotation') {
-        // Show parameter modal
+    if (gateDef.type === 'unitary') {
+        openUnitaryModal(null, qubit, position);
+    } else if (preset) {
+        const arity = preset.controls + GateShape.arity(gateType);
+        if (circuit.numQubits < arity) {
+            logOutput(`${preset.name} needs ${arity} qubits; add qubits first`, 'error');
+            return;
+        }
         pendingGate = {
             type: 'add',
             gate: gateType,
             qubit,
             position
         };
-        openParameterModal(null, gateType, qubit);
-    } else if (gateDef.type === 'controlled' || gateDef.type === 'swap') {
-        // Show target qubit selector
+        openParameterModal(null, gateType, qubit, GateShape.arity(gateType) === 2, preset);
+    } else if (GateShape.arity(gateType) === 2) {
+        // Show target qubit selector (and angles, for two-qubit rotations)
         pendingGate = {
             type: 'add',
             gate: gateType,
@@ -1052,26 +3047,65 @@ function addGateInteractive(gateType, qubit, position) {
             position
         };
         openParameterModal(null, gateType, qubit, true);
+    } else if (GateShape.params(gateType).length > 0) {
+        // Show parameter modal
+        pendingGate = {
+            type: 'add',
+            gate: gateType,
+            qubit,
+            position
+        };
+        openParameterModal(null, gateType, qubit);
     } else {
         // Add directly
         circuit.addGate(gateType, qubit, { position });
     }
 }
 
-function openParameterModal(existingGate, gateType, qubit, showTargetQubit = false) {
+/**
+ * Open the gate modal to edit `existingGate`, or to add a `gateType` gate on
+ * `qubit`; a palette `preset` fills in its controls
+ */
+function openParameterModal(existingGate, gateType, qubit, showTargetQubit = false, preset = null) {
     const modal = elements.paramModal;
 
     if (existingGate) {
+        gateType = existingGate.gate;
         elements.paramModalTitle.textContent = `Edit ${GATES[existingGate.gate].name}`;
-        elements.paramTheta.value = existingGate.params.theta || 0;
-        elements.paramThetaSlider.value = existingGate.params.theta || 0;
         pendingGate = { type: 'edit', gateId: existingGate.id };
     } else {
-        elements.paramModalTitle.textContent = `Add ${GATES[gateType].name}`;
-        elements.paramTheta.value = 0;
-        elements.paramThetaSlider.value = 0;
+        elements.paramModalTitle.textContent = `Add ${preset ? preset.name : GATES[gateType].name}`;
+    }
+
+    const gateDef = GATES[gateType];
+
+    // One angle field per gate parameter, e.g. θ, φ and λ for U
+    const params = GateShape.params(gateType);
+    elements.angleGroups.forEach(group => {
+        const param = group.dataset.param;
+        group.classList.toggle('hidden', !params.includes(param));
+        setAngleField(group, existingGate ? existingGate.params[param] || 0 : 0);
+    });
+
+    // Show/hide classical bit selector for measurements
+    if (gateDef.type === 'measure') {
+        elements.clbitGroup.classList.remove('hidden');
+        const clbitSelect = elements.clbitSelect;
+        clbitSelect.innerHTML = '';
+
+        for (let i = 0; i < circuit.getNumClbits(); i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = circuit.getClassicalBitLabel(i);
+            clbitSelect.appendChild(option);
+        }
+        clbitSelect.value = existingGate ? existingGate.clbit : Math.min(qubit, circuit.getNumClbits() - 1);
+    } else {
+        elements.clbitGroup.classList.add('hidden');
     }
 
+    populateConditionSelect(existingGate ? existingGate.condition : null);
+
     // Show/hide target qubit selector
     if (showTargetQubit) {
         elements.targetQubitGroup.classList.remove('hidden');
@@ -1090,9 +3124,95 @@ function openParameterModal(existingGate, gateType, qubit, showTargetQubit = fal
         elements.targetQubitGroup.classList.add('hidden');
     }
 
+    elements.controlsGroup.classList.toggle('hidden', !Controls.allowed(gateType));
+    if (existingGate) {
+        elements.controlsInput.value = formatControls(existingGate);
+    } else if (preset) {
+        // Controls start on the qubits nearest the gate
+        const own = showTargetQubit ? [qubit, parseInt(elements.targetQubit.value)] : [qubit];
+        const controls = [...Array(circuit.numQubits).keys()]
+            .filter(q => !own.includes(q))
+            .sort((a, b) => Math.abs(a - qubit) - Math.abs(b - qubit) || a - b)
+            .slice(0, preset.controls);
+        elements.controlsInput.value = formatControls({ controls });
+    } else {
+        elements.controlsInput.value = '';
+    }
+
     modal.classList.remove('hidden');
 }
 
+/**
+ * Controls as written in the modal: "0, ~2", where ~ marks an open control
+ */
+function formatControls(gateOp) {
+    return (gateOp.controls || []).map((q, i) => `${Controls.value(gateOp, i) ? '' : '~'}${q}`).join(', ');
+}
+
+/**
+ * Read the controls field back into { controls, controlValues }; throws on a
+ * qubit that does not exist, repeats or is one of `ownQubits`
+ */
+function readControlsInput(ownQubits) {
+    const controls = [];
+    const controlValues = [];
+    for (const token of elements.controlsInput.value.split(/[\s,]+/).filter(Boolean)) {
+        const match = token.match(/^(~?)(\d+)$/);
+        if (!match) throw new Error(`Invalid control '${token}': write a qubit number, with ~ for an open control`);
+        const q = parseInt(match[2]);
+        if (q >= circuit.numQubits) throw new Error(`Control qubit ${q} does not exist`);
+        if (ownQubits.includes(q) || controls.includes(q)) throw new Error(`Qubit ${q} is used twice by the gate`);
+        controls.push(q);
+        controlValues.push(match[1] ? 0 : 1);
+    }
+    return { controls, controlValues };
+}
+
+/**
+ * Fill the condition selector with every classical bit and register
+ */
+function populateConditionSelect(condition) {
+    const select = elements.conditionSelect;
+    select.innerHTML = '';
+
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+
+    addOption('', 'None');
+    for (let i = 0; i < circuit.getNumClbits(); i++) {
+        addOption(`bit:${i}`, circuit.getClassicalBitLabel(i));
+    }
+    circuit.classicalRegisters.forEach(reg => {
+        addOption(`reg:${reg.name}`, `${reg.name} (register)`);
+    });
+
+    if (!condition) {
+        select.value = '';
+        elements.conditionValue.value = 1;
+    } else {
+        select.value = condition.clbit !== undefined ? `bit:${condition.clbit}` : `reg:${condition.register}`;
+        elements.conditionValue.value = condition.value;
+    }
+}
+
+/**
+ * Read the condition selector back into { clbit, value } / { register, value }
+ */
+function readConditionSelect() {
+    const selected = elements.conditionSelect.value;
+    if (!selected) return undefined;
+
+    const value = Math.max(0, parseInt(elements.conditionValue.value) || 0);
+    if (selected.startsWith('bit:')) {
+        return { clbit: parseInt(selected.slice(4)), value: Math.min(value, 1) };
+    }
+    return { register: selected.slice(4), value };
+}
+
 function closeParameterModal() {
     elements.paramModal.classList.add('hidden');
     pendingGate = null;
@@ -1101,29 +3221,379 @@ function closeParameterModal() {
 function applyParameterModal() {
     if (!pendingGate) return;
 
-    const theta = parseFloat(elements.paramTheta.value) || 0;
+    // Names an angle uses that are not parameters yet become parameters bound to 0
+    let params;
+    let newParameters;
+    try {
+        params = readAngleFields();
+        newParameters = [...new Set(Object.values(params).flatMap(QASM.symbols))]
+            .filter(name => !(name in circuit.parameters));
+        newParameters.forEach(name => circuit.checkParameterName(name));
+    } catch (e) {
+        logOutput(`Invalid angle: ${e.message}`, 'error');
+        return;
+    }
     const targetQubit = parseInt(elements.targetQubit.value);
+    const clbit = parseInt(elements.clbitSelect.value);
+    const isMeasure = !elements.clbitGroup.classList.contains('hidden');
+    const hasAngles = Object.keys(params).length > 0;
+    const condition = readConditionSelect();
+    const hasControls = !elements.controlsGroup.classList.contains('hidden');
+    const hasTarget = !elements.targetQubitGroup.classList.contains('hidden');
+
+    let controls = null;
+    if (hasControls) {
+        const gate = pendingGate.type === 'edit' ? circuit.gates.find(g => g.id === pendingGate.gateId) : null;
+        const ownQubits = gate
+            ? [gate.qubit, gate.targetQubit].filter(q => q !== undefined)
+            : [pendingGate.qubit, ...(hasTarget ? [targetQubit] : [])];
+        try {
+            controls = readControlsInput(ownQubits);
+        } catch (e) {
+            logOutput(e.message, 'error');
+            return;
+        }
+    }
+
+    circuit.beginGroup(pendingGate.type === 'add' ? `Add ${pendingGate.gate}` : 'Edit gate');
+    newParameters.forEach(name => circuit.addParameter(name));
 
     if (pendingGate.type === 'add') {
         const options = {
             position: pendingGate.position,
-            params: { theta }
+            params
         };
 
-        if (!elements.targetQubitGroup.classList.contains('hidden')) {
+        if (hasTarget) {
             options.targetQubit = targetQubit;
         }
 
+        if (controls && controls.controls.length > 0) {
+            Object.assign(options, controls);
+        }
+
+        if (isMeasure) {
+            options.clbit = clbit;
+        }
+
+        if (condition) {
+            options.condition = condition;
+        }
+
         circuit.addGate(pendingGate.gate, pendingGate.qubit, options);
     } else if (pendingGate.type === 'edit') {
-        circuit.updateGate(pendingGate.gateId, {
-            params: { theta }
-        });
+        const updates = { condition };
+        if (isMeasure) {
+            updates.clbit = clbit;
+        } else if (hasAngles) {
+            updates.params = params;
+        }
+        if (controls) {
+            Object.assign(updates, controls);
+        }
+        circuit.updateGate(pendingGate.gateId, updates);
     }
+    circuit.endGroup();
 
     closeParameterModal();
 }
 
+/**
+ * Show `value` (a number or symbolic angle) in an angle field's text input, and
+ * its current value in the slider
+ */
+function setAngleField(group, value) {
+    group.querySelector('.angle-input').value = value;
+    group.querySelector('input[type="range"]').value = angleValue(value);
+}
+
+/**
+ * Current value of an angle field's text: a number, pi/2 or an expression over
+ * the circuit's parameters; 0 when it does not evaluate (yet)
+ */
+function angleValue(text) {
+    try {
+        return QASM.evaluate(String(text), circuit.parameters);
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Read the visible angle fields as gate params, e.g. { theta, phi, lambda }: numbers,
+ * or symbolic angles such as '2*theta'. Throws on a malformed expression.
+ */
+function readAngleFields() {
+    const params = {};
+    elements.angleGroups.forEach(group => {
+        if (group.classList.contains('hidden')) return;
+        const text = group.querySelector('.angle-input').value.trim();
+        params[group.dataset.param] = text ? QASM.normalize(text) : 0;
+    });
+    return params;
+}
+
+// ============================================
+// Custom Unitary
+// ============================================
+
+/**
+ * Open the matrix editor to edit `existingGate`, or to add a custom unitary on
+ * `qubit`; a new one starts as the identity
+ */
+function openUnitaryModal(existingGate, qubit, position) {
+    if (existingGate) {
+        qubit = existingGate.qubit;
+        pendingUnitary = { type: 'edit', gateId: existingGate.id };
+    } else {
+        pendingUnitary = { type: 'add', qubit, position };
+    }
+    elements.unitaryModalTitle.textContent = existingGate ? 'Edit Custom Unitary' : 'Add Custom Unitary';
+
+    // The second qubit of a 4×4 unitary is any qubit but the first
+    elements.unitaryTarget.innerHTML = '';
+    for (let i = 0; i < circuit.numQubits; i++) {
+        if (i === qubit) continue;
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `Qubit ${i}`;
+        elements.unitaryTarget.appendChild(option);
+    }
+    const twoQubit = Boolean(existingGate && existingGate.targetQubit !== undefined);
+    elements.unitaryTarget.value = twoQubit ? existingGate.targetQubit : (qubit + 1) % circuit.numQubits;
+    elements.unitarySize.value = twoQubit ? '2' : '1';
+
+    // An edit keeps the gate's qubits; drag it to move them
+    elements.unitarySize.disabled = Boolean(existingGate) || circuit.numQubits < 2;
+    elements.unitaryTarget.disabled = Boolean(existingGate);
+
+    renderUnitaryGrid(existingGate ? existingGate.matrix : null);
+    elements.unitaryModal.classList.remove('hidden');
+}
+
+function closeUnitaryModal() {
+    elements.unitaryModal.classList.add('hidden');
+    pendingUnitary = null;
+}
+
+/**
+ * Fill the grid with a text field per matrix entry, for the chosen size
+ */
+function renderUnitaryGrid(matrix = null) {
+    const numQubits = parseInt(elements.unitarySize.value);
+    const dim = 1 << numQubits;
+    elements.unitaryTargetGroup.classList.toggle('hidden', numQubits < 2);
+
+    elements.unitaryGrid.innerHTML = '';
+    elements.unitaryGrid.style.gridTemplateColumns = `repeat(${dim}, 1fr)`;
+    for (let row = 0; row < dim; row++) {
+        for (let col = 0; col < dim; col++) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'unitary-cell';
+            input.spellcheck = false;
+            input.value = matrix ? Unitary.formatEntry(matrix[row][col]) : (row === col ? '1' : '0');
+            input.addEventListener('input', () => input.classList.remove('invalid'));
+            elements.unitaryGrid.appendChild(input);
+        }
+    }
+    showUnitaryError(null);
+}
+
+function showUnitaryError(message) {
+    elements.unitaryError.textContent = message || '';
+    elements.unitaryError.classList.toggle('hidden', !message);
+}
+
+/**
+ * Read the grid as a unitary matrix; throws, marking the cell, on an entry that
+ * does not parse, and throws when the matrix is not unitary
+ */
+function readUnitaryGrid() {
+    const cells = [...elements.unitaryGrid.querySelectorAll('.unitary-cell')];
+    const dim = Math.round(Math.sqrt(cells.length));
+    const matrix = [];
+    cells.forEach((input, i) => {
+        const row = Math.floor(i / dim);
+        let value;
+        try {
+            value = Unitary.evaluate(input.value);
+        } catch (e) {
+            input.classList.add('invalid');
+            input.focus();
+            throw new Error(`Row ${row + 1}, column ${i % dim + 1}: ${e.message}`);
+        }
+        (matrix[row] = matrix[row] || []).push(value);
+    });
+    Unitary.validate(matrix);
+    return matrix;
+}
+
+function applyUnitaryModal() {
+    if (!pendingUnitary) return;
+
+    let matrix;
+    try {
+        matrix = readUnitaryGrid();
+    } catch (e) {
+        showUnitaryError(e.message);
+        return;
+    }
+
+    if (pendingUnitary.type === 'add') {
+        const options = { position: pendingUnitary.position, matrix };
+        if (matrix.length === 4) {
+            options.targetQubit = parseInt(elements.unitaryTarget.value);
+        }
+        circuit.addGate('UNITARY', pendingUnitary.qubit, options);
+    } else {
+        circuit.updateGate(pendingUnitary.gateId, { matrix });
+    }
+
+    closeUnitaryModal();
+}
+
+// ============================================
+// Noise Model
+// ============================================
+function openNoiseModal() {
+    const model = circuit.noiseModel || NoiseModel.create();
+
+    elements.noiseGateRows.innerHTML = '';
+    for (const [gateName, channels] of Object.entries(model.gates || {})) {
+        channels.forEach(ch => addNoiseGateRow(gateName, ch.type, ch.p));
+    }
+
+    elements.noiseQubitRows.innerHTML = '';
+    for (let q = 0; q < circuit.numQubits; q++) {
+        const qubitNoise = (model.qubits && model.qubits[q]) || {};
+        const row = document.createElement('div');
+        row.className = 'noise-row';
+        row.dataset.qubit = q;
+        row.innerHTML = `
+            <span class="noise-row-label">q${q}</span>
+            <input type="number" class="noise-input noise-t1" min="0" step="1" placeholder="T1" title="T1 (µs)">
+            <input type="number" class="noise-input noise-t2" min="0" step="1" placeholder="T2" title="T2 (µs)">
+            <input type="number" class="noise-input noise-readout" min="0" max="1" step="0.001" placeholder="readout" title="Readout error">
+        `;
+        row.querySelector('.noise-t1').value = qubitNoise.t1 || '';
+        row.querySelector('.noise-t2').value = qubitNoise.t2 || '';
+        row.querySelector('.noise-readout').value = qubitNoise.readout || '';
+        elements.noiseQubitRows.appendChild(row);
+    }
+
+    elements.noiseGateTime.value = model.gateTime || NoiseModel.DEFAULT_GATE_TIME;
+    elements.noiseModal.classList.remove('hidden');
+}
+
+function closeNoiseModal() {
+    elements.noiseModal.classList.add('hidden');
+}
+
+/**
+ * Add an editable "gate → channel, p" row
+ */
+function addNoiseGateRow(gateName = 'H', type = 'depolarizing', p = 0.01) {
+    const row = document.createElement('div');
+    row.className = 'noise-row';
+
+    const gateSelect = document.createElement('select');
+    gateSelect.className = 'qubit-select noise-gate';
+    for (const [key, def] of Object.entries(GATES)) {
+        if (def.type === 'measure' || def.type === 'custom' || def.type === 'global') continue;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = key;
+        option.title = def.name;
+        gateSelect.appendChild(option);
+    }
+    gateSelect.value = gateName;
+
+    const channelSelect = document.createElement('select');
+    channelSelect.className = 'qubit-select noise-channel';
+    for (const [key, label] of Object.entries(NoiseModel.CHANNELS)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        channelSelect.appendChild(option);
+    }
+    channelSelect.value = type;
+
+    const pInput = document.createElement('input');
+    pInput.type = 'number';
+    pInput.className = 'noise-input noise-p';
+    pInput.min = 0;
+    pInput.max = 1;
+    pInput.step = 0.001;
+    pInput.value = p;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'close-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(gateSelect, channelSelect, pInput, removeBtn);
+    elements.noiseGateRows.appendChild(row);
+}
+
+/**
+ * Build a noise model from the editor, or null if it has no errors
+ */
+function readNoiseModal() {
+    const model = NoiseModel.create();
+    const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+    elements.noiseGateRows.querySelectorAll('.noise-row').forEach(row => {
+        const p = clamp01(parseFloat(row.querySelector('.noise-p').value) || 0);
+        if (p <= 0) return;
+        const gateName = row.querySelector('.noise-gate').value;
+        model.gates[gateName] = model.gates[gateName] || [];
+        model.gates[gateName].push({ type: row.querySelector('.noise-channel').value, p });
+    });
+
+    elements.noiseQubitRows.querySelectorAll('.noise-row').forEach(row => {
+        const qubitNoise = {};
+        const t1 = parseFloat(row.querySelector('.noise-t1').value);
+        const t2 = parseFloat(row.querySelector('.noise-t2').value);
+        const readout = clamp01(parseFloat(row.querySelector('.noise-readout').value) || 0);
+        if (t1 > 0) qubitNoise.t1 = t1;
+        if (t2 > 0) qubitNoise.t2 = t2;
+        if (readout > 0) qubitNoise.readout = readout;
+        if (Object.keys(qubitNoise).length > 0) {
+            model.qubits[row.dataset.qubit] = qubitNoise;
+        }
+    });
+
+    model.gateTime = parseFloat(elements.noiseGateTime.value) || NoiseModel.DEFAULT_GATE_TIME;
+
+    return NoiseModel.isEmpty(model) ? null : model;
+}
+
+function applyNoiseModal() {
+    const model = readNoiseModal();
+
+    // Only the density-matrix backend simulates noise
+    if (model && circuit.backend !== 'density') {
+        if (circuit.numQubits <= DensityMatrixSimulator.MAX_QUBITS) {
+            circuit.backend = 'density';
+            elements.backendSelect.value = 'density';
+            logOutput('Switched to the density-matrix backend to simulate noise', 'info');
+        } else {
+            logOutput(`Noise is only simulated for up to ${DensityMatrixSimulator.MAX_QUBITS} qubits; it will still be exported`, 'info');
+        }
+    }
+
+    circuit.setNoiseModel(model);
+    closeNoiseModal();
+}
+
+function clearNoiseModal() {
+    elements.noiseGateRows.innerHTML = '';
+    elements.noiseQubitRows.querySelectorAll('input').forEach(input => { input.value = ''; });
+    elements.noiseGateTime.value = NoiseModel.DEFAULT_GATE_TIME;
+}
+
 // ============================================
 // Code Execution
 // ============================================
@@ -1174,15 +3644,60 @@ function setupEventListeners() {
     // Actions
     elements.runBtn.addEventListener('click', runCode);
     elements.clearBtn.addEventListener('click', clearCircuit);
-    elements.saveBtn.addEventListener('click', saveToFile);
+    elements.undoBtn.addEventListener('click', undoEdit);
+    elements.redoBtn.addEventListener('click', redoEdit);
+    elements.saveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        elements.saveMenu.classList.toggle('active');
+    });
+    elements.saveMenu.querySelectorAll('.save-menu-item').forEach(item => {
+        item.addEventListener('click', () => {
+            elements.saveMenu.classList.remove('active');
+            saveAs(item.dataset.format);
+        });
+    });
+    document.addEventListener('click', () => elements.saveMenu.classList.remove('active'));
     elements.loadBtn.addEventListener('click', () => elements.loadInput.click());
     elements.loadInput.addEventListener('change', loadFromFile);
+    elements.addCregBtn.addEventListener('click', addClassicalRegister);
+    elements.addParameterBtn.addEventListener('click', addParameter);
+    elements.addObservableBtn.addEventListener('click', () => editObservable(null));
+    elements.sweepBtn.addEventListener('click', () => (activeSweep ? stopSweep() : runSweep()));
+    elements.optimizerBtn.addEventListener('click', () => (activeOptimizer ? stopOptimizer() : runOptimizer()));
+    elements.optimizerResetBtn.addEventListener('click', resetOptimizer);
+    elements.optimizerMethod.addEventListener('change', updateOptimizerControls);
+    elements.optimizerObservable.addEventListener('change', updateOptimizerControls);
+    elements.gradientBtn.addEventListener('click', toggleGradients);
+    elements.gradientCheckBtn.addEventListener('click', toggleGradientCheck);
+    elements.gradientObservable.addEventListener('change', updateGradients);
+    elements.backendSelect.addEventListener('change', (e) => setBackend(e.target.value));
+    elements.noiseBtn.addEventListener('click', openNoiseModal);
+    elements.debugBtn.addEventListener('click', toggleDebugger);
+    elements.debugBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-debug]');
+        if (button) moveDebugger(button.dataset.debug);
+    });
+
+    // Noise model modal
+    elements.addNoiseGateBtn.addEventListener('click', () => addNoiseGateRow());
+    elements.closeNoiseModal.addEventListener('click', closeNoiseModal);
+    elements.cancelNoiseBtn.addEventListener('click', closeNoiseModal);
+    elements.clearNoiseBtn.addEventListener('click', clearNoiseModal);
+    elements.applyNoiseBtn.addEventListener('click', applyNoiseModal);
+
+    // Custom unitary modal
+    elements.unitarySize.addEventListener('change', () => renderUnitaryGrid());
+    elements.closeUnitaryModal.addEventListener('click', closeUnitaryModal);
+    elements.cancelUnitaryBtn.addEventListener('click', closeUnitaryModal);
+    elements.applyUnitaryBtn.addEventListener('click', applyUnitaryModal);
     elements.themeToggle.addEventListener('click', toggleTheme);
 
     // Qubit count
     elements.qubitCount.addEventListener('change', (e) => {
         const n = parseInt(e.target.value) || 3;
-        circuit.setNumQubits(Math.max(1, Math.min(10, n)));
+        const maxQubits = QuantumSimulator.backendFor(circuit).MAX_QUBITS;
+        circuit.setNumQubits(Math.max(1, Math.min(maxQubits, n)));
+        e.target.value = circuit.numQubits;
         updateQubitSelect();
         visualizer.render();
         updateVisualization();
@@ -1191,6 +3706,12 @@ function setupEventListeners() {
     // Qubit select for Bloch sphere
     elements.qubitSelect.addEventListener('change', updateBlochSphere);
 
+    // Shot sampling
+    elements.probModeSelect.addEventListener('change', updateSamplingSettings);
+    elements.shotsInput.addEventListener('change', updateSamplingSettings);
+    elements.seedInput.addEventListener('change', updateSamplingSettings);
+    elements.probModeSelect.parentElement.classList.add('exact');
+
     // Output
     elements.clearOutputBtn.addEventListener('click', () => {
         elements.outputArea.innerHTML = '';
@@ -1201,20 +3722,21 @@ function setupEventListeners() {
     elements.cancelParamBtn.addEventListener('click', closeParameterModal);
     elements.applyParamBtn.addEventListener('click', applyParameterModal);
 
-    // Slider sync
-    elements.paramThetaSlider.addEventListener('input', (e) => {
-        elements.paramTheta.value = parseFloat(e.target.value).toFixed(4);
-    });
-    elements.paramTheta.addEventListener('input', (e) => {
-        elements.paramThetaSlider.value = parseFloat(e.target.value) || 0;
-    });
-
-    // Preset buttons
-    elements.presetBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const value = parseFloat(btn.dataset.value);
-            elements.paramTheta.value = value.toFixed(4);
-            elements.paramThetaSlider.value = value;
+    // Slider sync and preset buttons, per angle field
+    elements.angleGroups.forEach(group => {
+        const slider = group.querySelector('input[type="range"]');
+        const input = group.querySelector('.angle-input');
+        slider.addEventListener('input', (e) => {
+            input.value = parseFloat(e.target.value).toFixed(4);
+        });
+        input.addEventListener('input', (e) => {
+            slider.value = angleValue(e.target.value);
+        });
+        group.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const value = parseFloat(btn.dataset.value);
+                setAngleField(group, value.toFixed(4));
+            });
         });
     });
 
@@ -1222,6 +3744,8 @@ function setupEventListeners() {
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closeParameterModal();
+            closeNoiseModal();
+            closeUnitaryModal();
         }
     });
 
@@ -1231,7 +3755,38 @@ function setupEventListeners() {
             e.preventDefault();
             runCode();
         }
+
+        // Debugger: F10 steps (Shift+F10 back), F8 runs to the next breakpoint
+        if (debugSession && (e.key === 'F10' || e.key === 'F8')) {
+            e.preventDefault();
+            moveDebugger(e.key === 'F8' ? 'continue' : e.shiftKey ? 'back' : 'step');
+            return;
+        }
+
+        // The editor binds its own undo keys; form fields keep their native undo
+        if (isTextInput(e.target)) return;
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            e.shiftKey ? redoEdit() : undoEdit();
+        } else if (e.ctrlKey && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            redoEdit();
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            visualizer.setSelection(circuit.gates.map(g => g.id));
+        } else if (visualizer.getSelection().length > 0) {
+            handleSelectionKey(e);
+        }
+    });
+
+    // Gate selection: action bar and clipboard
+    elements.selectionBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button) runSelectionAction(button.dataset.action);
     });
+    document.addEventListener('copy', (e) => copySelection(e, false));
+    document.addEventListener('cut', (e) => copySelection(e, true));
+    document.addEventListener('paste', (e) => pasteGates(e));
 }
 
 function setupDragAndDrop() {
@@ -1255,24 +3810,30 @@ function setupDragAndDrop() {
         btn.addEventListener('click', () => {
             const gateType = btn.dataset.gate;
             const gateDef = GATES[gateType];
+            if (!gateDef) {
+                addGateInteractive(gateType, 0, circuit.getDepth());
+                return;
+            }
 
             // Add to qubit 0 at next position
-            if (gateDef.type === 'rotation') {
+            if (gateDef.type === 'unitary') {
+                openUnitaryModal(null, 0, circuit.getDepth());
+            } else if (GateShape.arity(gateType) === 2) {
                 pendingGate = {
                     type: 'add',
                     gate: gateType,
                     qubit: 0,
                     position: circuit.getDepth()
                 };
-                openParameterModal(null, gateType, 0);
-            } else if (gateDef.type === 'controlled' || gateDef.type === 'swap') {
+                openParameterModal(null, gateType, 0, true);
+            } else if (GateShape.params(gateType).length > 0) {
                 pendingGate = {
                     type: 'add',
                     gate: gateType,
                     qubit: 0,
                     position: circuit.getDepth()
                 };
-                openParameterModal(null, gateType, 0, true);
+                openParameterModal(null, gateType, 0);
             } else {
                 circuit.addGate(gateType, 0);
             }
@@ -1280,6 +3841,720 @@ function setupDragAndDrop() {
     });
 }
 
+// ============================================
+// Symbolic Parameters
+// ============================================
+
+/**
+ * Show the circuit's parameters; the rows are rebuilt only when the names change,
+ * so a slider being dragged survives the re-render its own edits cause
+ */
+function renderParameters() {
+    const names = Object.keys(circuit.parameters);
+    if (names.join(',') !== shownParameters) {
+        shownParameters = names.join(',');
+        elements.parameterList.innerHTML = '';
+        names.forEach(name => elements.parameterList.appendChild(createParameterRow(name)));
+
+        const selected = elements.sweepParameter.value;
+        elements.sweepParameter.innerHTML = '';
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            elements.sweepParameter.appendChild(option);
+        }
+        if (names.includes(selected)) elements.sweepParameter.value = selected;
+    }
+
+    for (const row of elements.parameterList.children) {
+        const value = circuit.parameters[row.dataset.name];
+        row.querySelectorAll('input').forEach(input => {
+            if (input !== document.activeElement) input.value = +value.toFixed(4);
+        });
+    }
+}
+
+function createParameterRow(name) {
+    const row = document.createElement('div');
+    row.className = 'parameter-row';
+    row.dataset.name = name;
+
+    const label = document.createElement('span');
+    label.className = 'parameter-name';
+    label.textContent = CircuitVisualizer.GREEK_LETTERS[name] || name;
+    label.title = name;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = -6.283;
+    slider.max = 6.283;
+    slider.step = 0.01;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'sampling-input';
+    input.step = 0.01;
+
+    // One drag of the slider is one undo step, written to the editor when it ends
+    slider.addEventListener('input', () => {
+        if (!circuit.isGrouping()) circuit.beginGroup(`Set ${name}`);
+        circuit.setParameter(name, parseFloat(slider.value));
+        input.value = slider.value;
+    });
+    slider.addEventListener('change', () => circuit.endGroup());
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) circuit.setParameter(name, value);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'close-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', () => {
+        try {
+            circuit.removeParameter(name);
+        } catch (e) {
+            logOutput(e.message, 'error');
+        }
+    });
+
+    row.append(label, slider, input, removeBtn);
+    return row;
+}
+
+function addParameter() {
+    const input = prompt('New parameter as name or name=value, e.g. theta=0.5:');
+    if (!input) return;
+
+    const match = input.trim().match(/^([A-Za-z_]\w*)\s*(?:=\s*(.+))?$/);
+    if (!match) {
+        logOutput(`Invalid parameter "${input}", expected name or name=value`, 'error');
+        return;
+    }
+
+    try {
+        circuit.addParameter(match[1], match[2] ? QASM.evaluate(match[2]) : 0);
+    } catch (e) {
+        logOutput(e.message, 'error');
+    }
+}
+
+/**
+ * Scan a parameter over a range in the simulator worker and plot the probability of
+ * a basis state or the expectation value of a Pauli observable (a bare qubit number
+ * means its Z). Other parameters keep their values; measurements use the sampling
+ * seed, or one seed for the whole sweep.
+ */
+async function runSweep() {
+    const name = elements.sweepParameter.value;
+    const start = parseFloat(elements.sweepStart.value);
+    const end = parseFloat(elements.sweepEnd.value);
+    const count = parseInt(elements.sweepPoints.value);
+    const metric = elements.sweepMetric.value;
+    const target = elements.sweepTarget.value.trim();
+    const numQubits = circuit.numQubits;
+
+    if (!name) {
+        logOutput('Add a parameter to sweep first', 'error');
+        return;
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start === end || !(count >= 2 && count <= 500)) {
+        logOutput('The sweep needs a range and 2 to 500 points', 'error');
+        return;
+    }
+    let measure;
+    let range;
+    if (metric === 'probability') {
+        if (!new RegExp(`^[01]{${numQubits}}$`).test(target)) {
+            logOutput(`P(|x⟩) needs a basis state of ${numQubits} bits, qubit 0 first`, 'error');
+            return;
+        }
+        measure = { index: parseInt(target, 2) };
+        range = [0, 1];
+    } else {
+        try {
+            measure = { terms: Observable.parse(/^\d+$/.test(target) ? `Z${target}` : target, numQubits) };
+        } catch (e) {
+            logOutput(e.message, 'error');
+            return;
+        }
+        const bound = measure.terms.reduce((sum, t) => sum + Math.abs(t.coeff), 0) || 1;
+        range = [-bound, bound];
+    }
+
+    const points = Array.from({ length: count }, (_, i) => start + (end - start) * i / (count - 1));
+    const seed = samplingSettings.seed !== null ? samplingSettings.seed : Math.floor(Math.random() * 0x7fffffff);
+    const sweep = { stopped: false };
+    const xs = [];
+    const ys = [];
+    activeSweep = sweep;
+    elements.sweepBtn.textContent = 'Stop';
+    elements.sweepCanvas.classList.remove('hidden');
+
+    try {
+        const args = { circuit: circuit.toJSON(), parameter: name, xs: points, metric: measure, seed };
+        const result = await simulator.runJob('sweep', args, ({ x, y }) => {
+            xs.push(x);
+            ys.push(y);
+            drawSweep(xs, ys, start, end, range, circuit.parameters[name]);
+        });
+        if (result !== null && !sweep.stopped) {
+            logOutput(`Swept ${name} over ${count} points from ${start} to ${end}`, 'success');
+        }
+    } catch (e) {
+        logOutput(`Sweep error: ${e.message}`, 'error');
+    } finally {
+        if (activeSweep === sweep) {
+            activeSweep = null;
+            elements.sweepBtn.textContent = 'Sweep';
+        }
+    }
+}
+
+function stopSweep() {
+    if (!activeSweep) return;
+    activeSweep.stopped = true;
+    simulator.cancelJob('sweep');
+    activeSweep = null;
+    elements.sweepBtn.textContent = 'Sweep';
+}
+
+/**
+ * Plot a sweep so far: P(|x⟩) on [0, 1] or ⟨O⟩ on [-Σ|c|, Σ|c|] against the parameter,
+ * with a dashed line at the parameter's current value
+ */
+function drawSweep(xs, ys, start, end, range, current) {
+    const canvas = elements.sweepCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { left: 32, right: 10, top: 10, bottom: 20 };
+    const [yMin, yMax] = range;
+    const px = (x) => pad.left + (x - start) / (end - start) * (width - pad.left - pad.right);
+    const py = (y) => height - pad.bottom - (y - yMin) / (yMax - yMin) * (height - pad.top - pad.bottom);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Axes and range labels
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, height - pad.bottom);
+    ctx.lineTo(width - pad.right, height - pad.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(Observable.formatNumber(yMax), pad.left - 4, pad.top + 8);
+    ctx.fillText(Observable.formatNumber(yMin), pad.left - 4, height - pad.bottom);
+    ctx.textAlign = 'left';
+    ctx.fillText(QASM.formatAngle(start), pad.left, height - 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(QASM.formatAngle(end), width - pad.right, height - 6);
+
+    if (Number.isFinite(current) && current >= Math.min(start, end) && current <= Math.max(start, end)) {
+        ctx.strokeStyle = 'rgba(236, 72, 153, 0.6)';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(px(current), pad.top);
+        ctx.lineTo(px(current), height - pad.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = '#06b6d4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    xs.forEach((x, i) => {
+        if (i === 0) ctx.moveTo(px(x), py(ys[i]));
+        else ctx.lineTo(px(x), py(ys[i]));
+    });
+    ctx.stroke();
+}
+
+// ============================================
+// Observables
+// ============================================
+
+/**
+ * Show the circuit's observables with the exact expectation values of the last
+ * simulation, each on a bar from -Σ|c| to Σ|c|
+ */
+function renderObservables(expectations = []) {
+    const container = elements.observableList;
+    container.innerHTML = '';
+
+    circuit.observables.forEach((terms, index) => {
+        const value = expectations[index];
+        const bound = terms.reduce((sum, t) => sum + Math.abs(t.coeff), 0) || 1;
+        const text = Observable.format(terms);
+
+        const row = document.createElement('div');
+        row.className = 'observable-row';
+
+        const label = document.createElement('span');
+        label.className = 'observable-label';
+        label.textContent = `⟨${text}⟩`;
+        label.title = `${text} (double-click to edit)`;
+        label.addEventListener('dblclick', () => editObservable(index));
+
+        const track = document.createElement('div');
+        track.className = 'observable-bar-container';
+        const bar = document.createElement('div');
+        bar.className = 'observable-bar';
+        const fraction = value === undefined ? 0 : Math.max(-1, Math.min(1, value / bound)) / 2;
+        bar.style.left = `${50 + Math.min(0, fraction) * 100}%`;
+        bar.style.width = `${Math.abs(fraction) * 100}%`;
+        track.appendChild(bar);
+
+        const number = document.createElement('span');
+        number.className = 'prob-value';
+        number.textContent = value === undefined ? '…' : value.toFixed(4);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'close-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove';
+        removeBtn.addEventListener('click', () => circuit.removeObservable(index));
+
+        row.append(label, track, number, removeBtn);
+        container.appendChild(row);
+    });
+
+    fillObservableSelect(elements.optimizerObservable);
+    fillObservableSelect(elements.gradientObservable);
+    updateOptimizerControls();
+}
+
+/**
+ * List the circuit's observables in a select, keeping its choice while it exists
+ */
+function fillObservableSelect(select) {
+    const selected = select.value;
+    select.innerHTML = '';
+    circuit.observables.forEach((terms, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `⟨${Observable.format(terms)}⟩`;
+        select.appendChild(option);
+    });
+    if (selected !== '' && selected < circuit.observables.length) select.value = selected;
+}
+
+/**
+ * Prompt for a new observable, or a new text for the one at `index`
+ */
+function editObservable(index) {
+    const current = index === null ? '' : Observable.format(circuit.observables[index]);
+    const input = prompt('Pauli observable, e.g. Z0, 0.5*Z0Z1 + X2 or ZZI (qubit 0 first):', current);
+    if (!input || input === current) return;
+
+    try {
+        const terms = Observable.parse(input, circuit.numQubits);
+        if (index === null) circuit.addObservable(terms);
+        else circuit.updateObservable(index, terms);
+    } catch (e) {
+        logOutput(e.message, 'error');
+    }
+}
+
+// ============================================
+// Variational Optimizer
+// ============================================
+
+/**
+ * Minimize the selected observable over the circuit's parameters (or its rotation
+ * angles) in the simulator worker, a number of iterations at a time, then write the
+ * best values found back into the circuit as one undo step. A stopped run resumes
+ * where it left off as long as the circuit, method and observable are unchanged.
+ */
+async function runOptimizer() {
+    const index = parseInt(elements.optimizerObservable.value);
+    const method = elements.optimizerMethod.value;
+    const stepSize = parseFloat(elements.optimizerStep.value);
+    const iterations = parseInt(elements.optimizerIterations.value);
+
+    if (!(index >= 0)) {
+        logOutput('Add an observable to minimize first', 'error');
+        return;
+    }
+    if (!(stepSize > 0) || !(iterations >= 1 && iterations <= 10000)) {
+        logOutput('The optimizer needs a positive step size and 1 to 10000 iterations', 'error');
+        return;
+    }
+
+    // The problem, the optimizer's state after its last reported iteration, and the cost history
+    let session;
+    if (canResumeOptimizer()) {
+        session = pausedOptimizer.session;
+        session.options.stepSize = stepSize;
+    } else {
+        try {
+            const problem = Variational.problem(circuit, circuit.observables[index]);
+            session = { problem, options: { method, stepSize }, status: null, history: [] };
+        } catch (e) {
+            logOutput(`Optimizer error: ${e.message}`, 'error');
+            return;
+        }
+    }
+
+    const run = { session, stopped: false };
+    const state = JSON.stringify(circuit.toJSON());
+    activeOptimizer = run;
+    pausedOptimizer = null;
+    updateOptimizerControls();
+    if (session.status) {
+        elements.optimizerCanvas.classList.remove('hidden');
+        showOptimizer(session);
+    }
+
+    try {
+        const args = { problem: session.problem, options: session.options, state: session.status, iterations };
+        await simulator.runJob('optimize', args, (status) => {
+            session.status = status;
+            session.history.push(status.cost);
+            elements.optimizerCanvas.classList.remove('hidden');
+            showOptimizer(session);
+        });
+        const status = session.status;
+        if (run.discarded || !status) return;
+
+        const name = VariationalOptimizer.METHODS[session.options.method];
+        const cost = status.best.cost.toFixed(6);
+        if (JSON.stringify(circuit.toJSON()) !== state) {
+            logOutput(`The circuit changed while optimizing; ${name} reached ${cost} but nothing was written back`, 'error');
+        } else {
+            Variational.apply(circuit, session.problem, status.best.values);
+            const outcome = status.converged ? 'converged' : run.stopped ? 'stopped' : 'paused';
+            logOutput(`${name} ${outcome} at ⟨${Observable.format(session.problem.terms)}⟩ = ${cost} after ` +
+                `${status.iteration} iterations (${status.evaluations} simulations)`, 'success');
+            if (!status.converged) {
+                pausedOptimizer = { session, observable: index, state: JSON.stringify(circuit.toJSON()) };
+            }
+        }
+    } catch (e) {
+        logOutput(`Optimizer error: ${e.message}`, 'error');
+    } finally {
+        if (activeOptimizer === run) activeOptimizer = null;
+        updateOptimizerControls();
+    }
+}
+
+function stopOptimizer() {
+    if (!activeOptimizer) return;
+    activeOptimizer.stopped = true;
+    simulator.cancelJob('optimize');
+}
+
+function resetOptimizer() {
+    if (activeOptimizer) {
+        activeOptimizer.stopped = true;
+        activeOptimizer.discarded = true;
+        simulator.cancelJob('optimize');
+    }
+    pausedOptimizer = null;
+    elements.optimizerStatus.textContent = '';
+    elements.optimizerCanvas.classList.add('hidden');
+    updateOptimizerControls();
+}
+
+/**
+ * Whether the stopped run still applies: same circuit (including the values it wrote
+ * back), observable and method
+ */
+function canResumeOptimizer() {
+    return Boolean(pausedOptimizer) &&
+        pausedOptimizer.observable === parseInt(elements.optimizerObservable.value) &&
+        pausedOptimizer.session.options.method === elements.optimizerMethod.value &&
+        pausedOptimizer.state === JSON.stringify(circuit.toJSON());
+}
+
+function updateOptimizerControls() {
+    if (activeOptimizer) {
+        elements.optimizerBtn.textContent = 'Stop';
+    } else {
+        elements.optimizerBtn.textContent = canResumeOptimizer() ? 'Resume' : 'Optimize';
+    }
+}
+
+function showOptimizer(session) {
+    const { iteration, cost, best, converged } = session.status;
+    elements.optimizerStatus.textContent = `iteration ${iteration} · cost ${cost.toFixed(6)} · ` +
+        `best ${best.cost.toFixed(6)}${converged ? ' · converged' : ''}`;
+    drawConvergence(session.history, best.cost);
+}
+
+/**
+ * Plot the cost against the iteration, with a dashed line at the best cost so far
+ */
+function drawConvergence(history, best) {
+    const canvas = elements.optimizerCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { left: 52, right: 10, top: 10, bottom: 20 };
+    const last = Math.max(1, history.length - 1);
+    let yMin = Math.min(...history);
+    let yMax = Math.max(...history);
+    if (yMax - yMin < 1e-9) {
+        yMin -= 0.5;
+        yMax += 0.5;
+    }
+    const px = (i) => pad.left + i / last * (width - pad.left - pad.right);
+    const py = (y) => height - pad.bottom - (y - yMin) / (yMax - yMin) * (height - pad.top - pad.bottom);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Axes and range labels
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, height - pad.bottom);
+    ctx.lineTo(width - pad.right, height - pad.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(yMax.toFixed(3), pad.left - 4, pad.top + 8);
+    ctx.fillText(yMin.toFixed(3), pad.left - 4, height - pad.bottom);
+    ctx.textAlign = 'left';
+    ctx.fillText('0', pad.left, height - 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(history.length - 1), width - pad.right, height - 6);
+
+    ctx.strokeStyle = 'rgba(236, 72, 153, 0.6)';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(pad.left, py(best));
+    ctx.lineTo(width - pad.right, py(best));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = '#06b6d4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    history.forEach((y, i) => {
+        if (i === 0) ctx.moveTo(px(i), py(y));
+        else ctx.lineTo(px(i), py(y));
+    });
+    ctx.stroke();
+}
+
+// ============================================
+// Parameter-Shift Gradients
+// ============================================
+
+function toggleGradients() {
+    gradientsShown = !gradientsShown;
+    elements.gradientBtn.textContent = gradientsShown ? 'Hide' : 'Show';
+    if (gradientsShown) {
+        updateGradients();
+    } else {
+        simulator.cancelJob('gradients');
+        gradientsKey = null;
+        elements.gradientStatus.textContent = '';
+        elements.gradientList.innerHTML = '';
+        visualizer.setGradients(null);
+    }
+}
+
+function toggleGradientCheck() {
+    gradientsChecked = !gradientsChecked;
+    elements.gradientCheckBtn.classList.toggle('active', gradientsChecked);
+    updateGradients();
+}
+
+/**
+ * Differentiate the selected observable with respect to every rotation angle by
+ * parameter shift in the simulator worker, checked by finite differences when asked,
+ * and show the result as badges on the gates and a list. Follows every edit while
+ * shown, so the gradients can be watched shrink as layers are added; a newer edit
+ * supersedes a computation in progress, and a slider drag is only differentiated
+ * once it ends.
+ */
+async function updateGradients() {
+    if (!gradientsShown || circuit.isGrouping()) return;
+
+    const terms = circuit.observables[parseInt(elements.gradientObservable.value)] || circuit.observables[0];
+    // Debugger steps and other redraws leave the gradients as they are
+    const key = JSON.stringify([circuit.toJSON(), terms, gradientsChecked]);
+    if (key === gradientsKey) return;
+    gradientsKey = key;
+
+    const showError = (message) => {
+        elements.gradientStatus.textContent = message;
+        elements.gradientList.innerHTML = '';
+        visualizer.setGradients(null);
+    };
+    let problem;
+    try {
+        if (!terms) throw new Error('Add an observable to differentiate');
+        problem = Variational.problem(circuit, terms, { angles: true });
+    } catch (e) {
+        simulator.cancelJob('gradients');
+        showError(e.message);
+        return;
+    }
+
+    let result;
+    try {
+        result = await simulator.runJob('gradients', { problem, check: gradientsChecked });
+    } catch (e) {
+        showError(`Gradient error: ${e.message}`);
+        return;
+    }
+    if (!result || key !== gradientsKey) return;   // Superseded by a newer edit or hidden
+
+    const gradients = problem.targets.map((target, i) => ({
+        ...target,
+        value: result.gradient[i],
+        check: result.check ? result.check[i] : null
+    }));
+    const byGate = new Map();
+    for (const { gateId, value } of gradients) {
+        if (!byGate.has(gateId)) byGate.set(gateId, []);
+        byGate.get(gateId).push(value);
+    }
+    visualizer.setGradients(byGate);
+
+    const norm = Math.hypot(...gradients.map(g => g.value));
+    const mean = gradients.reduce((sum, g) => sum + Math.abs(g.value), 0) / gradients.length;
+    let status = `‖∇‖ = ${norm.toFixed(4)} · mean |∂| = ${mean.toExponential(2)} over ${gradients.length} angles`;
+    if (result.check) {
+        const deviation = Math.max(...gradients.map(g => Math.abs(g.value - g.check)));
+        status += ` · finite differences within ${deviation.toExponential(1)}`;
+    }
+    elements.gradientStatus.textContent = status;
+    elements.gradientList.innerHTML = '';
+
+    const angleNames = { theta: 'θ', phi: 'φ', lambda: 'λ' };
+    for (const { gateId, key, value, check } of gradients) {
+        const gateOp = circuit.gates.find(g => g.id === gateId);
+        const row = document.createElement('div');
+        row.className = 'gradient-row';
+        if (Math.abs(value) < CircuitVisualizer.VANISHING_GRADIENT) row.classList.add('vanishing');
+        row.title = 'Click to select the gate';
+        row.addEventListener('click', () => visualizer.setSelection([gateId]));
+
+        const label = document.createElement('span');
+        label.className = 'gradient-label';
+        label.textContent = `∂/∂${angleNames[key] || key} ${GATES[gateOp.gate].symbol} q${circuit.gateQubits(gateOp).join(',')}`;
+
+        const shift = document.createElement('span');
+        shift.className = 'gradient-value';
+        shift.textContent = value.toFixed(5);
+        shift.title = 'Parameter shift';
+        row.append(label, shift);
+
+        if (check !== null) {
+            const difference = document.createElement('span');
+            difference.className = 'gradient-check';
+            difference.textContent = check.toFixed(5);
+            difference.title = 'Finite difference';
+            row.appendChild(difference);
+        }
+        elements.gradientList.appendChild(row);
+    }
+}
+
+// ============================================
+// Debugger
+// ============================================
+
+/**
+ * Enter or leave the debugger. It starts at the initial state; leaving it shows the
+ * whole circuit again. Breakpoints are kept for the next session.
+ */
+function toggleDebugger() {
+    debugSession = debugSession ? null : { seed: Math.floor(Math.random() * 0x7fffffff) };
+    visualizer.setPlayhead(debugSession ? 0 : null);
+    elements.debugBtn.classList.toggle('active', Boolean(debugSession));
+    elements.debugBar.classList.toggle('hidden', !debugSession);
+    updateVisualization();
+}
+
+/**
+ * Columns that hold gates, ascending; empty columns are skipped when stepping
+ */
+function debugColumns() {
+    return [...new Set(circuit.gates.map(g => g.position))].sort((a, b) => a - b);
+}
+
+/**
+ * Move the playhead: 'restart', 'step', 'back', 'continue' to the next breakpoint or
+ * the end, or 'cursor' to the selected gate or clicked cell. Runs forward stop at
+ * breakpoints on the way, in front of their column.
+ */
+function moveDebugger(action) {
+    if (!debugSession) return;
+    const playhead = visualizer.playhead;
+    const columns = debugColumns();
+    const ran = columns.filter(c => c < playhead);
+    const runTo = (column) => {
+        const breakpoint = [...visualizer.breakpoints].filter(b => b > playhead && b < column).sort((a, b) => a - b)[0];
+        return breakpoint !== undefined ? breakpoint : column;
+    };
+
+    let target = playhead;
+    switch (action) {
+        case 'restart':
+            target = 0;
+            break;
+        case 'step': {
+            const next = columns.find(c => c >= playhead);
+            if (next !== undefined) target = next + 1;
+            break;
+        }
+        case 'back':
+            target = ran.length > 1 ? ran[ran.length - 2] + 1 : 0;
+            break;
+        case 'continue':
+            target = runTo(circuit.getDepth());
+            break;
+        case 'cursor': {
+            const column = debugCursorColumn();
+            if (column === null) {
+                logOutput('Select a gate or click a cell to run to', 'error');
+                return;
+            }
+            target = column > playhead ? runTo(column) : column;
+            break;
+        }
+    }
+    if (target === playhead) return;
+
+    visualizer.setPlayhead(target);
+    updateVisualization();
+}
+
+/**
+ * Column of the first selected gate, else of the cell clicked last, else null
+ */
+function debugCursorColumn() {
+    const selected = circuit.gates.filter(g => visualizer.getSelection().includes(g.id));
+    if (selected.length > 0) return Math.min(...selected.map(g => g.position));
+    return visualizer.pasteAnchor ? visualizer.pasteAnchor.position : null;
+}
+
+/**
+ * Keep the playhead inside the circuit as it is edited and describe where it is
+ */
+function updateDebugger() {
+    if (!debugSession) return;
+    const depth = circuit.getDepth();
+    if (visualizer.playhead > depth) visualizer.playhead = depth;
+
+    const columns = debugColumns();
+    const ran = columns.filter(c => c < visualizer.playhead);
+    elements.debugPosition.textContent = ran.length === 0
+        ? `Initial state · step 0/${columns.length}`
+        : `After column ${ran[ran.length - 1]} · step ${ran.length}/${columns.length}`;
+}
+
 // ============================================
 // Actions
 // ============================================
@@ -1291,14 +4566,47 @@ function switchFramework(framework) {
     elements.qiskitBtn.classList.toggle('active', framework === 'qiskit');
     elements.pennylaneBtn.classList.toggle('active', framework === 'pennylane');
 
-    // Regenerate code
+    // Regenerate code; earlier editor steps hold the other framework's code
     syncCircuitToCode();
+    resetHistory();
+}
+
+function addClassicalRegister() {
+    const input = prompt('New classical register as name[size], e.g. flags[2]:');
+    if (!input) return;
+
+    const match = input.trim().match(/^([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/);
+    if (!match) {
+        logOutput(`Invalid register "${input}", expected name[size]`, 'error');
+        return;
+    }
+
+    try {
+        circuit.addClassicalRegister(match[1], parseInt(match[2]));
+    } catch (e) {
+        logOutput(e.message, 'error');
+    }
+}
+
+/**
+ * Switch between the state-vector and density-matrix simulators
+ */
+function setBackend(backend) {
+    const Backend = QuantumSimulator.backends[backend] || QuantumSimulator;
+    if (circuit.numQubits > Backend.MAX_QUBITS) {
+        logOutput(`The ${backend} backend supports at most ${Backend.MAX_QUBITS} qubits`, 'error');
+        elements.backendSelect.value = circuit.backend;
+        return;
+    }
+    circuit.setBackend(backend);
 }
 
 function clearCircuit() {
+    circuit.beginGroup('Clear circuit');
     circuit.clear();
     elements.qubitCount.value = 3;
     circuit.setNumQubits(3);
+    circuit.endGroup();
     updateQubitSelect();
 }
 
@@ -1348,6 +4656,7 @@ function loadSavedState() {
             if (state.circuit) {
                 circuit.fromJSON(state.circuit);
                 elements.qubitCount.value = circuit.numQubits;
+                elements.backendSelect.value = circuit.backend;
                 updateQubitSelect();
             }
 
@@ -1367,6 +4676,15 @@ function loadSavedState() {
     }
 }
 
+function saveAs(format) {
+    switch (format) {
+        case 'json': saveToFile(); break;
+        case 'qasm2': exportQASM(2); break;
+        case 'qasm3': exportQASM(3); break;
+        default: console.warn(`Unknown save format: ${format}`);
+    }
+}
+
 function saveToFile() {
     const state = {
         framework: currentFramework,
@@ -1375,16 +4693,33 @@ function saveToFile() {
         timestamp: new Date().toISOString()
     };
 
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+    downloadFile(JSON.stringify(state, null, 2), `quantum_circuit_${Date.now()}.json`, 'application/json');
+    logOutput('Circuit saved!', 'success');
+}
+
+function exportQASM(version) {
+    let source;
+    try {
+        source = version === 3 ? circuit.toQASM3() : circuit.toQASM();
+    } catch (error) {
+        logOutput('Cannot export OpenQASM: ' + error.message, 'error');
+        return;
+    }
+
+    downloadFile(source, `quantum_circuit_${Date.now()}.qasm`, 'text/plain');
+    logOutput(`Circuit exported as OpenQASM ${version === 3 ? '3' : '2.0'}!`, 'success');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
-    a.download = `quantum_circuit_${Date.now()}.json`;
+    a.download = filename;
     a.click();
 
     URL.revokeObjectURL(url);
-    logOutput('Circuit saved!', 'success');
 }
 
 function loadFromFile(e) {
@@ -1393,6 +4728,11 @@ function loadFromFile(e) {
 
     const reader = new FileReader();
     reader.onload = (event) => {
+        if (file.name.toLowerCase().endsWith('.qasm')) {
+            loadQASM(event.target.result);
+            return;
+        }
+
         try {
             const state = JSON.parse(event.target.result);
 
@@ -1403,6 +4743,7 @@ function loadFromFile(e) {
             if (state.circuit) {
                 circuit.fromJSON(state.circuit);
                 elements.qubitCount.value = circuit.numQubits;
+                elements.backendSelect.value = circuit.backend;
                 updateQubitSelect();
             }
 
@@ -1410,6 +4751,7 @@ function loadFromFile(e) {
                 editor.setValue(state.code);
             }
 
+            resetHistory();
             updateVisualization();
             logOutput('Circuit loaded!', 'success');
 
@@ -1422,6 +4764,36 @@ function loadFromFile(e) {
     e.target.value = ''; // Reset input
 }
 
+/**
+ * Replace the circuit with an OpenQASM 2.0 program, keeping the backend and noise model
+ */
+function loadQASM(source) {
+    const imported = new QuantumCircuit();
+    try {
+        imported.fromQASM(source);
+    } catch (error) {
+        (error.errors || [error.message]).forEach(msg => logOutput('OpenQASM: ' + msg, 'error'));
+        logOutput('Failed to import OpenQASM file', 'error');
+        return;
+    }
+
+    const maxQubits = QuantumSimulator.backendFor(circuit).MAX_QUBITS;
+    if (imported.numQubits > maxQubits) {
+        logOutput(`OpenQASM program uses ${imported.numQubits} qubits; the ${circuit.backend} backend supports at most ${maxQubits}`, 'error');
+        return;
+    }
+
+    circuit.fromJSON({
+        ...imported.toJSON(),
+        backend: circuit.backend,
+        noiseModel: circuit.noiseModel
+    });
+    elements.qubitCount.value = circuit.numQubits;
+    updateQubitSelect();
+    updateVisualization();
+    logOutput(`Imported OpenQASM program: ${circuit.numQubits} qubits, ${circuit.gates.length} operations`, 'success');
+}
+
 // ============================================
 // Utilities
 // ============================================
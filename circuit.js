@@ -7,8 +7,25 @@ class QuantumCircuit {
     constructor(numQubits = 3) {
         this.numQubits = numQubits;
         this.gates = []; // Array of gate operations
+        // Custom gates by name: { name, numQubits, gates } with gates on qubits 0..numQubits-1
+        this.customGates = {};
+        this.classicalRegisters = [{ name: 'c', size: numQubits }];
+        // Symbolic parameters by name with the values they are bound to; gate angles
+        // may be expressions over them such as '2*theta' (see QASM.normalize)
+        this.parameters = {};
+        // Observables whose expectation values are shown and exported, each a list of
+        // Pauli terms (see Observable)
+        this.observables = [];
         this.nextPosition = 0;
         this.onChangeCallbacks = [];
+
+        // Simulation backend ('statevector' or 'density') and its noise model
+        // (see noise-model.js; only the density backend simulates it)
+        this.backend = 'statevector';
+        this.noiseModel = null;
+
+        // Undoable commands, each holding the circuit state before and after it
+        this.history = { undo: [], redo: [], group: null };
     }
 
     /**
@@ -19,37 +36,408 @@ class QuantumCircuit {
     }
 
     /**
-     * Notify listeners of changes
+     * Notify listeners of changes. `change` is { type: 'edit' | 'undo' | 'redo', command }
+     * for history steps, or null for changes inside a group.
+     */
+    _notifyChange(change = null) {
+        this.onChangeCallbacks.forEach(cb => cb(this, change));
+    }
+
+    /**
+     * Record a finished mutation as an undoable command and notify listeners
+     */
+    _commit(label, before) {
+        if (this.history.group) {
+            this._notifyChange();
+            return;
+        }
+
+        const command = { label, before, after: this._snapshot() };
+        this.history.undo.push(command);
+        if (this.history.undo.length > QuantumCircuit.MAX_HISTORY) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this._notifyChange({ type: 'edit', command });
+    }
+
+    /**
+     * Start merging mutations into one command, e.g. for the steps of a drag.
+     * Groups nest; the outermost endGroup() records the command.
+     */
+    beginGroup(label) {
+        if (this.history.group) {
+            this.history.group.depth++;
+        } else {
+            this.history.group = { label, before: this._snapshot(), depth: 1 };
+        }
+    }
+
+    endGroup() {
+        const group = this.history.group;
+        if (!group || --group.depth > 0) return;
+
+        this.history.group = null;
+        if (JSON.stringify(group.before) !== JSON.stringify(this._snapshot())) {
+            this._commit(group.label, group.before);
+        }
+    }
+
+    isGrouping() {
+        return this.history.group !== null;
+    }
+
+    canUndo() {
+        return this.history.undo.length > 0;
+    }
+
+    canRedo() {
+        return this.history.redo.length > 0;
+    }
+
+    /**
+     * Undo the last command; returns it, or null if there is nothing to undo
      */
-    _notifyChange() {
-        this.onChangeCallbacks.forEach(cb => cb(this));
+    undo() {
+        const command = this.history.undo.pop();
+        if (!command) return null;
+
+        this._restore(command.before);
+        this.history.redo.push(command);
+        this._notifyChange({ type: 'undo', command });
+        return command;
+    }
+
+    /**
+     * Redo the last undone command; returns it, or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.history.redo.pop();
+        if (!command) return null;
+
+        this._restore(command.after);
+        this.history.undo.push(command);
+        this._notifyChange({ type: 'redo', command });
+        return command;
+    }
+
+    clearRedo() {
+        this.history.redo = [];
+    }
+
+    clearHistory() {
+        this.history = { undo: [], redo: [], group: null };
+    }
+
+    /**
+     * Copy of everything a command can change, gate ids included
+     */
+    _snapshot() {
+        return JSON.parse(JSON.stringify({
+            numQubits: this.numQubits,
+            classicalRegisters: this.classicalRegisters,
+            gates: this.gates.map(({ source, ...g }) => g),
+            customGates: this.customGates,
+            parameters: this.parameters,
+            observables: this.observables,
+            backend: this.backend,
+            noiseModel: this.noiseModel,
+            nextPosition: this.nextPosition
+        }));
+    }
+
+    _restore(snapshot) {
+        const copy = JSON.parse(JSON.stringify(snapshot));
+        this.numQubits = copy.numQubits;
+        this.classicalRegisters = copy.classicalRegisters;
+        this.gates = copy.gates;
+        this.customGates = copy.customGates;
+        this.parameters = copy.parameters;
+        this.observables = copy.observables;
+        this.backend = copy.backend;
+        this.noiseModel = copy.noiseModel;
+        this.nextPosition = copy.nextPosition;
+    }
+
+    /**
+     * Choose the simulation backend
+     */
+    setBackend(backend) {
+        const before = this._snapshot();
+        this.backend = backend;
+        this._commit('Change backend', before);
+    }
+
+    /**
+     * Replace the noise model (null for an ideal circuit)
+     */
+    setNoiseModel(noiseModel) {
+        const before = this._snapshot();
+        this.noiseModel = noiseModel;
+        this._commit('Edit noise model', before);
     }
 
     /**
      * Set the number of qubits
      */
     setNumQubits(n) {
+        const before = this._snapshot();
         this.numQubits = n;
-        // Remove gates that reference non-existent qubits
-        this.gates = this.gates.filter(g => {
-            if (g.qubit >= n) return false;
-            if (g.targetQubit !== undefined && g.targetQubit >= n) return false;
-            return true;
+
+        // The default register mirrors QuantumCircuit(n, n)
+        if (this.classicalRegisters.length === 1 && this.classicalRegisters[0].name === 'c') {
+            this.classicalRegisters[0].size = n;
+        }
+
+        // Remove gates that reference non-existent qubits or classical bits
+        const numClbits = this.getNumClbits();
+        this.gates = this.gates.filter(g => this.gateQubits(g).every(q => q < n));
+        this.observables = this.observables.filter(terms => Observable.qubits(terms).every(q => q < n));
+        this._remapClbits(bit => (bit < numClbits ? bit : -1));
+        this._commit('Change qubit count', before);
+    }
+
+    /**
+     * Total number of classical bits across all registers
+     */
+    getNumClbits() {
+        return this.classicalRegisters.reduce((sum, reg) => sum + reg.size, 0);
+    }
+
+    /**
+     * Add a named classical register
+     */
+    addClassicalRegister(name, size) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid register name: ${name}`);
+        }
+        if (name === 'qc' || name === 'qr' || this.classicalRegisters.some(r => r.name === name) || name in this.parameters) {
+            throw new Error(`Register name already in use: ${name}`);
+        }
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid register size: ${size}`);
+        }
+
+        const before = this._snapshot();
+        this.classicalRegisters.push({ name, size });
+        this._commit('Add classical register', before);
+    }
+
+    /**
+     * Remove a classical register and the measurements that write into it
+     */
+    removeClassicalRegister(name) {
+        const index = this.classicalRegisters.findIndex(r => r.name === name);
+        if (index === -1) return;
+
+        const before = this._snapshot();
+        const offset = this._registerOffset(index);
+        const size = this.classicalRegisters[index].size;
+
+        this.classicalRegisters.splice(index, 1);
+        this._remapClbits(bit => {
+            if (bit < offset) return bit;
+            return bit >= offset + size ? bit - size : -1;
         });
-        this._notifyChange();
+        this._commit('Remove classical register', before);
+    }
+
+    /**
+     * Renumber classical bits after a register change. mapFn returns the new
+     * flat index or -1 when the bit no longer exists; measurements into a
+     * removed bit are dropped, conditions on one are cleared.
+     */
+    _remapClbits(mapFn) {
+        const registerNames = new Set(this.classicalRegisters.map(r => r.name));
+
+        this.gates = this.gates
+            .filter(g => g.clbit === undefined || mapFn(g.clbit) !== -1)
+            .map(g => {
+                const updated = { ...g };
+                if (g.clbit !== undefined) {
+                    updated.clbit = mapFn(g.clbit);
+                }
+                if (g.condition) {
+                    if (g.condition.clbit !== undefined) {
+                        const bit = mapFn(g.condition.clbit);
+                        updated.condition = bit === -1 ? undefined : { ...g.condition, clbit: bit };
+                    } else if (!registerNames.has(g.condition.register)) {
+                        updated.condition = undefined;
+                    }
+                }
+                if (!updated.condition) delete updated.condition;
+                return updated;
+            });
+    }
+
+    /**
+     * Human-readable condition such as c[0]==1 or flags==2
+     */
+    describeCondition(condition) {
+        if (!condition) return '';
+        const target = condition.clbit !== undefined
+            ? this.getClassicalBitLabel(condition.clbit)
+            : condition.register;
+        return `${target}==${condition.value}`;
+    }
+
+    _registerOffset(registerIndex) {
+        let offset = 0;
+        for (let i = 0; i < registerIndex; i++) {
+            offset += this.classicalRegisters[i].size;
+        }
+        return offset;
+    }
+
+    /**
+     * Resolve a flat classical bit index to its register name and index
+     */
+    getClassicalBit(clbit) {
+        let offset = 0;
+        for (const reg of this.classicalRegisters) {
+            if (clbit < offset + reg.size) {
+                return { register: reg.name, index: clbit - offset };
+            }
+            offset += reg.size;
+        }
+        return null;
+    }
+
+    /**
+     * Flat classical bit index for register[index], or -1
+     */
+    findClassicalBit(register, index) {
+        let offset = 0;
+        for (const reg of this.classicalRegisters) {
+            if (reg.name === register) {
+                return index < reg.size ? offset + index : -1;
+            }
+            offset += reg.size;
+        }
+        return -1;
+    }
+
+    /**
+     * Label such as c[0] for a flat classical bit index
+     */
+    getClassicalBitLabel(clbit) {
+        const bit = this.getClassicalBit(clbit);
+        return bit ? `${bit.register}[${bit.index}]` : `c[${clbit}]`;
+    }
+
+    /**
+     * Declare a symbolic parameter bound to `value`
+     */
+    addParameter(name, value = 0) {
+        this.checkParameterName(name);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid value for parameter '${name}': ${value}`);
+        }
+
+        const before = this._snapshot();
+        this.parameters[name] = value;
+        this._commit(`Add parameter ${name}`, before);
+    }
+
+    /**
+     * Throw unless `name` can name a new parameter
+     */
+    checkParameterName(name) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`'${name}' is not a valid parameter name`);
+        }
+        if (name in this.parameters || this.customGates[name] || this.classicalRegisters.some(r => r.name === name) ||
+            QuantumCircuit.RESERVED_GATE_NAMES.includes(name) || QuantumCircuit.RESERVED_PARAMETER_NAMES.includes(name) ||
+            QASM.RESERVED.includes(name)) {
+            throw new Error(`The name '${name}' is already in use`);
+        }
+    }
+
+    /**
+     * Bind a parameter to a new value
+     */
+    setParameter(name, value) {
+        if (!(name in this.parameters)) {
+            throw new Error(`Unknown parameter '${name}'`);
+        }
+        if (!Number.isFinite(value) || value === this.parameters[name]) return;
+
+        const before = this._snapshot();
+        this.parameters[name] = value;
+        this._commit(`Set ${name}`, before);
+    }
+
+    /**
+     * Remove a parameter no gate uses
+     */
+    removeParameter(name) {
+        if (!(name in this.parameters)) return;
+        if (this.usedParameters().includes(name)) {
+            throw new Error(`Parameter '${name}' is still used by a gate`);
+        }
+
+        const before = this._snapshot();
+        delete this.parameters[name];
+        this._commit(`Remove parameter ${name}`, before);
+    }
+
+    /**
+     * Names of the parameters that the angles of `gates` (and the custom gates they
+     * use) refer to, in order of first use
+     */
+    usedParameters(gates = this.gates) {
+        const sorted = [...gates].sort((a, b) => a.position - b.position);
+        const angles = this.decomposedGates(sorted).flatMap(g => GateShape.angles(g));
+        return [...new Set(angles.flatMap(QASM.symbols))];
+    }
+
+    /**
+     * Add an observable, a list of Pauli terms such as Observable.parse() returns
+     */
+    addObservable(terms) {
+        this._checkObservable(terms);
+        const before = this._snapshot();
+        this.observables.push(JSON.parse(JSON.stringify(terms)));
+        this._commit('Add observable', before);
+    }
+
+    updateObservable(index, terms) {
+        if (!this.observables[index]) return;
+        this._checkObservable(terms);
+        const before = this._snapshot();
+        this.observables[index] = JSON.parse(JSON.stringify(terms));
+        this._commit('Edit observable', before);
+    }
+
+    removeObservable(index) {
+        if (!this.observables[index]) return;
+        const before = this._snapshot();
+        this.observables.splice(index, 1);
+        this._commit('Remove observable', before);
+    }
+
+    _checkObservable(terms) {
+        const outside = Observable.qubits(terms).find(q => q >= this.numQubits);
+        if (outside !== undefined) {
+            throw new Error(`Qubit ${outside} is out of range (the circuit has ${this.numQubits})`);
+        }
     }
 
     /**
      * Add a gate to the circuit
      */
     addGate(gate, qubit, options = {}) {
-        const { targetQubit, params, position } = options;
+        const { targetQubit, params, position, clbit, condition, controls, controlValues, matrix } = options;
+        const before = this._snapshot();
+
+        // A global phase acts on no qubit and is kept on qubit 0
+        if (GATES[gate] && GATES[gate].type === 'global') qubit = 0;
 
         const gateOp = {
             id: Date.now() + Math.random(),
             gate,
             qubit,
-            position: position !== undefined ? position : this._findNextPosition(qubit),
+            position,
             params: params || {}
         };
 
@@ -57,23 +445,50 @@ class QuantumCircuit {
             gateOp.targetQubit = targetQubit;
         }
 
+        // A custom unitary keeps its matrix, with the first qubit as the high bit
+        if (matrix) {
+            gateOp.matrix = matrix.map(row => row.map(c => ({ re: c.re, im: c.im })));
+        }
+
+        // Control qubits: 1 closes a control, 0 opens it (fires on |0⟩)
+        if (controls && controls.length > 0) {
+            gateOp.controls = [...controls];
+            if (controlValues) gateOp.controlValues = [...controlValues];
+            Controls.normalize(gateOp);
+        }
+
+        // Measurements write into a classical bit (qc.measure(q, q) by default)
+        if (gate === 'M') {
+            const numClbits = this.getNumClbits();
+            gateOp.clbit = clbit !== undefined ? clbit : Math.min(qubit, Math.max(0, numClbits - 1));
+        }
+
+        // Classical condition: { clbit, value } for one bit or { register, value } for a register
+        if (condition) {
+            gateOp.condition = { ...condition };
+        }
+
+        if (position === undefined) {
+            gateOp.position = this._findNextPosition(gateOp);
+        }
+
         this.gates.push(gateOp);
-        this._notifyChange();
+        this._commit(`Add ${gate}`, before);
 
         return gateOp.id;
     }
 
     /**
-     * Find the next available position for a qubit
+     * First column after every gate that shares a qubit or classical bit with `gateOp`,
+     * so a conditioned gate lands after the measurement it reads
      */
-    _findNextPosition(qubit) {
-        const qubitGates = this.gates.filter(g =>
-            g.qubit === qubit || g.targetQubit === qubit
-        );
+    _findNextPosition(gateOp) {
+        const wires = new Set(this._gateWires(gateOp));
+        const before = this.gates.filter(g => this._gateWires(g).some(wire => wires.has(wire)));
 
-        if (qubitGates.length === 0) return 0;
+        if (before.length === 0) return 0;
 
-        const maxPos = Math.max(...qubitGates.map(g => g.position));
+        const maxPos = Math.max(...before.map(g => g.position));
         return maxPos + 1;
     }
 
@@ -83,8 +498,9 @@ class QuantumCircuit {
     removeGate(gateId) {
         const index = this.gates.findIndex(g => g.id === gateId);
         if (index !== -1) {
+            const before = this._snapshot();
             this.gates.splice(index, 1);
-            this._notifyChange();
+            this._commit('Remove gate', before);
         }
     }
 
@@ -94,18 +510,388 @@ class QuantumCircuit {
     updateGate(gateId, updates) {
         const gate = this.gates.find(g => g.id === gateId);
         if (gate) {
+            const before = this._snapshot();
             Object.assign(gate, updates);
-            this._notifyChange();
+            if (!gate.condition) delete gate.condition;
+            if ('controls' in updates) Controls.normalize(gate);
+            this._commit('Edit gate', before);
         }
     }
 
+    /**
+     * Move a gate to other qubits and/or another column (`placement` holds any of
+     * qubit, targetQubit and position)
+     */
+    moveGate(gateId, placement) {
+        const gate = this.gates.find(g => g.id === gateId);
+        if (!gate) return;
+
+        const before = this._snapshot();
+        Object.assign(gate, placement);
+        this._makeRoom(gate);
+        this._commit('Move gate', before);
+    }
+
+    /**
+     * Add a copy of a gate at a new placement; returns the copy's id
+     */
+    duplicateGate(gateId, placement) {
+        const gate = this.gates.find(g => g.id === gateId);
+        if (!gate) return null;
+
+        const before = this._snapshot();
+        const { source, ...fields } = gate;
+        const copy = { ...JSON.parse(JSON.stringify(fields)), ...placement, id: Date.now() + Math.random() };
+        this.gates.push(copy);
+        this._makeRoom(copy);
+        this._commit(`Copy ${gate.gate}`, before);
+        return copy.id;
+    }
+
+    /**
+     * When another gate already sits in a gate's column on the wires it spans,
+     * shift that column and everything after it one step right
+     */
+    _makeRoom(gateOp) {
+        const span = (g) => {
+            const qubits = this.gateQubits(g);
+            return [Math.min(...qubits), Math.max(...qubits)];
+        };
+        const [low, high] = span(gateOp);
+        const collides = this.gates.some(g => {
+            if (g === gateOp || g.position !== gateOp.position) return false;
+            const [otherLow, otherHigh] = span(g);
+            return otherLow <= high && low <= otherHigh;
+        });
+        if (!collides) return;
+
+        for (const g of this.gates) {
+            if (g !== gateOp && g.position >= gateOp.position) g.position++;
+        }
+    }
+
+    /**
+     * Remove several gates as one command
+     */
+    removeGates(gateIds) {
+        const ids = new Set(gateIds);
+        if (!this.gates.some(g => ids.has(g.id))) return;
+
+        const before = this._snapshot();
+        this.gates = this.gates.filter(g => !ids.has(g.id));
+        this._commit(`Remove ${ids.size} gates`, before);
+    }
+
+    /**
+     * Move gates `delta` columns left or right. Other gates on their wires make room
+     * to the right; a gate shifted left stops at the gate before it.
+     */
+    shiftGates(gateIds, delta) {
+        const gates = this.gates.filter(g => gateIds.includes(g.id));
+        if (gates.length === 0) return;
+
+        const before = this._snapshot();
+        const desired = new Map(gates.map(g => [g, g.position + delta]));
+        this._placeGates(desired, new Set(delta > 0 ? gates : []));
+        this._commit(delta < 0 ? 'Shift gates left' : 'Shift gates right', before);
+    }
+
+    /**
+     * Mirror gates within the block they span: 'time' reverses their column order,
+     * 'qubits' flips them upside down
+     */
+    mirrorGates(gateIds, axis) {
+        const gates = this.gates.filter(g => gateIds.includes(g.id));
+        if (gates.length === 0) return;
+
+        const before = this._snapshot();
+        const desired = new Map();
+        if (axis === 'time') {
+            const positions = gates.map(g => g.position);
+            const sum = Math.min(...positions) + Math.max(...positions);
+            gates.forEach(g => desired.set(g, sum - g.position));
+        } else {
+            const qubits = gates.flatMap(g => this.gateQubits(g));
+            const sum = Math.min(...qubits) + Math.max(...qubits);
+            for (const g of gates) {
+                if (GATES[g.gate].type !== 'global') g.qubit = sum - g.qubit;
+                if (g.targetQubit !== undefined) g.targetQubit = sum - g.targetQubit;
+                if (g.qubits) g.qubits = g.qubits.map(q => sum - q);
+                if (g.controls) g.controls = g.controls.map(q => sum - q);
+                desired.set(g, g.position);
+            }
+        }
+        this._placeGates(desired, new Set(gates));
+        this._commit(axis === 'time' ? 'Mirror gates' : 'Flip gates', before);
+    }
+
+    /**
+     * Insert gates from toJSON() data, with their top-left gate at `anchor`
+     * ({ qubit, position }) or on their own qubits after the last column. Custom
+     * gates the data defines and the circuit lacks are added with them.
+     * Returns the new gate ids; throws if the gates do not fit the circuit.
+     */
+    pasteGates(data, anchor = null) {
+        const pasted = (data && Array.isArray(data.gates) ? data.gates : [])
+            .filter(g => GATES[g.gate] && Number.isInteger(g.qubit));
+        if (pasted.length === 0) return [];
+
+        const definitions = { ...((data && data.customGates) || {}), ...this.customGates };
+        const minQubit = Math.min(...pasted.flatMap(g => this.gateQubits(g)));
+        const minPosition = Math.min(...pasted.map(g => g.position || 0));
+        const qubitOffset = anchor ? anchor.qubit - minQubit : 0;
+        const start = anchor ? anchor.position : this.getDepth();
+
+        const registers = new Set(this.classicalRegisters.map(r => r.name));
+        const gates = pasted.map(g => {
+            const gateOp = {
+                id: Date.now() + Math.random(),
+                gate: g.gate,
+                qubit: GATES[g.gate].type === 'global' ? 0 : g.qubit + qubitOffset,
+                position: start + (g.position || 0) - minPosition,
+                params: JSON.parse(JSON.stringify(g.params || {}))
+            };
+            if (g.targetQubit !== undefined && g.targetQubit !== null) gateOp.targetQubit = g.targetQubit + qubitOffset;
+            if (g.qubits) gateOp.qubits = g.qubits.map(q => q + qubitOffset);
+            if (g.controls) gateOp.controls = g.controls.map(q => q + qubitOffset);
+            if (g.controlValues) gateOp.controlValues = [...g.controlValues];
+            if (g.definition) gateOp.definition = g.definition;
+            if (g.matrix) gateOp.matrix = JSON.parse(JSON.stringify(g.matrix));
+            if (g.clbit !== undefined && g.clbit !== null) gateOp.clbit = g.clbit;
+            if (g.condition) gateOp.condition = { ...g.condition };
+
+            if (gateOp.gate === 'CUSTOM' && !definitions[gateOp.definition]) {
+                throw new Error(`Pasted gates use the unknown custom gate '${gateOp.definition}'`);
+            }
+            const qubits = this.gateQubits(gateOp);
+            if (Math.min(...qubits) < 0 || Math.max(...qubits) >= this.numQubits) {
+                throw new Error(`Pasted gates need ${Math.max(...qubits) + 1} qubits`);
+            }
+            if (gateOp.clbit !== undefined && gateOp.clbit >= this.getNumClbits()) {
+                throw new Error(`Pasted measurement writes classical bit ${gateOp.clbit}, which does not exist`);
+            }
+            if (gateOp.condition && gateOp.condition.register !== undefined && !registers.has(gateOp.condition.register)) {
+                throw new Error(`Pasted gate is conditioned on unknown register '${gateOp.condition.register}'`);
+            }
+            return gateOp;
+        });
+
+        const before = this._snapshot();
+        for (const name of this.customGateOrder(gates, definitions)) {
+            if (!this.customGates[name]) this.customGates[name] = JSON.parse(JSON.stringify(definitions[name]));
+        }
+        // Parameters the pasted angles refer to come along with their values
+        const values = (data && data.parameters) || {};
+        for (const name of this.usedParameters(gates)) {
+            if (!(name in this.parameters)) this.parameters[name] = Number.isFinite(values[name]) ? values[name] : 0;
+        }
+        this.gates.push(...gates);
+        this._placeGates(new Map(gates.map(g => [g, g.position])), new Set(gates));
+        this._commit(`Paste ${gates.length} gates`, before);
+        return gates.map(g => g.id);
+    }
+
+    /**
+     * Lay gates out in order of their desired column (`desired` maps gate to column;
+     * other gates want their current one), pushing each right of the gates before it
+     * on its wires. Ties go to `inserted` gates, then to the earlier gate.
+     */
+    _placeGates(desired, inserted) {
+        const order = this.gates
+            .map(g => ({ gate: g, want: desired.has(g) ? desired.get(g) : g.position }))
+            .sort((a, b) => a.want - b.want ||
+                inserted.has(b.gate) - inserted.has(a.gate) ||
+                a.gate.position - b.gate.position);
+
+        const lastOnWire = new Map();
+        for (const { gate, want } of order) {
+            const wires = this._gateWires(gate);
+            let position = Math.max(0, want);
+            for (const wire of wires) {
+                if (lastOnWire.has(wire)) position = Math.max(position, lastOnWire.get(wire) + 1);
+            }
+            gate.position = position;
+            wires.forEach(wire => lastOnWire.set(wire, position));
+        }
+    }
+
+    /**
+     * Qubits a gate acts on, controls first; a custom gate lists its own
+     */
+    gateQubits(gateOp) {
+        if (gateOp.qubits) return gateOp.qubits;
+        const own = gateOp.targetQubit !== undefined && gateOp.targetQubit !== null
+            ? [gateOp.qubit, gateOp.targetQubit]
+            : [gateOp.qubit];
+        return gateOp.controls ? [...gateOp.controls, ...own] : own;
+    }
+
+    /**
+     * Qubits and classical bits a gate reads or writes, as 'q0', 'c1', ...
+     */
+    _gateWires(gateOp) {
+        const wires = this.gateQubits(gateOp).map(q => `q${q}`);
+        if (gateOp.clbit !== undefined) wires.push(`c${gateOp.clbit}`);
+
+        const condition = gateOp.condition;
+        if (condition && condition.clbit !== undefined) {
+            wires.push(`c${condition.clbit}`);
+        } else if (condition) {
+            const index = this.classicalRegisters.findIndex(r => r.name === condition.register);
+            if (index !== -1) {
+                const offset = this._registerOffset(index);
+                for (let i = 0; i < this.classicalRegisters[index].size; i++) wires.push(`c${offset + i}`);
+            }
+        }
+        return wires;
+    }
+
+    /**
+     * Replace gates with one instance of a new custom gate built from them. The gate
+     * acts on the qubits they touch, top to bottom, and takes the column of the first.
+     * Returns the instance's id; throws when the name is taken or the gates cannot
+     * form a gate.
+     */
+    createCustomGate(name, gateIds) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`'${name}' is not a valid gate name`);
+        }
+        const qasmNames = [
+            ...Object.values(GATES).filter(d => d.qasm).map(d => d.qasm('a', 'b').match(/^\w+/)[0]),
+            ...Object.values(CONTROLLED_GATES).flatMap(c => [c.qasm, c.qasm3]).filter(Boolean)
+        ];
+        if (this.customGates[name] || QuantumCircuit.RESERVED_GATE_NAMES.includes(name) || qasmNames.includes(name) ||
+            this.classicalRegisters.some(r => r.name === name) || name in this.parameters) {
+            throw new Error(`The name '${name}' is already in use`);
+        }
+
+        const gates = this.gates.filter(g => gateIds.includes(g.id)).sort((a, b) => a.position - b.position);
+        if (gates.length === 0) {
+            throw new Error('Select the gates to combine');
+        }
+        if (gates.some(g => g.gate === 'M' || g.condition)) {
+            throw new Error('Custom gates cannot contain measurements or conditioned gates');
+        }
+        if (this.usedParameters(gates).length > 0) {
+            throw new Error('Custom gates cannot contain symbolic angles');
+        }
+
+        // The gate runs as one step, so no other gate may sit among the selected ones
+        const qubits = [...new Set(gates.flatMap(g => this.gateQubits(g)))].sort((a, b) => a - b);
+        const start = gates[0].position;
+        const end = gates[gates.length - 1].position;
+        const between = this.gates.some(g => !gates.includes(g) && g.position >= start && g.position <= end &&
+            this.gateQubits(g).some(q => qubits.includes(q)));
+        if (between) {
+            throw new Error('Other gates sit between the selected gates; select them too or move them aside');
+        }
+
+        // Definition gates are packed to the left, as the code that defines them reads
+        const next = [];
+        const definitionGates = gates.map(g => {
+            const { id, source, ...fields } = JSON.parse(JSON.stringify(g));
+            const local = { ...fields, qubit: qubits.indexOf(g.qubit) };
+            if (g.targetQubit !== undefined) local.targetQubit = qubits.indexOf(g.targetQubit);
+            if (g.qubits) local.qubits = g.qubits.map(q => qubits.indexOf(q));
+            if (g.controls) local.controls = g.controls.map(q => qubits.indexOf(q));
+            const wires = this.gateQubits(local);
+            local.position = Math.max(0, ...wires.map(q => next[q] || 0));
+            wires.forEach(q => { next[q] = local.position + 1; });
+            return local;
+        });
+
+        const before = this._snapshot();
+        this.customGates[name] = { name, numQubits: qubits.length, gates: definitionGates };
+        const instance = {
+            id: Date.now() + Math.random(),
+            gate: 'CUSTOM',
+            definition: name,
+            qubit: qubits[0],
+            qubits,
+            position: start,
+            params: {}
+        };
+        this.gates = this.gates.filter(g => !gates.includes(g));
+        this.gates.push(instance);
+        this._makeRoom(instance);
+        this._commit(`Create gate ${name}`, before);
+        return instance.id;
+    }
+
+    /**
+     * Replace a custom gate instance with the gates of its definition, making room
+     * for them in the columns after it. Returns their ids.
+     */
+    expandCustomGate(gateId) {
+        const instance = this.gates.find(g => g.id === gateId && g.gate === 'CUSTOM');
+        const definition = instance && this.customGates[instance.definition];
+        if (!definition) return [];
+
+        const before = this._snapshot();
+        const width = Math.max(0, ...definition.gates.map(g => g.position)) + 1;
+        for (const g of this.gates) {
+            if (g.position > instance.position) g.position += width - 1;
+        }
+        const gates = definition.gates.map(inner => ({ ...this._customGateOp(instance, inner), id: Date.now() + Math.random() }));
+        this.gates = this.gates.filter(g => g !== instance);
+        this.gates.push(...gates);
+        this._commit(`Expand ${definition.name}`, before);
+        return gates.map(g => g.id);
+    }
+
+    /**
+     * A definition's gate on the qubits and in the columns of a custom gate instance
+     */
+    _customGateOp(instance, inner) {
+        const qubit = GATES[inner.gate].type === 'global' ? 0 : instance.qubits[inner.qubit];
+        const gateOp = { ...JSON.parse(JSON.stringify(inner)), qubit };
+        gateOp.position = instance.position + inner.position;
+        if (inner.targetQubit !== undefined) gateOp.targetQubit = instance.qubits[inner.targetQubit];
+        if (inner.qubits) gateOp.qubits = inner.qubits.map(q => instance.qubits[q]);
+        if (inner.controls) gateOp.controls = inner.controls.map(q => instance.qubits[q]);
+        if (instance.condition) gateOp.condition = { ...instance.condition };
+        return gateOp;
+    }
+
+    /**
+     * Gates with every custom gate replaced by the gates of its definition, for
+     * code that only knows the built-in gates
+     */
+    decomposedGates(gates = this.gates) {
+        return gates.flatMap(g => {
+            const definition = g.gate === 'CUSTOM' && this.customGates[g.definition];
+            if (!definition) return [g];
+            return this.decomposedGates(definition.gates.map(inner => this._customGateOp(g, inner)));
+        });
+    }
+
+    /**
+     * Names of the custom gates that gates use, directly or through other custom
+     * gates, each after the ones its definition uses
+     */
+    customGateOrder(gates = this.gates, definitions = this.customGates) {
+        const order = [];
+        const visit = (name) => {
+            if (order.includes(name) || !definitions[name]) return;
+            definitions[name].gates.forEach(g => g.gate === 'CUSTOM' && visit(g.definition));
+            order.push(name);
+        };
+        gates.forEach(g => g.gate === 'CUSTOM' && visit(g.definition));
+        return order;
+    }
+
     /**
      * Clear all gates
      */
     clear() {
+        const before = this._snapshot();
         this.gates = [];
+        this.customGates = {};
+        this.parameters = {};
+        this.observables = [];
         this.nextPosition = 0;
-        this._notifyChange();
+        this.classicalRegisters = [{ name: 'c', size: this.numQubits }];
+        this._commit('Clear circuit', before);
     }
 
     /**
@@ -127,61 +913,365 @@ class QuantumCircuit {
      * Get gates on a specific qubit
      */
     getGatesOnQubit(qubit) {
-        return this.gates.filter(g => g.qubit === qubit || g.targetQubit === qubit)
+        return this.gates.filter(g => this.gateQubits(g).includes(qubit))
             .sort((a, b) => a.position - b.position);
     }
 
+    /**
+     * True when the circuit uses only the default register, i.e. QuantumCircuit(n, m)
+     */
+    _hasDefaultRegisterOnly() {
+        return this.classicalRegisters.length === 1 && this.classicalRegisters[0].name === 'c';
+    }
+
+    /**
+     * Qiskit argument for a classical bit: a flat index or register[index]
+     */
+    _qiskitClbit(clbit) {
+        if (this._hasDefaultRegisterOnly()) return `${clbit}`;
+        return this.getClassicalBitLabel(clbit);
+    }
+
+    /**
+     * PennyLane variable holding a mid-circuit measurement result, e.g. c_0
+     */
+    _pennylaneClbit(clbit) {
+        const bit = this.getClassicalBit(clbit);
+        return bit ? `${bit.register}_${bit.index}` : `c_${clbit}`;
+    }
+
+    /**
+     * Qiskit if_test condition tuple, e.g. (c[0], 1) or (flags, 2)
+     */
+    _qiskitCondition(condition) {
+        const defaultRegister = this._hasDefaultRegisterOnly();
+
+        if (condition.clbit !== undefined) {
+            const target = defaultRegister ? `qc.clbits[${condition.clbit}]` : this.getClassicalBitLabel(condition.clbit);
+            return `(${target}, ${condition.value})`;
+        }
+
+        const registerIndex = this.classicalRegisters.findIndex(r => r.name === condition.register);
+        const target = defaultRegister ? `qc.cregs[${registerIndex}]` : condition.register;
+        return `(${target}, ${condition.value})`;
+    }
+
+    /**
+     * PennyLane qml.cond expression over the mid-circuit measurement variables in
+     * `measured`. Bits without one read as 0, as Qiskit's clbits start out, so the
+     * condition may come down to one bit or to simply true or false.
+     */
+    _pennylaneCondition(condition, measured) {
+        if (condition.clbit !== undefined) {
+            const bit = this._pennylaneClbit(condition.clbit);
+            if (!measured.has(bit)) return condition.value === 0;
+            return condition.value ? bit : `~${bit}`;
+        }
+
+        // Register value with bit i weighted by 2^i, as in Qiskit
+        const register = this.classicalRegisters.find(r => r.name === condition.register);
+        const size = register ? register.size : 0;
+        const indices = [];
+        for (let i = 0; i < size; i++) {
+            if (measured.has(`${condition.register}_${i}`)) indices.push(i);
+        }
+        if (indices.length < size) {
+            // The value needs a 1 where a bit is still 0, or comes down to a single bit
+            const unmeasured = [...Array(size).keys()].filter(i => !indices.includes(i));
+            if (unmeasured.some(i => (condition.value >> i) & 1)) return false;
+            if (indices.length === 0) return true;
+            if (indices.length === 1) {
+                const bit = `${condition.register}_${indices[0]}`;
+                return (condition.value >> indices[0]) & 1 ? bit : `~${bit}`;
+            }
+        }
+        const terms = indices.map(i => (i === 0 ? `${condition.register}_0` : `${1 << i} * ${condition.register}_${i}`));
+        return `${terms.join(' + ')} == ${condition.value}`;
+    }
+
+    /**
+     * Measurement variables the PennyLane code has assigned before `gateOp`: those of
+     * measurements in earlier columns, or earlier in the gate's own column
+     */
+    _pennylaneMeasuredBefore(gateOp) {
+        const index = this.gates.indexOf(gateOp);
+        const before = (g) => g.position < gateOp.position ||
+            (g.position === gateOp.position && index >= 0 && this.gates.indexOf(g) < index);
+        return new Set(this.gates.filter(g => g.gate === 'M' && before(g)).map(g => this._pennylaneClbit(g.clbit)));
+    }
+
     /**
      * Generate Qiskit code
      */
     toQiskitCode() {
         const lines = [];
-        lines.push('from qiskit import QuantumCircuit, transpile');
+        const defaultRegister = this._hasDefaultRegisterOnly();
+
+        if (defaultRegister) {
+            lines.push('from qiskit import QuantumCircuit, transpile');
+        } else {
+            lines.push('from qiskit import QuantumCircuit, QuantumRegister, ClassicalRegister, transpile');
+        }
+        const parameters = Object.keys(this.parameters);
+        if (parameters.length > 0) {
+            lines.push('from qiskit.circuit import Parameter');
+        }
+        const libraryGates = this._qiskitLibraryGates();
+        if (libraryGates.length > 0) {
+            lines.push(`from qiskit.circuit.library import ${libraryGates.join(', ')}`);
+        }
+        if (this.observables.length > 0) {
+            lines.push('from qiskit.quantum_info import SparsePauliOp');
+            lines.push('from qiskit.primitives import StatevectorEstimator');
+        }
         lines.push('from qiskit_aer import AerSimulator');
+        const noisy = !NoiseModel.isEmpty(this.noiseModel);
+        if (noisy) {
+            lines.push('from qiskit_aer.noise import (NoiseModel, ReadoutError, depolarizing_error, amplitude_damping_error,');
+            lines.push('                              phase_damping_error, pauli_error, thermal_relaxation_error)');
+        }
+        // Expressions over parameters write pi and functions from numpy
+        const codeAngles = this.decomposedGates().flatMap(g => GateShape.angles(g).map(QuantumCircuit.codeAngle));
+        if (codeAngles.some(angle => angle.includes('np.'))) {
+            lines.push('import numpy as np');
+        }
         lines.push('');
-        lines.push(`qc = QuantumCircuit(${this.numQubits}, ${this.numQubits})`);
+        if (parameters.length > 0) {
+            parameters.forEach(name => lines.push(`${name} = Parameter('${name}')`));
+            lines.push('');
+        }
+        lines.push(...this._qiskitCustomGateLines());
+
+        if (defaultRegister) {
+            lines.push(`qc = QuantumCircuit(${this.numQubits}, ${this.getNumClbits()})`);
+        } else {
+            lines.push(`qr = QuantumRegister(${this.numQubits}, 'q')`);
+            for (const reg of this.classicalRegisters) {
+                lines.push(`${reg.name} = ClassicalRegister(${reg.size}, '${reg.name}')`);
+            }
+            const regs = ['qr', ...this.classicalRegisters.map(r => r.name)];
+            lines.push(`qc = QuantumCircuit(${regs.join(', ')})`);
+        }
         lines.push('');
 
         // Sort gates by position
         const sortedGates = [...this.gates].sort((a, b) => a.position - b.position);
 
-        let hasMeasurement = false;
         for (const gateOp of sortedGates) {
-            const gateDef = GATES[gateOp.gate];
-            if (!gateDef) continue;
-
-            if (gateOp.gate === 'M') {
-                hasMeasurement = true;
-                continue; // Handle measurement separately
-            }
-
-            if (gateDef.type === 'rotation') {
-                const theta = gateOp.params.theta || 0;
-                lines.push(gateDef.qiskit(gateOp.qubit, theta.toFixed(4)));
-            } else if (gateDef.type === 'controlled' || gateDef.type === 'swap') {
-                lines.push(gateDef.qiskit(gateOp.qubit, gateOp.targetQubit));
-            } else {
-                lines.push(gateDef.qiskit(gateOp.qubit));
-            }
+            if (!GATES[gateOp.gate]) continue;
+            lines.push(...this.toQiskitGateLines(gateOp));
         }
 
-        // Add measurement at the end if any measurement gates exist
-        if (hasMeasurement || sortedGates.some(g => g.gate === 'M')) {
+        // Parameters are bound before the circuit runs; binding ones no gate uses needs strict=False
+        if (parameters.length > 0) {
+            const values = parameters.map(name => `${name}: ${QuantumCircuit.codeAngle(this.parameters[name])}`);
+            const strict = this.usedParameters().length < parameters.length ? ', strict=False' : '';
             lines.push('');
-            lines.push('qc.measure_all()');
+            lines.push(`qc.assign_parameters({${values.join(', ')}}, inplace=True${strict})`);
         }
 
         lines.push('');
+        if (noisy) {
+            lines.push(...NoiseModel.toQiskitLines(this.noiseModel, this));
+            lines.push('');
+        }
         lines.push('# Simulate');
-        lines.push('simulator = AerSimulator()');
+        lines.push(noisy ? 'simulator = AerSimulator(noise_model=noise_model)' : 'simulator = AerSimulator()');
         lines.push('compiled = transpile(qc, simulator)');
         lines.push('result = simulator.run(compiled, shots=1024).result()');
         lines.push('counts = result.get_counts()');
         lines.push('print(counts)');
 
+        // The estimator takes the exact, noise-free state before the final measurements
+        if (this.observables.length > 0) {
+            const measured = this.gates.some(g => g.gate === 'M');
+            lines.push('');
+            lines.push('# Expectation values');
+            lines.push('observables = [');
+            for (const terms of this.observables) {
+                lines.push(`    ${Observable.toQiskit(terms, this.numQubits)},  # ${Observable.format(terms)}`);
+            }
+            lines.push(']');
+            lines.push('estimator = StatevectorEstimator()');
+            const pub = measured ? 'qc.remove_final_measurements(inplace=False)' : 'qc';
+            lines.push(`evs = estimator.run([(${pub}, observables)]).result()[0].data.evs`);
+            lines.push('print("Expectation values:", evs)');
+        }
+
         return lines.join('\n');
     }
 
+    /**
+     * Named Qiskit subcircuits for the custom gates the circuit uses
+     */
+    _qiskitCustomGateLines() {
+        const lines = [];
+        for (const name of this.customGateOrder()) {
+            const definition = this.customGates[name];
+            lines.push(`${name} = QuantumCircuit(${definition.numQubits}, name='${name}')`);
+            for (const gateOp of [...definition.gates].sort((a, b) => a.position - b.position)) {
+                lines.push(this.toQiskitGateCall(gateOp).replace(/^qc\./, `${name}.`));
+            }
+            lines.push('');
+        }
+        return lines;
+    }
+
+    /**
+     * Qiskit call for one gate, ignoring its condition
+     */
+    toQiskitGateCall(gateOp) {
+        const gateDef = GATES[gateOp.gate];
+        if (gateOp.controls) {
+            return this._qiskitControlledCall(gateOp);
+        } else if (gateDef.type === 'custom') {
+            return `qc.append(${gateOp.definition}.to_gate(), [${gateOp.qubits.join(', ')}])`;
+        } else if (gateDef.type === 'unitary') {
+            const matrix = Unitary.toPython(Unitary.reverseQubits(gateOp.matrix));
+            return `qc.unitary(${matrix}, [${this.gateQubits(gateOp).join(', ')}])`;
+        } else if (gateDef.type === 'measure') {
+            return gateDef.qiskit(gateOp.qubit, this._qiskitClbit(gateOp.clbit));
+        }
+        return gateDef.qiskit(...this._templateArgs(gateOp, q => q, QuantumCircuit.codeAngle));
+    }
+
+    /**
+     * Code template arguments of a gate: its own qubits through qubit(), then its
+     * angles through angle()
+     */
+    _templateArgs(gateOp, qubit, angle) {
+        const own = [gateOp.qubit, gateOp.targetQubit].slice(0, GateShape.arity(gateOp.gate));
+        return [...own.map(qubit), ...GateShape.angles(gateOp).map(angle)];
+    }
+
+    /**
+     * Qiskit call for a gate with controls: its own method (ccx, crz, ...) when it
+     * has one, mcx for X under more controls, else the library gate's control()
+     */
+    _qiskitControlledCall(gateOp) {
+        const gateDef = GATES[gateOp.gate];
+        const n = gateOp.controls.length;
+        const qubits = this.gateQubits(gateOp).join(', ');
+        const angles = GateShape.angles(gateOp).map(QuantumCircuit.codeAngle);
+        // ctrl_state reads right to left: its last character is the first control
+        const state = Controls.hasOpen(gateOp) ? `ctrl_state='${[...gateOp.controlValues].reverse().join('')}'` : null;
+        const args = (...items) => items.filter(item => item !== null).join(', ');
+
+        const named = Controls.named(gateOp.gate, n);
+        if (named) {
+            return `qc.${named.qiskit}(${args(...angles, qubits, state)})`;
+        }
+        if (gateOp.gate === 'X') {
+            return `qc.mcx(${args(`[${gateOp.controls.join(', ')}]`, `${gateOp.qubit}`, state)})`;
+        }
+        return `qc.append(${gateDef.qiskitClass}(${angles.join(', ')}).control(${args(`${n}`, state)}), [${qubits}])`;
+    }
+
+    /**
+     * qiskit.circuit.library classes the Qiskit code uses for controlled gates
+     * without a method of their own and for global phases
+     */
+    _qiskitLibraryGates() {
+        const definitions = this.customGateOrder().map(name => this.customGates[name].gates);
+        const classes = [this.gates, ...definitions].flat()
+            .filter(g => g.gate === 'GPHASE' ||
+                (g.controls && g.gate !== 'X' && !Controls.named(g.gate, g.controls.length)))
+            .map(g => GATES[g.gate].qiskitClass);
+        return [...new Set(classes)].sort();
+    }
+
+    /**
+     * Qiskit lines for one gate, wrapped in an if_test block when it is conditioned
+     */
+    toQiskitGateLines(gateOp) {
+        const line = this.toQiskitGateCall(gateOp);
+        if (!gateOp.condition) return [line];
+        return [`with qc.if_test(${this._qiskitCondition(gateOp.condition)}):`, '    ' + line];
+    }
+
+    /**
+     * PennyLane operation for one gate, without noise channels
+     */
+    toPennyLaneGateLine(gateOp) {
+        const gateDef = GATES[gateOp.gate];
+        let line;
+        if (gateOp.controls) {
+            line = this._pennylaneControlledLine(gateOp);
+        } else if (gateDef.type === 'custom') {
+            line = `${gateOp.definition}(wires=[${gateOp.qubits.join(', ')}])`;
+        } else if (gateDef.type === 'unitary') {
+            const qubits = this.gateQubits(gateOp);
+            const wires = qubits.length > 1 ? `[${qubits.join(', ')}]` : qubits[0];
+            line = `qml.QubitUnitary(np.array(${Unitary.toPython(gateOp.matrix)}), wires=${wires})`;
+        } else if (gateDef.type === 'measure') {
+            // Mid-circuit measurement; the result is bound to a named classical bit
+            line = gateDef.pennylane(gateOp.qubit, this._pennylaneClbit(gateOp.clbit));
+        } else {
+            line = gateDef.pennylane(...this._templateArgs(gateOp, q => q, QuantumCircuit.codeAngle));
+        }
+        return this._pennylaneConditioned(line, gateOp);
+    }
+
+    /**
+     * PennyLane operation for a gate with controls: its own operation (Toffoli,
+     * CRZ, ...) when it has one and every control is closed, else qml.ctrl of the
+     * gate's operation
+     */
+    _pennylaneControlledLine(gateOp) {
+        const gateDef = GATES[gateOp.gate];
+        const wires = `wires=[${this.gateQubits(gateOp).join(', ')}]`;
+        const angles = GateShape.angles(gateOp).map(angle => `${QuantumCircuit.codeAngle(angle)}, `).join('');
+
+        const named = Controls.named(gateOp.gate, gateOp.controls.length);
+        if (!Controls.hasOpen(gateOp)) {
+            if (named) return `qml.${named.pennylane}(${angles}${wires})`;
+            if (gateOp.gate === 'X') return `qml.MultiControlledX(${wires})`;
+        }
+
+        // qml.ctrl(qml.RX, control=[0])(0.5, wires=1) conditions like the plain gate;
+        // the operation may be an adjoint such as qml.adjoint(qml.S)
+        const base = this.toPennyLaneGateLine({ ...gateOp, controls: undefined, condition: undefined });
+        const [, op, args] = base.match(/^(qml\.\w+(?:\(qml\.\w+\))?)\((.*)\)$/);
+        const values = Controls.hasOpen(gateOp) ? `, control_values=[${gateOp.controlValues.join(', ')}]` : '';
+        return `qml.ctrl(${op}, control=[${gateOp.controls.join(', ')}]${values})(${args})`;
+    }
+
+    /**
+     * qml.RX(0.5, wires=1) -> qml.cond(c_0, qml.RX)(0.5, wires=1) under the condition
+     * of `gateOp`, and likewise for custom gate functions and qml.ctrl(...)
+     * operations. A condition on bits not measured yet leaves the line as it is when
+     * it holds for zeros and comments it out when it never holds.
+     */
+    _pennylaneConditioned(opLine, gateOp) {
+        const opMatch = gateOp.condition && opLine.match(/^((?:qml\.)?\w+(?:\(.*\))?)\((.*)\)$/);
+        if (!opMatch) return opLine;
+        const condition = this._pennylaneCondition(gateOp.condition, this._pennylaneMeasuredBefore(gateOp));
+        if (condition === true) return opLine;
+        if (condition === false) return `# ${opLine}  # never applied: its condition reads bits not measured yet`;
+        return `qml.cond(${condition}, ${opMatch[1]})(${opMatch[2]})`;
+    }
+
+    /**
+     * PennyLane functions applying the custom gates the circuit uses to `wires`
+     */
+    _pennylaneCustomGateLines() {
+        const lines = [];
+        for (const name of this.customGateOrder()) {
+            const definition = this.customGates[name];
+            const wire = (q) => `wires[${q}]`;
+            lines.push(`def ${name}(wires):`);
+            for (const gateOp of [...definition.gates].sort((a, b) => a.position - b.position)) {
+                const local = { ...gateOp, qubit: wire(gateOp.qubit) };
+                if (gateOp.targetQubit !== undefined) local.targetQubit = wire(gateOp.targetQubit);
+                if (gateOp.qubits) local.qubits = gateOp.qubits.map(wire);
+                if (gateOp.controls) local.controls = gateOp.controls.map(wire);
+                lines.push('    ' + this.toPennyLaneGateLine(local));
+            }
+            lines.push('');
+        }
+        return lines;
+    }
+
     /**
      * Generate PennyLane code
      */
@@ -190,42 +1280,64 @@ class QuantumCircuit {
         lines.push('import pennylane as qml');
         lines.push('from pennylane import numpy as np');
         lines.push('');
-        lines.push(`dev = qml.device("default.qubit", wires=${this.numQubits})`);
+        // Noise channels need the mixed-state device
+        const noisy = !NoiseModel.isEmpty(this.noiseModel);
+        const device = noisy ? 'default.mixed' : 'default.qubit';
+        lines.push(`dev = qml.device("${device}", wires=${this.numQubits})`);
         lines.push('');
+        lines.push(...this._pennylaneCustomGateLines());
+        // Parameters are arguments of the QNode, bound to their values by default
+        const args = Object.entries(this.parameters).map(([name, value]) => `${name}=${QuantumCircuit.codeAngle(value)}`);
         lines.push('@qml.qnode(dev)');
-        lines.push('def circuit():');
+        lines.push(`def circuit(${args.join(', ')}):`);
 
         // Sort gates by position
         const sortedGates = [...this.gates].sort((a, b) => a.position - b.position);
 
         if (sortedGates.length === 0) {
             lines.push('    pass');
-        } else {
-            for (const gateOp of sortedGates) {
-                const gateDef = GATES[gateOp.gate];
-                if (!gateDef) continue;
+        }
+
+        for (const gateOp of sortedGates) {
+            if (!GATES[gateOp.gate]) continue;
+            lines.push('    ' + this.toPennyLaneGateLine(gateOp));
 
-                if (gateOp.gate === 'M') {
-                    continue; // PennyLane handles measurement differently
+            // Gate noise follows the gate on each wire it touches; the gates inside
+            // a custom gate get theirs after the call, and gates with controls none
+            if (noisy) {
+                for (const inner of this.decomposedGates([gateOp]).filter(g => !g.controls)) {
+                    this.gateQubits(inner).forEach(q => {
+                        NoiseModel.toPennyLaneOps(this.noiseModel, inner.gate, q)
+                            .forEach(op => lines.push('    ' + this._pennylaneConditioned(op, gateOp)));
+                    });
                 }
+            }
+        }
 
-                if (gateDef.type === 'rotation') {
-                    const theta = gateOp.params.theta || 0;
-                    lines.push('    ' + gateDef.pennylane(gateOp.qubit, theta.toFixed(4)));
-                } else if (gateDef.type === 'controlled' || gateDef.type === 'swap') {
-                    lines.push('    ' + gateDef.pennylane(gateOp.qubit, gateOp.targetQubit));
-                } else {
-                    lines.push('    ' + gateDef.pennylane(gateOp.qubit));
+        // Readout error flips each measured bit before the final probabilities
+        if (noisy) {
+            for (let q = 0; q < this.numQubits; q++) {
+                const e = NoiseModel.readoutError(this.noiseModel, q);
+                if (e > 0) {
+                    lines.push(`    qml.BitFlip(${NoiseModel.format(e)}, wires=${q})  # readout error`);
                 }
             }
         }
 
-        // Return probabilities
-        lines.push(`    return qml.probs(wires=range(${this.numQubits}))`);
+        // Return probabilities, then the expectation value of each observable
+        const measurements = [`qml.probs(wires=range(${this.numQubits}))`,
+            ...this.observables.map(terms => `qml.expval(${Observable.toPennyLane(terms)})`)];
+        lines.push(`    return ${measurements.join(', ')}`);
         lines.push('');
         lines.push('# Run the circuit');
-        lines.push('probs = circuit()');
-        lines.push('print("Probabilities:", probs)');
+        if (this.observables.length > 0) {
+            lines.push('probs, *expvals = circuit()');
+            lines.push('print("Probabilities:", probs)');
+            lines.push('print("Expectation values:", expvals)');
+        } else {
+            lines.push('probs = circuit()');
+            lines.push('print("Probabilities:", probs)');
+        }
         lines.push('');
         lines.push('# Draw the circuit');
         lines.push('print(qml.draw(circuit)())');
@@ -234,18 +1346,306 @@ class QuantumCircuit {
     }
 
     /**
-     * Export circuit to JSON
+     * Generate OpenQASM 2.0. Throws when a gate is conditioned on a single bit of a
+     * larger register, which OpenQASM 2.0 cannot express.
      */
-    toJSON() {
+    toQASM() {
+        // The quantum register is 'q' unless a classical register already uses the name
+        const qreg = this.classicalRegisters.some(r => r.name === 'q') ? 'qr' : 'q';
+        const qubit = (i) => `${qreg}[${i}]`;
+
+        const lines = ['OPENQASM 2.0;', 'include "qelib1.inc";', ''];
+        const gates = this.decomposedGates();
+        const symbolic = gates.find(g => GateShape.angles(g).some(angle => typeof angle === 'string'));
+        if (symbolic) {
+            const angles = GateShape.angles(symbolic).map(QASM.formatAngle).join(', ');
+            throw new Error(`OpenQASM 2.0 has no symbolic parameters (${symbolic.gate}(${angles})); export OpenQASM 3`);
+        }
+        if (gates.some(g => GATES[g.gate].type === 'global')) {
+            throw new Error('OpenQASM 2.0 has no global phase; export OpenQASM 3');
+        }
+        this._checkQasmUnitaries(gates);
+        lines.push(...this._qasmStandardGateLines(false));
+        lines.push(...this._qasmCustomGateLines(false));
+        lines.push(`qreg ${qreg}[${this.numQubits}];`);
+        for (const reg of this.classicalRegisters) {
+            lines.push(`creg ${reg.name}[${reg.size}];`);
+        }
+        lines.push('');
+
+        const sortedGates = [...this.gates].sort((a, b) => a.position - b.position);
+
+        for (const gateOp of sortedGates) {
+            const gateDef = GATES[gateOp.gate];
+            if (!gateDef || (!gateDef.qasm && gateDef.type !== 'custom')) continue;
+
+            let line = gateDef.type === 'measure'
+                ? gateDef.qasm(qubit(gateOp.qubit), this.getClassicalBitLabel(gateOp.clbit))
+                : this._qasmGate(gateOp, qubit, false);
+
+            if (gateOp.condition) {
+                line = `if(${this._qasmRegisterCondition(gateOp.condition)}) ${line}`;
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Throw when gates include a custom unitary, which OpenQASM cannot write as a matrix
+     */
+    _checkQasmUnitaries(gates) {
+        if (gates.some(g => GATES[g.gate].type === 'unitary')) {
+            throw new Error('OpenQASM has no matrix gates; export a custom unitary as Qiskit or PennyLane code');
+        }
+    }
+
+    /**
+     * OpenQASM statement for a unitary gate; qubit(i) names qubit i
+     */
+    _qasmGate(gateOp, qubit, qasm3) {
+        const gateDef = GATES[gateOp.gate];
+        if (gateOp.controls) {
+            return this._qasmControlledGate(gateOp, qubit, qasm3);
+        }
+        if (gateDef.type === 'custom') {
+            const symbols = this._customGateSymbols(gateOp.definition);
+            const args = symbols.length > 0 ? `(${symbols.join(', ')})` : '';
+            return `${gateOp.definition}${args} ${gateOp.qubits.map(qubit).join(',')};`;
+        }
+        return gateDef.qasm(...this._templateArgs(gateOp, qubit, QASM.formatAngle));
+    }
+
+    /**
+     * OpenQASM statement for a gate with controls: its qelib1.inc / stdgates.inc name
+     * when it has one and every control is closed. OpenQASM 3 writes any other with
+     * ctrl @ / negctrl @ modifiers; OpenQASM 2.0 throws.
+     */
+    _qasmControlledGate(gateOp, qubit, qasm3) {
+        const gateDef = GATES[gateOp.gate];
+        const n = gateOp.controls.length;
+        const operands = this.gateQubits(gateOp).map(qubit).join(',');
+        const angles = GateShape.angles(gateOp).map(QASM.formatAngle);
+        const theta = angles.length > 0 ? `(${angles.join(',')})` : '';
+
+        const named = Controls.named(gateOp.gate, n);
+        if (named && !Controls.hasOpen(gateOp)) {
+            return `${(qasm3 && named.qasm3) || named.qasm}${theta} ${operands};`;
+        }
+        if (!qasm3) {
+            const open = Controls.hasOpen(gateOp) ? (n > 1 ? ', some of them open' : ' that is open') : '';
+            throw new Error(`OpenQASM 2.0 has no ${gateOp.gate} gate with ${n} control${n > 1 ? 's' : ''}${open}; export OpenQASM 3`);
+        }
+
+        // Runs of equal control values share a modifier: ctrl(2) @ negctrl @ x
+        const modifiers = [];
+        gateOp.controls.forEach((q, i) => {
+            const kind = Controls.value(gateOp, i) ? 'ctrl' : 'negctrl';
+            const last = modifiers[modifiers.length - 1];
+            if (last && last.kind === kind) {
+                last.count++;
+            } else {
+                modifiers.push({ kind, count: 1 });
+            }
+        });
+        const prefix = modifiers.map(m => `${m.count > 1 ? `${m.kind}(${m.count})` : m.kind} @ `).join('');
+        const name = gateDef.qasm('a', 'b').match(/^\w+/)[0];
+        return `${prefix}${name}${theta} ${operands};`;
+    }
+
+    /**
+     * OpenQASM gate definitions for the gates the circuit uses that the include file
+     * lacks (qasmDefinition): stdgates.inc has no RXX, RYY, RZZ, iSWAP or ECR
+     */
+    _qasmStandardGateLines(qasm3) {
+        const used = new Set(this.decomposedGates().map(g => g.gate));
+        const lines = [];
+        for (const [key, def] of Object.entries(GATES)) {
+            if (!used.has(key) || !def.qasmDefinition || (def.qelib1 && !qasm3)) continue;
+            const name = def.qasm('a', 'b').match(/^\w+/)[0];
+            const params = def.params && def.params.length > 0 ? `(${def.params.join(', ')})` : '';
+            lines.push(`gate ${name}${params} a, b { ${def.qasmDefinition} }`);
+        }
+        if (lines.length > 0) lines.push('');
+        return lines;
+    }
+
+    /**
+     * OpenQASM gate definitions for the custom gates the circuit uses. Symbolic
+     * angles inside one become parameters of the gate.
+     */
+    _qasmCustomGateLines(qasm3) {
+        const lines = [];
+        for (const name of this.customGateOrder()) {
+            const definition = this.customGates[name];
+            const symbols = this._customGateSymbols(name);
+            const params = symbols.length > 0 ? `(${symbols.join(', ')})` : '';
+            const args = [...Array(definition.numQubits).keys()].map(i => `a${i}`);
+            lines.push(`gate ${name}${params} ${args.join(',')} {`);
+            for (const gateOp of [...definition.gates].sort((a, b) => a.position - b.position)) {
+                lines.push('    ' + this._qasmGate(gateOp, (i) => `a${i}`, qasm3));
+            }
+            lines.push('}');
+        }
+        if (lines.length > 0) lines.push('');
+        return lines;
+    }
+
+    /**
+     * Free parameters of the symbolic angles inside a custom gate
+     */
+    _customGateSymbols(name) {
+        const definition = this.customGates[name];
+        if (!definition) return [];
+        const gates = this.decomposedGates(definition.gates);
+        return [...new Set(gates.flatMap(g => GateShape.angles(g).flatMap(QASM.symbols)))];
+    }
+
+    /**
+     * Generate OpenQASM 3. Symbolic rotation angles become `input float` parameters,
+     * measurements are bit assignments and conditions become if blocks.
+     */
+    toQASM3() {
+        const qreg = this.classicalRegisters.some(r => r.name === 'q') ? 'qr' : 'q';
+        const qubit = (i) => `${qreg}[${i}]`;
+        const sortedGates = [...this.gates].sort((a, b) => a.position - b.position);
+
+        const lines = ['OPENQASM 3.0;', 'include "stdgates.inc";', ''];
+
+        this._checkQasmUnitaries(this.decomposedGates(sortedGates));
+
+        const inputs = new Set();
+        for (const gateOp of this.decomposedGates(sortedGates)) {
+            GateShape.angles(gateOp).flatMap(QASM.symbols).forEach(name => inputs.add(name));
+        }
+        if (inputs.size > 0) {
+            inputs.forEach(name => lines.push(`input float[64] ${name};`));
+            lines.push('');
+        }
+
+        lines.push(...this._qasmStandardGateLines(true));
+        lines.push(...this._qasmCustomGateLines(true));
+        lines.push(`qubit[${this.numQubits}] ${qreg};`);
+        for (const reg of this.classicalRegisters) {
+            lines.push(`bit[${reg.size}] ${reg.name};`);
+        }
+        lines.push('');
+
+        // Consecutive gates under the same condition share one if block
+        let openCondition = null;
+        const closeBlock = () => {
+            if (openCondition) lines.push('}');
+            openCondition = null;
+        };
+
+        for (const gateOp of sortedGates) {
+            const gateDef = GATES[gateOp.gate];
+            if (!gateDef || (!gateDef.qasm && gateDef.type !== 'custom')) continue;
+
+            const line = gateDef.type === 'measure'
+                ? `${this.getClassicalBitLabel(gateOp.clbit)} = measure ${qubit(gateOp.qubit)};`
+                : this._qasmGate(gateOp, qubit, true);
+
+            const condition = gateOp.condition ? this._qasm3Condition(gateOp.condition) : null;
+            if (condition !== openCondition) {
+                closeBlock();
+                if (condition) {
+                    lines.push(`if (${condition}) {`);
+                    openCondition = condition;
+                }
+            }
+            lines.push(condition ? '    ' + line : line);
+        }
+        closeBlock();
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * OpenQASM 3 if operand, e.g. c[0] == 1 or flags == 2
+     */
+    _qasm3Condition(condition) {
+        const target = condition.clbit !== undefined
+            ? this.getClassicalBitLabel(condition.clbit)
+            : condition.register;
+        return `${target} == ${condition.value}`;
+    }
+
+    /**
+     * OpenQASM 2.0 if() operand; bit conditions only work on one-bit registers
+     */
+    _qasmRegisterCondition(condition) {
+        if (condition.clbit === undefined) {
+            return `${condition.register}==${condition.value}`;
+        }
+
+        const bit = this.getClassicalBit(condition.clbit);
+        const register = bit && this.classicalRegisters.find(r => r.name === bit.register);
+        if (!register || register.size !== 1) {
+            throw new Error(`OpenQASM 2.0 cannot condition on a single bit (${this.describeCondition(condition)}); ` +
+                'condition on a whole register or export OpenQASM 3');
+        }
+        return `${register.name}==${condition.value}`;
+    }
+
+    /**
+     * Replace the circuit with an OpenQASM 2.0 program. Throws with an `errors`
+     * list of line-numbered messages if the program cannot be imported.
+     */
+    fromQASM(source) {
+        const program = new QASMParser().parse(source);
+        const before = this._snapshot();
+
+        this.numQubits = program.numQubits;
+        this.classicalRegisters = program.classicalRegisters.length > 0
+            ? program.classicalRegisters
+            : [{ name: 'c', size: program.numQubits }];
+        this.customGates = {};
+        this.parameters = {};
+        this.observables = [];
+        this.gates = program.gates.map(g => ({
+            ...g,
+            id: Date.now() + Math.random()
+        }));
+        this._commit('Import OpenQASM', before);
+    }
+
+    /**
+     * Export circuit to JSON; with `gateIds`, only those gates (e.g. for the clipboard)
+     */
+    toJSON(gateIds = null) {
+        const gates = gateIds ? this.gates.filter(g => gateIds.includes(g.id)) : this.gates;
+        const customGates = {};
+        for (const name of gateIds ? this.customGateOrder(gates) : Object.keys(this.customGates)) {
+            customGates[name] = JSON.parse(JSON.stringify(this.customGates[name]));
+        }
+        const parameters = {};
+        for (const name of gateIds ? this.usedParameters(gates) : Object.keys(this.parameters)) {
+            if (name in this.parameters) parameters[name] = this.parameters[name];
+        }
         return {
             numQubits: this.numQubits,
-            gates: this.gates.map(g => ({
+            classicalRegisters: this.classicalRegisters.map(r => ({ ...r })),
+            parameters,
+            observables: gateIds ? [] : JSON.parse(JSON.stringify(this.observables)),
+            backend: this.backend,
+            noiseModel: this.noiseModel,
+            gates: gates.map(g => ({
                 gate: g.gate,
                 qubit: g.qubit,
                 targetQubit: g.targetQubit,
+                qubits: g.qubits,
+                controls: g.controls,
+                controlValues: g.controlValues,
+                definition: g.definition,
+                matrix: g.matrix,
+                clbit: g.clbit,
+                condition: g.condition,
                 position: g.position,
                 params: g.params
-            }))
+            })),
+            customGates
         };
     }
 
@@ -253,12 +1653,20 @@ class QuantumCircuit {
      * Import circuit from JSON
      */
     fromJSON(data) {
+        const before = this._snapshot();
         this.numQubits = data.numQubits || 3;
+        this.classicalRegisters = (data.classicalRegisters || [{ name: 'c', size: this.numQubits }])
+            .map(r => ({ ...r }));
+        this.backend = data.backend || 'statevector';
+        this.noiseModel = data.noiseModel || null;
+        this.customGates = JSON.parse(JSON.stringify(data.customGates || {}));
+        this.parameters = { ...(data.parameters || {}) };
+        this.observables = JSON.parse(JSON.stringify(data.observables || []));
         this.gates = (data.gates || []).map(g => ({
             ...g,
             id: Date.now() + Math.random()
         }));
-        this._notifyChange();
+        this._commit('Load circuit', before);
     }
 
     /**
@@ -266,10 +1674,43 @@ class QuantumCircuit {
      */
     clone() {
         const newCircuit = new QuantumCircuit(this.numQubits);
+        newCircuit.classicalRegisters = this.classicalRegisters.map(r => ({ ...r }));
+        newCircuit.backend = this.backend;
+        newCircuit.noiseModel = this.noiseModel ? JSON.parse(JSON.stringify(this.noiseModel)) : null;
+        newCircuit.customGates = JSON.parse(JSON.stringify(this.customGates));
+        newCircuit.parameters = { ...this.parameters };
+        newCircuit.observables = JSON.parse(JSON.stringify(this.observables));
         newCircuit.gates = this.gates.map(g => ({ ...g, id: Date.now() + Math.random() }));
         return newCircuit;
     }
 }
 
+// Commands kept for undo
+QuantumCircuit.MAX_HISTORY = 200;
+
+/**
+ * An angle in generated Qiskit / PennyLane code; symbolic angles keep their
+ * parameters and take pi and their functions from numpy
+ */
+QuantumCircuit.codeAngle = (angle) => {
+    if (typeof angle !== 'string') return (angle || 0).toFixed(4);
+    return angle.replace(/[A-Za-z_]\w*/g, name => {
+        if (name === 'ln') return 'np.log';
+        return QASM.RESERVED.includes(name) ? `np.${name}` : name;
+    });
+};
+
+// Names generated code already uses, which custom gates cannot take
+QuantumCircuit.RESERVED_GATE_NAMES = [
+    'qc', 'qr', 'c', 'q', 'circuit', 'dev', 'qml', 'np', 'pi', 'simulator', 'compiled', 'result', 'counts',
+    'probs', 'noise_model', 'QuantumCircuit', 'QuantumRegister', 'ClassicalRegister', 'transpile',
+    'AerSimulator', 'NoiseModel', 'gate', 'opaque', 'measure', 'reset', 'barrier', 'if', 'input',
+    'def', 'for', 'in', 'else', 'while', 'return', 'import', 'from', 'with', 'pass', 'lambda',
+    'class', 'and', 'or', 'not', 'is', 'None', 'True', 'False'
+];
+
+// Names generated code uses besides those above, which parameters cannot take
+QuantumCircuit.RESERVED_PARAMETER_NAMES = ['Parameter', 'GlobalPhaseGate', 'wires', 'ctrl', 'negctrl', 'inv', 'pow', 'gphase'];
+
 // Export
 window.QuantumCircuit = QuantumCircuit;
@@ -0,0 +1,438 @@
+/**
+ * Density-Matrix Simulator
+ * Mixed-state backend with Kraus noise channels, sharing QuantumSimulator's interface
+ *
+ * ρ is stored as a vectorized 2n-qubit register: entry (r, c) lives at index
+ * (r << n) | c, so qubit q of the row index is register qubit q and qubit q of
+ * the column index is register qubit q + n. The state-vector kernels then
+ * apply U ρ U† as U on the row qubits and conj(U) on the column qubits.
+ */
+
+class DensityMatrixSimulator extends QuantumSimulator {
+    constructor(numQubits = 3) {
+        super(numQubits);
+        this.noiseModel = null;
+    }
+
+    /**
+     * Reset to ρ = |0...0⟩⟨0...0| and clear the classical register
+     */
+    reset(numClbits = this.numQubits) {
+        if (this.numQubits > DensityMatrixSimulator.MAX_QUBITS) {
+            throw new Error(`Density-matrix backend supports at most ${DensityMatrixSimulator.MAX_QUBITS} qubits`);
+        }
+
+        this.classicalBits = new Array(numClbits).fill(0);
+
+        const size = 1 << (2 * this.numQubits);
+        if (this.state && this.state.length === 2 * size) {
+            this.state.fill(0);
+        } else {
+            this.state = new Float64Array(2 * size);
+        }
+        this.state[0] = 1;
+    }
+
+    /**
+     * Reset for a run of the given circuit and pick up its noise model
+     */
+    prepare(circuit) {
+        super.prepare(circuit);
+        this.noiseModel = circuit.noiseModel || null;
+    }
+
+    /**
+     * Row-index mask for qubits 0..n-1, column-index mask for qubits n..2n-1
+     */
+    _qubitMask(qubitIndex) {
+        return 1 << (2 * this.numQubits - 1 - qubitIndex);
+    }
+
+    _conjugate(m) {
+        const c = Float64Array.from(m);
+        for (let i = 1; i < c.length; i += 2) {
+            c[i] = -c[i];
+        }
+        return c;
+    }
+
+    /**
+     * ρ → K ρ K† for a flattened 2x2 operator on one qubit, optionally controlled
+     */
+    _applyOperator(m, qubitIndex, controlQubit) {
+        const n = this.numQubits;
+        const hasControl = controlQubit !== undefined;
+
+        this._applyMatrix(this._qubitMask(qubitIndex), m,
+            hasControl ? this._qubitMask(controlQubit) : 0);
+        this._applyMatrix(this._qubitMask(qubitIndex + n), this._conjugate(m),
+            hasControl ? this._qubitMask(controlQubit + n) : 0);
+    }
+
+    applySingleQubitGate(gateName, qubitIndex, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        this._applyOperator(m, qubitIndex);
+    }
+
+    applyControlledGate(gateName, controlQubit, targetQubit, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        this._applyOperator(m, targetQubit, controlQubit);
+    }
+
+    applyMultiControlledGate(gateName, controlQubits, targetQubit, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        const n = this.numQubits;
+        const controlMask = (offset) => controlQubits.reduce((mask, q) => mask | this._qubitMask(q + offset), 0);
+        this._applyMatrix(this._qubitMask(targetQubit), m, controlMask(0));
+        this._applyMatrix(this._qubitMask(targetQubit + n), this._conjugate(m), controlMask(n));
+    }
+
+    applyTwoQubitGate(gateName, qubit1, qubit2, params = {}, controlQubits = []) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        const n = this.numQubits;
+        const controlMask = (offset) => controlQubits.reduce((mask, q) => mask | this._qubitMask(q + offset), 0);
+        this._applyMatrixK([this._qubitMask(qubit1), this._qubitMask(qubit2)], m, controlMask(0));
+        this._applyMatrixK([this._qubitMask(qubit1 + n), this._qubitMask(qubit2 + n)], this._conjugate(m), controlMask(n));
+    }
+
+    /** U ρ U† for a custom unitary: U on the row qubits, its conjugate on the column ones */
+    applyUnitary(matrix, qubits) {
+        const m = this._toMatrixArray(matrix);
+        const n = this.numQubits;
+        this._applyMatrixK(qubits.map(q => this._qubitMask(q)), m);
+        this._applyMatrixK(qubits.map(q => this._qubitMask(q + n)), this._conjugate(m));
+    }
+
+    // A global phase cancels in U ρ U†
+    applyGlobalPhase() {}
+
+    // Permutation and sign gates are real, so the column side repeats the row side
+
+    applyCNOT(controlQubit, targetQubit) {
+        const n = this.numQubits;
+        super.applyCNOT(controlQubit, targetQubit);
+        super.applyCNOT(controlQubit + n, targetQubit + n);
+    }
+
+    applyCZ(controlQubit, targetQubit) {
+        const n = this.numQubits;
+        super.applyCZ(controlQubit, targetQubit);
+        super.applyCZ(controlQubit + n, targetQubit + n);
+    }
+
+    applySWAP(qubit1, qubit2) {
+        const n = this.numQubits;
+        super.applySWAP(qubit1, qubit2);
+        super.applySWAP(qubit1 + n, qubit2 + n);
+    }
+
+    /**
+     * Apply a gate, then the noise model's channels for that gate on every qubit it
+     * touches. Custom gates get the noise of the gates inside them; noise is set per
+     * plain gate, so gates with controls run without it.
+     */
+    applyGate(gateOp) {
+        if (!this.conditionHolds(gateOp.condition)) return;
+
+        super.applyGate(gateOp);
+        if (!this.noiseModel || gateOp.gate === 'CUSTOM' || gateOp.controls) return;
+
+        const qubits = gateOp.targetQubit !== undefined && gateOp.targetQubit !== null
+            ? [gateOp.qubit, gateOp.targetQubit]
+            : [gateOp.qubit];
+
+        for (const q of qubits) {
+            for (const channel of NoiseModel.channelsFor(this.noiseModel, gateOp.gate, q)) {
+                this.applyChannel(channel.type, channel.p, q);
+            }
+        }
+    }
+
+    /**
+     * Apply a named noise channel with strength p to one qubit
+     */
+    applyChannel(type, p, qubitIndex) {
+        const kraus = DensityMatrixSimulator.krausOperators(type, p);
+        if (!kraus) {
+            console.warn(`Unknown noise channel: ${type}`);
+            return;
+        }
+        this.applyKraus(kraus, qubitIndex);
+    }
+
+    /**
+     * ρ → Σ K ρ K† over a list of flattened 2x2 Kraus operators
+     */
+    applyKraus(kraus, qubitIndex) {
+        const original = this.state;
+        const work = this._buffer('_krausWork', original.length);
+        const accum = this._buffer('_krausAccum', original.length);
+        accum.fill(0);
+
+        for (const k of kraus) {
+            work.set(original);
+            this.state = work;
+            this._applyOperator(k, qubitIndex);
+            for (let i = 0; i < accum.length; i++) {
+                accum[i] += work[i];
+            }
+        }
+
+        // Recycle the old state as the next accumulator
+        this.state = accum;
+        this._krausAccum = original;
+    }
+
+    _buffer(name, length) {
+        if (!this[name] || this[name].length !== length) {
+            this[name] = new Float64Array(length);
+        }
+        return this[name];
+    }
+
+    /**
+     * Probability that qubit q's readout is flipped
+     */
+    _readoutError(qubitIndex) {
+        return NoiseModel.readoutError(this.noiseModel, qubitIndex);
+    }
+
+    /**
+     * Diagonal of ρ, i.e. the ideal measurement distribution
+     */
+    _diagonal() {
+        const dim = 1 << this.numQubits;
+        const diag = new Array(dim);
+        for (let i = 0; i < dim; i++) {
+            diag[i] = this.state[2 * (i * dim + i)];
+        }
+        return diag;
+    }
+
+    /**
+     * Measurement probabilities for each basis state, including readout error
+     */
+    getProbabilities() {
+        const n = this.numQubits;
+        const probs = this._diagonal();
+
+        for (let q = 0; q < n; q++) {
+            const e = this._readoutError(q);
+            if (!e) continue;
+
+            const mask = 1 << (n - 1 - q);
+            for (let i = 0; i < probs.length; i++) {
+                if (i & mask) continue;
+                const a = probs[i];
+                const b = probs[i | mask];
+                probs[i] = (1 - e) * a + e * b;
+                probs[i | mask] = (1 - e) * b + e * a;
+            }
+        }
+        return probs;
+    }
+
+    /**
+     * Tr(ρ²) of the full register
+     */
+    getPurity() {
+        let purity = 0;
+        for (let i = 0; i < this.state.length; i++) {
+            purity += this.state[i] * this.state[i];
+        }
+        return purity;
+    }
+
+    /**
+     * Pure-state amplitudes recovered from a column of ρ (up to global phase), or null if mixed
+     */
+    getAmplitudes() {
+        if (this.getPurity() < 1 - 1e-9) return null;
+
+        const dim = 1 << this.numQubits;
+        const diag = this._diagonal();
+        const k = diag.indexOf(Math.max(...diag));
+        const scale = 1 / Math.sqrt(diag[k]);
+
+        const amplitudes = new Float64Array(2 * dim);
+        for (let i = 0; i < dim; i++) {
+            amplitudes[2 * i] = this.state[2 * (i * dim + k)] * scale;
+            amplitudes[2 * i + 1] = this.state[2 * (i * dim + k) + 1] * scale;
+        }
+        return amplitudes;
+    }
+
+    /**
+     * Full state vector when ρ is pure, otherwise null
+     */
+    getStateVector() {
+        const amplitudes = this.getAmplitudes();
+        if (!amplitudes) return null;
+
+        const vector = new Array(amplitudes.length / 2);
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] = Complex.create(amplitudes[2 * i], amplitudes[2 * i + 1]);
+        }
+        return vector;
+    }
+
+    /**
+     * Reduced single-qubit density matrix by partial trace, as Bloch coordinates
+     */
+    getQubitState(qubitIndex) {
+        const dim = 1 << this.numQubits;
+        const mask = 1 << (this.numQubits - 1 - qubitIndex);
+        const s = this.state;
+
+        let rho00 = 0;
+        let rho11 = 0;
+        let rho01Re = 0;
+        let rho01Im = 0;
+
+        for (let i = 0; i < dim; i++) {
+            if (i & mask) {
+                rho11 += s[2 * (i * dim + i)];
+            } else {
+                const j = i | mask;
+                rho00 += s[2 * (i * dim + i)];
+                rho01Re += s[2 * (i * dim + j)];
+                rho01Im += s[2 * (i * dim + j) + 1];
+            }
+        }
+
+        const purity = rho00 * rho00 + rho11 * rho11 +
+            2 * (rho01Re * rho01Re + rho01Im * rho01Im);
+
+        return {
+            x: 2 * rho01Re,
+            y: 2 * rho01Im,
+            z: rho00 - rho11,
+            purity,
+            rho00: Complex.create(rho00, 0),
+            rho11: Complex.create(rho11, 0),
+            rho01: Complex.create(rho01Re, rho01Im)
+        };
+    }
+
+    /**
+     * Exact Tr(ρH) of an observable; readout error does not apply
+     */
+    expectationValue(terms) {
+        const dim = 1 << this.numQubits;
+        const s = this.state;
+        let total = 0;
+
+        for (const term of terms) {
+            // Tr(ρP) = Σ ρ[i][i ^ flip] · phase(i)
+            const { flip, sign, ys } = Observable.masks(term, this.numQubits);
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < dim; i++) {
+                const k = 2 * (i * dim + (i ^ flip));
+                const factor = Observable.parity(i & sign) ? -1 : 1;
+                re += factor * s[k];
+                im += factor * s[k + 1];
+            }
+            total += term.coeff * Observable.rotate(ys, re, im);
+        }
+        return total;
+    }
+
+    /**
+     * Projective measurement: samples an outcome, projects and renormalizes ρ,
+     * and returns the recorded bit (flipped with the qubit's readout error)
+     */
+    measureQubit(qubitIndex) {
+        const n = this.numQubits;
+        const dim = 1 << n;
+        const bitMask = 1 << (n - 1 - qubitIndex);
+        const rowMask = this._qubitMask(qubitIndex);
+        const colMask = this._qubitMask(qubitIndex + n);
+        const s = this.state;
+
+        let p1 = 0;
+        for (let i = 0; i < dim; i++) {
+            if (i & bitMask) {
+                p1 += s[2 * (i * dim + i)];
+            }
+        }
+
+        const outcome = this._random() < p1 ? 1 : 0;
+        const p = outcome ? p1 : 1 - p1;
+        const scale = p > 0 ? 1 / p : 0;
+
+        for (let idx = 0; idx < s.length / 2; idx++) {
+            const rowBit = (idx & rowMask) ? 1 : 0;
+            const colBit = (idx & colMask) ? 1 : 0;
+            if (rowBit === outcome && colBit === outcome) {
+                s[2 * idx] *= scale;
+                s[2 * idx + 1] *= scale;
+            } else {
+                s[2 * idx] = 0;
+                s[2 * idx + 1] = 0;
+            }
+        }
+
+        return this._random() < this._readoutError(qubitIndex) ? 1 - outcome : outcome;
+    }
+}
+
+/**
+ * Flattened Kraus operators for a single-qubit channel with strength p.
+ * Depolarizing uses the Pauli-error convention: X, Y, Z each with probability p/3.
+ */
+DensityMatrixSimulator.krausOperators = (type, p) => {
+    p = Math.max(0, Math.min(1, p || 0));
+    const keep = Math.sqrt(1 - p);
+    const err = Math.sqrt(p);
+
+    switch (type) {
+        case 'depolarizing': {
+            const k = Math.sqrt(p / 3);
+            return [
+                [keep, 0, 0, 0, 0, 0, keep, 0],
+                [0, 0, k, 0, k, 0, 0, 0],   // X
+                [0, 0, 0, -k, 0, k, 0, 0],  // Y
+                [k, 0, 0, 0, 0, 0, -k, 0]   // Z
+            ];
+        }
+        case 'amplitude_damping':
+            return [
+                [1, 0, 0, 0, 0, 0, keep, 0],
+                [0, 0, err, 0, 0, 0, 0, 0]
+            ];
+        case 'phase_damping':
+            return [
+                [1, 0, 0, 0, 0, 0, keep, 0],
+                [0, 0, 0, 0, 0, 0, err, 0]
+            ];
+        case 'bit_flip':
+            return [
+                [keep, 0, 0, 0, 0, 0, keep, 0],
+                [0, 0, err, 0, err, 0, 0, 0]
+            ];
+        case 'phase_flip':
+            return [
+                [keep, 0, 0, 0, 0, 0, keep, 0],
+                [err, 0, 0, 0, 0, 0, -err, 0]
+            ];
+        default:
+            return null;
+    }
+};
+
+// ρ needs 4^n amplitudes
+DensityMatrixSimulator.MAX_QUBITS = 10;
+
+QuantumSimulator.backends.density = DensityMatrixSimulator;
+
+// Export
+window.DensityMatrixSimulator = DensityMatrixSimulator;
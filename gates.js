@@ -15,8 +15,10 @@ const GATES = {
             [1/Math.sqrt(2), 1/Math.sqrt(2)],
             [1/Math.sqrt(2), -1/Math.sqrt(2)]
         ],
+        qiskitClass: 'HGate',
         qiskit: (qubit) => `qc.h(${qubit})`,
-        pennylane: (qubit) => `qml.Hadamard(wires=${qubit})`
+        pennylane: (qubit) => `qml.Hadamard(wires=${qubit})`,
+        qasm: (qubit) => `h ${qubit};`
     },
     X: {
         name: 'Pauli-X (NOT)',
@@ -28,8 +30,10 @@ const GATES = {
             [0, 1],
             [1, 0]
         ],
+        qiskitClass: 'XGate',
         qiskit: (qubit) => `qc.x(${qubit})`,
-        pennylane: (qubit) => `qml.PauliX(wires=${qubit})`
+        pennylane: (qubit) => `qml.PauliX(wires=${qubit})`,
+        qasm: (qubit) => `x ${qubit};`
     },
     Y: {
         name: 'Pauli-Y',
@@ -41,8 +45,10 @@ const GATES = {
             [0, {re: 0, im: -1}],
             [{re: 0, im: 1}, 0]
         ],
+        qiskitClass: 'YGate',
         qiskit: (qubit) => `qc.y(${qubit})`,
-        pennylane: (qubit) => `qml.PauliY(wires=${qubit})`
+        pennylane: (qubit) => `qml.PauliY(wires=${qubit})`,
+        qasm: (qubit) => `y ${qubit};`
     },
     Z: {
         name: 'Pauli-Z',
@@ -54,8 +60,10 @@ const GATES = {
             [1, 0],
             [0, -1]
         ],
+        qiskitClass: 'ZGate',
         qiskit: (qubit) => `qc.z(${qubit})`,
-        pennylane: (qubit) => `qml.PauliZ(wires=${qubit})`
+        pennylane: (qubit) => `qml.PauliZ(wires=${qubit})`,
+        qasm: (qubit) => `z ${qubit};`
     },
     S: {
         name: 'S Gate (Phase)',
@@ -67,8 +75,10 @@ const GATES = {
             [1, 0],
             [0, {re: 0, im: 1}]
         ],
+        qiskitClass: 'SGate',
         qiskit: (qubit) => `qc.s(${qubit})`,
-        pennylane: (qubit) => `qml.S(wires=${qubit})`
+        pennylane: (qubit) => `qml.S(wires=${qubit})`,
+        qasm: (qubit) => `s ${qubit};`
     },
     T: {
         name: 'T Gate',
@@ -80,8 +90,55 @@ const GATES = {
             [1, 0],
             [0, {re: Math.cos(Math.PI/4), im: Math.sin(Math.PI/4)}]
         ],
+        qiskitClass: 'TGate',
         qiskit: (qubit) => `qc.t(${qubit})`,
-        pennylane: (qubit) => `qml.T(wires=${qubit})`
+        pennylane: (qubit) => `qml.T(wires=${qubit})`,
+        qasm: (qubit) => `t ${qubit};`
+    },
+    SDG: {
+        name: 'S† Gate',
+        symbol: 'S†',
+        type: 'single',
+        color: '#06b6d4',
+        bgColor: 'rgba(6, 182, 212, 0.2)',
+        matrix: [
+            [1, 0],
+            [0, {re: 0, im: -1}]
+        ],
+        qiskitClass: 'SdgGate',
+        qiskit: (qubit) => `qc.sdg(${qubit})`,
+        pennylane: (qubit) => `qml.adjoint(qml.S)(wires=${qubit})`,
+        qasm: (qubit) => `sdg ${qubit};`
+    },
+    TDG: {
+        name: 'T† Gate',
+        symbol: 'T†',
+        type: 'single',
+        color: '#f97316',
+        bgColor: 'rgba(249, 115, 22, 0.2)',
+        matrix: [
+            [1, 0],
+            [0, {re: Math.cos(Math.PI/4), im: -Math.sin(Math.PI/4)}]
+        ],
+        qiskitClass: 'TdgGate',
+        qiskit: (qubit) => `qc.tdg(${qubit})`,
+        pennylane: (qubit) => `qml.adjoint(qml.T)(wires=${qubit})`,
+        qasm: (qubit) => `tdg ${qubit};`
+    },
+    SX: {
+        name: '√X Gate',
+        symbol: '√X',
+        type: 'single',
+        color: '#ef4444',
+        bgColor: 'rgba(239, 68, 68, 0.2)',
+        matrix: [
+            [{re: 0.5, im: 0.5}, {re: 0.5, im: -0.5}],
+            [{re: 0.5, im: -0.5}, {re: 0.5, im: 0.5}]
+        ],
+        qiskitClass: 'SXGate',
+        qiskit: (qubit) => `qc.sx(${qubit})`,
+        pennylane: (qubit) => `qml.SX(wires=${qubit})`,
+        qasm: (qubit) => `sx ${qubit};`
     },
     
     // Rotation gates (parametric)
@@ -95,8 +152,11 @@ const GATES = {
             [Math.cos(theta/2), {re: 0, im: -Math.sin(theta/2)}],
             [{re: 0, im: -Math.sin(theta/2)}, Math.cos(theta/2)]
         ],
+        params: ['theta'],
+        qiskitClass: 'RXGate',
         qiskit: (qubit, theta) => `qc.rx(${theta}, ${qubit})`,
-        pennylane: (qubit, theta) => `qml.RX(${theta}, wires=${qubit})`
+        pennylane: (qubit, theta) => `qml.RX(${theta}, wires=${qubit})`,
+        qasm: (qubit, theta) => `rx(${theta}) ${qubit};`
     },
     RY: {
         name: 'Rotation Y',
@@ -108,8 +168,11 @@ const GATES = {
             [Math.cos(theta/2), -Math.sin(theta/2)],
             [Math.sin(theta/2), Math.cos(theta/2)]
         ],
+        params: ['theta'],
+        qiskitClass: 'RYGate',
         qiskit: (qubit, theta) => `qc.ry(${theta}, ${qubit})`,
-        pennylane: (qubit, theta) => `qml.RY(${theta}, wires=${qubit})`
+        pennylane: (qubit, theta) => `qml.RY(${theta}, wires=${qubit})`,
+        qasm: (qubit, theta) => `ry(${theta}) ${qubit};`
     },
     RZ: {
         name: 'Rotation Z',
@@ -121,8 +184,44 @@ const GATES = {
             [{re: Math.cos(theta/2), im: -Math.sin(theta/2)}, 0],
             [0, {re: Math.cos(theta/2), im: Math.sin(theta/2)}]
         ],
+        params: ['theta'],
+        qiskitClass: 'RZGate',
         qiskit: (qubit, theta) => `qc.rz(${theta}, ${qubit})`,
-        pennylane: (qubit, theta) => `qml.RZ(${theta}, wires=${qubit})`
+        pennylane: (qubit, theta) => `qml.RZ(${theta}, wires=${qubit})`,
+        qasm: (qubit, theta) => `rz(${theta}) ${qubit};`
+    },
+    P: {
+        name: 'Phase',
+        symbol: 'P',
+        type: 'rotation',
+        color: '#06b6d4',
+        bgColor: 'rgba(6, 182, 212, 0.15)',
+        getMatrix: (theta) => [
+            [1, 0],
+            [0, {re: Math.cos(theta), im: Math.sin(theta)}]
+        ],
+        params: ['theta'],
+        qiskitClass: 'PhaseGate',
+        qiskit: (qubit, theta) => `qc.p(${theta}, ${qubit})`,
+        pennylane: (qubit, theta) => `qml.PhaseShift(${theta}, wires=${qubit})`,
+        qasm: (qubit, theta) => `u1(${theta}) ${qubit};`
+    },
+    U: {
+        name: 'Universal (U)',
+        symbol: 'U',
+        type: 'rotation',
+        color: '#a855f7',
+        bgColor: 'rgba(168, 85, 247, 0.15)',
+        params: ['theta', 'phi', 'lambda'],
+        getMatrix: (theta, phi = 0, lambda = 0) => [
+            [Math.cos(theta/2), {re: -Math.cos(lambda) * Math.sin(theta/2), im: -Math.sin(lambda) * Math.sin(theta/2)}],
+            [{re: Math.cos(phi) * Math.sin(theta/2), im: Math.sin(phi) * Math.sin(theta/2)},
+                {re: Math.cos(phi + lambda) * Math.cos(theta/2), im: Math.sin(phi + lambda) * Math.cos(theta/2)}]
+        ],
+        qiskitClass: 'UGate',
+        qiskit: (qubit, theta, phi, lambda) => `qc.u(${theta}, ${phi}, ${lambda}, ${qubit})`,
+        pennylane: (qubit, theta, phi, lambda) => `qml.U3(${theta}, ${phi}, ${lambda}, wires=${qubit})`,
+        qasm: (qubit, theta, phi, lambda) => `u3(${theta},${phi},${lambda}) ${qubit};`
     },
     
     // Multi-qubit gates
@@ -140,7 +239,8 @@ const GATES = {
             [0, 0, 1, 0]
         ],
         qiskit: (control, target) => `qc.cx(${control}, ${target})`,
-        pennylane: (control, target) => `qml.CNOT(wires=[${control}, ${target}])`
+        pennylane: (control, target) => `qml.CNOT(wires=[${control}, ${target}])`,
+        qasm: (control, target) => `cx ${control},${target};`
     },
     CZ: {
         name: 'Controlled-Z',
@@ -155,7 +255,8 @@ const GATES = {
             [0, 0, 0, -1]
         ],
         qiskit: (control, target) => `qc.cz(${control}, ${target})`,
-        pennylane: (control, target) => `qml.CZ(wires=[${control}, ${target}])`
+        pennylane: (control, target) => `qml.CZ(wires=[${control}, ${target}])`,
+        qasm: (control, target) => `cz ${control},${target};`
     },
     SWAP: {
         name: 'SWAP',
@@ -169,8 +270,142 @@ const GATES = {
             [0, 1, 0, 0],
             [0, 0, 0, 1]
         ],
+        qiskitClass: 'SwapGate',
         qiskit: (qubit1, qubit2) => `qc.swap(${qubit1}, ${qubit2})`,
-        pennylane: (qubit1, qubit2) => `qml.SWAP(wires=[${qubit1}, ${qubit2}])`
+        pennylane: (qubit1, qubit2) => `qml.SWAP(wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2) => `swap ${qubit1},${qubit2};`
+    },
+
+    // Two-qubit gates without a control; qubit is the first of the pair, targetQubit
+    // the second. stdgates.inc has none of them and qelib1.inc only those marked
+    // qelib1, so OpenQASM export defines the missing ones from qasmDefinition, a body
+    // on qubits a and b in terms of the gate's params.
+    RXX: {
+        name: 'XX rotation',
+        symbol: 'Rxx',
+        type: 'two-qubit',
+        color: '#3b82f6',
+        bgColor: 'rgba(59, 130, 246, 0.15)',
+        params: ['theta'],
+        getMatrix: (theta) => {
+            const c = Math.cos(theta/2);
+            const s = {re: 0, im: -Math.sin(theta/2)};
+            return [
+                [c, 0, 0, s],
+                [0, c, s, 0],
+                [0, s, c, 0],
+                [s, 0, 0, c]
+            ];
+        },
+        qiskitClass: 'RXXGate',
+        qiskit: (qubit1, qubit2, theta) => `qc.rxx(${theta}, ${qubit1}, ${qubit2})`,
+        pennylane: (qubit1, qubit2, theta) => `qml.IsingXX(${theta}, wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2, theta) => `rxx(${theta}) ${qubit1},${qubit2};`,
+        qasmDefinition: 'h a; h b; cx a,b; rz(theta) b; cx a,b; h a; h b;',
+        qelib1: true
+    },
+    RYY: {
+        name: 'YY rotation',
+        symbol: 'Ryy',
+        type: 'two-qubit',
+        color: '#10b981',
+        bgColor: 'rgba(16, 185, 129, 0.15)',
+        params: ['theta'],
+        getMatrix: (theta) => {
+            const c = Math.cos(theta/2);
+            const s = Math.sin(theta/2);
+            return [
+                [c, 0, 0, {re: 0, im: s}],
+                [0, c, {re: 0, im: -s}, 0],
+                [0, {re: 0, im: -s}, c, 0],
+                [{re: 0, im: s}, 0, 0, c]
+            ];
+        },
+        qiskitClass: 'RYYGate',
+        qiskit: (qubit1, qubit2, theta) => `qc.ryy(${theta}, ${qubit1}, ${qubit2})`,
+        pennylane: (qubit1, qubit2, theta) => `qml.IsingYY(${theta}, wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2, theta) => `ryy(${theta}) ${qubit1},${qubit2};`,
+        qasmDefinition: 'rx(pi/2) a; rx(pi/2) b; cx a,b; rz(theta) b; cx a,b; rx(-pi/2) a; rx(-pi/2) b;'
+    },
+    RZZ: {
+        name: 'ZZ rotation',
+        symbol: 'Rzz',
+        type: 'two-qubit',
+        color: '#8b5cf6',
+        bgColor: 'rgba(139, 92, 246, 0.15)',
+        params: ['theta'],
+        getMatrix: (theta) => {
+            const minus = {re: Math.cos(theta/2), im: -Math.sin(theta/2)};
+            const plus = {re: Math.cos(theta/2), im: Math.sin(theta/2)};
+            return [
+                [minus, 0, 0, 0],
+                [0, plus, 0, 0],
+                [0, 0, plus, 0],
+                [0, 0, 0, minus]
+            ];
+        },
+        qiskitClass: 'RZZGate',
+        qiskit: (qubit1, qubit2, theta) => `qc.rzz(${theta}, ${qubit1}, ${qubit2})`,
+        pennylane: (qubit1, qubit2, theta) => `qml.IsingZZ(${theta}, wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2, theta) => `rzz(${theta}) ${qubit1},${qubit2};`,
+        qasmDefinition: 'cx a,b; rz(theta) b; cx a,b;',
+        qelib1: true
+    },
+    ISWAP: {
+        name: 'iSWAP',
+        symbol: 'iSW',
+        type: 'two-qubit',
+        color: '#f59e0b',
+        bgColor: 'rgba(245, 158, 11, 0.2)',
+        matrix: [
+            [1, 0, 0, 0],
+            [0, 0, {re: 0, im: 1}, 0],
+            [0, {re: 0, im: 1}, 0, 0],
+            [0, 0, 0, 1]
+        ],
+        qiskitClass: 'iSwapGate',
+        qiskit: (qubit1, qubit2) => `qc.iswap(${qubit1}, ${qubit2})`,
+        pennylane: (qubit1, qubit2) => `qml.ISWAP(wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2) => `iswap ${qubit1},${qubit2};`,
+        qasmDefinition: 's a; s b; h a; cx a,b; cx b,a; h b;'
+    },
+    ECR: {
+        name: 'Echoed cross-resonance',
+        symbol: 'ECR',
+        type: 'two-qubit',
+        color: '#ec4899',
+        bgColor: 'rgba(236, 72, 153, 0.2)',
+        matrix: [
+            [0, 0, Math.SQRT1_2, {re: 0, im: Math.SQRT1_2}],
+            [0, 0, {re: 0, im: Math.SQRT1_2}, Math.SQRT1_2],
+            [Math.SQRT1_2, {re: 0, im: -Math.SQRT1_2}, 0, 0],
+            [{re: 0, im: -Math.SQRT1_2}, Math.SQRT1_2, 0, 0]
+        ],
+        qiskitClass: 'ECRGate',
+        qiskit: (qubit1, qubit2) => `qc.ecr(${qubit1}, ${qubit2})`,
+        pennylane: (qubit1, qubit2) => `qml.ECR(wires=[${qubit1}, ${qubit2}])`,
+        qasm: (qubit1, qubit2) => `ecr ${qubit1},${qubit2};`,
+        qasmDefinition: 'h b; cx a,b; rz(pi/4) b; cx a,b; h b; x a; h b; cx a,b; rz(-pi/4) b; cx a,b; h b;'
+    },
+
+    // Global phase e^{iθ} on the whole register. It acts on no qubit in code and
+    // sits on qubit 0 on the canvas.
+    GPHASE: {
+        name: 'Global phase',
+        symbol: 'Ph',
+        type: 'global',
+        color: '#94a3b8',
+        bgColor: 'rgba(148, 163, 184, 0.2)',
+        params: ['theta'],
+        getMatrix: (theta) => [
+            [{re: Math.cos(theta), im: Math.sin(theta)}, 0],
+            [0, {re: Math.cos(theta), im: Math.sin(theta)}]
+        ],
+        qiskitClass: 'GlobalPhaseGate',
+        qiskit: (theta) => `qc.append(GlobalPhaseGate(${theta}), [])`,
+        // PennyLane's GlobalPhase(φ) applies e^{-iφ}
+        pennylane: (theta) => `qml.GlobalPhase(${GateShape.negate(theta)})`,
+        qasm: (theta) => `gphase(${theta});`
     },
     
     // Measurement
@@ -180,17 +415,131 @@ const GATES = {
         type: 'measure',
         color: '#6b7280',
         bgColor: 'rgba(107, 114, 128, 0.2)',
-        qiskit: (qubit) => `qc.measure(${qubit}, ${qubit})`,
-        pennylane: (qubit) => `qml.measure(wires=${qubit})`
+        qiskit: (qubit, clbit) => `qc.measure(${qubit}, ${clbit})`,
+        pennylane: (qubit, clbit) => `${clbit} = qml.measure(wires=${qubit})`,
+        qasm: (qubit, clbit) => `measure ${qubit} -> ${clbit};`
+    },
+
+    // Instance of a user-defined gate (QuantumCircuit.customGates); its code and
+    // matrix come from the definition it names
+    CUSTOM: {
+        name: 'Custom gate',
+        symbol: 'U',
+        type: 'custom',
+        color: '#14b8a6',
+        bgColor: 'rgba(20, 184, 166, 0.2)'
+    },
+
+    // Gate given by its matrix, `matrix` on the op (rows of {re, im}): 2×2 on `qubit`,
+    // or 4×4 on `qubit` and `targetQubit` with `qubit` as the high bit of the index
+    UNITARY: {
+        name: 'Custom unitary',
+        symbol: 'Û',
+        type: 'unitary',
+        color: '#eab308',
+        bgColor: 'rgba(234, 179, 8, 0.2)'
+    }
+};
+
+// Controlled gates with names of their own. Any gate op but a measurement, CNOT, CZ,
+// a global phase, a custom gate or a custom unitary can carry `controls` (qubits, listed before its own) and `controlValues` (1 for
+// a closed control, 0 for an open one; left out when all are closed); each entry is
+// `base` under `controls` closed controls with its Qiskit method, PennyLane
+// operation and qelib1.inc/stdgates.inc name.
+const CONTROLLED_GATES = {
+    CX: { name: 'Controlled-NOT', base: 'X', controls: 1, qiskit: 'cx', pennylane: 'CNOT', qasm: 'cx' },
+    CY: { name: 'Controlled-Y', base: 'Y', controls: 1, qiskit: 'cy', pennylane: 'CY', qasm: 'cy' },
+    CZ: { name: 'Controlled-Z', base: 'Z', controls: 1, qiskit: 'cz', pennylane: 'CZ', qasm: 'cz' },
+    CH: { name: 'Controlled-Hadamard', base: 'H', controls: 1, qiskit: 'ch', pennylane: 'CH', qasm: 'ch' },
+    CCX: { name: 'Toffoli', base: 'X', controls: 2, qiskit: 'ccx', pennylane: 'Toffoli', qasm: 'ccx' },
+    CSWAP: { name: 'Fredkin (CSWAP)', base: 'SWAP', controls: 1, qiskit: 'cswap', pennylane: 'CSWAP', qasm: 'cswap' },
+    CRX: { name: 'Controlled RX', base: 'RX', controls: 1, qiskit: 'crx', pennylane: 'CRX', qasm: 'crx' },
+    CRY: { name: 'Controlled RY', base: 'RY', controls: 1, qiskit: 'cry', pennylane: 'CRY', qasm: 'cry' },
+    CRZ: { name: 'Controlled RZ', base: 'RZ', controls: 1, qiskit: 'crz', pennylane: 'CRZ', qasm: 'crz' },
+    CP: { name: 'Controlled phase', base: 'P', controls: 1, qiskit: 'cp', pennylane: 'ControlledPhaseShift', qasm: 'cu1', qasm3: 'cp' },
+    // Palette preset only; X under three or more controls is mcx / MultiControlledX
+    MCX: { name: 'Multi-controlled X', base: 'X', controls: 3 }
+};
+
+// Qubits and angles of the gates. Code templates take a gate's own qubits, then its
+// angles in `params` order: qiskit(qubit1, qubit2, theta), qasm(qubit, theta, phi, lambda).
+const GateShape = {
+    /** Qubits a gate acts on in code, not counting controls */
+    arity: (gateName) => {
+        const type = (GATES[gateName] || {}).type;
+        if (type === 'global') return 0;
+        return ['controlled', 'swap', 'two-qubit'].includes(type) ? 2 : 1;
+    },
+
+    /** Names of a gate's angle parameters, in code order */
+    params: (gateName) => (GATES[gateName] || {}).params || [],
+
+    /** A gate op's angles in code order; missing ones are 0 */
+    angles: (gateOp) => GateShape.params(gateOp.gate)
+        .map(name => (gateOp.params && gateOp.params[name] !== undefined ? gateOp.params[name] : 0)),
+
+    /** Code for minus an angle written as code */
+    negate: (code) => {
+        code = String(code);
+        if (/^-[\w.]+$/.test(code)) return code.slice(1);
+        return /^[\w.]+$/.test(code) ? `-${code}` : `-(${code})`;
+    }
+};
+
+// Helpers for gate ops with controls
+const Controls = {
+    /** Whether a gate's own qubits can take controls */
+    allowed: (gateName) => ['single', 'rotation', 'swap', 'two-qubit'].includes((GATES[gateName] || {}).type),
+
+    /** True when some control fires on |0⟩ */
+    hasOpen: (gateOp) => Boolean(gateOp.controlValues) && gateOp.controlValues.includes(0),
+
+    /** Control value (0 or 1) of the i-th control */
+    value: (gateOp, i) => (gateOp.controlValues ? gateOp.controlValues[i] : 1),
+
+    /** The CONTROLLED_GATES entry with code names for a gate under n controls */
+    named: (gateName, n) => Object.values(CONTROLLED_GATES)
+        .find(c => c.base === gateName && c.controls === n && c.qiskit) || null,
+
+    /**
+     * Canonical form of a gate op, in place: controlled CNOT and CZ become X and Z with
+     * one more control, X and Z under one closed control become CNOT and CZ, and
+     * empty control lists and all-closed control values are dropped
+     */
+    normalize: (gateOp) => {
+        if (gateOp.controls && gateOp.controls.length > 0 && ['CNOT', 'CZ'].includes(gateOp.gate)) {
+            gateOp.controlValues = [...gateOp.controls.map((q, i) => Controls.value(gateOp, i)), 1];
+            gateOp.controls = [...gateOp.controls, gateOp.qubit];
+            gateOp.gate = gateOp.gate === 'CNOT' ? 'X' : 'Z';
+            gateOp.qubit = gateOp.targetQubit;
+            delete gateOp.targetQubit;
+        }
+        if (!gateOp.controls || gateOp.controls.length === 0) {
+            delete gateOp.controls;
+            delete gateOp.controlValues;
+            return gateOp;
+        }
+        if (!Controls.hasOpen(gateOp)) delete gateOp.controlValues;
+
+        const legacy = { X: 'CNOT', Z: 'CZ' }[gateOp.gate];
+        if (legacy && gateOp.controls.length === 1 && !gateOp.controlValues) {
+            gateOp.targetQubit = gateOp.qubit;
+            gateOp.qubit = gateOp.controls[0];
+            gateOp.gate = legacy;
+            delete gateOp.controls;
+        }
+        return gateOp;
     }
 };
 
 // Gate categories for palette organization
 const GATE_CATEGORIES = {
-    single: ['H', 'X', 'Y', 'Z', 'S', 'T'],
-    rotation: ['RX', 'RY', 'RZ'],
-    controlled: ['CNOT', 'CZ'],
+    single: ['H', 'X', 'Y', 'Z', 'S', 'T', 'SDG', 'TDG', 'SX'],
+    rotation: ['RX', 'RY', 'RZ', 'P', 'U', 'GPHASE'],
+    controlled: ['CNOT', 'CZ', 'CCX', 'CSWAP', 'CRX', 'CRY', 'CRZ', 'CP', 'MCX'],
     swap: ['SWAP'],
+    'two-qubit': ['RXX', 'RYY', 'RZZ', 'ISWAP', 'ECR'],
+    unitary: ['UNITARY'],
     measure: ['M']
 };
 
@@ -209,6 +558,12 @@ const Complex = {
         return { re: a.re + b.re, im: a.im + b.im };
     },
     
+    subtract: (a, b) => {
+        a = Complex.fromNumber(a);
+        b = Complex.fromNumber(b);
+        return { re: a.re - b.re, im: a.im - b.im };
+    },
+
     multiply: (a, b) => {
         a = Complex.fromNumber(a);
         b = Complex.fromNumber(b);
@@ -217,6 +572,48 @@ const Complex = {
             im: a.re * b.im + a.im * b.re
         };
     },
+
+    divide: (a, b) => {
+        a = Complex.fromNumber(a);
+        b = Complex.fromNumber(b);
+        const d = b.re * b.re + b.im * b.im;
+        return {
+            re: (a.re * b.re + a.im * b.im) / d,
+            im: (a.im * b.re - a.re * b.im) / d
+        };
+    },
+
+    exp: (c) => {
+        c = Complex.fromNumber(c);
+        const r = Math.exp(c.re);
+        return { re: r * Math.cos(c.im), im: r * Math.sin(c.im) };
+    },
+
+    /** Principal logarithm */
+    log: (c) => ({ re: Math.log(Complex.magnitude(c)), im: Complex.phase(c) }),
+
+    /** Principal square root */
+    sqrt: (c) => {
+        c = Complex.fromNumber(c);
+        const r = Complex.magnitude(c);
+        return {
+            re: Math.sqrt((r + c.re) / 2),
+            im: (c.im < 0 ? -1 : 1) * Math.sqrt(Math.max(0, (r - c.re) / 2))
+        };
+    },
+
+    /** a^b; integer powers multiply out, so real bases stay real */
+    pow: (a, b) => {
+        a = Complex.fromNumber(a);
+        b = Complex.fromNumber(b);
+        if (b.im === 0 && Number.isInteger(b.re) && Math.abs(b.re) <= 64) {
+            let result = { re: 1, im: 0 };
+            for (let k = 0; k < Math.abs(b.re); k++) result = Complex.multiply(result, a);
+            return b.re < 0 ? Complex.divide(1, result) : result;
+        }
+        if (a.re === 0 && a.im === 0) return { re: 0, im: 0 };
+        return Complex.exp(Complex.multiply(b, Complex.log(a)));
+    },
     
     magnitude: (c) => {
         c = Complex.fromNumber(c);
@@ -244,7 +641,182 @@ const Complex = {
     }
 };
 
+// Matrices of custom unitary gates: entry expressions, the unitarity check and code literals
+const Unitary = {
+    // Largest |U†U - I| entry a matrix may have
+    TOLERANCE: 1e-6,
+
+    /** Qubits a matrix acts on: 1 for 2×2, 2 for 4×4, 0 for any other size */
+    numQubits: (matrix) => ({ 2: 1, 4: 2 })[matrix.length] || 0,
+
+    /**
+     * Evaluate a matrix entry such as '1/sqrt(2)', 'e^(i*pi/4)' or '0.5 - 0.5i' to
+     * {re, im}: numbers, i (or j), pi, e, + - * / ^, parentheses and sqrt/exp/ln/sin/cos;
+     * a factor written right after another multiplies it. Throws on anything else.
+     */
+    evaluate: (text) => {
+        const tokens = text.match(/\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_]\w*|\S/g) || [];
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const expect = (token) => {
+            if (tokens[pos] !== token) {
+                throw new Error(`expected '${token}' in '${text}'`);
+            }
+            pos++;
+        };
+
+        const constants = {
+            i: { re: 0, im: 1 }, j: { re: 0, im: 1 },
+            pi: { re: Math.PI, im: 0 }, e: { re: Math.E, im: 0 }
+        };
+        const functions = {
+            sqrt: Complex.sqrt, exp: Complex.exp, ln: Complex.log,
+            // sin z = (e^iz - e^-iz) / 2i, cos z = (e^iz + e^-iz) / 2
+            sin: (z) => {
+                const iz = Complex.multiply(constants.i, z);
+                return Complex.divide(Complex.subtract(Complex.exp(iz), Complex.exp(Complex.subtract(0, iz))), { re: 0, im: 2 });
+            },
+            cos: (z) => {
+                const iz = Complex.multiply(constants.i, z);
+                return Complex.divide(Complex.add(Complex.exp(iz), Complex.exp(Complex.subtract(0, iz))), 2);
+            }
+        };
+
+        const primary = () => {
+            const token = tokens[pos++];
+            if (token === undefined) {
+                throw new Error(`unexpected end of '${text}'`);
+            }
+            if (token === '(') {
+                const value = expression();
+                expect(')');
+                return value;
+            }
+            if (/^[\d.]/.test(token)) return { re: parseFloat(token), im: 0 };
+            if (constants[token]) return constants[token];
+            if (functions[token]) {
+                expect('(');
+                const value = expression();
+                expect(')');
+                return functions[token](value);
+            }
+            throw new Error(`unexpected '${token}' in '${text}'`);
+        };
+
+        const unary = () => {
+            if (peek() === '-') { pos++; return Complex.subtract(0, unary()); }
+            if (peek() === '+') { pos++; return unary(); }
+            const base = primary();
+            if (peek() === '^') { pos++; return Complex.pow(base, unary()); }
+            return base;
+        };
+
+        const term = () => {
+            let value = unary();
+            while (peek() !== undefined && /^[*/\w.(]/.test(peek())) {
+                const op = peek() === '*' || peek() === '/' ? tokens[pos++] : '*';
+                value = op === '*' ? Complex.multiply(value, unary()) : Complex.divide(value, unary());
+            }
+            return value;
+        };
+
+        const expression = () => {
+            let value = term();
+            while (peek() === '+' || peek() === '-') {
+                value = tokens[pos++] === '+' ? Complex.add(value, term()) : Complex.subtract(value, term());
+            }
+            return value;
+        };
+
+        if (tokens.length === 0) {
+            throw new Error('empty entry');
+        }
+        const value = expression();
+        if (pos < tokens.length) {
+            throw new Error(`unexpected '${tokens[pos]}' in '${text}'`);
+        }
+        if (!Number.isFinite(value.re) || !Number.isFinite(value.im)) {
+            throw new Error(`'${text}' is not a finite number`);
+        }
+        return value;
+    },
+
+    /** Largest entry of |U†U - I|; 0 for an exact unitary */
+    deviation: (matrix) => {
+        let worst = 0;
+        matrix.forEach((_, j) => matrix.forEach((__, k) => {
+            let sum = { re: j === k ? -1 : 0, im: 0 };
+            matrix.forEach(row => { sum = Complex.add(sum, Complex.multiply(Complex.conjugate(row[j]), row[k])); });
+            worst = Math.max(worst, Complex.magnitude(sum));
+        }));
+        return worst;
+    },
+
+    /** Throw unless the matrix is a 2×2 or 4×4 unitary */
+    validate: (matrix) => {
+        if (!Unitary.numQubits(matrix) || matrix.some(row => row.length !== matrix.length)) {
+            throw new Error('A custom unitary is a 2×2 or 4×4 matrix');
+        }
+        const deviation = Unitary.deviation(matrix);
+        if (deviation > Unitary.TOLERANCE) {
+            throw new Error(`The matrix is not unitary: U†U differs from I by up to ${deviation.toPrecision(2)}`);
+        }
+    },
+
+    /**
+     * The same gate with its two qubits listed the other way round. Qiskit indexes a
+     * unitary's rows with its first qubit as the low bit, so code export and import
+     * reverse 4×4 matrices; 2×2 ones are unchanged.
+     */
+    reverseQubits: (matrix) => {
+        if (matrix.length !== 4) return matrix;
+        const order = [0, 2, 1, 3];
+        return order.map(r => order.map(c => matrix[r][c]));
+    },
+
+    /** Conjugate transpose, the inverse of a unitary */
+    dagger: (matrix) => matrix.map((row, r) => row.map((_, c) => Complex.conjugate(matrix[c][r]))),
+
+    /** Real number for an entry, 12 significant digits and no rounding noise */
+    _number: (x) => (Math.abs(x) < 1e-12 ? 0 : Number(x.toPrecision(12))),
+
+    /** Entry as editor text: '0.5', '-0.5i', '0.5 + 0.5i'; 1/√2 is written 1/sqrt(2) */
+    formatEntry: (c) => {
+        c = Complex.fromNumber(c);
+        const part = (x) => (Math.abs(Math.abs(x) - Math.SQRT1_2) < 1e-12
+            ? `${x < 0 ? '-' : ''}1/sqrt(2)`
+            : String(Unitary._number(x)));
+        const re = Unitary._number(c.re);
+        const im = Unitary._number(c.im);
+        const imText = (x) => {
+            if (Math.abs(x) === 1) return x < 0 ? '-i' : 'i';
+            return /sqrt/.test(part(x)) ? `${part(x)}*i` : `${part(x)}i`;
+        };
+        if (im === 0) return part(re);
+        if (re === 0) return imText(im);
+        return `${part(re)} ${im < 0 ? '-' : '+'} ${imText(Math.abs(im))}`;
+    },
+
+    /** Entry as a Python number: 0.5, 0.5j, (0.5+0.5j) */
+    pythonEntry: (c) => {
+        c = Complex.fromNumber(c);
+        const re = Unitary._number(c.re);
+        const im = Unitary._number(c.im);
+        if (im === 0) return String(re);
+        if (re === 0) return `${im}j`;
+        return `(${re}${im < 0 ? '-' : '+'}${Math.abs(im)}j)`;
+    },
+
+    /** Matrix as a nested Python list */
+    toPython: (matrix) => `[${matrix.map(row => `[${row.map(Unitary.pythonEntry).join(', ')}]`).join(', ')}]`
+};
+
 // Export for use in other modules
 window.GATES = GATES;
+window.CONTROLLED_GATES = CONTROLLED_GATES;
+window.GateShape = GateShape;
+window.Controls = Controls;
 window.GATE_CATEGORIES = GATE_CATEGORIES;
 window.Complex = Complex;
+window.Unitary = Unitary;
@@ -0,0 +1,189 @@
+/**
+ * Noise Model
+ * Helpers for a circuit's noise model and its Qiskit Aer / PennyLane export
+ *
+ * The model is plain JSON so it is saved with QuantumCircuit.toJSON():
+ *   {
+ *     gates:    { H: [{ type: 'depolarizing', p: 0.01 }], CNOT: [...] },
+ *     qubits:   { 0: { t1: 50, t2: 70, readout: 0.02 } },
+ *     gateTime: 50
+ *   }
+ * Gate channels act on every qubit a gate touches, followed by thermal relaxation
+ * for that qubit over one gate duration. T1/T2 are in µs, gateTime in ns.
+ */
+
+const NoiseModel = {
+    // Gate channels, in the order offered by the editor
+    CHANNELS: {
+        depolarizing: 'Depolarizing',
+        amplitude_damping: 'Amplitude damping',
+        phase_damping: 'Phase damping',
+        bit_flip: 'Bit flip',
+        phase_flip: 'Phase flip'
+    },
+
+    DEFAULT_GATE_TIME: 50,
+
+    create: () => ({ gates: {}, qubits: {}, gateTime: NoiseModel.DEFAULT_GATE_TIME }),
+
+    /**
+     * True when a model has no channel, relaxation or readout error with non-zero strength
+     */
+    isEmpty: (model) => {
+        if (!model) return true;
+        const gateErrors = Object.values(model.gates || {}).some(list => list.some(ch => ch.p > 0));
+        const qubitErrors = Object.values(model.qubits || {}).some(q => q.t1 > 0 || q.t2 > 0 || q.readout > 0);
+        return !gateErrors && !qubitErrors;
+    },
+
+    readoutError: (model, qubit) => {
+        const q = model && model.qubits && model.qubits[qubit];
+        return (q && q.readout) || 0;
+    },
+
+    /**
+     * Amplitude-damping γ and phase-damping λ that reproduce T1/T2 over one gate time.
+     * 1/T2 = 1/(2·T1) + 1/Tφ; pure dephasing beyond the T1 limit goes to λ.
+     */
+    thermalRates: (model, qubit) => {
+        const q = model && model.qubits && model.qubits[qubit];
+        if (!q || !(q.t1 > 0 || q.t2 > 0)) return null;
+
+        const t = (model.gateTime || NoiseModel.DEFAULT_GATE_TIME) / 1000; // ns -> µs
+        const gamma = q.t1 > 0 ? 1 - Math.exp(-t / q.t1) : 0;
+        const dephasingRate = q.t2 > 0 ? 1 / q.t2 - (q.t1 > 0 ? 1 / (2 * q.t1) : 0) : 0;
+        const lambda = dephasingRate > 0 ? 1 - Math.exp(-2 * t * dephasingRate) : 0;
+
+        return { gamma, lambda };
+    },
+
+    /**
+     * Channels [{ type, p }] applied to one qubit after a gate of the given type;
+     * measurements and global phases have none
+     */
+    channelsFor: (model, gateName, qubit) => {
+        if (!model || gateName === 'M' || gateName === 'GPHASE') return [];
+
+        const channels = ((model.gates && model.gates[gateName]) || []).filter(ch => ch.p > 0);
+        const thermal = NoiseModel.thermalRates(model, qubit);
+        if (thermal) {
+            if (thermal.gamma > 0) channels.push({ type: 'amplitude_damping', p: thermal.gamma });
+            if (thermal.lambda > 0) channels.push({ type: 'phase_damping', p: thermal.lambda });
+        }
+        return channels;
+    },
+
+    /**
+     * Compact number literal for generated code
+     */
+    format: (x) => String(Number(x.toPrecision(6))),
+
+    /**
+     * Qiskit Aer error constructor for one gate channel
+     */
+    _qiskitChannel: (channel) => {
+        const p = NoiseModel.format(channel.p);
+        switch (channel.type) {
+            // Aer's depolarizing λ mixes with I/2, i.e. Pauli error probability 3λ/4
+            case 'depolarizing': return `depolarizing_error(${NoiseModel.format(4 * channel.p / 3)}, 1)`;
+            case 'amplitude_damping': return `amplitude_damping_error(${p})`;
+            case 'phase_damping': return `phase_damping_error(${p})`;
+            case 'bit_flip': return `pauli_error([('X', ${p}), ('I', ${NoiseModel.format(1 - channel.p)})])`;
+            case 'phase_flip': return `pauli_error([('Z', ${p}), ('I', ${NoiseModel.format(1 - channel.p)})])`;
+            default: return null;
+        }
+    },
+
+    /**
+     * Lines building `noise_model` for the gates used in a circuit
+     */
+    toQiskitLines: (model, circuit) => {
+        const lines = ['# Noise model', 'noise_model = NoiseModel()'];
+        const format = NoiseModel.format;
+        const gateTime = model.gateTime || NoiseModel.DEFAULT_GATE_TIME;
+
+        // One error variable per gate type with channels
+        const gateVars = {};
+        for (const [gateName, channels] of Object.entries(model.gates || {})) {
+            const exprs = channels.filter(ch => ch.p > 0).map(NoiseModel._qiskitChannel).filter(Boolean);
+            if (!GATES[gateName] || exprs.length === 0) continue;
+
+            gateVars[gateName] = `${gateName.toLowerCase()}_error`;
+            lines.push(`${gateVars[gateName]} = ${exprs.join('.compose(')}${')'.repeat(exprs.length - 1)}`);
+        }
+
+        // One relaxation variable per qubit with T1/T2
+        const relaxVars = {};
+        for (let q = 0; q < circuit.numQubits; q++) {
+            const qubitNoise = model.qubits && model.qubits[q];
+            if (!NoiseModel.thermalRates(model, q)) continue;
+
+            // Aer requires T2 <= 2·T1; a missing T1 means no amplitude damping
+            const t1 = qubitNoise.t1 > 0 ? qubitNoise.t1 * 1000 : Infinity;
+            const t2 = qubitNoise.t2 > 0 ? Math.min(qubitNoise.t2 * 1000, 2 * t1) : 2 * t1;
+            relaxVars[q] = `relax_${q}`;
+            lines.push(`relax_${q} = thermal_relaxation_error(${t1 === Infinity ? "float('inf')" : format(t1)}, ` +
+                `${t2 === Infinity ? "float('inf')" : format(t2)}, ${format(gateTime)})`);
+        }
+
+        const qubitError = (gateName, q) => {
+            const parts = [gateVars[gateName], relaxVars[q]].filter(Boolean);
+            if (parts.length === 0) return null;
+            return parts.length === 1 ? parts[0] : `${parts[0]}.compose(${parts[1]})`;
+        };
+
+        // Attach errors to each gate/qubit combination the circuit uses
+        const seen = new Set();
+        for (const gateOp of circuit.decomposedGates()) {
+            const gateDef = GATES[gateOp.gate];
+            if (!gateDef || gateDef.type === 'measure' || gateDef.type === 'global' || gateOp.controls) continue;
+
+            const qubits = gateOp.targetQubit !== undefined && gateOp.targetQubit !== null
+                ? [gateOp.qubit, gateOp.targetQubit]
+                : [gateOp.qubit];
+            const key = `${gateOp.gate}:${qubits.join(',')}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const errors = qubits.map(q => qubitError(gateOp.gate, q));
+            if (errors.every(e => !e)) continue;
+
+            // Two-qubit gates need an error on both qubits; expand() puts the second on qargs[1]
+            const expr = errors.length === 1
+                ? errors[0]
+                : `${errors[0] || "pauli_error([('I', 1)])"}.expand(${errors[1] || "pauli_error([('I', 1)])"})`;
+            const instruction = gateDef.type === 'unitary' ? 'unitary' : gateDef.qiskit(0, 1).match(/qc\.(\w+)/)[1];
+            lines.push(`noise_model.add_quantum_error(${expr}, ['${instruction}'], [${qubits.join(', ')}])`);
+        }
+
+        for (let q = 0; q < circuit.numQubits; q++) {
+            const e = NoiseModel.readoutError(model, q);
+            if (e > 0) {
+                const keep = format(1 - e);
+                lines.push(`noise_model.add_readout_error(ReadoutError([[${keep}, ${format(e)}], [${format(e)}, ${keep}]]), [${q}])`);
+            }
+        }
+
+        return lines;
+    },
+
+    /**
+     * PennyLane channel ops applied to one wire after a gate
+     */
+    toPennyLaneOps: (model, gateName, qubit) => {
+        const names = {
+            depolarizing: 'DepolarizingChannel',
+            amplitude_damping: 'AmplitudeDamping',
+            phase_damping: 'PhaseDamping',
+            bit_flip: 'BitFlip',
+            phase_flip: 'PhaseFlip'
+        };
+
+        return NoiseModel.channelsFor(model, gateName, qubit)
+            .filter(ch => names[ch.type])
+            .map(ch => `qml.${names[ch.type]}(${NoiseModel.format(ch.p)}, wires=${qubit})`);
+    }
+};
+
+// Export
+window.NoiseModel = NoiseModel;
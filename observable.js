@@ -0,0 +1,210 @@
+/**
+ * Observables
+ * Weighted sums of Pauli products, their exact expectation values and their
+ * Qiskit SparsePauliOp / PennyLane export
+ *
+ * An observable is plain JSON so it is saved with QuantumCircuit.toJSON(): a list
+ * of terms in the shape of SparsePauliOp.from_sparse_list,
+ *   [{ coeff: 0.5, paulis: 'ZZ', qubits: [0, 1] }, { coeff: 1, paulis: 'X', qubits: [2] }]
+ * for 0.5*Z0Z1 + X2. Qubits are ascending; an identity term has no qubits.
+ */
+
+const Observable = {
+    /**
+     * Read an observable typed by the user: terms such as 0.5*Z0Z1, -X2 or Y0*Y1
+     * joined by + and -, or a Pauli string with one letter per qubit (qubit 0 first)
+     * such as ZZI. Throws with a message on malformed input.
+     */
+    parse: (text, numQubits) => {
+        const source = text.trim();
+        if (!source) throw new Error('Enter an observable such as 0.5*Z0Z1 + X2');
+
+        const terms = [];
+        let i = 0;
+        const skipSpace = () => {
+            while (i < source.length && /\s/.test(source[i])) i++;
+        };
+        const fail = (message) => {
+            throw new Error(`${message} at column ${i + 1} of '${source}'`);
+        };
+
+        while (i < source.length) {
+            let sign = 1;
+            if (source[i] === '+' || source[i] === '-') {
+                sign = source[i] === '-' ? -1 : 1;
+                i++;
+                skipSpace();
+            } else if (terms.length > 0) {
+                fail('Expected + or -');
+            }
+
+            let coeff = 1;
+            const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+            if (number) {
+                coeff = parseFloat(number[0]);
+                i += number[0].length;
+                skipSpace();
+                if (source[i] === '*') {
+                    i++;
+                    skipSpace();
+                }
+            }
+
+            // Factors: Z0, X12 or a dense string such as ZZI, joined by nothing, * or @
+            const ops = new Map();
+            let factors = 0;
+            for (;;) {
+                const indexed = /^([IXYZ])(\d+)/.exec(source.slice(i));
+                const dense = indexed ? null : /^[IXYZ]+(?![\w])/.exec(source.slice(i));
+                if (!indexed && !dense) break;
+
+                const pairs = indexed
+                    ? [[indexed[1], parseInt(indexed[2])]]
+                    : [...dense[0]].map((pauli, q) => [pauli, q]);
+                if (dense && !/^I+$/.test(dense[0]) && dense[0].length !== numQubits) {
+                    fail(`'${dense[0]}' needs one letter per qubit (${numQubits})`);
+                }
+                for (const [pauli, qubit] of pairs) {
+                    if (qubit >= numQubits) fail(`Qubit ${qubit} is out of range (the circuit has ${numQubits})`);
+                    if (pauli === 'I') continue;
+                    if (ops.has(qubit)) fail(`Qubit ${qubit} appears twice in one term`);
+                    ops.set(qubit, pauli);
+                }
+                i += (indexed || dense)[0].length;
+                factors++;
+                if (/^[IXYZ]/.test(source.slice(i))) continue;
+                skipSpace();
+
+                // A * or @ between factors, but not the + or - of the next term
+                const joined = /^[*@]\s*[IXYZ]/.exec(source.slice(i));
+                if (!joined) break;
+                i++;
+                skipSpace();
+            }
+            if (factors === 0 && !number) fail('Expected a Pauli string such as Z0Z1');
+
+            terms.push(Observable.term(sign * coeff, ops));
+        }
+        return terms;
+    },
+
+    /**
+     * A term from its coefficient and a Map or object of qubit -> 'X' | 'Y' | 'Z'
+     */
+    term: (coeff, ops) => {
+        const entries = (ops instanceof Map ? [...ops] : Object.entries(ops).map(([q, p]) => [Number(q), p]))
+            .filter(([, pauli]) => pauli !== 'I')
+            .sort((a, b) => a[0] - b[0]);
+        return { coeff, paulis: entries.map(([, pauli]) => pauli).join(''), qubits: entries.map(([q]) => q) };
+    },
+
+    /**
+     * Qubits an observable acts on, ascending
+     */
+    qubits: (terms) => [...new Set(terms.flatMap(t => t.qubits))].sort((a, b) => a - b),
+
+    /**
+     * Sum, difference and multiple of observables, as used by code such as
+     * 0.5 * qml.PauliZ(0) @ qml.PauliZ(1) + qml.PauliX(2)
+     */
+    add: (a, b) => [...a, ...b],
+
+    scale: (terms, factor) => terms.map(t => ({ ...t, coeff: t.coeff * factor })),
+
+    /**
+     * Tensor product of two observables; their terms must act on different qubits,
+     * since products of Paulis on one qubit can have complex phases
+     */
+    multiply: (a, b) => {
+        const terms = [];
+        for (const x of a) {
+            for (const y of b) {
+                const ops = new Map(x.qubits.map((q, k) => [q, x.paulis[k]]));
+                for (const [k, q] of y.qubits.entries()) {
+                    if (ops.has(q)) throw new Error(`Products of Paulis on the same qubit (${q}) are not supported`);
+                    ops.set(q, y.paulis[k]);
+                }
+                terms.push(Observable.term(x.coeff * y.coeff, ops));
+            }
+        }
+        return terms;
+    },
+
+    /**
+     * Canonical text, e.g. '0.5*Z0Z1 + X2'
+     */
+    format: (terms) => {
+        if (terms.length === 0) return '0';
+        return terms.map((t, k) => {
+            const label = t.qubits.length > 0 ? t.qubits.map((q, j) => `${t.paulis[j]}${q}`).join('') : 'I';
+            const magnitude = Math.abs(t.coeff);
+            const body = magnitude === 1 ? label : `${Observable.formatNumber(magnitude)}*${label}`;
+            if (k === 0) return t.coeff < 0 ? `-${body}` : body;
+            return `${t.coeff < 0 ? '-' : '+'} ${body}`;
+        }).join(' ');
+    },
+
+    /**
+     * Compact number literal for text and generated code
+     */
+    formatNumber: (x) => String(Number(x.toPrecision(12))),
+
+    /**
+     * Bit masks of a term over basis indices with qubit 0 as the high bit: P|i⟩ =
+     * i^ys · (-1)^popcount(i & sign) |i ^ flip⟩
+     */
+    masks: (term, numQubits) => {
+        let flip = 0;
+        let sign = 0;
+        let ys = 0;
+        term.qubits.forEach((q, k) => {
+            const bit = 1 << (numQubits - 1 - q);
+            const pauli = term.paulis[k];
+            if (pauli === 'X' || pauli === 'Y') flip |= bit;
+            if (pauli === 'Z' || pauli === 'Y') sign |= bit;
+            if (pauli === 'Y') ys++;
+        });
+        return { flip, sign, ys };
+    },
+
+    /**
+     * Real part of i^ys · (re + i·im), the value of one term once its sum over
+     * basis states is known
+     */
+    rotate: (ys, re, im) => [re, -im, -re, im][ys % 4],
+
+    parity: (x) => {
+        let odd = 0;
+        for (; x; x &= x - 1) odd ^= 1;
+        return odd;
+    },
+
+    /**
+     * SparsePauliOp.from_sparse_list(...) for Qiskit
+     */
+    toQiskit: (terms, numQubits) => {
+        const entries = terms.map(t =>
+            `("${t.paulis}", [${t.qubits.join(', ')}], ${Observable.formatNumber(t.coeff)})`);
+        return `SparsePauliOp.from_sparse_list([${entries.join(', ')}], num_qubits=${numQubits})`;
+    },
+
+    /**
+     * PennyLane operator arithmetic, e.g. 0.5 * qml.PauliZ(0) @ qml.PauliZ(1) + qml.PauliX(2)
+     */
+    toPennyLane: (terms) => {
+        const names = { X: 'qml.PauliX', Y: 'qml.PauliY', Z: 'qml.PauliZ' };
+        if (terms.length === 0) return '0 * qml.Identity(0)';
+        return terms.map((t, k) => {
+            const product = t.qubits.length > 0
+                ? t.qubits.map((q, j) => `${names[t.paulis[j]]}(${q})`).join(' @ ')
+                : 'qml.Identity(0)';
+            const magnitude = Math.abs(t.coeff);
+            const body = magnitude === 1 ? product : `${Observable.formatNumber(magnitude)} * ${product}`;
+            if (k === 0) return t.coeff < 0 ? `-${body}` : body;
+            return `${t.coeff < 0 ? '-' : '+'} ${body}`;
+        }).join(' ');
+    }
+};
+
+// Export
+window.Observable = Observable;
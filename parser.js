@@ -1,11 +1,50 @@
 /**
  * Code Parser
  * Bidirectional translation between code and circuit representation
+ *
+ * Code is parsed with PythonParser and then interpreted: assignments, loops, if
+ * statements, arithmetic, list literals, keyword arguments and helper functions are
+ * evaluated, and every gate call on a QuantumCircuit (Qiskit) or qml operation inside
+ * a QNode (PennyLane) becomes a gate. Values that are not modelled (simulators,
+ * results, noise models, ...) pass through as opaque. Anything the interpreter cannot
+ * follow is reported in `errors` as { line, column, endLine, endColumn, severity, message },
+ * where severity is 'error' (the statement was skipped) or 'warning' (it was applied
+ * with a fallback, such as an angle of 0).
  */
 
 class CodeParser {
     constructor() {
         this.framework = 'qiskit'; // 'qiskit' or 'pennylane'
+        this.lines = [];
+
+        // Method/operation name -> GATES key, taken from the gates' own code templates.
+        // The global phase is a library gate (GlobalPhaseGate) in Qiskit, and S† and T†
+        // are qml.adjoint of S and T in PennyLane.
+        this.qiskitGates = {};
+        this.pennylaneGates = {};
+        for (const [key, def] of Object.entries(GATES)) {
+            if (def.type === 'measure' || def.type === 'custom' || def.type === 'unitary') continue;
+            if (def.type !== 'global') this.qiskitGates[def.qiskit(0, 1).match(/qc\.(\w+)/)[1]] = key;
+            const operation = def.pennylane(0, 1);
+            if (!operation.startsWith('qml.adjoint(')) this.pennylaneGates[operation.match(/qml\.(\w+)/)[1]] = key;
+        }
+
+        // Controlled gates with names of their own -> { gate, controls }, where null
+        // controls take every wire but the gate's own (mcx, MultiControlledX)
+        this.qiskitControlled = { mcx: { gate: 'X', controls: null }, mcp: { gate: 'P', controls: null } };
+        this.pennylaneControlled = { MultiControlledX: { gate: 'X', controls: null } };
+        for (const entry of Object.values(CONTROLLED_GATES)) {
+            if (!entry.qiskit) continue;
+            const control = { gate: entry.base, controls: entry.controls };
+            if (!this.qiskitGates[entry.qiskit]) this.qiskitControlled[entry.qiskit] = control;
+            if (!this.pennylaneGates[entry.pennylane]) this.pennylaneControlled[entry.pennylane] = control;
+        }
+
+        // qiskit.circuit.library gate classes -> { gate, controls }
+        this.qiskitLibrary = { CXGate: { gate: 'X', controls: 1 }, CZGate: { gate: 'Z', controls: 1 } };
+        for (const [key, def] of Object.entries(GATES)) {
+            if (def.qiskitClass) this.qiskitLibrary[def.qiskitClass] = { gate: key, controls: 0 };
+        }
     }
 
     setFramework(framework) {
@@ -29,315 +68,3178 @@ class CodeParser {
     parseQiskitCode(code) {
         const result = {
             numQubits: 3,
+            classicalRegisters: [{ name: 'c', size: 3 }],
             gates: [],
+            customGates: {},
+            parameters: {},
+            observables: [],
             errors: []
         };
 
-        const lines = code.split('\n');
-        let position = 0;
-        const qubitPositions = {}; // Track position per qubit
+        const state = this._interpret(code, result);
+        if (state) {
+            result.sourceMap = this._buildSourceMap(state);
+        }
+        return result;
+    }
 
-        for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-            const line = lines[lineNum].trim();
+    /**
+     * Parse PennyLane code
+     */
+    parsePennyLaneCode(code) {
+        const result = {
+            numQubits: 3,
+            classicalRegisters: [],
+            gates: [],
+            customGates: {},
+            parameters: {},
+            observables: [],
+            errors: []
+        };
 
-            // Parse QuantumCircuit initialization
-            const qcMatch = line.match(/QuantumCircuit\s*\(\s*(\d+)/);
-            if (qcMatch) {
-                result.numQubits = parseInt(qcMatch[1]);
-                for (let i = 0; i < result.numQubits; i++) {
-                    qubitPositions[i] = 0;
-                }
-                continue;
-            }
+        const state = this._interpret(code, result);
+        this._assignPennyLaneClbits(result, state ? state.measurements : []);
+        if (state) {
+            this._resolvePennyLaneConditions(state);
+            result.sourceMap = this._buildSourceMap(state);
+        }
+        return result;
+    }
 
-            // Parse gate operations
-            // Single-qubit gates: qc.h(0), qc.x(1), etc.
-            const singleGateMatch = line.match(/qc\.([hxyzst])\s*\(\s*(\d+)\s*\)/i);
-            if (singleGateMatch) {
-                const gateName = singleGateMatch[1].toUpperCase();
-                const qubit = parseInt(singleGateMatch[2]);
-                const pos = qubitPositions[qubit] || 0;
+    /**
+     * Run code through the interpreter, filling `result`. Returns the interpreter
+     * state, or null with `result.syntaxError` set when the code does not parse.
+     */
+    _interpret(code, result) {
+        this.lines = code.split('\n');
 
-                result.gates.push({
-                    gate: gateName,
-                    qubit,
-                    position: pos,
-                    params: {}
-                });
+        let program;
+        try {
+            program = new PythonParser().parse(code);
+        } catch (e) {
+            result.syntaxError = true;
+            result.errors.push({
+                line: e.line || 1,
+                column: e.column || 0,
+                endLine: e.line || 1,
+                endColumn: (e.column || 0) + 1,
+                severity: 'error',
+                message: `SyntaxError: ${e.message}`
+            });
+            return null;
+        }
 
-                qubitPositions[qubit] = pos + 1;
-                continue;
+        const state = {
+            result,
+            globals: { vars: new Map(), parent: null },
+            circuit: null,          // The Qiskit circuit shown in the editor (the first one built)
+            device: null,           // The PennyLane device that sets the qubit count
+            qubitPositions: [],
+            clbitPositions: [],
+            condition: null,        // Condition of the enclosing `with qc.if_test(...)`
+            inQNode: false,
+            observableDepth: 0,     // > 0 while evaluating qml.expval(...) and friends
+            measurements: [],       // PennyLane mid-circuit measurements
+            conditioned: [],        // PennyLane qml.cond gates, resolved once clbits are known
+            inCondition: false,     // Evaluating the condition of a qml.cond
+            deferGate: false,       // Evaluating the operation of a qml.ctrl or qml.adjoint, which applies it
+            steps: 0,
+            callDepth: 0,
+            stack: [],              // Statements being executed, outermost first, with their blocks
+            placements: [],         // { gate, node, frames } for each gate, for the source map
+            baseDepth: null,        // Stack depth of the block that builds the circuit
+            start: null,            // Where gates go when nothing precedes them
+            header: null,           // Arguments of a literal QuantumCircuit(n, m) call
+            circuitName: null,      // Variable holding the Qiskit circuit
+            recordings: [],         // Named Qiskit circuits, each recording a custom gate
+            definition: null,       // Custom gate a PennyLane function call is recording
+            parameters: new Map()   // Symbolic parameters: name -> { value, span of the value's code, implicit }
+        };
+
+        try {
+            this._execute(program.body, state.globals, state);
+        } catch (e) {
+            if (e.signal) {
+                this._report(state, this._error(e.node, `'${e.signal}' outside of a ${e.signal === 'return' ? 'function' : 'loop'}`));
+            } else {
+                this._report(state, e);
             }
+        }
 
-            // Rotation gates: qc.rx(theta, qubit), qc.ry(theta, qubit), qc.rz(theta, qubit)
-            const rotGateMatch = line.match(/qc\.(r[xyz])\s*\(\s*([^,]+)\s*,\s*(\d+)\s*\)/i);
-            if (rotGateMatch) {
-                const gateName = rotGateMatch[1].toUpperCase();
-                const theta = this._parseNumber(rotGateMatch[2]);
-                const qubit = parseInt(rotGateMatch[3]);
-                const pos = qubitPositions[qubit] || 0;
+        for (const { definition, node } of state.recordings) {
+            if (state.result.customGates[definition.name] !== definition) {
+                this._report(state, this._error(node,
+                    `Circuits created with name= define custom gates; '${definition.name}' is never appended to a circuit`, 'warning'));
+            }
+        }
 
-                result.gates.push({
-                    gate: gateName,
-                    qubit,
-                    position: pos,
-                    params: { theta }
-                });
+        // QNode arguments without a default only count when a gate angle uses them
+        const used = new Set(state.result.gates.flatMap(g => GateShape.angles(g).flatMap(QASM.symbols)));
+        state.parameters.forEach((entry, name) => {
+            if (!entry.implicit || used.has(name)) result.parameters[name] = entry.value;
+        });
+        return state;
+    }
 
-                qubitPositions[qubit] = pos + 1;
-                continue;
+    // ============================================
+    // Statements
+    // ============================================
+
+    /**
+     * Run statements; an error in one is reported and execution moves on to the next
+     */
+    _execute(statements, scope, state) {
+        for (const stmt of statements) {
+            state.stack.push({ stmt, block: statements });
+            try {
+                this._executeStatement(stmt, scope, state);
+            } catch (e) {
+                if (e.signal || e.fatal) throw e;
+                if (e.line === undefined) {
+                    Object.assign(e, this._span(stmt));
+                }
+                this._report(state, e);
+            } finally {
+                state.stack.pop();
             }
+        }
+    }
 
-            // CNOT: qc.cx(control, target)
-            const cxMatch = line.match(/qc\.cx\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/i);
-            if (cxMatch) {
-                const control = parseInt(cxMatch[1]);
-                const target = parseInt(cxMatch[2]);
-                const pos = Math.max(qubitPositions[control] || 0, qubitPositions[target] || 0);
+    _executeStatement(stmt, scope, state) {
+        this._step(stmt, state);
 
-                result.gates.push({
-                    gate: 'CNOT',
-                    qubit: control,
-                    targetQubit: target,
-                    position: pos,
-                    params: {}
-                });
+        switch (stmt.type) {
+            case 'Expr':
+                this._evaluate(stmt.value, scope, state);
+                return;
 
-                qubitPositions[control] = pos + 1;
-                qubitPositions[target] = pos + 1;
-                continue;
+            case 'Assign': {
+                const value = this._evaluate(stmt.value, scope, state);
+                stmt.targets.forEach(target => this._assign(target, value, scope, state));
+                return;
             }
 
-            // CZ: qc.cz(control, target)
-            const czMatch = line.match(/qc\.cz\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/i);
-            if (czMatch) {
-                const control = parseInt(czMatch[1]);
-                const target = parseInt(czMatch[2]);
-                const pos = Math.max(qubitPositions[control] || 0, qubitPositions[target] || 0);
+            case 'AugAssign': {
+                const current = this._evaluate(stmt.target, scope, state);
+                const value = this._evaluate(stmt.value, scope, state);
+                this._assign(stmt.target, this._binaryOp(stmt.op, current, value, stmt), scope, state);
+                return;
+            }
 
-                result.gates.push({
-                    gate: 'CZ',
-                    qubit: control,
-                    targetQubit: target,
-                    position: pos,
-                    params: {}
-                });
+            case 'For': {
+                const items = this._iterate(this._evaluate(stmt.iter, scope, state), stmt.iter);
+                let broke = false;
+                for (const item of items) {
+                    this._step(stmt, state);
+                    this._assign(stmt.target, item, scope, state);
+                    if (this._runLoopBody(stmt.body, scope, state) === 'break') {
+                        broke = true;
+                        break;
+                    }
+                }
+                if (!broke) this._execute(stmt.orelse, scope, state);
+                return;
+            }
 
-                qubitPositions[control] = pos + 1;
-                qubitPositions[target] = pos + 1;
-                continue;
+            case 'While': {
+                let broke = false;
+                while (this._truthy(this._evaluate(stmt.test, scope, state), stmt.test)) {
+                    this._step(stmt, state);
+                    if (this._runLoopBody(stmt.body, scope, state) === 'break') {
+                        broke = true;
+                        break;
+                    }
+                }
+                if (!broke) this._execute(stmt.orelse, scope, state);
+                return;
             }
 
-            // SWAP: qc.swap(qubit1, qubit2)
-            const swapMatch = line.match(/qc\.swap\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/i);
-            if (swapMatch) {
-                const qubit1 = parseInt(swapMatch[1]);
-                const qubit2 = parseInt(swapMatch[2]);
-                const pos = Math.max(qubitPositions[qubit1] || 0, qubitPositions[qubit2] || 0);
+            case 'If': {
+                const test = this._truthy(this._evaluate(stmt.test, scope, state), stmt.test);
+                this._execute(test ? stmt.body : stmt.orelse, scope, state);
+                return;
+            }
 
-                result.gates.push({
-                    gate: 'SWAP',
-                    qubit: qubit1,
-                    targetQubit: qubit2,
-                    position: pos,
-                    params: {}
-                });
+            case 'With':
+                this._with(stmt, scope, state);
+                return;
 
-                qubitPositions[qubit1] = pos + 1;
-                qubitPositions[qubit2] = pos + 1;
-                continue;
+            case 'FunctionDef': {
+                let fn = { kind: 'function', node: stmt, scope, name: stmt.name };
+                const decorators = stmt.decorators.map(d => this._evaluate(d, scope, state));
+                for (let i = decorators.length - 1; i >= 0; i--) {
+                    fn = this._call(decorators[i], [fn], {}, stmt.decorators[i], state);
+                }
+                scope.vars.set(stmt.name, fn);
+                return;
             }
 
-            // Measure: qc.measure(qubit, classical) or qc.measure_all()
-            const measureMatch = line.match(/qc\.measure\s*\(\s*(\d+)/i);
-            const measureAllMatch = line.match(/qc\.measure_all\s*\(\s*\)/i);
+            case 'Return':
+                throw { signal: 'return', value: stmt.value ? this._evaluate(stmt.value, scope, state) : null, node: stmt };
 
-            if (measureAllMatch) {
-                // Add measurement to all qubits
-                for (let q = 0; q < result.numQubits; q++) {
-                    const pos = qubitPositions[q] || 0;
-                    result.gates.push({
-                        gate: 'M',
-                        qubit: q,
-                        position: pos,
-                        params: {}
-                    });
-                    qubitPositions[q] = pos + 1;
+            case 'Break':
+            case 'Continue':
+                throw { signal: stmt.type.toLowerCase(), node: stmt };
+
+            case 'Pass':
+                return;
+
+            case 'Import':
+                for (const { module, alias } of stmt.names) {
+                    if (alias) {
+                        scope.vars.set(alias, this._module(module));
+                    } else {
+                        const root = module.split('.')[0];
+                        scope.vars.set(root, this._module(root));
+                    }
                 }
-                continue;
-            }
+                return;
 
-            if (measureMatch) {
-                const qubit = parseInt(measureMatch[1]);
-                const pos = qubitPositions[qubit] || 0;
+            case 'ImportFrom':
+                for (const { name, alias } of stmt.names) {
+                    if (name !== '*') {
+                        scope.vars.set(alias || name, this._importFrom(stmt.module, name));
+                    }
+                }
+                return;
 
-                result.gates.push({
-                    gate: 'M',
-                    qubit,
-                    position: pos,
-                    params: {}
-                });
+            case 'Unsupported':
+                throw this._error(stmt, ['class', 'try'].includes(stmt.keyword)
+                    ? `'${stmt.keyword}' blocks are not supported`
+                    : `'${stmt.keyword}' statements are not supported`);
 
-                qubitPositions[qubit] = pos + 1;
-                continue;
-            }
+            default:
+                throw this._error(stmt, `Unsupported statement: ${stmt.type}`);
         }
+    }
 
-        return result;
+    /**
+     * Count an execution step; stops runaway loops
+     */
+    _step(node, state) {
+        if (++state.steps > CodeParser.MAX_STEPS) {
+            const error = this._error(node, 'Execution limit reached; is there an endless loop?');
+            error.fatal = true;
+            throw error;
+        }
     }
 
     /**
-     * Parse PennyLane code
+     * Run one loop iteration; returns 'break' or null
      */
-    parsePennyLaneCode(code) {
-        const result = {
-            numQubits: 3,
-            gates: [],
-            errors: []
-        };
+    _runLoopBody(body, scope, state) {
+        try {
+            this._execute(body, scope, state);
+        } catch (e) {
+            if (e.signal === 'break') return 'break';
+            if (e.signal !== 'continue') throw e;
+        }
+        return null;
+    }
 
-        const lines = code.split('\n');
-        let position = 0;
-        const qubitPositions = {};
+    _with(stmt, scope, state) {
+        let condition = null;
+        for (const item of stmt.items) {
+            const context = this._evaluate(item.context, scope, state);
+            if (context && context.kind === 'if_test') {
+                if (state.condition || condition) {
+                    throw this._error(item.context, 'Nested if_test blocks are not supported');
+                }
+                condition = context.condition;
+            }
+            if (item.alias) this._assign(item.alias, CodeParser.OPAQUE, scope, state);
+        }
+
+        const outer = state.condition;
+        state.condition = condition || outer;
+        try {
+            this._execute(stmt.body, scope, state);
+        } finally {
+            state.condition = outer;
+        }
+    }
 
-        for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-            const line = lines[lineNum].trim();
+    _assign(target, value, scope, state) {
+        switch (target.type) {
+            case 'Name':
+                // Registers and measurement values remember the variable they are first bound to
+                if (value && value.kind === 'creg' && !value.name) value.name = target.id;
+                if (value && value.kind === 'mcm' && !value.variable) value.variable = target.id;
+                scope.vars.set(target.id, value);
+                return;
 
-            // Parse device initialization
-            const devMatch = line.match(/device\s*\([^)]*wires\s*=\s*(\d+)/);
-            if (devMatch) {
-                result.numQubits = parseInt(devMatch[1]);
-                for (let i = 0; i < result.numQubits; i++) {
-                    qubitPositions[i] = 0;
+            case 'Tuple':
+            case 'List': {
+                // Results only known when the code runs, such as a QNode's, unpack into more of them
+                if (value === CodeParser.OPAQUE) {
+                    target.elements.forEach(e => this._assign(e.type === 'Starred' ? e.value : e, value, scope, state));
+                    return;
                 }
-                continue;
+                const items = this._iterate(value, target);
+                const starred = target.elements.findIndex(e => e.type === 'Starred');
+                if (starred >= 0) {
+                    // a, *rest = items
+                    const after = target.elements.length - starred - 1;
+                    if (items.length < target.elements.length - 1) {
+                        throw this._error(target, `Cannot unpack ${items.length} values into ${target.elements.length - 1} or more names`);
+                    }
+                    target.elements.forEach((element, i) => {
+                        if (i < starred) this._assign(element, items[i], scope, state);
+                        else if (i > starred) this._assign(element, items[items.length - (target.elements.length - i)], scope, state);
+                        else this._assign(element.value, items.slice(starred, items.length - after), scope, state);
+                    });
+                    return;
+                }
+                if (items.length !== target.elements.length) {
+                    throw this._error(target, `Cannot unpack ${items.length} values into ${target.elements.length} names`);
+                }
+                target.elements.forEach((element, i) => this._assign(element, items[i], scope, state));
+                return;
             }
 
-            // Parse Hadamard: qml.Hadamard(wires=0)
-            const hMatch = line.match(/qml\.Hadamard\s*\(\s*wires\s*=\s*(\d+)\s*\)/i);
-            if (hMatch) {
-                const qubit = parseInt(hMatch[1]);
-                const pos = qubitPositions[qubit] || 0;
-                result.gates.push({ gate: 'H', qubit, position: pos, params: {} });
-                qubitPositions[qubit] = pos + 1;
-                continue;
+            case 'Subscript': {
+                const container = this._evaluate(target.value, scope, state);
+                if (!Array.isArray(container)) return; // Dicts and other objects are not modelled
+                const index = this._evaluate(target.index, scope, state);
+                container[this._listIndex(container, index, target.index)] = value;
+                return;
             }
 
-            // Parse Pauli gates: qml.PauliX/Y/Z(wires=0)
-            const pauliMatch = line.match(/qml\.Pauli([XYZ])\s*\(\s*wires\s*=\s*(\d+)\s*\)/i);
-            if (pauliMatch) {
-                const gateName = pauliMatch[1].toUpperCase();
-                const qubit = parseInt(pauliMatch[2]);
-                const pos = qubitPositions[qubit] || 0;
-                result.gates.push({ gate: gateName, qubit, position: pos, params: {} });
-                qubitPositions[qubit] = pos + 1;
-                continue;
+            default:
+                // Attribute assignments only touch objects that are not modelled
+                return;
+        }
+    }
+
+    // ============================================
+    // Expressions
+    // ============================================
+
+    _evaluate(node, scope, state) {
+        switch (node.type) {
+            case 'Constant':
+                return node.value;
+
+            case 'Name':
+                if (state.inCondition && /^[A-Za-z_]\w*?_\d+$/.test(node.id) && !this._isDefined(scope, node.id)) {
+                    return this._unmeasuredBit(node.id, state);
+                }
+                return this._lookup(scope, node.id, node);
+
+            case 'List':
+            case 'Tuple':
+                return node.elements.flatMap(e => (e.type === 'Starred'
+                    ? this._iterate(this._evaluate(e.value, scope, state), e)
+                    : [this._evaluate(e, scope, state)]));
+
+            case 'Attribute':
+                return this._attribute(this._evaluate(node.value, scope, state), node.attr, node, state);
+
+            case 'Subscript':
+                return this._subscript(this._evaluate(node.value, scope, state), node.index, scope, state);
+
+            case 'Call':
+                return this._evaluateCall(node, scope, state);
+
+            case 'BinOp':
+                return this._binaryOp(node.op, this._evaluate(node.left, scope, state), this._evaluate(node.right, scope, state), node);
+
+            case 'UnaryOp':
+                return this._unaryOp(node.op, this._evaluate(node.operand, scope, state), node);
+
+            case 'BoolOp': {
+                const left = this._evaluate(node.left, scope, state);
+                if (node.op === 'and') {
+                    return this._truthy(left, node.left) ? this._evaluate(node.right, scope, state) : left;
+                }
+                return this._truthy(left, node.left) ? left : this._evaluate(node.right, scope, state);
             }
 
-            // Parse S and T gates
-            const stMatch = line.match(/qml\.([ST])\s*\(\s*wires\s*=\s*(\d+)\s*\)/i);
-            if (stMatch) {
-                const gateName = stMatch[1].toUpperCase();
-                const qubit = parseInt(stMatch[2]);
-                const pos = qubitPositions[qubit] || 0;
-                result.gates.push({ gate: gateName, qubit, position: pos, params: {} });
-                qubitPositions[qubit] = pos + 1;
-                continue;
+            case 'Compare': {
+                let left = this._evaluate(node.left, scope, state);
+                let result = true;
+                for (let i = 0; i < node.ops.length; i++) {
+                    const right = this._evaluate(node.comparators[i], scope, state);
+                    result = this._compare(node.ops[i], left, right, node);
+                    if (result === false) return false;
+                    left = right;
+                }
+                return result;
             }
 
-            // Parse rotation gates: qml.RX/RY/RZ(theta, wires=0)
-            const rotMatch = line.match(/qml\.(R[XYZ])\s*\(\s*([^,]+)\s*,\s*wires\s*=\s*(\d+)\s*\)/i);
-            if (rotMatch) {
-                const gateName = rotMatch[1].toUpperCase();
-                const theta = this._parseNumber(rotMatch[2]);
-                const qubit = parseInt(rotMatch[3]);
-                const pos = qubitPositions[qubit] || 0;
-                result.gates.push({ gate: gateName, qubit, position: pos, params: { theta } });
-                qubitPositions[qubit] = pos + 1;
-                continue;
+            case 'IfExp':
+                return this._truthy(this._evaluate(node.test, scope, state), node.test)
+                    ? this._evaluate(node.body, scope, state)
+                    : this._evaluate(node.orelse, scope, state);
+
+            case 'ListComp':
+            case 'GeneratorExp':
+                return this._comprehension(node, scope, state);
+
+            case 'NamedExpr': {
+                const value = this._evaluate(node.value, scope, state);
+                this._assign(node.target, value, scope, state);
+                return value;
             }
 
-            // Parse CNOT: qml.CNOT(wires=[0, 1])
-            const cnotMatch = line.match(/qml\.CNOT\s*\(\s*wires\s*=\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]\s*\)/i);
-            if (cnotMatch) {
-                const control = parseInt(cnotMatch[1]);
-                const target = parseInt(cnotMatch[2]);
-                const pos = Math.max(qubitPositions[control] || 0, qubitPositions[target] || 0);
-                result.gates.push({ gate: 'CNOT', qubit: control, targetQubit: target, position: pos, params: {} });
-                qubitPositions[control] = pos + 1;
-                qubitPositions[target] = pos + 1;
-                continue;
+            case 'Dict':
+                // Literal dicts keep their keys and values; sets and comprehensions are opaque
+                if (!node.keys) return CodeParser.OPAQUE;
+                return {
+                    kind: 'dict',
+                    keys: node.keys.map(k => this._evaluate(k, scope, state)),
+                    values: node.values.map(v => this._evaluate(v, scope, state)),
+                    valueNodes: node.values
+                };
+
+            case 'Starred':
+                throw this._error(node, 'Starred expressions are only supported in calls and lists');
+
+            case 'Slice':
+                throw this._error(node, 'Slices are only supported in subscripts');
+
+            case 'Lambda':
+                throw this._error(node, 'lambda expressions are not supported');
+
+            default:
+                throw this._error(node, `Unsupported expression: ${node.type}`);
+        }
+    }
+
+    _comprehension(node, scope, state) {
+        const local = { vars: new Map(), parent: scope };
+        const output = [];
+
+        const generate = (level) => {
+            if (level === node.generators.length) {
+                this._step(node, state);
+                output.push(this._evaluate(node.element, local, state));
+                return;
             }
+            const generator = node.generators[level];
+            for (const item of this._iterate(this._evaluate(generator.iter, local, state), generator.iter)) {
+                this._assign(generator.target, item, local, state);
+                if (generator.conditions.every(c => this._truthy(this._evaluate(c, local, state), c))) {
+                    generate(level + 1);
+                }
+            }
+        };
 
-            // Parse CZ: qml.CZ(wires=[0, 1])
-            const czMatch = line.match(/qml\.CZ\s*\(\s*wires\s*=\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]\s*\)/i);
-            if (czMatch) {
-                const control = parseInt(czMatch[1]);
-                const target = parseInt(czMatch[2]);
-                const pos = Math.max(qubitPositions[control] || 0, qubitPositions[target] || 0);
-                result.gates.push({ gate: 'CZ', qubit: control, targetQubit: target, position: pos, params: {} });
-                qubitPositions[control] = pos + 1;
-                qubitPositions[target] = pos + 1;
-                continue;
+        generate(0);
+        return output;
+    }
+
+    _evaluateCall(node, scope, state) {
+        const callee = this._evaluate(node.func, scope, state);
+
+        // Arguments of measurement processes are observables, not gates
+        const observable = callee && callee.kind === 'qml' && CodeParser.PENNYLANE_MEASUREMENTS.includes(callee.name);
+        const condition = callee && callee.kind === 'qml' && callee.name === 'cond';
+        // qml.ctrl and qml.adjoint apply the operation built in their first argument
+        const modifier = callee && callee.kind === 'qml' && ['ctrl', 'adjoint'].includes(callee.name);
+        const modifiedKeyword = modifier && (callee.name === 'ctrl' ? 'op' : 'fn');
+        if (observable) state.observableDepth++;
+
+        try {
+            const args = [];
+            for (const [i, arg] of node.args.entries()) {
+                if (arg.type === 'Starred') {
+                    args.push(...this._iterate(this._evaluate(arg.value, scope, state), arg));
+                } else if (condition && i === 0) {
+                    state.inCondition = true;
+                    try {
+                        args.push(this._evaluate(arg, scope, state));
+                    } finally {
+                        state.inCondition = false;
+                    }
+                } else if (modifier && i === 0) {
+                    const deferred = state.deferGate;
+                    state.deferGate = true;
+                    try {
+                        args.push(this._evaluate(arg, scope, state));
+                    } finally {
+                        state.deferGate = deferred;
+                    }
+                } else {
+                    args.push(this._evaluate(arg, scope, state));
+                }
             }
 
-            // Parse SWAP: qml.SWAP(wires=[0, 1])
-            const swapMatch = line.match(/qml\.SWAP\s*\(\s*wires\s*=\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]\s*\)/i);
-            if (swapMatch) {
-                const qubit1 = parseInt(swapMatch[1]);
-                const qubit2 = parseInt(swapMatch[2]);
-                const pos = Math.max(qubitPositions[qubit1] || 0, qubitPositions[qubit2] || 0);
-                result.gates.push({ gate: 'SWAP', qubit: qubit1, targetQubit: qubit2, position: pos, params: {} });
-                qubitPositions[qubit1] = pos + 1;
-                qubitPositions[qubit2] = pos + 1;
-                continue;
+            const kwargs = {};
+            for (const keyword of node.keywords) {
+                if (keyword.name === null) {
+                    throw this._error(keyword.value, '**kwargs arguments are not supported');
+                }
+                if (keyword.name === modifiedKeyword) {
+                    const deferred = state.deferGate;
+                    state.deferGate = true;
+                    try {
+                        kwargs[keyword.name] = this._evaluate(keyword.value, scope, state);
+                    } finally {
+                        state.deferGate = deferred;
+                    }
+                } else {
+                    kwargs[keyword.name] = this._evaluate(keyword.value, scope, state);
+                }
             }
+
+            return this._call(callee, args, kwargs, node, state);
+        } finally {
+            if (observable) state.observableDepth--;
         }
+    }
 
-        return result;
+    _call(callee, args, kwargs, node, state) {
+        if (callee === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+        if (!callee || typeof callee !== 'object' || Array.isArray(callee)) {
+            throw this._error(node, `'${this._typeName(callee)}' object is not callable`);
+        }
+
+        switch (callee.kind) {
+            case 'native':
+                return callee.call(args, kwargs, node, state);
+            case 'function':
+                if (state.inQNode && state.observableDepth === 0 && this._definesGate(callee)) {
+                    return this._pennylaneCustomGate(callee, args, kwargs, node, state);
+                }
+                return this._callFunction(callee, args, kwargs, node, state);
+            case 'method':
+                return this._circuitMethod(callee.circuit, callee.name, args, kwargs, node, state);
+            case 'qml':
+                return this._qmlCall(callee.name, args, kwargs, node, state);
+            case 'cond':
+                if (callee.op.kind === 'function') {
+                    return this._pennylaneCustomGate(callee.op, args, kwargs, node, state, callee);
+                }
+                if (callee.op.kind === 'ctrl') {
+                    return this._qmlCall(callee.op.op.name, args, kwargs, node, state, callee, callee.op);
+                }
+                return this._qmlCall(callee.op.name, args, kwargs, node, state, callee);
+            case 'ctrl':
+                return this._qmlCall(callee.op.name, args, kwargs, node, state, null, callee);
+            case 'gateClass':
+                return this._libraryGate(callee, args, kwargs, node, state);
+            case 'pauliClass':
+                return this._newSparsePauliOp(args, kwargs, node);
+            case 'estimatorClass':
+                return { kind: 'estimator', name: callee.name };
+            case 'qnode':
+                return CodeParser.OPAQUE;
+            default:
+                throw this._error(node, `'${this._typeName(callee)}' object is not callable`);
+        }
     }
 
     /**
-     * Parse a number from code (handles pi, np.pi, math.pi, etc.)
+     * Call a function defined in the code with a fresh local scope
      */
-    _parseNumber(str) {
-        str = str.trim();
+    _callFunction(fn, args, kwargs, node, state) {
+        if (state.callDepth >= CodeParser.MAX_CALL_DEPTH) {
+            const error = this._error(node, 'Maximum recursion depth exceeded');
+            error.fatal = true;
+            throw error;
+        }
 
-        // Replace pi variants
-        str = str.replace(/np\.pi/gi, Math.PI.toString());
-        str = str.replace(/math\.pi/gi, Math.PI.toString());
-        str = str.replace(/(?<![a-z])pi(?![a-z])/gi, Math.PI.toString());
+        const local = { vars: new Map(), parent: fn.scope };
+        const remaining = [...args];
+        for (const param of fn.node.params) {
+            if (param.kind === 'varargs') {
+                local.vars.set(param.name, remaining.splice(0));
+            } else if (param.kind === 'kwargs') {
+                local.vars.set(param.name, CodeParser.OPAQUE);
+            } else if (remaining.length > 0) {
+                local.vars.set(param.name, remaining.shift());
+            } else if (param.name in kwargs) {
+                local.vars.set(param.name, kwargs[param.name]);
+            } else if (param.default) {
+                local.vars.set(param.name, this._evaluate(param.default, fn.scope, state));
+            } else {
+                throw this._error(node, `${fn.name}() is missing the argument '${param.name}'`);
+            }
+        }
 
+        state.callDepth++;
         try {
-            // Simple math evaluation
-            return Function(`"use strict"; return (${str})`)();
-        } catch {
-            return parseFloat(str) || 0;
+            this._execute(fn.node.body, local, state);
+        } catch (e) {
+            if (e.signal === 'return') return e.value;
+            if (e.signal) {
+                throw this._error(e.node, `'${e.signal}' outside of a loop`);
+            }
+            throw e;
+        } finally {
+            state.callDepth--;
+        }
+        return null;
+    }
+
+    _attribute(obj, attr, node, state) {
+        if (obj === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+        if (obj === null || obj === undefined) {
+            throw this._error(node, `'NoneType' object has no attribute '${attr}'`);
+        }
+
+        if (Array.isArray(obj)) {
+            if (attr === 'append') return this._native((args) => { obj.push(args[0]); return null; });
+            if (attr === 'extend') return this._native((args, kwargs, callNode) => { obj.push(...this._iterate(args[0], callNode)); return null; });
+            return CodeParser.OPAQUE;
+        }
+
+        switch (obj.kind) {
+            case 'module':
+                return this._moduleAttribute(obj, attr);
+            case 'circuit':
+                return this._circuitAttribute(obj, attr, node);
+            case 'qreg':
+            case 'creg':
+                if (attr === 'size') return obj.size;
+                if (attr === 'name') return obj.name;
+                return CodeParser.OPAQUE;
+            case 'instructions':
+                if (attr === 'c_if') {
+                    return this._native((args, kwargs, callNode) => {
+                        if (obj.inCustomGate) {
+                            throw this._error(callNode, 'Gates inside a custom gate cannot be conditioned');
+                        }
+                        const condition = this._qiskitCondition(args, callNode);
+                        this._conditionGates(obj.gates, condition, state);
+                        return obj;
+                    });
+                }
+                return CodeParser.OPAQUE;
+            case 'device':
+                return attr === 'wires' ? this._range(obj.wires) : CodeParser.OPAQUE;
+            case 'libraryGate':
+                if (attr === 'control') {
+                    return this._native((args, kwargs, callNode) => this._controlLibraryGate(obj, args, kwargs, callNode));
+                }
+                return CodeParser.OPAQUE;
+            case 'pauliClass':
+                if (attr === 'from_list' || attr === 'from_sparse_list') {
+                    return this._native((args, kwargs, callNode) => this._sparsePauliOpFrom(attr, args, kwargs, callNode));
+                }
+                return CodeParser.OPAQUE;
+            case 'observable':
+                if (attr === 'simplify') return this._native(() => obj);
+                return CodeParser.OPAQUE;
+            case 'estimator':
+                if (attr === 'run') {
+                    return this._native((args, kwargs, callNode) => this._estimatorRun(obj, args, kwargs, callNode, state));
+                }
+                return CodeParser.OPAQUE;
+            default:
+                return CodeParser.OPAQUE;
+        }
+    }
+
+    _subscript(obj, indexNode, scope, state) {
+        if (obj === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+
+        let items;
+        if (Array.isArray(obj) || typeof obj === 'string') {
+            items = obj;
+        } else if (obj && (obj.kind === 'qreg' || obj.kind === 'creg')) {
+            items = this._registerBits(obj);
+        } else {
+            // Dicts, results and other unmodelled containers
+            return CodeParser.OPAQUE;
+        }
+
+        if (indexNode.type === 'Slice') {
+            const bound = (n) => (n ? this._integer(this._evaluate(n, scope, state), n) : undefined);
+            const slice = this._slice([...items], bound(indexNode.lower), bound(indexNode.upper), bound(indexNode.step), indexNode);
+            return typeof obj === 'string' ? slice.join('') : slice;
+        }
+
+        const index = this._evaluate(indexNode, scope, state);
+        return items[this._listIndex(items, index, indexNode)];
+    }
+
+    _slice(items, lower, upper, step = 1, node) {
+        if (step === 0) throw this._error(node, 'slice step cannot be zero');
+        const n = items.length;
+        const clamp = (i, fallback) => {
+            if (i === undefined) return fallback;
+            if (i < 0) i += n;
+            return Math.max(step > 0 ? 0 : -1, Math.min(step > 0 ? n : n - 1, i));
+        };
+
+        const start = clamp(lower, step > 0 ? 0 : n - 1);
+        const stop = clamp(upper, step > 0 ? n : -1);
+        const out = [];
+        for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+            out.push(items[i]);
+        }
+        return out;
+    }
+
+    _listIndex(items, index, node) {
+        const i = this._integer(index, node);
+        const resolved = i < 0 ? i + items.length : i;
+        if (resolved < 0 || resolved >= items.length) {
+            throw this._error(node, `Index ${i} is out of range (length ${items.length})`);
+        }
+        return resolved;
+    }
+
+    _binaryOp(op, a, b, node) {
+        if (this._isMeasurementValue(a) || this._isMeasurementValue(b)) {
+            return this._measurementArithmetic(op, a, b);
+        }
+        if (a === CodeParser.OPAQUE || b === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+        if (this._isObservable(a) || this._isObservable(b)) {
+            return this._observableOp(op, a, b, node);
+        }
+
+        const numeric = (v) => typeof v === 'number' || typeof v === 'boolean';
+        const symbolic = (v) => numeric(v) || this._isParameter(v);
+        if ((this._isParameter(a) || this._isParameter(b)) && symbolic(a) && symbolic(b) &&
+            ['+', '-', '*', '/', '**'].includes(op)) {
+            const expr = (v) => (this._isParameter(v) ? v.expr : Number(v));
+            return this._parameter(QASM.combine(op, expr(a), expr(b)));
+        }
+        if ((this._isComplex(a) || this._isComplex(b)) && (numeric(a) || this._isComplex(a)) && (numeric(b) || this._isComplex(b))) {
+            return this._complexOp(op, a, b, node);
+        }
+        if (numeric(a) && numeric(b)) {
+            a = Number(a);
+            b = Number(b);
+            switch (op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/':
+                    if (b === 0) throw this._error(node, 'division by zero');
+                    return a / b;
+                case '//':
+                    if (b === 0) throw this._error(node, 'integer division by zero');
+                    return Math.floor(a / b);
+                case '%':
+                    if (b === 0) throw this._error(node, 'modulo by zero');
+                    return ((a % b) + b) % b;
+                case '**': return Math.pow(a, b);
+                case '&': return this._integer(a, node) & this._integer(b, node);
+                case '|': return this._integer(a, node) | this._integer(b, node);
+                case '^': return this._integer(a, node) ^ this._integer(b, node);
+                case '<<': return this._integer(a, node) << this._integer(b, node);
+                case '>>': return this._integer(a, node) >> this._integer(b, node);
+            }
+        }
+
+        const sequence = (v) => Array.isArray(v) || typeof v === 'string';
+        if (op === '+' && sequence(a) && sequence(b) && Array.isArray(a) === Array.isArray(b)) {
+            return Array.isArray(a) ? [...a, ...b] : a + b;
+        }
+        if (op === '*' && ((sequence(a) && numeric(b)) || (numeric(a) && sequence(b)))) {
+            const [seq, count] = sequence(a) ? [a, this._integer(b, node)] : [b, this._integer(a, node)];
+            if (count * seq.length > CodeParser.MAX_RANGE) {
+                throw this._error(node, 'Sequence is too long');
+            }
+            return Array.isArray(seq)
+                ? Array.from({ length: Math.max(0, count) }, () => seq).flat()
+                : seq.repeat(Math.max(0, count));
+        }
+        if (op === '%' && typeof a === 'string') {
+            return CodeParser.OPAQUE; // printf-style formatting
         }
+
+        throw this._error(node, `Unsupported operand types for ${op}: '${this._typeName(a)}' and '${this._typeName(b)}'`);
+    }
+
+    /** Arithmetic where either operand is a Python complex number */
+    _complexOp(op, a, b, node) {
+        const x = this._isComplex(a) ? a : { re: Number(a), im: 0 };
+        const y = this._isComplex(b) ? b : { re: Number(b), im: 0 };
+        switch (op) {
+            case '+': return this._complex(Complex.add(x, y));
+            case '-': return this._complex(Complex.subtract(x, y));
+            case '*': return this._complex(Complex.multiply(x, y));
+            case '/':
+                if (y.re === 0 && y.im === 0) throw this._error(node, 'complex division by zero');
+                return this._complex(Complex.divide(x, y));
+            case '**': return this._complex(Complex.pow(x, y));
+        }
+        throw this._error(node, `Unsupported operand types for ${op}: '${this._typeName(a)}' and '${this._typeName(b)}'`);
+    }
+    _isComplex(value) {
+        return Boolean(value) && value.kind === 'complex';
+    }
+    _complex(c) {
+        return { kind: 'complex', re: c.re, im: c.im };
+    }
+
+    /** A symbolic parameter or an expression over them, such as 2*theta */
+    _parameter(expr) {
+        return { kind: 'parameter', expr };
+    }
+    _isParameter(value) {
+        return Boolean(value) && value.kind === 'parameter';
+    }
+
+    /** A Pauli observable: a SparsePauliOp or PennyLane Pauli operators (see Observable) */
+    _observable(terms) {
+        return { kind: 'observable', terms };
+    }
+    _isObservable(value) {
+        return Boolean(value) && value.kind === 'observable';
     }
 
     /**
-     * Generate code from circuit
+     * Sums, differences, multiples and products (@, or * in PennyLane) of observables
      */
-    generateCode(circuit) {
-        if (this.framework === 'qiskit') {
-            return circuit.toQiskitCode();
-        } else {
-            return circuit.toPennyLaneCode();
+    _observableOp(op, a, b, node) {
+        const number = (v) => typeof v === 'number' || typeof v === 'boolean';
+        const fail = () => {
+            throw this._error(node, `Unsupported operand types for ${op}: '${this._typeName(a)}' and '${this._typeName(b)}'`);
+        };
+        const both = this._isObservable(a) && this._isObservable(b);
+        try {
+            switch (op) {
+                case '+':
+                    return both ? this._observable(Observable.add(a.terms, b.terms)) : fail();
+                case '-':
+                    return both ? this._observable(Observable.add(a.terms, Observable.scale(b.terms, -1))) : fail();
+                case '*':
+                    if (number(a)) return this._observable(Observable.scale(b.terms, Number(a)));
+                    if (number(b)) return this._observable(Observable.scale(a.terms, Number(b)));
+                    return both ? this._observable(Observable.multiply(a.terms, b.terms)) : fail();
+                case '/':
+                    if (!number(b)) fail();
+                    if (Number(b) === 0) throw this._error(node, 'division by zero');
+                    return this._observable(Observable.scale(a.terms, 1 / Number(b)));
+                case '@':
+                    return both ? this._observable(Observable.multiply(a.terms, b.terms)) : fail();
+                default:
+                    return fail();
+            }
+        } catch (e) {
+            if (e.severity) throw e;
+            throw this._error(node, e.message);
         }
     }
 
     /**
-     * Check if code has been manually modified (comments, extra lines, etc.)
+     * Show the expectation values of measured observables; others are reported
      */
-    hasManualModifications(code) {
-        // Check for comments
-        if (code.includes('#') && !code.includes('# Simulate') && !code.includes('# Run')) {
-            return true;
+    _recordObservables(values, node, state) {
+        for (const value of values) {
+            if (!this._isObservable(value)) {
+                this._report(state, this._error(node, 'Only expectation values of Pauli observables are shown', 'warning'));
+                continue;
+            }
+            const outside = Observable.qubits(value.terms).find(q => q >= state.result.numQubits);
+            if (outside !== undefined) {
+                throw this._error(node, `Qubit ${outside} of the observable is out of range (the circuit has ${state.result.numQubits})`);
+            }
+            state.result.observables.push(value.terms);
         }
-        return false;
     }
-}
+    _unaryOp(op, value, node) {
+        if (this._isMeasurementValue(value)) {
+            return this._measurementArithmetic(op, value, null);
+        }
+        if (op === 'not') return !this._truthy(value, node);
+        if (value === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+        if (this._isComplex(value) && (op === '-' || op === '+')) {
+            return op === '-' ? this._complex({ re: -value.re, im: -value.im }) : value;
+        }
+        if (this._isParameter(value) && (op === '-' || op === '+')) {
+            return op === '-' ? this._parameter(QASM.negate(value.expr)) : value;
+        }
+        if (this._isObservable(value) && (op === '-' || op === '+')) {
+            return op === '-' ? this._observable(Observable.scale(value.terms, -1)) : value;
+        }
+        if (typeof value !== 'number' && typeof value !== 'boolean') {
+            throw this._error(node, `Bad operand type for unary ${op}: '${this._typeName(value)}'`);
+        }
+
+        switch (op) {
+            case '-': return -value;
+            case '+': return +value;
+            case '~': return ~this._integer(value, node);
+        }
+        throw this._error(node, `Unsupported operator ${op}`);
+    }
+
+    _compare(op, a, b, node) {
+        if (this._isMeasurementValue(a) || this._isMeasurementValue(b)) {
+            return this._measurementArithmetic(op, a, b);
+        }
+        if (a === CodeParser.OPAQUE || b === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+        if (this._isParameter(a) || this._isParameter(b)) return CodeParser.OPAQUE;
+
+        switch (op) {
+            case '==': return this._equals(a, b);
+            case '!=': return !this._equals(a, b);
+            case 'is': return a === b;
+            case 'is not': return a !== b;
+            case 'in':
+            case 'not in': {
+                if (!Array.isArray(b) && typeof b !== 'string') {
+                    throw this._error(node, `argument of type '${this._typeName(b)}' is not iterable`);
+                }
+                const found = Array.isArray(b) ? b.some(item => this._equals(item, a)) : b.includes(a);
+                return op === 'in' ? found : !found;
+            }
+        }
+
+        const comparable = (v) => typeof v === 'number' || typeof v === 'boolean';
+        if (!(comparable(a) && comparable(b)) && !(typeof a === 'string' && typeof b === 'string')) {
+            throw this._error(node, `'${op}' is not supported between '${this._typeName(a)}' and '${this._typeName(b)}'`);
+        }
+        switch (op) {
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+        }
+        throw this._error(node, `Unsupported comparison ${op}`);
+    }
+
+    _equals(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, i) => this._equals(item, b[i]));
+        }
+        if ((typeof a === 'boolean' || typeof a === 'number') && (typeof b === 'boolean' || typeof b === 'number')) {
+            return Number(a) === Number(b);
+        }
+        return a === b;
+    }
+
+    _truthy(value, node) {
+        if (value === CodeParser.OPAQUE || this._isMeasurementValue(value) || this._isParameter(value)) {
+            throw this._error(node, `Cannot decide '${this._sourceText(node)}' before the circuit runs`);
+        }
+        if (Array.isArray(value) || typeof value === 'string') return value.length > 0;
+        if (value && value.kind === 'dict') return value.keys.length > 0;
+        return Boolean(value);
+    }
+
+    _iterate(value, node) {
+        if (Array.isArray(value)) return [...value];
+        if (typeof value === 'string') return [...value];
+        if (value && (value.kind === 'qreg' || value.kind === 'creg')) return this._registerBits(value);
+        if (value === CodeParser.OPAQUE) {
+            throw this._error(node, `Cannot loop over '${this._sourceText(node)}' before the circuit runs`);
+        }
+        throw this._error(node, `'${this._typeName(value)}' object is not iterable`);
+    }
+
+    _integer(value, node) {
+        if (typeof value === 'boolean') return Number(value);
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            throw this._error(node, `Expected an integer but got ${this._describeValue(value)}`);
+        }
+        return value;
+    }
+
+    /**
+     * Numeric value, or null for opaque values and parameters (unknown, but not an error)
+     */
+    _number(value, node) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return Number(value);
+        if (value === CodeParser.OPAQUE || this._isParameter(value)) return null;
+        throw this._error(node, `Expected a number but got ${this._describeValue(value)}`);
+    }
+
+    _range(n) {
+        return Array.from({ length: n }, (_, i) => i);
+    }
+
+    // ============================================
+    // Names, modules and builtins
+    // ============================================
+
+    _lookup(scope, name, node) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.vars.has(name)) return s.vars.get(name);
+        }
+        if (CodeParser.BUILTINS.includes(name)) {
+            return this._builtin(name);
+        }
+        throw this._error(node, `name '${name}' is not defined`);
+    }
+
+    _isDefined(scope, name) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.vars.has(name)) return true;
+        }
+        return false;
+    }
+
+    _native(call) {
+        return { kind: 'native', call };
+    }
+
+    _module(name) {
+        if (name === 'numpy' || name === 'pennylane.numpy') return { kind: 'module', name: 'numpy' };
+        if (name === 'math' || name === 'cmath') return { kind: 'module', name: 'math' };
+        return { kind: 'module', name };
+    }
+
+    _importFrom(module, name) {
+        if (module.split('.')[0] === 'qiskit' && ['QuantumCircuit', 'QuantumRegister', 'ClassicalRegister', 'Parameter'].includes(name)) {
+            return this._builtin(name);
+        }
+        return this._moduleAttribute(this._module(module), name);
+    }
+
+    _moduleAttribute(module, attr) {
+        if (module.name === 'numpy' || module.name === 'math') {
+            if (attr === 'pi') return Math.PI;
+            if (attr === 'e') return Math.E;
+            if (attr === 'tau') return 2 * Math.PI;
+            if (attr === 'array' || attr === 'asarray') {
+                return this._native((args, kwargs, node) => this._iterate(args[0], node));
+            }
+
+            const fn = CodeParser.MATH_FUNCTIONS[attr];
+            if (!fn) return CodeParser.OPAQUE;
+            return this._native((args, kwargs, node) => {
+                const symbolicFn = CodeParser.PARAMETER_FUNCTIONS[attr];
+                if (symbolicFn && args.length === 1 && this._isParameter(args[0])) {
+                    return this._parameter(QASM.apply(symbolicFn, args[0].expr));
+                }
+                const complexFn = CodeParser.COMPLEX_FUNCTIONS[attr];
+                if (complexFn && args.some(a => this._isComplex(a))) {
+                    const result = complexFn(...args.map(a => (this._isComplex(a) ? a : { re: this._number(a, node), im: 0 })));
+                    return typeof result === 'number' ? result : this._complex(result);
+                }
+                const numbers = args.map(a => this._number(a, node));
+                if (numbers.some(n => n === null)) return CodeParser.OPAQUE;
+                return fn(...numbers);
+            });
+        }
+        if (module.name === 'pennylane') {
+            if (attr === 'numpy') return this._module('numpy');
+            return { kind: 'qml', name: attr };
+        }
+        if (module.name === 'qiskit.circuit.library' && this.qiskitLibrary[attr]) {
+            return { kind: 'gateClass', name: attr, ...this.qiskitLibrary[attr] };
+        }
+        if (module.name === 'qiskit.quantum_info' && attr === 'SparsePauliOp') {
+            return { kind: 'pauliClass' };
+        }
+        if (['qiskit.primitives', 'qiskit_aer.primitives'].includes(module.name) && CodeParser.ESTIMATORS.includes(attr)) {
+            return { kind: 'estimatorClass', name: attr };
+        }
+        return CodeParser.OPAQUE;
+    }
+
+    _builtin(name) {
+        const opaque = CodeParser.OPAQUE;
+        const register = (kind) => this._native((args, kwargs, node) => {
+            const name = args[1] !== undefined ? args[1] : kwargs.name;
+            return {
+                kind,
+                size: this._integer(args[0] !== undefined ? args[0] : kwargs.size, node),
+                name: typeof name === 'string' ? name : null,
+                offset: 0
+            };
+        });
+
+        switch (name) {
+            case 'pi':
+                return Math.PI;
+            case 'np':
+            case 'numpy':
+                return this._module('numpy');
+            case 'math':
+                return this._module('math');
+            case 'qml':
+                return this._module('pennylane');
+            case 'QuantumCircuit':
+                return this._native((args, kwargs, node, state) => this._newCircuit(args, kwargs, node, state));
+            case 'QuantumRegister':
+                return register('qreg');
+            case 'ClassicalRegister':
+                return register('creg');
+            case 'Parameter':
+                return this._native((args, kwargs, node, state) => this._newParameter(args, kwargs, node, state));
+
+            case 'range':
+                return this._native((args, kwargs, node) => {
+                    const ints = args.map(a => this._integer(a, node));
+                    const [start, stop, step] = ints.length === 1 ? [0, ints[0], 1] : [ints[0], ints[1], ints[2] || 1];
+                    if (step === 0) throw this._error(node, 'range() step must not be zero');
+                    const length = Math.max(0, Math.ceil((stop - start) / step));
+                    if (length > CodeParser.MAX_RANGE) {
+                        throw this._error(node, `range() of ${length} items is too long`);
+                    }
+                    return Array.from({ length }, (_, i) => start + i * step);
+                });
+            case 'len':
+                return this._native((args, kwargs, node) => {
+                    const value = args[0];
+                    if (value === opaque) return opaque;
+                    if (value && (value.kind === 'qreg' || value.kind === 'creg')) return value.size;
+                    return this._iterate(value, node).length;
+                });
+            case 'int':
+            case 'float':
+                return this._native((args, kwargs, node) => {
+                    const n = this._number(args[0] === undefined ? 0 : args[0], node);
+                    if (n === null) return opaque;
+                    return name === 'int' ? Math.trunc(n) : n;
+                });
+            case 'abs':
+                return this._native((args, kwargs, node) => {
+                    const n = this._number(args[0], node);
+                    return n === null ? opaque : Math.abs(n);
+                });
+            case 'round':
+                return this._native((args, kwargs, node) => {
+                    const n = this._number(args[0], node);
+                    if (n === null) return opaque;
+                    const scale = Math.pow(10, args[1] === undefined ? 0 : this._integer(args[1], node));
+                    return Math.round(n * scale) / scale;
+                });
+            case 'min':
+            case 'max':
+                return this._native((args, kwargs, node) => {
+                    const items = args.length === 1 ? this._iterate(args[0], node) : args;
+                    if (items.length === 0) throw this._error(node, `${name}() of an empty sequence`);
+                    const numbers = items.map(v => this._number(v, node));
+                    return numbers.some(n => n === null) ? opaque : Math[name](...numbers);
+                });
+            case 'sum':
+                return this._native((args, kwargs, node) => {
+                    const numbers = this._iterate(args[0], node).map(v => this._number(v, node));
+                    return numbers.some(n => n === null) ? opaque : numbers.reduce((s, n) => s + n, 0);
+                });
+            case 'list':
+            case 'tuple':
+                return this._native((args, kwargs, node) => (args.length ? this._iterate(args[0], node) : []));
+            case 'reversed':
+                return this._native((args, kwargs, node) => this._iterate(args[0], node).reverse());
+            case 'enumerate':
+                return this._native((args, kwargs, node) => {
+                    const start = this._integer(args[1] !== undefined ? args[1] : (kwargs.start || 0), node);
+                    return this._iterate(args[0], node).map((item, i) => [start + i, item]);
+                });
+            case 'zip':
+                return this._native((args, kwargs, node) => {
+                    const lists = args.map(a => this._iterate(a, node));
+                    const length = lists.length ? Math.min(...lists.map(l => l.length)) : 0;
+                    return this._range(length).map(i => lists.map(l => l[i]));
+                });
+            case 'bool':
+                return this._native((args, kwargs, node) => (args.length ? this._truthy(args[0], node) : false));
+            case 'str':
+                return this._native((args) => (typeof args[0] === 'string' ? args[0] : opaque));
+            case 'print':
+                return this._native(() => null);
+            default:
+                return opaque;
+        }
+    }
+
+    // ============================================
+    // Qiskit
+    // ============================================
+
+    /**
+     * QuantumCircuit(n), QuantumCircuit(n, m) or QuantumCircuit(*registers). A circuit
+     * with a name= and no classical bits records a custom gate instead.
+     */
+    _newCircuit(args, kwargs, node, state) {
+        const circuit = { kind: 'circuit', numQubits: 0, qregs: [], cregs: [] };
+
+        const registers = args.flatMap(a => (Array.isArray(a) ? a : [a]));
+        if (typeof registers[0] === 'number') {
+            circuit.numQubits = this._integer(registers[0], node);
+            circuit.qregs.push({ kind: 'qreg', name: 'q', size: circuit.numQubits, offset: 0 });
+            const numClbits = registers.length > 1 ? this._integer(registers[1], node) : 0;
+            if (numClbits > 0) {
+                circuit.cregs.push({ kind: 'creg', name: 'c', size: numClbits, offset: 0 });
+            }
+        } else {
+            let clbitOffset = 0;
+            for (const reg of registers) {
+                if (reg && reg.kind === 'qreg') {
+                    reg.offset = circuit.numQubits;
+                    circuit.numQubits += reg.size;
+                    circuit.qregs.push(reg);
+                } else if (reg && reg.kind === 'creg') {
+                    reg.offset = clbitOffset;
+                    reg.name = reg.name || `c${circuit.cregs.length}`;
+                    clbitOffset += reg.size;
+                    circuit.cregs.push(reg);
+                } else {
+                    throw this._error(node, `QuantumCircuit() does not accept ${this._describeValue(reg)}`);
+                }
+            }
+        }
+
+        if (typeof kwargs.name === 'string' && circuit.cregs.length === 0) {
+            if (!/^[A-Za-z_]\w*$/.test(kwargs.name)) {
+                throw this._error(node, `Custom gate name '${kwargs.name}' is not an identifier`);
+            }
+            const definition = { name: kwargs.name, numQubits: circuit.numQubits, gates: [] };
+            circuit.recording = { definition, positions: [] };
+            state.recordings.push({ definition, node });
+            return circuit;
+        }
+
+        if (state.circuit) {
+            this._report(state, this._error(node, 'Only the first QuantumCircuit is shown; this one is ignored', 'warning'));
+            return circuit;
+        }
+
+        state.circuit = circuit;
+        this._setSourceStart(state, state.stack.length - 1, state.stack[state.stack.length - 1].stmt.endLine + 1);
+        if (node.keywords.length === 0 && node.args.length > 0 && node.args.length <= 2 &&
+            node.args.every(a => a.type === 'Constant' && Number.isInteger(a.value))) {
+            state.header = {
+                ...this._span(node.args[0]),
+                endColumn: node.args[node.args.length - 1].endColumn,
+                endLine: node.args[node.args.length - 1].endLine,
+                clbits: node.args.length === 2
+            };
+        }
+        const target = state.stack[state.stack.length - 1].stmt;
+        if (target.type === 'Assign' && target.targets.length === 1 && target.targets[0].type === 'Name') {
+            state.circuitName = target.targets[0].id;
+        }
+        state.result.numQubits = circuit.numQubits;
+        state.result.classicalRegisters = circuit.cregs.length > 0
+            ? circuit.cregs.map(r => ({ name: r.name, size: r.size }))
+            : [{ name: 'c', size: circuit.numQubits }];
+        return circuit;
+    }
+
+    /**
+     * Parameter('theta'): a symbolic parameter, bound to 0 until assign_parameters()
+     */
+    _newParameter(args, kwargs, node, state) {
+        const name = args[0] !== undefined ? args[0] : kwargs.name;
+        if (typeof name !== 'string' || !/^[A-Za-z_]\w*$/.test(name) || QASM.RESERVED.includes(name)) {
+            throw this._error(node, `Parameter name ${this._describeValue(name)} must be an identifier other than ${QASM.RESERVED.join(', ')}`);
+        }
+        if (!state.parameters.has(name)) {
+            state.parameters.set(name, { value: 0, span: null, implicit: false });
+        }
+        return this._parameter(name);
+    }
+
+    /**
+     * qc.assign_parameters({theta: 0.5, ...}, inplace=True): the values the circuit's
+     * parameters are bound to
+     */
+    _assignParameters(circuit, args, kwargs, node, state) {
+        const values = args[0] !== undefined ? args[0] : kwargs.parameters;
+        const inplace = args[1] !== undefined ? args[1] : kwargs.inplace;
+        if (!values || values.kind !== 'dict') {
+            this._report(state, this._error(node, 'assign_parameters() is only followed for a dict {parameter: value}', 'warning'));
+            return CodeParser.OPAQUE;
+        }
+
+        values.keys.forEach((key, i) => {
+            const valueNode = values.valueNodes[i];
+            if (!this._isParameter(key) || !state.parameters.has(key.expr)) {
+                throw this._error(valueNode, `assign_parameters() keys must be Parameters, not ${this._describeValue(key)}`);
+            }
+            const value = this._number(values.values[i], valueNode);
+            if (value === null) {
+                this._report(state, this._error(valueNode, `The value of '${key.expr}' is only known when the code runs; using 0`, 'warning'));
+                return;
+            }
+            Object.assign(state.parameters.get(key.expr), { value, span: this._span(valueNode) });
+        });
+        return inplace === true ? null : circuit;
+    }
+
+    /**
+     * SparsePauliOp('ZZI') or SparsePauliOp(['ZZ', 'XI'], coeffs=[0.5, 1]); labels
+     * put qubit 0 last
+     */
+    _newSparsePauliOp(args, kwargs, node) {
+        const data = args[0] !== undefined ? args[0] : kwargs.data;
+        if (this._isObservable(data)) return data;
+        const labels = typeof data === 'string' ? [data] : this._iterate(data, node);
+        const coeffArg = args[1] !== undefined ? args[1] : kwargs.coeffs;
+        const coeffs = coeffArg === undefined || coeffArg === null
+            ? labels.map(() => 1)
+            : this._iterate(coeffArg, node);
+        if (coeffs.length !== labels.length) {
+            throw this._error(node, `SparsePauliOp got ${labels.length} labels but ${coeffs.length} coefficients`);
+        }
+        return this._observable(labels.map((label, i) => this._pauliLabelTerm(label, coeffs[i], node)));
+    }
+
+    /**
+     * SparsePauliOp.from_list([('ZZ', 0.5), ...]) and
+     * SparsePauliOp.from_sparse_list([('ZZ', [0, 1], 0.5), ...], num_qubits=n)
+     */
+    _sparsePauliOpFrom(method, args, kwargs, node) {
+        const list = args[0] !== undefined ? args[0] : kwargs.obj;
+        const numQubits = args[1] !== undefined ? args[1] : kwargs.num_qubits;
+        const terms = this._iterate(list, node).map(entry => {
+            const items = this._iterate(entry, node);
+            if (method === 'from_list') {
+                return this._pauliLabelTerm(items[0], items.length > 1 ? items[1] : 1, node);
+            }
+            const [paulis, qubits, coeff] = items;
+            const indices = this._iterate(qubits, node);
+            if (typeof paulis !== 'string' || paulis.length !== indices.length) {
+                throw this._error(node, `from_sparse_list() needs one qubit per Pauli, got ${this._describeValue(paulis)}`);
+            }
+            const ops = new Map();
+            [...paulis].forEach((pauli, k) => {
+                const q = indices[k];
+                if (!Number.isInteger(q) || q < 0 || (Number.isInteger(numQubits) && q >= numQubits)) {
+                    throw this._error(node, `Qubit ${this._describeValue(q)} is out of range for the observable`);
+                }
+                if (!/^[IXYZ]$/.test(pauli)) throw this._error(node, `'${pauli}' is not a Pauli`);
+                if (pauli !== 'I') ops.set(q, pauli);
+            });
+            return Observable.term(this._observableCoeff(coeff === undefined ? 1 : coeff, node), ops);
+        });
+        return this._observable(terms);
+    }
+
+    _pauliLabelTerm(label, coeff, node) {
+        if (typeof label !== 'string' || !/^[IXYZ]+$/.test(label)) {
+            throw this._error(node, `Pauli labels are strings of I, X, Y and Z, got ${this._describeValue(label)}`);
+        }
+        const ops = new Map([...label].reverse().map((pauli, q) => [q, pauli]));
+        return Observable.term(this._observableCoeff(coeff, node), ops);
+    }
+
+    _observableCoeff(value, node) {
+        if (this._isComplex(value)) {
+            if (value.im !== 0) throw this._error(node, 'Observables with complex coefficients are not supported');
+            return value.re;
+        }
+        const n = this._number(value, node);
+        if (n === null) throw this._error(node, 'The coefficients of an observable must be known before the circuit runs');
+        return n;
+    }
+
+    /**
+     * estimator.run([(qc, observables), ...]), or estimator.run(circuits, observables)
+     * for the first Estimator: records the observables
+     */
+    _estimatorRun(estimator, args, kwargs, node, state) {
+        const flatten = (value) => (Array.isArray(value) ? value.flatMap(flatten) : [value]);
+        if (estimator.name === 'Estimator') {
+            const observables = args[1] !== undefined ? args[1] : kwargs.observables;
+            if (observables !== undefined) this._recordObservables(flatten(observables), node, state);
+            return CodeParser.OPAQUE;
+        }
+        const pubs = args[0] !== undefined ? args[0] : kwargs.pubs;
+        if (!Array.isArray(pubs)) return CodeParser.OPAQUE;
+        for (const pub of pubs) {
+            if (Array.isArray(pub) && pub.length > 1) this._recordObservables(flatten(pub[1]), node, state);
+        }
+        return CodeParser.OPAQUE;
+    }
+
+    _circuitAttribute(circuit, attr, node) {
+        switch (attr) {
+            case 'num_qubits': return circuit.numQubits;
+            case 'num_clbits': return circuit.cregs.reduce((sum, r) => sum + r.size, 0);
+            case 'qubits': return circuit.qregs.flatMap(r => this._registerBits(r));
+            case 'clbits': return circuit.cregs.flatMap(r => this._registerBits(r));
+            case 'qregs': return [...circuit.qregs];
+            case 'cregs': return [...circuit.cregs];
+            default: return { kind: 'method', circuit, name: attr };
+        }
+    }
+
+    _registerBits(reg) {
+        const kind = reg.kind === 'qreg' ? 'qubit' : 'clbit';
+        return this._range(reg.size).map(i => ({ kind, index: reg.offset + i }));
+    }
+
+    _circuitMethod(circuit, name, args, kwargs, node, state) {
+        if (circuit.recording) return this._definitionMethod(circuit, name, args, kwargs, node, state);
+        // The second circuit was reported when it was built
+        if (circuit !== state.circuit) return CodeParser.OPAQUE;
+
+        const gateKey = this.qiskitGates[name];
+        if (gateKey) {
+            return this._qiskitGate(gateKey, name, args, kwargs, node, state, circuit);
+        }
+        if (this.qiskitControlled[name]) {
+            return this._qiskitControlledGate(name, args, kwargs, node, state, circuit);
+        }
+
+        switch (name) {
+            case 'append':
+                return this._append(circuit, args, kwargs, node, state);
+
+            case 'measure': {
+                const qubitArg = args[0] !== undefined ? args[0] : kwargs.qubit;
+                const clbitArg = args[1] !== undefined ? args[1] : kwargs.cbit;
+                if (qubitArg === undefined || clbitArg === undefined) {
+                    throw this._error(node, 'measure() needs a qubit and a classical bit');
+                }
+                const numClbits = state.result.classicalRegisters.reduce((sum, r) => sum + r.size, 0);
+                const qubits = this._qubitIndices(qubitArg, this._argumentNode(node, 0, args[0] === undefined ? 'qubit' : null), circuit);
+                const clbits = this._clbitIndices(clbitArg, this._argumentNode(node, 1, args[1] === undefined ? 'cbit' : null), numClbits);
+                if (qubits.length !== clbits.length) {
+                    throw this._error(node, `measure() got ${qubits.length} qubits but ${clbits.length} classical bits`);
+                }
+                const gates = qubits.map((qubit, i) =>
+                    this._addGate(state, { gate: 'M', qubit, clbit: clbits[i], params: {} }, [qubit], node));
+                return { kind: 'instructions', gates };
+            }
+
+            case 'measure_all': {
+                const gates = this._range(circuit.numQubits)
+                    .map(q => this._addGate(state, { gate: 'M', qubit: q, clbit: q, params: {} }, [q], node));
+                return { kind: 'instructions', gates };
+            }
+
+            case 'if_test':
+                return { kind: 'if_test', condition: this._qiskitCondition(args[0], node) };
+
+            case 'unitary':
+                return this._qiskitUnitary(circuit, args, kwargs, node, state);
+
+            case 'assign_parameters':
+                return this._assignParameters(circuit, args, kwargs, node, state);
+
+            case 'remove_final_measurements': {
+                // A copy for an estimator; the circuit shown keeps its measurements
+                const inplace = args[0] !== undefined ? args[0] : kwargs.inplace;
+                if (inplace !== false) {
+                    throw this._error(node, 'remove_final_measurements() is only supported with inplace=False');
+                }
+                return CodeParser.OPAQUE;
+            }
+
+            case 'barrier': {
+                const qubits = args.length > 0
+                    ? args.flatMap(a => this._qubitIndices(a, node, circuit))
+                    : this._range(circuit.numQubits);
+                const pos = Math.max(0, ...qubits.map(q => state.qubitPositions[q] || 0));
+                qubits.forEach(q => { state.qubitPositions[q] = pos; });
+                return { kind: 'instructions', gates: [] };
+            }
+
+            default:
+                if (CodeParser.QISKIT_IGNORED_METHODS.includes(name)) return CodeParser.OPAQUE;
+                throw this._error(node, `Unknown gate or circuit method '${name}'`);
+        }
+    }
+
+    /**
+     * Methods of a named circuit recording a custom gate: gates, appended custom
+     * gates and to_gate()
+     */
+    _definitionMethod(circuit, name, args, kwargs, node, state) {
+        const gateKey = this.qiskitGates[name];
+        if (gateKey) {
+            return this._qiskitGate(gateKey, name, args, kwargs, node, state, circuit);
+        }
+        if (this.qiskitControlled[name]) {
+            return this._qiskitControlledGate(name, args, kwargs, node, state, circuit);
+        }
+
+        switch (name) {
+            case 'to_gate':
+            case 'to_instruction':
+                return { kind: 'customGate', definition: circuit.recording.definition };
+            case 'append':
+                return this._append(circuit, args, kwargs, node, state);
+            case 'unitary':
+                return this._qiskitUnitary(circuit, args, kwargs, node, state);
+            case 'barrier':
+                return { kind: 'instructions', gates: [], inCustomGate: true };
+            default:
+                if (CodeParser.QISKIT_IGNORED_METHODS.includes(name)) return CodeParser.OPAQUE;
+                throw this._error(node, `Custom gate '${circuit.recording.definition.name}' can only hold unitary gates, not ${name}()`);
+        }
+    }
+
+    /**
+     * qc.append(gate, qargs) for a custom gate from to_gate() or a named circuit, or
+     * for a library gate such as HGate().control(2)
+     */
+    _append(circuit, args, kwargs, node, state) {
+        let instruction = args[0] !== undefined ? args[0] : kwargs.instruction;
+        if (instruction && instruction.kind === 'circuit' && instruction.recording) {
+            instruction = { kind: 'customGate', definition: instruction.recording.definition };
+        }
+        if (instruction && instruction.kind === 'libraryGate') {
+            return this._appendLibraryGate(instruction, circuit, args, kwargs, node, state);
+        }
+        if (!instruction || instruction.kind !== 'customGate') {
+            throw this._error(node, 'append() is only supported for custom gates and library gates, ' +
+                'e.g. qc.append(sub.to_gate(), [0, 1]) or qc.append(HGate().control(2), [0, 1, 2])');
+        }
+
+        const definition = instruction.definition;
+        if (circuit.recording && circuit.recording.definition === definition) {
+            throw this._error(node, `Custom gate '${definition.name}' cannot contain itself`);
+        }
+        const qargs = args[1] !== undefined ? args[1] : kwargs.qargs;
+        if (qargs === undefined) {
+            throw this._error(node, 'append() needs the qubits the gate acts on');
+        }
+        const qubits = this._qubitIndices(qargs, this._argumentNode(node, 1, args[1] === undefined ? 'qargs' : null), circuit);
+        if (qubits.length !== definition.numQubits) {
+            throw this._error(node, `${definition.name} acts on ${definition.numQubits} qubits, got ${qubits.length}`);
+        }
+        if (new Set(qubits).size !== qubits.length) {
+            throw this._error(node, `${definition.name} needs different qubits`);
+        }
+
+        const registered = state.result.customGates[definition.name];
+        if (registered && registered !== definition) {
+            throw this._error(node, `Another custom gate is already named '${definition.name}'`);
+        }
+        state.result.customGates[definition.name] = definition;
+
+        const gateOp = { gate: 'CUSTOM', definition: definition.name, qubit: qubits[0], qubits, params: {} };
+        return {
+            kind: 'instructions',
+            gates: [this._addCircuitGate(circuit, state, gateOp, qubits, node)],
+            inCustomGate: Boolean(circuit.recording)
+        };
+    }
+
+    /**
+     * qc.unitary(matrix, qubits): Qiskit numbers the rows with the first qubit as
+     * the lowest bit, so a 4×4 matrix is read with its qubits swapped
+     */
+    _qiskitUnitary(circuit, args, kwargs, node, state) {
+        const argument = this._argumentReader('unitary', args, kwargs, node);
+        const matrix = this._unitaryMatrix(argument('obj'), argument.node);
+        const qubits = this._qubitIndices(argument('qubits'), argument.node, circuit);
+        const gateOp = this._unitaryGate(Unitary.reverseQubits(matrix), qubits, 'unitary', node);
+        return {
+            kind: 'instructions',
+            gates: [this._addCircuitGate(circuit, state, gateOp, qubits, node)],
+            inCustomGate: Boolean(circuit.recording)
+        };
+    }
+
+    /**
+     * A custom unitary matrix from nested lists of numbers, checked for unitarity
+     */
+    _unitaryMatrix(value, node) {
+        const rows = this._iterate(value, node).map(row => this._iterate(row, node));
+        const matrix = rows.map(row => row.map(entry => {
+            if (this._isComplex(entry)) return { re: entry.re, im: entry.im };
+            const n = this._number(entry, node);
+            if (n === null) throw this._error(node, 'The matrix entries must be numbers');
+            return { re: n, im: 0 };
+        }));
+        try {
+            Unitary.validate(matrix);
+        } catch (e) {
+            throw this._error(node, e.message);
+        }
+        return matrix;
+    }
+
+    /**
+     * Custom unitary gate on its qubits; a 4×4 matrix has the first qubit as its high bit
+     */
+    _unitaryGate(matrix, qubits, name, node) {
+        if (qubits.length !== Unitary.numQubits(matrix)) {
+            throw this._error(node, `${name}() got a ${matrix.length}×${matrix.length} matrix for ${qubits.length} qubit${qubits.length === 1 ? '' : 's'}`);
+        }
+        if (new Set(qubits).size !== qubits.length) {
+            throw this._error(node, `${name}() needs different qubits`);
+        }
+        const gateOp = { gate: 'UNITARY', qubit: qubits[0], matrix, params: {} };
+        if (qubits.length === 2) gateOp.targetQubit = qubits[1];
+        return gateOp;
+    }
+
+    /**
+     * qc.h(0), qc.rx(theta, 1), qc.cx(0, 1); lists and registers broadcast as in Qiskit
+     */
+    _qiskitGate(gateKey, name, args, kwargs, node, state, circuit) {
+        const gateDef = GATES[gateKey];
+        const add = (gateOp, qubits) => this._addCircuitGate(circuit, state, gateOp, qubits, node);
+        const argument = this._argumentReader(name, args, kwargs, node);
+        const qubits = (...names) => this._qubitIndices(argument(...names), argument.node, circuit);
+
+        const gates = [];
+        const params = this._qiskitAngles(gateKey, argument, state);
+        if (GateShape.arity(gateKey) === 2) {
+            const first = qubits('control_qubit', 'qubit1');
+            const second = qubits('target_qubit', 'qubit2');
+            // cx/cz with ctrl_state=0 fire on |0⟩: X/Z under an open control
+            const values = gateDef.type === 'controlled' ? this._qiskitCtrlState(kwargs.ctrl_state, 1, node) : null;
+            for (const [a, b] of this._broadcastPairs(first, second, node)) {
+                if (a === b) {
+                    throw this._error(node, `${name}() needs two different qubits`);
+                }
+                const gateOp = values
+                    ? { gate: gateKey === 'CNOT' ? 'X' : 'Z', qubit: b, controls: [a], controlValues: values, params: {} }
+                    : { gate: gateKey, qubit: a, targetQubit: b, params: { ...params } };
+                gates.push(add(gateOp, [a, b]));
+            }
+        } else {
+            for (const qubit of qubits('qubit')) {
+                gates.push(add({ gate: gateKey, qubit, params: { ...params } }, [qubit]));
+            }
+        }
+        return { kind: 'instructions', gates, inCustomGate: Boolean(circuit.recording) };
+    }
+
+    /**
+     * Angles of a Qiskit gate call or library gate by their parameter names: a gate
+     * with one angle takes it as theta, phi or lam, U as theta, phi and lam
+     */
+    _qiskitAngles(gateKey, argument, state) {
+        const names = GateShape.params(gateKey);
+        const params = {};
+        for (const name of names) {
+            const keywords = names.length === 1 ? ['theta', 'phi', 'lam'] : [name === 'lambda' ? 'lam' : name];
+            params[name] = this._angle(argument(...keywords), argument.node, state);
+        }
+        return params;
+    }
+
+    /**
+     * qc.ccx(0, 1, 2), qc.crz(theta, 0, 1), qc.cswap(0, 1, 2), qc.mcx([0, 1, 2], 3), ...
+     * with an optional ctrl_state; lists and registers broadcast as in Qiskit
+     */
+    _qiskitControlledGate(name, args, kwargs, node, state, circuit) {
+        const { gate, controls } = this.qiskitControlled[name];
+        const gateDef = GATES[gate];
+        const argument = this._argumentReader(name, args, kwargs, node);
+        const qubits = (...names) => this._qubitIndices(argument(...names), argument.node, circuit);
+
+        const params = this._qiskitAngles(gate, argument, state);
+
+        // mcx/mcp take one list of controls; the others a qubit per control
+        const operands = [];
+        const fixedControls = controls === null ? qubits('control_qubits') : [];
+        for (let i = 0; i < (controls || 0); i++) {
+            operands.push(qubits(controls === 1 ? 'control_qubit' : `control_qubit${i + 1}`));
+        }
+        const numControls = controls === null ? fixedControls.length : controls;
+        if (gateDef.type === 'swap') {
+            operands.push(qubits('target_qubit1'), qubits('target_qubit2'));
+        } else {
+            operands.push(qubits('target_qubit', 'target_qubits'));
+        }
+        const values = this._qiskitCtrlState(kwargs.ctrl_state, numControls, node);
+
+        const gates = [];
+        for (const group of this._broadcast(operands, node)) {
+            const wires = [...fixedControls, ...group];
+            if (new Set(wires).size !== wires.length) {
+                throw this._error(node, `${name}() needs different qubits`);
+            }
+            const own = wires.slice(numControls);
+            const gateOp = { gate, qubit: own[0], controls: wires.slice(0, numControls), params: { ...params } };
+            if (own.length === 2) gateOp.targetQubit = own[1];
+            if (values) gateOp.controlValues = values;
+            gates.push(this._addCircuitGate(circuit, state, Controls.normalize(gateOp), wires, node));
+        }
+        return { kind: 'instructions', gates, inCustomGate: Boolean(circuit.recording) };
+    }
+
+    /**
+     * Instance of a qiskit.circuit.library gate class, e.g. RXGate(0.5)
+     */
+    _libraryGate(gateClass, args, kwargs, node, state) {
+        const params = this._qiskitAngles(gateClass.gate, this._argumentReader(gateClass.name, args, kwargs, node), state);
+        return { kind: 'libraryGate', name: gateClass.name, gate: gateClass.gate, params,
+            controls: gateClass.controls, controlValues: new Array(gateClass.controls).fill(1) };
+    }
+
+    /**
+     * gate.control(num_ctrl_qubits, ctrl_state=...): the new controls come first
+     */
+    _controlLibraryGate(gate, args, kwargs, node) {
+        if (!Controls.allowed(gate.gate)) {
+            throw this._error(node, `${gate.name} cannot take controls here`);
+        }
+        const countArg = args[0] !== undefined ? args[0] : kwargs.num_ctrl_qubits;
+        const count = countArg === undefined ? 1 : this._integer(countArg, node);
+        if (count < 1) throw this._error(node, 'control() needs at least one control qubit');
+        const state = args[2] !== undefined ? args[2] : kwargs.ctrl_state;
+        const values = this._qiskitCtrlState(state, count, node) || new Array(count).fill(1);
+        return { ...gate, controls: gate.controls + count, controlValues: [...values, ...gate.controlValues] };
+    }
+
+    /**
+     * qc.append(HGate().control(2), [0, 1, 2]): the first qargs are the controls
+     */
+    _appendLibraryGate(gate, circuit, args, kwargs, node, state) {
+        const qargs = args[1] !== undefined ? args[1] : kwargs.qargs;
+        if (qargs === undefined) {
+            throw this._error(node, 'append() needs the qubits the gate acts on');
+        }
+        const qubits = this._qubitIndices(qargs, this._argumentNode(node, 1, args[1] === undefined ? 'qargs' : null), circuit);
+        const arity = GateShape.arity(gate.gate);
+        if (qubits.length !== gate.controls + arity) {
+            throw this._error(node, `${gate.name} with ${gate.controls} controls acts on ${gate.controls + arity} qubits, got ${qubits.length}`);
+        }
+        if (new Set(qubits).size !== qubits.length) {
+            throw this._error(node, `${gate.name} needs different qubits`);
+        }
+
+        // A global phase acts on no qubit and sits on qubit 0
+        const own = arity > 0 ? qubits.slice(gate.controls) : [0];
+        const gateOp = { gate: gate.gate, qubit: own[0], controls: qubits.slice(0, gate.controls),
+            controlValues: gate.controlValues, params: { ...gate.params } };
+        if (own.length === 2) gateOp.targetQubit = own[1];
+        return {
+            kind: 'instructions',
+            gates: [this._addCircuitGate(circuit, state, Controls.normalize(gateOp), arity > 0 ? qubits : own, node)],
+            inCustomGate: Boolean(circuit.recording)
+        };
+    }
+
+    /**
+     * Control values from a Qiskit ctrl_state: a bit string read right to left or an
+     * integer whose bit i is control i. Null when every control is closed.
+     */
+    _qiskitCtrlState(ctrlState, count, node) {
+        if (ctrlState === undefined || ctrlState === null) return null;
+        let values;
+        if (typeof ctrlState === 'string' && /^[01]+$/.test(ctrlState) && ctrlState.length === count) {
+            values = [...ctrlState].reverse().map(Number);
+        } else if (Number.isInteger(ctrlState) && ctrlState >= 0 && ctrlState < (1 << count)) {
+            values = this._range(count).map(i => (ctrlState >> i) & 1);
+        } else {
+            throw this._error(node, `ctrl_state ${this._describeValue(ctrlState)} does not fit ${count} control${count > 1 ? 's' : ''}`);
+        }
+        return values.includes(0) ? values : null;
+    }
+
+    /**
+     * Reads call arguments by keyword or in order; `.node` is the syntax node of the
+     * last one read
+     */
+    _argumentReader(name, args, kwargs, node) {
+        let index = 0;
+        const argument = (...names) => {
+            const keyword = names.find(n => n in kwargs);
+            if (keyword) {
+                argument.node = this._argumentNode(node, null, keyword);
+                return kwargs[keyword];
+            }
+            if (args[index] !== undefined) {
+                argument.node = this._argumentNode(node, index);
+                return args[index++];
+            }
+            throw this._error(node, `${name}() is missing an argument`);
+        };
+        argument.node = node;
+        return argument;
+    }
+
+    /**
+     * Syntax node of a call argument, for pointing diagnostics at it
+     */
+    _argumentNode(node, index, keyword = null) {
+        if (keyword !== null) {
+            const match = node.keywords.find(k => k.name === keyword);
+            return match ? match.value : node;
+        }
+        // Positions past a *args no longer line up with the syntax
+        const starred = node.args.findIndex(a => a.type === 'Starred');
+        if (starred !== -1 && starred <= index) return node;
+        return node.args[index] || node;
+    }
+
+    _broadcastPairs(first, second, node) {
+        if (first.length === second.length) return first.map((a, i) => [a, second[i]]);
+        if (first.length === 1) return second.map(b => [first[0], b]);
+        if (second.length === 1) return first.map(a => [a, second[0]]);
+        throw this._error(node, `Cannot pair ${first.length} control qubits with ${second.length} target qubits`);
+    }
+
+    /**
+     * One qubit from each operand per gate; single qubits repeat, lists go in step
+     */
+    _broadcast(operands, node) {
+        const sizes = [...new Set(operands.map(o => o.length).filter(n => n !== 1))];
+        if (sizes.length > 1) {
+            throw this._error(node, `Cannot broadcast qubit lists of lengths ${sizes.join(' and ')}`);
+        }
+        return this._range(sizes.length > 0 ? sizes[0] : 1).map(i => operands.map(o => (o.length === 1 ? o[0] : o[i])));
+    }
+
+    /**
+     * Flat qubit indices from an int, qr[i], a register or a list of those
+     */
+    _qubitIndices(value, node, circuit) {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            if (value < 0 || value >= circuit.numQubits) {
+                throw this._error(node, `Qubit ${value} is out of range (the circuit has ${circuit.numQubits})`);
+            }
+            return [value];
+        }
+        if (value && value.kind === 'qubit') return [value.index];
+        if (value && value.kind === 'qreg') return this._registerBits(value).map(b => b.index);
+        if (Array.isArray(value)) return value.flatMap(v => this._qubitIndices(v, node, circuit));
+        throw this._error(node, `Expected a qubit but got ${this._describeValue(value)}`);
+    }
+
+    /**
+     * Flat classical bit indices from an int, c[i], a register or a list of those
+     */
+    _clbitIndices(value, node, numClbits) {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            if (value < 0 || value >= numClbits) {
+                throw this._error(node, `Classical bit ${value} is out of range (the circuit has ${numClbits})`);
+            }
+            return [value];
+        }
+        if (value && value.kind === 'clbit') return [value.index];
+        if (value && value.kind === 'creg') return this._registerBits(value).map(b => b.index);
+        if (Array.isArray(value)) return value.flatMap(v => this._clbitIndices(v, node, numClbits));
+        throw this._error(node, `Expected a classical bit but got ${this._describeValue(value)}`);
+    }
+
+    /**
+     * Condition from the (target, value) of a Qiskit if_test/c_if
+     */
+    _qiskitCondition(pair, node) {
+        if (!Array.isArray(pair) || pair.length !== 2) {
+            throw this._error(node, 'Expected a (classical target, value) condition');
+        }
+
+        const [target, raw] = pair;
+        if (typeof raw !== 'boolean' && !Number.isInteger(raw)) {
+            throw this._error(node, `Condition value must be an integer, got ${this._describeValue(raw)}`);
+        }
+        const value = Number(raw);
+
+        if (Number.isInteger(target) && target >= 0) return { clbit: target, value };
+        if (target && target.kind === 'clbit') return { clbit: target.index, value };
+        if (target && target.kind === 'creg' && target.name) return { register: target.name, value };
+
+        throw this._error(node, `Unknown classical target: ${this._describeValue(target)}`);
+    }
+
+    /**
+     * Attach a c_if condition to gates that were already placed
+     */
+    _conditionGates(gates, condition, state) {
+        const clbits = this._conditionClbits(state, condition);
+        for (const gate of gates) {
+            gate.condition = { ...condition };
+            const pos = Math.max(gate.position, ...clbits.map(b => state.clbitPositions[b] || 0));
+            if (pos !== gate.position) {
+                gate.position = pos;
+                const own = gate.qubits || (gate.targetQubit !== undefined ? [gate.qubit, gate.targetQubit] : [gate.qubit]);
+                const qubits = [...(gate.controls || []), ...own];
+                qubits.forEach(q => { state.qubitPositions[q] = Math.max(state.qubitPositions[q] || 0, pos + 1); });
+            }
+            clbits.forEach(b => { state.clbitPositions[b] = Math.max(state.clbitPositions[b] || 0, pos + 1); });
+        }
+    }
+
+    _conditionClbits(state, condition) {
+        return this._conditionBits(state.result.classicalRegisters, condition);
+    }
+
+    _conditionBits(registers, condition) {
+        if (condition.clbit !== undefined) return [condition.clbit];
+        const reg = registers.find(r => r.name === condition.register);
+        if (!reg) return [];
+        const offset = this._registerBitIndex(registers, reg.name, 0);
+        return this._range(reg.size).map(i => offset + i);
+    }
+
+    // ============================================
+    // PennyLane
+    // ============================================
+
+    _qmlCall(name, args, kwargs, node, state, cond = null, control = null) {
+        switch (name) {
+            case 'device': {
+                const wires = kwargs.wires !== undefined ? kwargs.wires : args[1];
+                const count = Array.isArray(wires) ? wires.length : this._integer(wires, node);
+                const device = { kind: 'device', wires: count };
+                if (!state.device) {
+                    state.device = device;
+                    state.result.numQubits = count;
+                }
+                return device;
+            }
+
+            case 'qnode':
+                return this._native((fnArgs, fnKwargs, decoratorNode) => this._qnode(fnArgs[0], decoratorNode, state));
+
+            case 'QNode':
+                return this._qnode(args[0], node, state);
+
+            case 'cond': {
+                const op = args[1];
+                if (!op || (op.kind !== 'qml' && op.kind !== 'ctrl' && !(op.kind === 'function' && this._definesGate(op)))) {
+                    throw this._error(node, 'qml.cond() expects an operation such as qml.PauliX or a custom gate function');
+                }
+                return { kind: 'cond', condition: args[0], op, node };
+            }
+
+            case 'ctrl':
+                return this._pennylaneCtrl(args, kwargs, node, state);
+
+            case 'adjoint':
+                return this._pennylaneAdjoint(args, kwargs, node, state);
+
+            case 'measure':
+                return state.inQNode ? this._pennylaneMeasure(args, kwargs, node, state) : CodeParser.OPAQUE;
+
+            case 'expval':
+                if (state.inQNode) this._recordObservables([args[0] !== undefined ? args[0] : kwargs.op], node, state);
+                return CodeParser.OPAQUE;
+
+            case 'Hamiltonian':
+            case 'dot':
+                return this._pennylaneHamiltonian(args, kwargs, node);
+        }
+
+        // Pauli operators are observables in a measurement or outside a QNode
+        const pauli = CodeParser.PENNYLANE_PAULIS[name];
+        if (pauli && (!state.inQNode || state.observableDepth > 0)) {
+            const wires = this._pennylaneWires(args, kwargs, 0, node, state);
+            if (wires.length !== 1) throw this._error(node, `qml.${name} acts on one wire, got ${wires.length}`);
+            return this._observable([Observable.term(1, new Map([[wires[0], pauli]]))]);
+        }
+
+        if (!state.inQNode || state.observableDepth > 0) {
+            return CodeParser.OPAQUE;
+        }
+
+        const gateKey = this.pennylaneGates[name];
+        const controlled = this.pennylaneControlled[name];
+        const unitary = name === 'QubitUnitary';
+        if ((gateKey || controlled || unitary) && state.deferGate) {
+            // The operation of qml.ctrl(qml.RX(0.5, wires=1), control=0) is applied by qml.ctrl
+            state.deferGate = false;
+            return control ? { kind: 'qmlOp', name, args, kwargs, node, control } : { kind: 'qmlOp', name, args, kwargs, node };
+        }
+        if (gateKey) {
+            return this._pennylaneGate(gateKey, name, args, kwargs, node, state, cond, control);
+        }
+        if (controlled) {
+            return this._pennylaneGate(controlled.gate, name, args, kwargs, node, state, cond, control, controlled.controls);
+        }
+        if (unitary) {
+            return this._pennylaneUnitary(args, kwargs, node, state, cond, control);
+        }
+        if (/^[A-Z]/.test(name) && !CodeParser.PENNYLANE_IGNORED_OPS.includes(name)) {
+            throw this._error(node, `qml.${name} is not supported`);
+        }
+        return CodeParser.OPAQUE;
+    }
+
+    /**
+     * Run a QNode's body once to record its gates; calling it later has no effect.
+     * Its arguments without a default or with a float one are symbolic parameters,
+     * bound to that default.
+     */
+    _qnode(fn, node, state) {
+        if (!fn || fn.kind !== 'function') {
+            throw this._error(node, 'qml.qnode expects a function');
+        }
+
+        const kwargs = {};
+        for (const param of fn.node.params.filter(p => p.kind === 'normal')) {
+            const value = param.default ? this._evaluate(param.default, fn.scope, state) : CodeParser.OPAQUE;
+            const float = typeof value === 'number' &&
+                (!Number.isInteger(value) || /[.eE]/.test(this._sourceText(param.default)));
+            if ((float || !param.default) && !QASM.RESERVED.includes(param.name)) {
+                state.parameters.set(param.name, {
+                    value: float ? value : 0,
+                    span: float ? this._span(param.default) : null,
+                    implicit: !param.default
+                });
+                kwargs[param.name] = this._parameter(param.name);
+            } else {
+                kwargs[param.name] = value;
+            }
+        }
+
+        if (state.baseDepth === null) {
+            // New gates go before the first statement of the body, after any docstring
+            const body = fn.node.body;
+            const docstring = body[0].type === 'Expr' && body[0].value.type === 'Constant' && body.length > 1;
+            this._setSourceStart(state, state.stack.length, body[docstring ? 1 : 0].line);
+        }
+
+        const outer = state.inQNode;
+        state.inQNode = true;
+        try {
+            this._callFunction(fn, [], kwargs, node, state);
+        } finally {
+            state.inQNode = outer;
+        }
+        return { kind: 'qnode', fn };
+    }
+
+    _pennylaneWires(args, kwargs, index, node, state) {
+        const wires = kwargs.wires !== undefined ? kwargs.wires : args[index];
+        if (wires === undefined) {
+            throw this._error(node, 'Missing wires argument');
+        }
+        const wiresNode = this._argumentNode(node, index, kwargs.wires !== undefined ? 'wires' : null);
+        return this._pennylaneWireList(wires, wiresNode, state);
+    }
+
+    /**
+     * Wire indices from a wire or a list of wires
+     */
+    _pennylaneWireList(wires, wiresNode, state) {
+        const list = typeof wires === 'number' ? [wires] : this._iterate(wires, wiresNode);
+        const numQubits = state.result.numQubits;
+        return list.map(w => {
+            if (!Number.isInteger(w)) {
+                throw this._error(wiresNode, `Wires must be integers, got ${this._describeValue(w)}`);
+            }
+            if (w < 0 || w >= numQubits) {
+                throw this._error(wiresNode, `Wire ${w} is out of range (the device has ${numQubits})`);
+            }
+            return w;
+        });
+    }
+
+    /**
+     * A gate operation. `wireControls` of a controlled operation such as qml.Toffoli
+     * lead its wires (null: all but the gate's own); `control` holds the control
+     * wires and values of an enclosing qml.ctrl, and `adjoint` when it sits in an
+     * odd number of qml.adjoint.
+     */
+    /**
+     * qml.QubitUnitary(U, wires): a custom unitary, inverted under qml.adjoint
+     */
+    _pennylaneUnitary(args, kwargs, node, state, cond, control) {
+        const argument = this._argumentReader('qml.QubitUnitary', args, kwargs, node);
+        let matrix = this._unitaryMatrix(argument('U'), argument.node);
+        if (control && control.control.length > 0) {
+            throw this._error(node, 'qml.QubitUnitary cannot take controls here');
+        }
+        if (control && control.adjoint) matrix = Unitary.dagger(matrix);
+
+        const wires = this._pennylaneWires(args, kwargs, 1, node, state);
+        const gateOp = this._unitaryGate(matrix, wires, 'qml.QubitUnitary', node);
+        const after = cond ? this._pennylaneCond(cond, gateOp, state) : 0;
+        this._addGate(state, gateOp, wires, node, after);
+        return CodeParser.OPAQUE;
+    }
+
+    _pennylaneGate(gateKey, name, args, kwargs, node, state, cond, control = null, wireControls = 0) {
+        const gateDef = GATES[gateKey];
+        const gateOp = { gate: gateKey, params: this._pennylaneAngles(gateKey, name, args, kwargs, node, state) };
+        // GlobalPhase(φ) applies e^{-iφ} whatever its wires
+        if (gateDef.type === 'global') gateOp.params.theta = QASM.negate(gateOp.params.theta);
+        if (control && control.adjoint) this._invertGate(gateOp, `qml.${name}`, node);
+
+        const own = GateShape.arity(gateKey);
+        const wires = own > 0 ? this._pennylaneWires(args, kwargs, GateShape.params(gateKey).length, node, state) : [];
+        const arity = wireControls === null ? Math.max(own + 1, wires.length) : own + wireControls;
+        if (wires.length !== arity) {
+            const expected = wireControls === null ? `at least ${arity}` : arity;
+            throw this._error(node, `qml.${name} acts on ${expected} wire${arity > 1 ? 's' : ''}, got ${wires.length}`);
+        }
+
+        const numControls = wires.length - own;
+        let values = new Array(numControls).fill(1);
+        if (numControls > 0 && kwargs.control_values !== undefined) {
+            values = this._pennylaneControlValues(kwargs.control_values, numControls, node);
+        }
+        const qubits = control ? [...control.control, ...wires] : wires;
+        if (new Set(qubits).size !== qubits.length) {
+            throw this._error(node, `qml.${name} needs ${qubits.length === 2 ? 'two ' : ''}different wires`);
+        }
+        if (own === 0 && qubits.length > 0) {
+            throw this._error(node, `qml.${name} cannot take controls here`);
+        }
+
+        // A global phase acts on no wire and sits on qubit 0
+        gateOp.qubit = own > 0 ? wires[numControls] : 0;
+        if (own === 2) gateOp.targetQubit = wires[numControls + 1];
+        if (qubits.length > own) {
+            gateOp.controls = qubits.slice(0, qubits.length - own);
+            gateOp.controlValues = [...(control ? control.values : []), ...values];
+            Controls.normalize(gateOp);
+        }
+
+        const after = cond ? this._pennylaneCond(cond, gateOp, state) : 0;
+        this._addGate(state, gateOp, own > 0 ? qubits : [0], node, after);
+        return CodeParser.OPAQUE;
+    }
+
+    /**
+     * Angles of a PennyLane operation by their parameter names: an operation with
+     * one angle takes it first or as phi or theta, U3 as theta, phi and delta
+     */
+    _pennylaneAngles(gateKey, name, args, kwargs, node, state) {
+        const names = GateShape.params(gateKey);
+        const params = {};
+        names.forEach((param, i) => {
+            const keywords = names.length === 1 ? ['phi', 'theta'] : [param === 'lambda' ? 'delta' : param];
+            const keyword = args[i] === undefined ? keywords.find(k => kwargs[k] !== undefined) : null;
+            const value = keyword ? kwargs[keyword] : args[i];
+            if (value === undefined) {
+                throw this._error(node, `qml.${name} is missing ${names.length === 1 ? 'its angle' : `the angle ${keywords[0]}`}`);
+            }
+            params[param] = this._angle(value, this._argumentNode(node, i, keyword || null), state);
+        });
+        return params;
+    }
+
+    /**
+     * Turn a gate op into its inverse, in place: S and T trade places with S† and T†,
+     * angles change sign and the other gates are their own inverse. √X and iSWAP have
+     * no inverse in the gate set.
+     */
+    _invertGate(gateOp, label, node) {
+        const inverse = { S: 'SDG', SDG: 'S', T: 'TDG', TDG: 'T' }[gateOp.gate];
+        if (inverse) {
+            gateOp.gate = inverse;
+        } else if (gateOp.gate === 'U') {
+            // U(θ, φ, λ)† = U(-θ, -λ, -φ)
+            const { theta, phi, lambda } = gateOp.params;
+            gateOp.params = { theta: QASM.negate(theta), phi: QASM.negate(lambda), lambda: QASM.negate(phi) };
+        } else if (['SX', 'ISWAP'].includes(gateOp.gate)) {
+            throw this._error(node, `The adjoint of ${label} is not supported`);
+        } else {
+            GateShape.params(gateOp.gate).forEach(param => { gateOp.params[param] = QASM.negate(gateOp.params[param]); });
+        }
+        return gateOp;
+    }
+
+    /**
+     * qml.ctrl(op, control, control_values): applies an operation built in its
+     * arguments, or returns the controlled version of an operation class
+     */
+    _pennylaneCtrl(args, kwargs, node, state) {
+        const op = args[0] !== undefined ? args[0] : kwargs.op;
+        if (op === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+
+        const controlArg = args[1] !== undefined ? args[1] : kwargs.control;
+        if (controlArg === undefined) {
+            throw this._error(node, 'qml.ctrl() needs the control wires');
+        }
+        const controlNode = this._argumentNode(node, 1, args[1] === undefined ? 'control' : null);
+        const wires = this._pennylaneWireList(controlArg, controlNode, state);
+        const valuesArg = args[2] !== undefined ? args[2] : kwargs.control_values;
+        const values = valuesArg === undefined || valuesArg === null
+            ? new Array(wires.length).fill(1)
+            : this._pennylaneControlValues(valuesArg, wires.length, node);
+
+        if (op && op.kind === 'qmlOp') {
+            const outer = op.control || { control: [], values: [] };
+            const control = { ...outer, control: [...wires, ...outer.control], values: [...values, ...outer.values] };
+            if (state.deferGate) {
+                // Nested in the operation of another qml.ctrl
+                state.deferGate = false;
+                return { ...op, control };
+            }
+            return this._qmlCall(op.name, op.args, op.kwargs, op.node, state, null, control);
+        }
+        if (op && op.kind === 'ctrl') {
+            return { ...op, control: [...wires, ...op.control], values: [...values, ...op.values], node };
+        }
+        if (op && op.kind === 'qml' && (this.pennylaneGates[op.name] || this.pennylaneControlled[op.name])) {
+            return { kind: 'ctrl', op, control: wires, values, node };
+        }
+        throw this._error(node, 'qml.ctrl() expects an operation such as qml.RX or qml.RX(0.5, wires=0)');
+    }
+
+    /**
+     * qml.adjoint(op): applies the inverse of an operation built in its argument, or
+     * returns the inverse of an operation class. The inverse rides along as the
+     * `adjoint` flag of a qml.ctrl with no controls.
+     */
+    _pennylaneAdjoint(args, kwargs, node, state) {
+        const op = args[0] !== undefined ? args[0] : kwargs.fn;
+        if (op === CodeParser.OPAQUE) return CodeParser.OPAQUE;
+
+        if (op && op.kind === 'qmlOp') {
+            const outer = op.control || { control: [], values: [] };
+            const control = { ...outer, adjoint: !outer.adjoint };
+            if (state.deferGate) {
+                // Nested in the operation of a qml.ctrl or another qml.adjoint
+                state.deferGate = false;
+                return { ...op, control };
+            }
+            return this._qmlCall(op.name, op.args, op.kwargs, op.node, state, null, control);
+        }
+        if (op && op.kind === 'ctrl') {
+            return { ...op, adjoint: !op.adjoint, node };
+        }
+        if (op && op.kind === 'qml' && (this.pennylaneGates[op.name] || this.pennylaneControlled[op.name] || op.name === 'QubitUnitary')) {
+            return { kind: 'ctrl', op, control: [], values: [], adjoint: true, node };
+        }
+        throw this._error(node, 'qml.adjoint() expects an operation such as qml.S or qml.RX(0.5, wires=0)');
+    }
+
+    /**
+     * Control values as 0/1: a list of bools or ints, one bool/int for a single
+     * control, or a bit string
+     */
+    _pennylaneControlValues(value, count, node) {
+        let values;
+        if (typeof value === 'string' && /^[01]+$/.test(value)) {
+            values = [...value].map(Number);
+        } else if (typeof value === 'boolean' || Number.isInteger(value)) {
+            values = [value];
+        } else if (Array.isArray(value)) {
+            values = value;
+        } else {
+            throw this._error(node, `control_values must be a list of 0/1 or booleans, got ${this._describeValue(value)}`);
+        }
+        if (values.length !== count || values.some(v => ![0, 1, true, false].includes(v))) {
+            throw this._error(node, `control_values must hold ${count} value${count > 1 ? 's' : ''} of 0/1 or booleans`);
+        }
+        return values.map(Number);
+    }
+
+    /**
+     * Queue the condition of a qml.cond gate for resolving. Returns the column the
+     * gate must follow: conditioned gates go after the measurements they depend on.
+     */
+    _pennylaneCond(cond, gateOp, state) {
+        if (state.definition) {
+            throw this._error(cond.node, `Custom gate '${state.definition.definition.name}' can only hold unitary gates`);
+        }
+        const condition = this._pennylaneCondition(cond.condition);
+        state.conditioned.push({ gate: gateOp, condition, node: cond.node });
+        if (!condition) return 0;
+        return Math.max(0, ...condition.terms
+            .filter(t => t.measurement.gate)
+            .map(t => t.measurement.gate.position + 1));
+    }
+
+    /**
+     * Whether a function reads as a custom gate: its only parameter is `wires` and it
+     * neither measures nor conditions
+     */
+    _definesGate(fn) {
+        const params = fn.node.params;
+        if (params.length !== 1 || params[0].kind !== 'normal' || params[0].name !== 'wires' || params[0].default) {
+            return false;
+        }
+        const dynamic = (node) => {
+            if (Array.isArray(node)) return node.some(dynamic);
+            if (!node || typeof node !== 'object') return false;
+            if (node.type === 'Attribute' && ['measure', 'cond'].includes(node.attr)) return true;
+            return Object.values(node).some(dynamic);
+        };
+        return !dynamic(fn.node.body);
+    }
+
+    /**
+     * A call of a custom gate function inside a QNode: the gates it applies are
+     * recorded as the gate's definition on the first call, and each call places one
+     * instance of it
+     */
+    _pennylaneCustomGate(fn, args, kwargs, node, state, cond = null) {
+        const wires = this._pennylaneWires(args, kwargs, 0, node, state);
+        if (new Set(wires).size !== wires.length) {
+            throw this._error(node, `${fn.name}() needs different wires`);
+        }
+
+        const customGates = state.result.customGates;
+        let definition = customGates[fn.name];
+        if (!definition) {
+            definition = { name: fn.name, numQubits: wires.length, gates: [] };
+            customGates[fn.name] = definition;
+            const outer = state.definition;
+            state.definition = { definition, wires, positions: [] };
+            let value;
+            try {
+                value = this._callFunction(fn, args, kwargs, node, state);
+            } finally {
+                state.definition = outer;
+            }
+
+            // A helper that applies no gates is an ordinary function
+            if (definition.gates.length === 0) {
+                delete customGates[fn.name];
+                return value;
+            }
+        } else if (definition.numQubits !== wires.length) {
+            throw this._error(node, `${fn.name}() acts on ${definition.numQubits} wires, got ${wires.length}`);
+        }
+
+        const gateOp = { gate: 'CUSTOM', definition: fn.name, qubit: wires[0], qubits: wires, params: {} };
+        const after = cond ? this._pennylaneCond(cond, gateOp, state) : 0;
+        this._addGate(state, gateOp, wires, node, after);
+        return null;
+    }
+
+    /**
+     * qml.Hamiltonian(coeffs, observables) and qml.dot(coeffs, ops): a weighted sum
+     */
+    _pennylaneHamiltonian(args, kwargs, node) {
+        const coeffs = this._iterate(args[0] !== undefined ? args[0] : kwargs.coeffs, node);
+        const ops = this._iterate(args[1] !== undefined ? args[1] : (kwargs.observables || kwargs.ops), node);
+        if (coeffs.length !== ops.length) {
+            throw this._error(node, `Got ${coeffs.length} coefficients but ${ops.length} observables`);
+        }
+        if (!ops.every(op => this._isObservable(op))) return CodeParser.OPAQUE;
+        return this._observable(ops.flatMap((op, i) => Observable.scale(op.terms, this._observableCoeff(coeffs[i], node))));
+    }
+
+    _pennylaneMeasure(args, kwargs, node, state) {
+        const wires = this._pennylaneWires(args, kwargs, 0, node, state);
+        if (wires.length !== 1) {
+            throw this._error(node, 'qml.measure() measures exactly one wire');
+        }
+
+        const gate = this._addGate(state, { gate: 'M', qubit: wires[0], params: {} }, wires, node);
+        const measurement = { kind: 'mcm', gate, variable: null };
+        state.measurements.push(measurement);
+        return measurement;
+    }
+
+    /**
+     * A qml.cond condition may name a register bit that is never measured
+     * (e.g. `flags_0`); it reads as a classical bit that keeps its initial 0
+     */
+    _unmeasuredBit(variable, state) {
+        let measurement = state.measurements.find(m => m.variable === variable);
+        if (!measurement) {
+            measurement = { kind: 'mcm', gate: null, variable };
+            state.measurements.push(measurement);
+        }
+        return measurement;
+    }
+
+    _isMeasurementValue(value) {
+        return Boolean(value) && (value.kind === 'mcm' || value.kind === 'mexpr' || value.kind === 'mcond');
+    }
+
+    /**
+     * Weighted sums of measurement values and comparisons with integers,
+     * the forms qml.cond conditions take
+     */
+    _measurementArithmetic(op, a, b) {
+        const terms = (v) => {
+            if (v && v.kind === 'mcm') return [{ weight: 1, measurement: v }];
+            if (v && v.kind === 'mexpr') return v.terms;
+            return null;
+        };
+        const integer = (v) => Number.isInteger(v) || typeof v === 'boolean';
+
+        if (op === '+' && terms(a) && terms(b)) {
+            return { kind: 'mexpr', terms: [...terms(a), ...terms(b)] };
+        }
+        if (op === '*' && ((terms(a) && integer(b)) || (integer(a) && terms(b)))) {
+            const [t, k] = terms(a) ? [terms(a), Number(b)] : [terms(b), Number(a)];
+            return { kind: 'mexpr', terms: t.map(term => ({ ...term, weight: term.weight * k })) };
+        }
+        if (op === '==' && terms(a) && integer(b)) {
+            return { kind: 'mcond', terms: terms(a), value: Number(b) };
+        }
+        if (op === '~' && a.kind === 'mcm') {
+            return { kind: 'mcond', terms: terms(a), value: 0 };
+        }
+        return CodeParser.OPAQUE;
+    }
+
+    /**
+     * { terms, value } of a qml.cond condition, or null if it cannot be represented
+     */
+    _pennylaneCondition(value) {
+        if (value && value.kind === 'mcm') {
+            return { terms: [{ weight: 1, measurement: value }], value: 1 };
+        }
+        if (value && value.kind === 'mcond') {
+            return { terms: value.terms, value: value.value };
+        }
+        return null;
+    }
+
+    /**
+     * Build classical registers from measurement variables and assign flat bit indices.
+     * Variables named <register>_<index> map back onto named classical bits;
+     * register 'c' always comes first and covers at least one bit per qubit.
+     */
+    _assignPennyLaneClbits(result, measurements) {
+        for (const m of measurements) {
+            const bitMatch = m.variable && m.variable.match(/^([A-Za-z_]\w*?)_(\d+)$/);
+            m.register = bitMatch ? bitMatch[1] : null;
+            m.index = bitMatch ? parseInt(bitMatch[2]) : null;
+        }
+
+        const sizes = { c: result.numQubits };
+        for (const m of measurements) {
+            if (m.register !== null) {
+                sizes[m.register] = Math.max(sizes[m.register] || 0, m.index + 1);
+            }
+        }
+
+        // Unnamed measurements take the next free bits of 'c'
+        const used = new Set(measurements.filter(m => m.register === 'c').map(m => m.index));
+        let next = 0;
+        for (const m of measurements) {
+            if (m.register !== null) continue;
+            while (used.has(next)) next++;
+            m.register = 'c';
+            m.index = next;
+            used.add(next);
+            sizes.c = Math.max(sizes.c, next + 1);
+        }
+
+        result.classicalRegisters = Object.entries(sizes).map(([name, size]) => ({ name, size }));
+        for (const m of measurements) {
+            m.clbit = this._registerBitIndex(result.classicalRegisters, m.register, m.index);
+            if (m.gate) m.gate.clbit = m.clbit;
+        }
+    }
+
+    /**
+     * Turn qml.cond conditions into gate conditions once measurement bits are known.
+     * Supports `m`, `~m`, `m == v` and register sums like `c_0 + 2 * c_1 == 3`.
+     */
+    _resolvePennyLaneConditions(state) {
+        const registers = state.result.classicalRegisters;
+
+        for (const { gate, condition, node } of state.conditioned) {
+            const conditionNode = node.args[0] || node;
+            const unsupported = () => this._report(state,
+                this._error(conditionNode, `Unsupported qml.cond condition: ${this._sourceText(conditionNode)}`));
+
+            if (!condition) {
+                unsupported();
+                continue;
+            }
+
+            const { terms, value } = condition;
+            if (terms.length === 1 && terms[0].weight === 1) {
+                gate.condition = { clbit: terms[0].measurement.clbit, value };
+                continue;
+            }
+
+            // A weighted sum must cover a whole register with bit i weighted 2^i
+            const register = terms[0].measurement.register;
+            const reg = registers.find(r => r.name === register);
+            const indices = new Set(terms.map(t => t.measurement.index));
+            const isRegister = reg &&
+                terms.every(t => t.measurement.register === register && t.weight === (1 << t.measurement.index)) &&
+                indices.size === reg.size;
+
+            if (isRegister) {
+                gate.condition = { register, value };
+            } else {
+                unsupported();
+            }
+        }
+    }
+
+    // ============================================
+    // Gates
+    // ============================================
+
+    /**
+     * Rotation angle as a number; anything else is reported and read as 0
+     */
+    _angle(value, node, state) {
+        if (typeof value === 'number' || typeof value === 'boolean') return Number(value);
+        if (this._isParameter(value)) return value.expr;
+        this._report(state, this._error(node, `Rotation angle '${this._sourceText(node)}' is not a number; using 0`, 'warning'));
+        return 0;
+    }
+
+    /**
+     * Place a gate after everything on its qubits and classical bits
+     */
+    _addGate(state, gateOp, qubits, node, after = 0) {
+        if (state.definition) {
+            return this._addDefinitionGate(state.definition, gateOp, qubits, node);
+        }
+        if (state.result.gates.length >= CodeParser.MAX_GATES) {
+            const error = this._error(node, `Circuits are limited to ${CodeParser.MAX_GATES} gates`);
+            error.fatal = true;
+            throw error;
+        }
+
+        if (state.condition && !gateOp.condition) {
+            gateOp.condition = { ...state.condition };
+        }
+
+        const clbits = [];
+        if (gateOp.clbit !== undefined) clbits.push(gateOp.clbit);
+        if (gateOp.condition) clbits.push(...this._conditionClbits(state, gateOp.condition));
+
+        const pos = Math.max(
+            after,
+            ...qubits.map(q => state.qubitPositions[q] || 0),
+            ...clbits.map(b => state.clbitPositions[b] || 0)
+        );
+        gateOp.position = pos;
+        qubits.forEach(q => { state.qubitPositions[q] = pos + 1; });
+        clbits.forEach(b => { state.clbitPositions[b] = pos + 1; });
+
+        gateOp.source = this._span(node);
+        state.result.gates.push(gateOp);
+        state.placements.push({ gate: gateOp, node, frames: state.stack.slice() });
+        return gateOp;
+    }
+
+    /**
+     * Add a gate to the shown circuit, or to the custom gate a named circuit records
+     */
+    _addCircuitGate(circuit, state, gateOp, qubits, node) {
+        if (circuit.recording) return this._addDefinitionGate(circuit.recording, gateOp, qubits, node);
+        return this._addGate(state, gateOp, qubits, node);
+    }
+
+    /**
+     * Place a gate in the custom gate being recorded. PennyLane recordings map the
+     * call's wires to the gate's qubits 0..n-1; Qiskit subcircuits already count so.
+     */
+    _addDefinitionGate(recording, gateOp, qubits, node) {
+        const { definition, wires } = recording;
+        if (gateOp.gate === 'M') {
+            throw this._error(node, `Custom gate '${definition.name}' can only hold unitary gates`);
+        }
+        if (GateShape.angles(gateOp).some(angle => typeof angle === 'string')) {
+            throw this._error(node, `Custom gate '${definition.name}' cannot hold symbolic angles`);
+        }
+
+        if (wires) {
+            const local = (q) => {
+                const index = wires.indexOf(q);
+                if (index === -1) throw this._error(node, `Wire ${q} is not one of the wires of ${definition.name}()`);
+                return index;
+            };
+            qubits = qubits.map(local);
+            gateOp.qubit = local(gateOp.qubit);
+            if (gateOp.targetQubit !== undefined) gateOp.targetQubit = local(gateOp.targetQubit);
+            if (gateOp.qubits) gateOp.qubits = gateOp.qubits.map(local);
+            if (gateOp.controls) gateOp.controls = gateOp.controls.map(local);
+        }
+
+        const pos = Math.max(0, ...qubits.map(q => recording.positions[q] || 0));
+        gateOp.position = pos;
+        qubits.forEach(q => { recording.positions[q] = pos + 1; });
+        definition.gates.push(gateOp);
+        return gateOp;
+    }
+
+    // ============================================
+    // Source map
+    // ============================================
+
+    /**
+     * Remember the block that builds the circuit and where its first gate would go
+     */
+    _setSourceStart(state, depth, line) {
+        if (state.baseDepth !== null) return;
+        state.baseDepth = depth;
+        state.start = { line, indent: this._indentOf(line) };
+    }
+
+    _indentOf(line) {
+        return (this.lines[line - 1] || '').match(/^\s*/)[0];
+    }
+
+    /**
+     * Where each gate came from in the code and how it may be edited in place:
+     * - call: the gate's call, rewritable when it produced only this gate
+     * - statement: the statement to replace or delete, when it produced only this gate
+     * - anchor: the statement in the circuit's block that contains the gate; gates
+     *   added after it in the circuit are inserted after it in the code
+     */
+    _buildSourceMap(state) {
+        const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+        const calls = new Map();
+        const statements = new Map();
+        for (const { node, frames } of state.placements) {
+            count(calls, node);
+            count(statements, frames[frames.length - 1].stmt);
+        }
+
+        const gates = state.placements.map(({ gate, node, frames }) => {
+            const inner = frames[frames.length - 1];
+            const simple = statements.get(inner.stmt) === 1 && ['Expr', 'Assign'].includes(inner.stmt.type);
+            const anchor = state.baseDepth !== null && frames.length > state.baseDepth
+                ? frames[state.baseDepth].stmt
+                : null;
+
+            const { source, ...snapshot } = gate;
+            return {
+                gate: JSON.parse(JSON.stringify(snapshot)),
+                source,
+                call: calls.get(node) === 1 ? this._span(node) : null,
+                statement: simple && inner.stmt.value === node ? this._span(inner.stmt) : null,
+                removal: simple ? this._removalTarget(frames) : null,
+                anchor: anchor ? { ...this._span(anchor), indent: this._indentOf(anchor.line) } : null
+            };
+        });
+
+        return {
+            framework: this.framework,
+            numQubits: state.result.numQubits,
+            classicalRegisters: state.result.classicalRegisters.map(r => ({ ...r })),
+            start: state.start,
+            header: state.header,
+            parameters: Object.keys(state.result.parameters).map(name => {
+                const { value, span } = state.parameters.get(name);
+                return { name, value, span };
+            }),
+            circuitName: state.circuitName,
+            bitNames: this._pennylaneBitNames(state.measurements),
+            gates
+        };
+    }
+
+    /**
+     * Measurement variables that are not named <register>_<index>, keyed by the
+     * name generated code uses for their bit
+     */
+    _pennylaneBitNames(measurements) {
+        const names = {};
+        for (const m of measurements) {
+            const generated = `${m.register}_${m.index}`;
+            if (m.variable && m.variable !== generated && !(generated in names)) names[generated] = m.variable;
+        }
+        return names;
+    }
+
+    /**
+     * The code to delete with a gate: its statement, or an if_test block holding
+     * only that statement. A block left empty needs a `pass`.
+     */
+    _removalTarget(frames) {
+        let depth = frames.length - 1;
+        if (depth > 0 && frames[depth].block.length === 1 && frames[depth - 1].stmt.type === 'With') {
+            depth--;
+        }
+        const frame = frames[depth];
+        return { ...this._span(frame.stmt), pass: depth > 0 && frame.block.length === 1 };
+    }
+
+    // ============================================
+    // Errors and helpers
+    // ============================================
+
+    _span(node) {
+        return {
+            line: node.line,
+            column: node.column,
+            endLine: node.endLine !== undefined ? node.endLine : node.line,
+            endColumn: node.endColumn !== undefined ? node.endColumn : node.column + 1
+        };
+    }
+
+    _error(node, message, severity = 'error') {
+        const error = new Error(message);
+        Object.assign(error, this._span(node), { severity });
+        return error;
+    }
+
+    /**
+     * Record an error once per location and message
+     */
+    _report(state, error) {
+        const errors = state.result.errors;
+        const entry = {
+            line: error.line || 1,
+            column: error.column || 0,
+            endLine: error.endLine || error.line || 1,
+            endColumn: error.endColumn !== undefined ? error.endColumn : (error.column || 0) + 1,
+            severity: error.severity || 'error',
+            message: error.message
+        };
+
+        const duplicate = errors.some(e => e.line === entry.line && e.column === entry.column && e.message === entry.message);
+        if (!duplicate && errors.length < CodeParser.MAX_ERRORS) {
+            errors.push(entry);
+        }
+    }
+
+    /**
+     * Source text of a node, for messages
+     */
+    _sourceText(node) {
+        const line = this.lines[node.line - 1] || '';
+        if (node.endLine !== node.line) return `${line.slice(node.column).trim()} ...`;
+        return line.slice(node.column, node.endColumn);
+    }
+
+    _typeName(value) {
+        if (value === null || value === undefined) return 'NoneType';
+        if (Array.isArray(value)) return 'list';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'float';
+        if (typeof value === 'boolean') return 'bool';
+        if (typeof value === 'string') return 'str';
+        return CodeParser.TYPE_NAMES[value.kind] || 'object';
+    }
+
+    _describeValue(value) {
+        if (value === CodeParser.OPAQUE) return 'a value only known when the code runs';
+        if (typeof value === 'string') return `'${value}'`;
+        if (typeof value === 'number') return String(value);
+        return `a ${this._typeName(value)}`;
+    }
+
+    /**
+     * Flat classical bit index of register[index]
+     */
+    _registerBitIndex(registers, name, index) {
+        let offset = 0;
+        for (const reg of registers) {
+            if (reg.name === name) return offset + index;
+            offset += reg.size;
+        }
+        return index;
+    }
+
+    // ============================================
+    // Source-mapped code updates
+    // ============================================
+
+    /**
+     * Apply circuit edits to code that was parsed into `sourceMap`, touching only the
+     * code of gates that were added, removed or changed. Returns the new code and its
+     * source map, or null when the edits cannot be mapped onto the code.
+     */
+    patchCode(code, sourceMap, circuit) {
+        if (!sourceMap || sourceMap.framework !== this.framework) return null;
+        // Noise channels follow each PennyLane gate and would have to move with it
+        if (this.framework === 'pennylane' && !NoiseModel.isEmpty(circuit.noiseModel)) return null;
+
+        const lines = code.split('\n');
+        const header = this._headerEdits(sourceMap, circuit);
+        const parameters = this._parameterEdits(sourceMap, circuit);
+        if (!header || !parameters) return null;
+
+        // Moved and changed gates first stay where they are in the code, which is enough
+        // while their order on each wire is unchanged; otherwise they are re-inserted
+        for (const moveGates of [false, true]) {
+            const edits = this._gateEdits(lines, sourceMap, circuit, moveGates);
+            const patched = edits && this._applyEdits(lines, [...header, ...parameters, ...edits]);
+            const patchedMap = typeof patched === 'string' ? this.mapSourceMap(patched, circuit) : null;
+            if (patchedMap) return { code: patched, sourceMap: patchedMap };
+        }
+        return null;
+    }
+
+    /**
+     * Edits to the QuantumCircuit(n, m) call for a new qubit count, or null if needed but impossible
+     */
+    _headerEdits(sourceMap, circuit) {
+        const registers = circuit.classicalRegisters.map(r => ({ name: r.name, size: r.size }));
+        const registersChanged = JSON.stringify(registers) !== JSON.stringify(sourceMap.classicalRegisters);
+        if (circuit.numQubits === sourceMap.numQubits && !registersChanged) return [];
+
+        // Only the default register of a literal QuantumCircuit(n, m) can follow along
+        const header = sourceMap.header;
+        if (!header || registers.length !== 1 || registers[0].name !== 'c') return null;
+        if (!header.clbits && registers[0].size !== circuit.numQubits) return null;
+
+        return [{
+            from: { line: header.line, column: header.column },
+            to: { line: header.endLine, column: header.endColumn },
+            text: header.clbits ? `${circuit.numQubits}, ${registers[0].size}` : `${circuit.numQubits}`
+        }];
+    }
+
+    /**
+     * Edits to the code of parameter values that changed, or null when parameters were
+     * added or removed or a changed value has no code of its own
+     */
+    _parameterEdits(sourceMap, circuit) {
+        const names = Object.keys(circuit.parameters);
+        const entries = sourceMap.parameters || [];
+        if (names.join(',') !== entries.map(e => e.name).join(',')) return null;
+
+        const edits = [];
+        for (const { name, value, span } of entries) {
+            const code = QuantumCircuit.codeAngle(circuit.parameters[name]);
+            if (code === QuantumCircuit.codeAngle(value)) continue;
+            if (!span) return null;
+            edits.push({
+                from: { line: span.line, column: span.column },
+                to: { line: span.endLine, column: span.endColumn },
+                text: code
+            });
+        }
+        return edits;
+    }
+
+    _gateEdits(lines, sourceMap, circuit, moveGates) {
+        const entries = new Map(sourceMap.gates.map(e => [e.id, e]));
+        const current = new Map(circuit.gates.map(g => [g.id, g]));
+        const edits = [];
+        const removed = new Set();
+        const added = circuit.gates.filter(g => !entries.has(g.id));
+        const moved = moveGates ? this._reorderedGates(sourceMap, circuit) : new Set();
+
+        for (const entry of sourceMap.gates) {
+            const gate = current.get(entry.id);
+            if (!gate) {
+                removed.add(entry);
+            } else if (this._sameGate(gate, entry.gate)) {
+                if (moved.has(gate.id)) {
+                    removed.add(entry);
+                    added.push(gate);
+                }
+            } else {
+                const sameCondition = JSON.stringify(gate.condition || null) === JSON.stringify(entry.gate.condition || null);
+                const edit = sameCondition && !moveGates ? this._rewriteEdit(entry, gate, sourceMap, circuit) : null;
+                if (edit) {
+                    edits.push(edit);
+                } else {
+                    removed.add(entry);
+                    added.push(gate);
+                }
+            }
+        }
+
+        for (const entry of removed) {
+            const edit = this._removalEdit(lines, entry);
+            if (!edit) return null;
+            edits.push(edit);
+        }
+
+        // An added gate goes after the code of every kept gate before it on its wires
+        const kept = circuit.gates.filter(g => entries.has(g.id) && !removed.has(entries.get(g.id)));
+        const insertions = new Map();
+        for (const gate of added.sort((a, b) => a.position - b.position)) {
+            if (!sourceMap.start) return null;
+            let { line, indent } = sourceMap.start;
+
+            const wires = this._gateWires(gate, circuit.classicalRegisters);
+            for (const other of kept) {
+                if (other.position >= gate.position) continue;
+                if (!this._gateWires(other, circuit.classicalRegisters).some(w => wires.includes(w))) continue;
+                const anchor = entries.get(other.id).anchor;
+                if (!anchor) return null;
+                if (anchor.endLine + 1 > line) {
+                    line = anchor.endLine + 1;
+                    indent = anchor.indent;
+                }
+            }
+
+            const code = this._gateCode(gate, sourceMap, circuit);
+            if (!code) return null;
+            if (!insertions.has(line)) insertions.set(line, []);
+            insertions.get(line).push(...code.map(l => indent + l));
+        }
+
+        insertions.forEach((inserted, line) => {
+            if (line <= lines.length) {
+                edits.push({ from: { line, column: 0 }, to: { line, column: 0 }, text: inserted.map(l => l + '\n').join('') });
+            } else {
+                const end = { line: lines.length, column: lines[lines.length - 1].length };
+                edits.push({ from: end, to: end, text: inserted.map(l => '\n' + l).join('') });
+            }
+        });
+        return edits;
+    }
+
+    /**
+     * Ids of unchanged gates whose order among the other unchanged gates on one of
+     * their wires differs from the code, keeping the longest common order in place
+     */
+    _reorderedGates(sourceMap, circuit) {
+        const current = new Map(circuit.gates.map(g => [g.id, g]));
+        const kept = sourceMap.gates.filter(e => current.has(e.id) && this._sameGate(current.get(e.id), e.gate));
+        const wireOrders = (gates, registers) => {
+            const wires = new Map();
+            for (const gate of [...gates].sort((a, b) => a.position - b.position)) {
+                for (const wire of this._gateWires(gate, registers)) {
+                    if (!wires.has(wire)) wires.set(wire, []);
+                    wires.get(wire).push(gate.id);
+                }
+            }
+            return wires;
+        };
+
+        const before = wireOrders(kept.map(e => ({ ...e.gate, id: e.id })), sourceMap.classicalRegisters);
+        const after = wireOrders(kept.map(e => current.get(e.id)), circuit.classicalRegisters);
+        const reordered = new Set();
+        after.forEach((ids, wire) => {
+            const inOrder = this._commonSubsequence(before.get(wire) || [], ids);
+            ids.filter(id => !inOrder.has(id)).forEach(id => reordered.add(id));
+        });
+        return reordered;
+    }
+
+    /**
+     * Items of a longest common subsequence of two lists
+     */
+    _commonSubsequence(a, b) {
+        const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+        const items = new Set();
+        for (let i = 0, j = 0; i < a.length && j < b.length;) {
+            if (a[i] === b[j]) {
+                items.add(a[i]);
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return items;
+    }
+
+    _sameGate(a, b) {
+        const fields = (g) => JSON.stringify([g.gate, g.definition, g.qubits, g.qubit, g.targetQubit, g.controls,
+            g.controlValues, g.clbit, g.condition || null, g.params || {}]);
+        return fields(a) === fields(b);
+    }
+
+    /**
+     * Code for a new gate, using the names of the code it goes into
+     */
+    _gateCode(gate, sourceMap, circuit) {
+        if (this.framework === 'pennylane') {
+            return [this._renameBits(circuit.toPennyLaneGateLine(gate), sourceMap)];
+        }
+        if (!sourceMap.circuitName) return null;
+        return circuit.toQiskitGateLines(gate).map(l => this._renameCircuit(l, sourceMap));
+    }
+
+    _renameBits(line, sourceMap) {
+        const names = sourceMap.bitNames || {};
+        return line.replace(/\b[A-Za-z_]\w*_\d+\b/g, name => names[name] || name);
+    }
+
+    _renameCircuit(line, sourceMap) {
+        return line.replace(/\bqc\./g, `${sourceMap.circuitName}.`);
+    }
+
+    /**
+     * Rewrite the call of a gate whose condition is unchanged, or null if it is not its own call
+     */
+    _rewriteEdit(entry, gate, sourceMap, circuit) {
+        const replace = (span, text) => ({
+            from: { line: span.line, column: span.column },
+            to: { line: span.endLine, column: span.endColumn },
+            text
+        });
+
+        if (this.framework === 'pennylane') {
+            // The statement carries the measurement variable and the qml.cond wrapper
+            if (entry.statement) return replace(entry.statement, this._renameBits(circuit.toPennyLaneGateLine(gate), sourceMap));
+            return null;
+        }
+
+        // The condition lives in the surrounding if_test block or .c_if() and stays as it is
+        if (!entry.call || !sourceMap.circuitName) return null;
+        return replace(entry.call, this._renameCircuit(circuit.toQiskitGateCall(gate), sourceMap));
+    }
+
+    /**
+     * Delete a gate's statement: whole lines when it is alone on them, otherwise the
+     * statement and one ';' separator
+     */
+    _removalEdit(lines, entry) {
+        const r = entry.removal;
+        if (!r) return null;
+
+        const from = { line: r.line, column: r.column };
+        const to = { line: r.endLine, column: r.endColumn };
+        if (r.pass) return { from, to, text: 'pass' };
+
+        const before = lines[r.line - 1].slice(0, r.column);
+        const after = lines[r.endLine - 1].slice(r.endColumn);
+        if (before.trim() === '' && (after.trim() === '' || after.trim().startsWith('#'))) {
+            if (r.endLine < lines.length) {
+                return { from: { line: r.line, column: 0 }, to: { line: r.endLine + 1, column: 0 }, text: '' };
+            }
+            const start = r.line > 1 ? { line: r.line - 1, column: lines[r.line - 2].length } : { line: 1, column: 0 };
+            return { from: start, to: { line: r.endLine, column: lines[r.endLine - 1].length }, text: '' };
+        }
+
+        const following = after.match(/^\s*;\s*/);
+        if (following) {
+            return { from, to: { line: r.endLine, column: r.endColumn + following[0].length }, text: '' };
+        }
+        const preceding = before.match(/\s*;\s*$/);
+        if (preceding) {
+            return { from: { line: r.line, column: r.column - preceding[0].length }, to, text: '' };
+        }
+        return null;
+    }
+
+    /**
+     * Apply edits given in 1-based lines; null if any of them overlap
+     */
+    _applyEdits(lines, edits) {
+        const starts = [0];
+        lines.forEach(l => starts.push(starts[starts.length - 1] + l.length + 1));
+        const offset = (pos) => starts[pos.line - 1] + pos.column;
+
+        const sorted = edits
+            .map(e => ({ start: offset(e.from), end: offset(e.to), text: e.text }))
+            .sort((a, b) => b.start - a.start || b.end - a.end);
+
+        let code = lines.join('\n');
+        let limit = Infinity;
+        for (const edit of sorted) {
+            if (edit.end > limit) return null;
+            code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+            limit = edit.start;
+        }
+        return code;
+    }
+
+    /**
+     * Source map of code that parses into the same circuit, wire by wire, with the
+     * ids of the circuit's gates; null when the circuits differ
+     */
+    mapSourceMap(code, circuit) {
+        const parsed = this.parseCode(code);
+        if (parsed.syntaxError || !parsed.sourceMap) return null;
+        if (this._circuitSignature(parsed) !== this._circuitSignature(circuit)) return null;
+
+        // Gates pair up by their place on their first qubit
+        const byWire = (gates) => {
+            const wires = new Map();
+            [...gates].sort((a, b) => a.position - b.position).forEach(g => {
+                if (!wires.has(g.qubit)) wires.set(g.qubit, []);
+                wires.get(g.qubit).push(g);
+            });
+            return wires;
+        };
+        const indices = new Map(parsed.gates.map((g, i) => [g, i]));
+        const gates = byWire(circuit.gates);
+        byWire(parsed.gates).forEach((list, qubit) => {
+            list.forEach((g, k) => { parsed.sourceMap.gates[indices.get(g)].id = gates.get(qubit)[k].id; });
+        });
+        return parsed.sourceMap;
+    }
+
+    _circuitSignature({ numQubits, classicalRegisters, gates, customGates = {}, parameters = {}, observables = [] }) {
+        const wires = {};
+        const sorted = [...gates].sort((a, b) => a.position - b.position);
+        for (const g of sorted) {
+            const theta = GateShape.angles(g).map(QuantumCircuit.codeAngle).join(',');
+            const key = [g.gate, g.definition, (g.qubits || []).join(','), g.qubit, g.targetQubit,
+                (g.controls || []).join(','), (g.controlValues || []).join(','), g.clbit, theta,
+                g.matrix ? Unitary.toPython(g.matrix) : '', JSON.stringify(g.condition || null)].join(':');
+            for (const wire of this._gateWires(g, classicalRegisters)) {
+                (wires[wire] = wires[wire] || []).push(key);
+            }
+        }
+        const registers = classicalRegisters.map(r => `${r.name}[${r.size}]`);
+
+        // Custom gates match when their definitions do the same
+        const names = [...new Set(gates.filter(g => g.gate === 'CUSTOM').map(g => g.definition))].sort();
+        const definitions = names.map(name => {
+            const definition = customGates[name];
+            return [name, definition ? this._circuitSignature({ ...definition, classicalRegisters: [], customGates }) : null];
+        });
+        const values = Object.entries(parameters).map(([name, value]) => `${name}=${QuantumCircuit.codeAngle(value)}`);
+        return JSON.stringify([numQubits, registers, Object.keys(wires).sort().map(w => [w, wires[w]]), definitions, values,
+            observables.map(Observable.format)]);
+    }
+
+    /**
+     * Qubits and classical bits a gate touches, as 'q0', 'c1', ...
+     */
+    _gateWires(gate, registers) {
+        const wires = gate.qubits ? gate.qubits.map(q => `q${q}`) : [`q${gate.qubit}`];
+        if (gate.targetQubit !== undefined && gate.targetQubit !== null) wires.push(`q${gate.targetQubit}`);
+        if (gate.controls) gate.controls.forEach(q => wires.push(`q${q}`));
+        if (gate.clbit !== undefined && gate.clbit !== null) wires.push(`c${gate.clbit}`);
+        if (gate.condition) {
+            this._conditionBits(registers, gate.condition).forEach(b => wires.push(`c${b}`));
+        }
+        return wires;
+    }
+
+    /**
+     * Generate code from circuit
+     */
+    generateCode(circuit) {
+        if (this.framework === 'qiskit') {
+            return circuit.toQiskitCode();
+        } else {
+            return circuit.toPennyLaneCode();
+        }
+    }
+
+    /**
+     * Check if code has been manually modified (comments, extra lines, etc.), i.e. it
+     * differs from the code generated for the same circuit
+     */
+    hasManualModifications(code, generatedCode) {
+        return code.trim() !== generatedCode.trim();
+    }
+}
+
+// Stand-in for values the interpreter does not model (simulators, results, ...)
+CodeParser.OPAQUE = Object.freeze({ kind: 'opaque' });
+
+// Names available without an import
+CodeParser.BUILTINS = [
+    'pi', 'np', 'numpy', 'math', 'qml', 'QuantumCircuit', 'QuantumRegister', 'ClassicalRegister',
+    'range', 'len', 'int', 'float', 'abs', 'round', 'min', 'max', 'sum', 'list', 'tuple',
+    'reversed', 'enumerate', 'zip', 'bool', 'str', 'print'
+];
+
+CodeParser.MATH_FUNCTIONS = {
+    sqrt: Math.sqrt, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan, arctan2: Math.atan2,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+    exp: Math.exp, log: Math.log, log2: Math.log2, log10: Math.log10,
+    abs: Math.abs, fabs: Math.abs, floor: Math.floor, ceil: Math.ceil,
+    radians: (d) => d * Math.PI / 180, degrees: (r) => r * 180 / Math.PI, deg2rad: (d) => d * Math.PI / 180
+};
+
+// Functions that also take a complex argument, as in numpy
+CodeParser.COMPLEX_FUNCTIONS = {
+    sqrt: Complex.sqrt, exp: Complex.exp, log: Complex.log, abs: Complex.magnitude
+};
+
+// numpy / math functions of a parameter -> the expression function (see QASM.FUNCTIONS)
+CodeParser.PARAMETER_FUNCTIONS = {
+    sin: 'sin', cos: 'cos', tan: 'tan', exp: 'exp', log: 'ln', sqrt: 'sqrt'
+};
+
+// Circuit methods that leave the circuit unchanged
+CodeParser.QISKIT_IGNORED_METHODS = [
+    'draw', 'depth', 'size', 'width', 'count_ops', 'num_nonlocal_gates',
+    'save_statevector', 'save_state', 'save_probabilities', 'save_density_matrix'
+];
+
+// Measurement processes; their arguments are observables
+CodeParser.PENNYLANE_MEASUREMENTS = [
+    'expval', 'var', 'probs', 'sample', 'counts', 'state', 'density_matrix',
+    'vn_entropy', 'mutual_info', 'purity'
+];
+
+// Pauli operators usable as observables -> their Pauli
+CodeParser.PENNYLANE_PAULIS = { PauliX: 'X', PauliY: 'Y', PauliZ: 'Z', X: 'X', Y: 'Y', Z: 'Z', Identity: 'I' };
+
+// Estimator primitives; Estimator is the first version, which takes circuits and observables apart
+CodeParser.ESTIMATORS = ['StatevectorEstimator', 'Estimator', 'EstimatorV2'];
+
+// Operations that leave the circuit unchanged, including the noise channels
+// emitted for the circuit's noise model
+CodeParser.PENNYLANE_IGNORED_OPS = [
+    'Identity', 'Barrier', 'Snapshot',
+    'DepolarizingChannel', 'AmplitudeDamping', 'PhaseDamping', 'BitFlip', 'PhaseFlip'
+];
+
+CodeParser.TYPE_NAMES = {
+    circuit: 'QuantumCircuit', qreg: 'QuantumRegister', creg: 'ClassicalRegister',
+    qubit: 'Qubit', clbit: 'Clbit', mcm: 'MeasurementValue', mexpr: 'MeasurementValue',
+    mcond: 'MeasurementValue', function: 'function', native: 'function', module: 'module',
+    device: 'Device', qml: 'Operation', customGate: 'Gate', ctrl: 'Operation', qmlOp: 'Operation',
+    gateClass: 'type', libraryGate: 'Gate', complex: 'complex', parameter: 'Parameter', dict: 'dict',
+    observable: 'Observable', pauliClass: 'type', estimatorClass: 'type', estimator: 'Estimator'
+};
+
+CodeParser.MAX_STEPS = 200000;
+CodeParser.MAX_RANGE = 100000;
+CodeParser.MAX_GATES = 5000;
+CodeParser.MAX_CALL_DEPTH = 50;
+CodeParser.MAX_ERRORS = 100;
 
 // Export
 window.CodeParser = CodeParser;
@@ -0,0 +1,1017 @@
+/**
+ * Python Parser
+ * Tokenizer and recursive-descent parser for the Python subset used in circuit code
+ *
+ * parse() returns a Module node. Every node carries `type` plus its source span:
+ * line/column of its first token and endLine/endColumn just past its last one
+ * (lines are 1-based, columns 0-based as in CodeMirror). Syntax errors are thrown
+ * as an Error with the same line/column fields.
+ */
+
+class PythonTokenizer {
+    /**
+     * Split source into NAME, NUMBER, STRING, OP, NEWLINE, INDENT, DEDENT and EOF tokens
+     */
+    tokenize(source) {
+        this.source = source;
+        this.pos = 0;
+        this.line = 1;
+        this.lineStart = 0;
+        this.tokens = [];
+        this.indents = [0];
+        this.brackets = []; // open brackets; newlines inside them are ignored
+        this.atLineStart = true;
+
+        while (this.pos < source.length) {
+            if (this.atLineStart) {
+                if (this._readIndent()) continue;
+                this.atLineStart = false;
+            }
+
+            const ch = source[this.pos];
+
+            if (ch === '\n') {
+                if (this.brackets.length === 0) {
+                    this._push('NEWLINE', '\n', this.pos, this.pos + 1);
+                    this.atLineStart = true;
+                }
+                this._newline(this.pos + 1);
+                continue;
+            }
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f') {
+                this.pos++;
+                continue;
+            }
+            if (ch === '#') {
+                while (this.pos < source.length && source[this.pos] !== '\n') this.pos++;
+                continue;
+            }
+            if (ch === '\\' && source[this.pos + 1] === '\n') {
+                this._newline(this.pos + 2);
+                continue;
+            }
+
+            if (this._readString() || this._readNumber() || this._readName() || this._readOperator()) {
+                continue;
+            }
+            throw this._error(`invalid character '${ch}'`, this.pos);
+        }
+
+        if (this.brackets.length > 0) {
+            const open = this.brackets.pop();
+            throw this._error(`'${open.value}' was never closed`, 0, open.line, open.column);
+        }
+        const last = this.tokens[this.tokens.length - 1];
+        if (last && last.type !== 'NEWLINE' && last.type !== 'DEDENT') {
+            this._push('NEWLINE', '', this.pos, this.pos);
+        }
+        while (this.indents.length > 1) {
+            this.indents.pop();
+            this._push('DEDENT', '', this.pos, this.pos);
+        }
+        this._push('EOF', '', this.pos, this.pos);
+        return this.tokens;
+    }
+
+    _newline(pos) {
+        this.pos = pos;
+        this.line++;
+        this.lineStart = pos;
+    }
+
+    /**
+     * Measure leading whitespace and emit INDENT/DEDENT; returns true for blank/comment lines
+     */
+    _readIndent() {
+        const source = this.source;
+        let width = 0;
+        let p = this.pos;
+        while (p < source.length && (source[p] === ' ' || source[p] === '\t')) {
+            width = source[p] === '\t' ? (Math.floor(width / 8) + 1) * 8 : width + 1;
+            p++;
+        }
+
+        // Blank and comment-only lines don't affect indentation
+        if (p >= source.length || source[p] === '\n' || source[p] === '#' || source[p] === '\r') {
+            while (p < source.length && source[p] !== '\n') p++;
+            if (p < source.length) {
+                this._newline(p + 1);
+            } else {
+                this.pos = p;
+            }
+            return true;
+        }
+
+        const current = this.indents[this.indents.length - 1];
+        if (width > current) {
+            this.indents.push(width);
+            this._push('INDENT', '', this.pos, p);
+        } else {
+            while (width < this.indents[this.indents.length - 1]) {
+                this.indents.pop();
+                this._push('DEDENT', '', p, p);
+            }
+            if (width !== this.indents[this.indents.length - 1]) {
+                throw this._error('unindent does not match any outer indentation level', p);
+            }
+        }
+        this.pos = p;
+        return false;
+    }
+
+    _readString() {
+        const source = this.source;
+        const match = source.slice(this.pos, this.pos + 3).match(/^([rRbBfFuU]{0,2})(['"])/);
+        if (!match) return false;
+
+        const start = this.pos;
+        const startLine = this.line;
+        const startColumn = start - this.lineStart;
+        const quote = match[2];
+        let p = start + match[1].length;
+        const triple = source.startsWith(quote.repeat(3), p);
+        const delimiter = triple ? quote.repeat(3) : quote;
+        const raw = /[rR]/.test(match[1]);
+        p += delimiter.length;
+
+        let value = '';
+        while (true) {
+            if (p >= source.length) {
+                throw this._error('unterminated string literal', start, startLine, startColumn);
+            }
+            if (source.startsWith(delimiter, p)) {
+                p += delimiter.length;
+                break;
+            }
+            const ch = source[p];
+            if (ch === '\n') {
+                if (!triple) throw this._error('unterminated string literal', start, startLine, startColumn);
+                this.line++;
+                this.lineStart = p + 1;
+            }
+            if (ch === '\\' && !raw && p + 1 < source.length) {
+                const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '\n': '' };
+                value += escapes[source[p + 1]] !== undefined ? escapes[source[p + 1]] : ch + source[p + 1];
+                if (source[p + 1] === '\n') {
+                    this.line++;
+                    this.lineStart = p + 2;
+                }
+                p += 2;
+                continue;
+            }
+            value += ch;
+            p++;
+        }
+
+        this.tokens.push({
+            type: 'STRING', value, line: startLine, column: startColumn,
+            endLine: this.line, endColumn: p - this.lineStart
+        });
+        this.pos = p;
+        return true;
+    }
+
+    _readNumber() {
+        const rest = this.source.slice(this.pos, this.pos + 64);
+        const match = rest.match(/^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[jJ]?/);
+        if (!match || !/^\.?\d/.test(rest)) return false;
+
+        const text = match[0];
+        this._push('NUMBER', text, this.pos, this.pos + text.length);
+        this.pos += text.length;
+        return true;
+    }
+
+    _readName() {
+        const match = this.source.slice(this.pos, this.pos + 256).match(/^[A-Za-z_]\w*/);
+        if (!match) return false;
+
+        this._push('NAME', match[0], this.pos, this.pos + match[0].length);
+        this.pos += match[0].length;
+        return true;
+    }
+
+    _readOperator() {
+        const source = this.source;
+        const op = PythonTokenizer.OPERATORS.find(o => source.startsWith(o, this.pos));
+        if (!op) return false;
+
+        this._push('OP', op, this.pos, this.pos + op.length);
+        if ('([{'.includes(op)) {
+            this.brackets.push(this.tokens[this.tokens.length - 1]);
+        } else if (')]}'.includes(op)) {
+            if (this.brackets.length === 0) throw this._error(`unmatched '${op}'`, this.pos);
+            this.brackets.pop();
+        }
+        this.pos += op.length;
+        return true;
+    }
+
+    _push(type, value, start, end) {
+        this.tokens.push({
+            type, value,
+            line: this.line, column: start - this.lineStart,
+            endLine: this.line, endColumn: end - this.lineStart
+        });
+    }
+
+    _error(message, pos, line = this.line, column = pos - this.lineStart) {
+        const error = new Error(message);
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+}
+
+// Longest first so '**=' wins over '**' and '*'
+PythonTokenizer.OPERATORS = [
+    '**=', '//=', '>>=', '<<=', '...',
+    '**', '//', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=',
+    '<<', '>>', '->', ':=',
+    '+', '-', '*', '/', '%', '@', '&', '|', '^', '~', '<', '>',
+    '(', ')', '[', ']', '{', '}', ',', ':', '.', ';', '='
+];
+
+class PythonParser {
+    /**
+     * Parse source into { type: 'Module', body: [statements] }
+     */
+    parse(source) {
+        this.tokens = new PythonTokenizer().tokenize(source);
+        this.index = 0;
+
+        const body = [];
+        while (!this._at('EOF')) {
+            if (this._accept('NEWLINE')) continue;
+            body.push(...this._statement());
+        }
+        return { type: 'Module', body, line: 1, column: 0 };
+    }
+
+    // ---- Token helpers ----
+
+    _peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    _at(type, value) {
+        const token = this._peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    _atOp(value) {
+        return this._at('OP', value);
+    }
+
+    _atKeyword(value) {
+        return this._at('NAME', value);
+    }
+
+    _accept(type, value) {
+        if (!this._at(type, value)) return null;
+        return this.tokens[this.index++];
+    }
+
+    _expect(type, value) {
+        const token = this._accept(type, value);
+        if (token) return token;
+
+        const found = this._peek();
+        const expected = value !== undefined ? `'${value}'` : type.toLowerCase();
+        throw this._error(`expected ${expected} but found ${this._describe(found)}`, found);
+    }
+
+    _describe(token) {
+        switch (token.type) {
+            case 'EOF': return 'end of file';
+            case 'NEWLINE': return 'end of line';
+            case 'INDENT': return 'unexpected indent';
+            case 'DEDENT': return 'dedent';
+            case 'STRING': return 'string';
+            default: return `'${token.value}'`;
+        }
+    }
+
+    _error(message, token = this._peek()) {
+        const error = new Error(message);
+        error.line = token.line;
+        error.column = token.column;
+        return error;
+    }
+
+    /**
+     * Stamp a node with the span from `start` to the last consumed token
+     */
+    _node(start, props) {
+        let i = this.index - 1;
+        while (i > 0 && ['NEWLINE', 'INDENT', 'DEDENT'].includes(this.tokens[i].type)) i--;
+        const end = this.tokens[i] || start;
+        return {
+            ...props,
+            line: start.line,
+            column: start.column,
+            endLine: end.endLine,
+            endColumn: end.endColumn
+        };
+    }
+
+    // ---- Statements ----
+
+    /**
+     * One logical line (possibly several ';'-separated statements) or a compound statement
+     */
+    _statement() {
+        const token = this._peek();
+
+        if (token.type === 'INDENT') {
+            throw this._error('unexpected indent', token);
+        }
+        if (token.type === 'OP' && token.value === '@') {
+            return [this._decorated()];
+        }
+        if (token.type === 'NAME') {
+            switch (token.value) {
+                case 'if': return [this._if()];
+                case 'for': return [this._for()];
+                case 'while': return [this._while()];
+                case 'def': return [this._functionDef([])];
+                case 'with': return [this._with()];
+                case 'class': return [this._class()];
+                case 'try': return [this._try()];
+                case 'async': throw this._error("'async' is not supported", token);
+            }
+        }
+
+        const statements = [this._simpleStatement()];
+        while (this._accept('OP', ';')) {
+            if (this._at('NEWLINE') || this._at('EOF')) break;
+            statements.push(this._simpleStatement());
+        }
+        if (!this._accept('NEWLINE') && !this._at('EOF')) {
+            throw this._error(`invalid syntax: unexpected ${this._describe(this._peek())}`);
+        }
+        return statements;
+    }
+
+    _simpleStatement() {
+        const start = this._peek();
+
+        if (start.type === 'NAME') {
+            switch (start.value) {
+                case 'pass':
+                case 'break':
+                case 'continue':
+                    this.index++;
+                    return this._node(start, { type: start.value[0].toUpperCase() + start.value.slice(1) });
+                case 'return': {
+                    this.index++;
+                    const value = this._atEndOfStatement() ? null : this._expressionList();
+                    return this._node(start, { type: 'Return', value });
+                }
+                case 'import':
+                    return this._import();
+                case 'from':
+                    return this._fromImport();
+                case 'global':
+                case 'nonlocal':
+                case 'del':
+                case 'assert':
+                case 'raise': {
+                    // Parsed so the rest of the file can continue; the interpreter rejects them
+                    this.index++;
+                    const value = this._atEndOfStatement() ? null : this._expressionList();
+                    if (start.value === 'raise' && this._accept('NAME', 'from')) this._expression();
+                    if (start.value === 'assert' && this._accept('OP', ',')) this._expression();
+                    return this._node(start, { type: 'Unsupported', keyword: start.value, value });
+                }
+            }
+        }
+
+        const expr = this._expressionList(true);
+
+        // Annotated assignment: x: int = 3
+        if (this._accept('OP', ':')) {
+            this._expression();
+            if (!this._accept('OP', '=')) {
+                return this._node(start, { type: 'Pass' });
+            }
+            const value = this._expressionList(true);
+            return this._node(start, { type: 'Assign', targets: [this._target(expr)], value });
+        }
+
+        const augmented = ['+=', '-=', '*=', '/=', '//=', '%=', '**=', '>>=', '<<=', '&=', '|=', '^=', '@=']
+            .find(op => this._atOp(op));
+        if (augmented) {
+            this.index++;
+            const value = this._expressionList(true);
+            return this._node(start, {
+                type: 'AugAssign', target: this._target(expr), op: augmented.slice(0, -1), value
+            });
+        }
+
+        if (this._atOp('=')) {
+            const targets = [this._target(expr)];
+            let value;
+            while (this._accept('OP', '=')) {
+                value = this._expressionList(true);
+                if (this._atOp('=')) targets.push(this._target(value));
+            }
+            return this._node(start, { type: 'Assign', targets, value });
+        }
+
+        return this._node(start, { type: 'Expr', value: expr });
+    }
+
+    _atEndOfStatement() {
+        return this._at('NEWLINE') || this._at('EOF') || this._atOp(';');
+    }
+
+    /**
+     * Check that an expression can be assigned to
+     */
+    _target(node) {
+        if (node.type === 'Name' || node.type === 'Attribute' || node.type === 'Subscript') return node;
+        if (node.type === 'Tuple' || node.type === 'List') {
+            node.elements.forEach(e => this._target(e));
+            return node;
+        }
+        if (node.type === 'Starred') return node;
+        throw this._error('cannot assign to expression', node);
+    }
+
+    _import() {
+        const start = this._expect('NAME', 'import');
+        const names = [];
+        do {
+            const module = this._dottedName();
+            const alias = this._accept('NAME', 'as') ? this._expect('NAME').value : null;
+            names.push({ module, alias });
+        } while (this._accept('OP', ','));
+        return this._node(start, { type: 'Import', names });
+    }
+
+    _fromImport() {
+        const start = this._expect('NAME', 'from');
+        let module = '';
+        while (this._atOp('.') || this._atOp('...')) module += this.tokens[this.index++].value;
+        if (!this._atKeyword('import')) module += this._dottedName();
+        this._expect('NAME', 'import');
+
+        const names = [];
+        if (this._accept('OP', '*')) {
+            names.push({ name: '*', alias: null });
+        } else {
+            const parenthesized = this._accept('OP', '(');
+            do {
+                if (parenthesized && this._atOp(')')) break;
+                const name = this._expect('NAME').value;
+                const alias = this._accept('NAME', 'as') ? this._expect('NAME').value : null;
+                names.push({ name, alias });
+            } while (this._accept('OP', ','));
+            if (parenthesized) this._expect('OP', ')');
+        }
+        return this._node(start, { type: 'ImportFrom', module, names });
+    }
+
+    _dottedName() {
+        let name = this._expect('NAME').value;
+        while (this._accept('OP', '.')) name += '.' + this._expect('NAME').value;
+        return name;
+    }
+
+    /**
+     * Statements after ':' - either on the same line or an indented block
+     */
+    _block() {
+        this._expect('OP', ':');
+
+        if (!this._accept('NEWLINE')) {
+            return this._statement();
+        }
+        if (!this._at('INDENT')) {
+            throw this._error('expected an indented block');
+        }
+        this.index++;
+
+        const body = [];
+        while (!this._accept('DEDENT')) {
+            if (this._at('EOF')) break;
+            if (this._accept('NEWLINE')) continue;
+            body.push(...this._statement());
+        }
+        return body;
+    }
+
+    _if() {
+        const start = this._peek();
+        this.index++; // 'if' or 'elif'
+        const test = this._namedExpression();
+        const body = this._block();
+
+        let orelse = [];
+        if (this._atKeyword('elif')) {
+            orelse = [this._if()];
+        } else if (this._accept('NAME', 'else')) {
+            orelse = this._block();
+        }
+        return this._node(start, { type: 'If', test, body, orelse });
+    }
+
+    _for() {
+        const start = this._expect('NAME', 'for');
+        const target = this._target(this._targetList());
+        this._expect('NAME', 'in');
+        const iter = this._expressionList();
+        const body = this._block();
+        const orelse = this._accept('NAME', 'else') ? this._block() : [];
+        return this._node(start, { type: 'For', target, iter, body, orelse });
+    }
+
+    _while() {
+        const start = this._expect('NAME', 'while');
+        const test = this._namedExpression();
+        const body = this._block();
+        const orelse = this._accept('NAME', 'else') ? this._block() : [];
+        return this._node(start, { type: 'While', test, body, orelse });
+    }
+
+    _with() {
+        const start = this._expect('NAME', 'with');
+        const items = [];
+        do {
+            const context = this._expression();
+            const alias = this._accept('NAME', 'as') ? this._target(this._primary()) : null;
+            items.push({ context, alias });
+        } while (this._accept('OP', ','));
+        const body = this._block();
+        return this._node(start, { type: 'With', items, body });
+    }
+
+    _decorated() {
+        const decorators = [];
+        while (this._accept('OP', '@')) {
+            decorators.push(this._namedExpression());
+            this._expect('NEWLINE');
+        }
+        if (this._atKeyword('def')) return this._functionDef(decorators);
+        if (this._atKeyword('class')) return this._class();
+        throw this._error('expected function definition after decorator');
+    }
+
+    _functionDef(decorators) {
+        const start = this._expect('NAME', 'def');
+        const name = this._expect('NAME').value;
+        this._expect('OP', '(');
+
+        const params = [];
+        while (!this._atOp(')')) {
+            let kind = 'normal';
+            if (this._accept('OP', '**')) kind = 'kwargs';
+            else if (this._accept('OP', '*')) kind = 'varargs';
+            else if (this._accept('OP', '/')) { this._accept('OP', ','); continue; }
+
+            // Bare '*' separates keyword-only parameters
+            if (kind === 'varargs' && (this._atOp(',') || this._atOp(')'))) {
+                this._accept('OP', ',');
+                continue;
+            }
+
+            const param = { name: this._expect('NAME').value, kind, default: null };
+            if (this._accept('OP', ':')) this._expression();
+            if (this._accept('OP', '=')) param.default = this._expression();
+            params.push(param);
+            if (!this._accept('OP', ',')) break;
+        }
+        this._expect('OP', ')');
+        if (this._accept('OP', '->')) this._expression();
+
+        const body = this._block();
+        return this._node(start, { type: 'FunctionDef', name, params, body, decorators });
+    }
+
+    _class() {
+        const start = this._expect('NAME', 'class');
+        const name = this._expect('NAME').value;
+        if (this._accept('OP', '(')) {
+            if (!this._atOp(')')) this._callArguments();
+            this._expect('OP', ')');
+        }
+        const body = this._block();
+        return this._node(start, { type: 'Unsupported', keyword: 'class', name, body });
+    }
+
+    _try() {
+        const start = this._expect('NAME', 'try');
+        const body = this._block();
+        while (this._accept('NAME', 'except')) {
+            if (!this._atOp(':')) {
+                this._expression();
+                if (this._accept('NAME', 'as')) this._expect('NAME');
+            }
+            this._block();
+        }
+        if (this._accept('NAME', 'else')) this._block();
+        if (this._accept('NAME', 'finally')) this._block();
+        return this._node(start, { type: 'Unsupported', keyword: 'try', body });
+    }
+
+    // ---- Expressions ----
+
+    /**
+     * Comma-separated expressions; more than one (or a trailing comma) makes a tuple
+     */
+    _expressionList(allowStar = false) {
+        const start = this._peek();
+        const first = allowStar && this._atOp('*') ? this._starred() : this._namedExpression();
+        if (!this._atOp(',')) return first;
+
+        const elements = [first];
+        while (this._accept('OP', ',')) {
+            if (this._atEndOfStatement() || this._atOp('=') || this._atOp(')') || this._atOp(':')) break;
+            elements.push(allowStar && this._atOp('*') ? this._starred() : this._namedExpression());
+        }
+        return this._node(start, { type: 'Tuple', elements });
+    }
+
+    /**
+     * Loop targets stop before 'in', so they are parsed at the bitwise-or level
+     */
+    _targetList() {
+        const start = this._peek();
+        const first = this._bitOr();
+        if (!this._atOp(',')) return first;
+
+        const elements = [first];
+        while (this._accept('OP', ',')) {
+            if (this._atKeyword('in')) break;
+            elements.push(this._bitOr());
+        }
+        return this._node(start, { type: 'Tuple', elements });
+    }
+
+    _starred() {
+        const start = this._expect('OP', '*');
+        return this._node(start, { type: 'Starred', value: this._bitOr() });
+    }
+
+    _namedExpression() {
+        const start = this._peek();
+        if (start.type === 'NAME' && this._peek(1).type === 'OP' && this._peek(1).value === ':=') {
+            this.index += 2;
+            const value = this._expression();
+            return this._node(start, { type: 'NamedExpr', target: { type: 'Name', id: start.value }, value });
+        }
+        return this._expression();
+    }
+
+    _expression() {
+        const start = this._peek();
+
+        if (this._atKeyword('lambda')) {
+            this.index++;
+            while (!this._atOp(':')) {
+                if (this._at('EOF') || this._at('NEWLINE')) throw this._error("expected ':' in lambda");
+                this.index++;
+            }
+            this.index++;
+            const body = this._expression();
+            return this._node(start, { type: 'Lambda', body });
+        }
+
+        const body = this._or();
+        if (this._accept('NAME', 'if')) {
+            const test = this._or();
+            this._expect('NAME', 'else');
+            const orelse = this._expression();
+            return this._node(start, { type: 'IfExp', test, body, orelse });
+        }
+        return body;
+    }
+
+    _or() {
+        const start = this._peek();
+        let left = this._and();
+        while (this._accept('NAME', 'or')) {
+            left = this._node(start, { type: 'BoolOp', op: 'or', left, right: this._and() });
+        }
+        return left;
+    }
+
+    _and() {
+        const start = this._peek();
+        let left = this._not();
+        while (this._accept('NAME', 'and')) {
+            left = this._node(start, { type: 'BoolOp', op: 'and', left, right: this._not() });
+        }
+        return left;
+    }
+
+    _not() {
+        const start = this._peek();
+        if (this._accept('NAME', 'not')) {
+            return this._node(start, { type: 'UnaryOp', op: 'not', operand: this._not() });
+        }
+        return this._comparison();
+    }
+
+    _comparison() {
+        const start = this._peek();
+        const left = this._bitOr();
+        const ops = [];
+        const comparators = [];
+
+        while (true) {
+            let op = null;
+            if (['<', '>', '==', '>=', '<=', '!='].some(o => this._atOp(o))) {
+                op = this.tokens[this.index++].value;
+            } else if (this._atKeyword('in')) {
+                this.index++;
+                op = 'in';
+            } else if (this._atKeyword('not') && this._peek(1).value === 'in') {
+                this.index += 2;
+                op = 'not in';
+            } else if (this._atKeyword('is')) {
+                this.index++;
+                op = this._accept('NAME', 'not') ? 'is not' : 'is';
+            }
+            if (!op) break;
+            ops.push(op);
+            comparators.push(this._bitOr());
+        }
+
+        if (ops.length === 0) return left;
+        return this._node(start, { type: 'Compare', left, ops, comparators });
+    }
+
+    /**
+     * Left-associative binary operator level
+     */
+    _binaryLevel(ops, next) {
+        const start = this._peek();
+        let left = next();
+        while (ops.some(op => this._atOp(op))) {
+            const op = this.tokens[this.index++].value;
+            left = this._node(start, { type: 'BinOp', op, left, right: next() });
+        }
+        return left;
+    }
+
+    _bitOr() { return this._binaryLevel(['|'], () => this._bitXor()); }
+    _bitXor() { return this._binaryLevel(['^'], () => this._bitAnd()); }
+    _bitAnd() { return this._binaryLevel(['&'], () => this._shift()); }
+    _shift() { return this._binaryLevel(['<<', '>>'], () => this._sum()); }
+    _sum() { return this._binaryLevel(['+', '-'], () => this._term()); }
+    _term() { return this._binaryLevel(['*', '/', '//', '%', '@'], () => this._factor()); }
+
+    _factor() {
+        const start = this._peek();
+        if (this._atOp('-') || this._atOp('+') || this._atOp('~')) {
+            const op = this.tokens[this.index++].value;
+            return this._node(start, { type: 'UnaryOp', op, operand: this._factor() });
+        }
+        return this._power();
+    }
+
+    _power() {
+        const start = this._peek();
+        if (this._accept('NAME', 'await')) {
+            throw this._error("'await' is not supported", start);
+        }
+        const base = this._primary();
+        if (this._accept('OP', '**')) {
+            // Right-associative and binds tighter than a unary minus on its left
+            return this._node(start, { type: 'BinOp', op: '**', left: base, right: this._factor() });
+        }
+        return base;
+    }
+
+    /**
+     * Atom followed by any number of .attr, (call) and [subscript] trailers
+     */
+    _primary() {
+        const start = this._peek();
+        let node = this._atom();
+
+        while (true) {
+            if (this._accept('OP', '.')) {
+                const attr = this._expect('NAME').value;
+                node = this._node(start, { type: 'Attribute', value: node, attr });
+            } else if (this._accept('OP', '(')) {
+                const { args, keywords } = this._atOp(')') ? { args: [], keywords: [] } : this._callArguments();
+                this._expect('OP', ')');
+                node = this._node(start, { type: 'Call', func: node, args, keywords });
+            } else if (this._accept('OP', '[')) {
+                const index = this._subscript();
+                this._expect('OP', ']');
+                node = this._node(start, { type: 'Subscript', value: node, index });
+            } else {
+                return node;
+            }
+        }
+    }
+
+    _callArguments() {
+        const args = [];
+        const keywords = [];
+
+        do {
+            if (this._atOp(')')) break;
+            const start = this._peek();
+
+            if (this._accept('OP', '**')) {
+                keywords.push({ name: null, value: this._expression(), line: start.line, column: start.column });
+            } else if (this._atOp('*')) {
+                args.push(this._starred());
+            } else if (start.type === 'NAME' && this._peek(1).type === 'OP' && this._peek(1).value === '=') {
+                this.index += 2;
+                keywords.push({ name: start.value, value: this._expression(), line: start.line, column: start.column });
+            } else {
+                if (keywords.length > 0) {
+                    throw this._error('positional argument follows keyword argument', start);
+                }
+                let arg = this._namedExpression();
+                if (this._atKeyword('for')) {
+                    arg = this._comprehension('GeneratorExp', arg, start);
+                }
+                args.push(arg);
+            }
+        } while (this._accept('OP', ','));
+
+        return { args, keywords };
+    }
+
+    _subscript() {
+        const start = this._peek();
+        const items = [];
+        do {
+            if (this._atOp(']')) break;
+            items.push(this._sliceItem());
+        } while (this._accept('OP', ','));
+
+        if (items.length === 1) return items[0];
+        return this._node(start, { type: 'Tuple', elements: items });
+    }
+
+    _sliceItem() {
+        const start = this._peek();
+        const lower = this._atOp(':') ? null : this._expression();
+        if (!this._accept('OP', ':')) return lower;
+
+        const bound = () => (this._atOp(':') || this._atOp(']') || this._atOp(',') ? null : this._expression());
+        const upper = bound();
+        const step = this._accept('OP', ':') ? bound() : null;
+        return this._node(start, { type: 'Slice', lower, upper, step });
+    }
+
+    _comprehension(type, element, start) {
+        const generators = [];
+        while (this._accept('NAME', 'for')) {
+            const target = this._target(this._targetList());
+            this._expect('NAME', 'in');
+            const iter = this._or();
+            const conditions = [];
+            while (this._accept('NAME', 'if')) {
+                conditions.push(this._or());
+            }
+            generators.push({ target, iter, conditions });
+        }
+        return this._node(start, { type, element, generators });
+    }
+
+    _atom() {
+        const token = this._peek();
+
+        if (token.type === 'NUMBER') {
+            this.index++;
+            return this._node(token, { type: 'Constant', value: this._numberValue(token) });
+        }
+
+        if (token.type === 'STRING') {
+            // Adjacent string literals concatenate
+            let value = '';
+            while (this._at('STRING')) value += this.tokens[this.index++].value;
+            return this._node(token, { type: 'Constant', value });
+        }
+
+        if (token.type === 'NAME') {
+            const constants = { True: true, False: false, None: null };
+            if (token.value in constants) {
+                this.index++;
+                return this._node(token, { type: 'Constant', value: constants[token.value] });
+            }
+            if (PythonParser.KEYWORDS.includes(token.value)) {
+                throw this._error(`invalid syntax near '${token.value}'`, token);
+            }
+            this.index++;
+            return this._node(token, { type: 'Name', id: token.value });
+        }
+
+        if (this._accept('OP', '(')) {
+            if (this._accept('OP', ')')) {
+                return this._node(token, { type: 'Tuple', elements: [] });
+            }
+            const first = this._atOp('*') ? this._starred() : this._namedExpression();
+            if (this._atKeyword('for')) {
+                const gen = this._comprehension('GeneratorExp', first, token);
+                this._expect('OP', ')');
+                return gen;
+            }
+            if (!this._atOp(',')) {
+                this._expect('OP', ')');
+                return first;
+            }
+            const elements = [first];
+            while (this._accept('OP', ',')) {
+                if (this._atOp(')')) break;
+                elements.push(this._atOp('*') ? this._starred() : this._namedExpression());
+            }
+            this._expect('OP', ')');
+            return this._node(token, { type: 'Tuple', elements });
+        }
+
+        if (this._accept('OP', '[')) {
+            const elements = [];
+            if (!this._atOp(']')) {
+                const first = this._atOp('*') ? this._starred() : this._namedExpression();
+                if (this._atKeyword('for')) {
+                    const comp = this._comprehension('ListComp', first, token);
+                    this._expect('OP', ']');
+                    return comp;
+                }
+                elements.push(first);
+                while (this._accept('OP', ',')) {
+                    if (this._atOp(']')) break;
+                    elements.push(this._atOp('*') ? this._starred() : this._namedExpression());
+                }
+            }
+            this._expect('OP', ']');
+            return this._node(token, { type: 'List', elements });
+        }
+
+        if (this._accept('OP', '{')) {
+            const dict = this._dictLiteral(token);
+            if (dict) return dict;
+
+            // Sets, comprehensions and ** unpacking are parsed but not evaluated
+            let depth = 1;
+            while (depth > 0) {
+                const t = this.tokens[this.index++];
+                if (t.type === 'EOF') throw this._error("'{' was never closed", token);
+                if (t.type === 'OP' && t.value === '{') depth++;
+                if (t.type === 'OP' && t.value === '}') depth--;
+            }
+            return this._node(token, { type: 'Dict' });
+        }
+
+        if (this._accept('OP', '...')) {
+            return this._node(token, { type: 'Constant', value: null });
+        }
+
+        throw this._error(`invalid syntax: unexpected ${this._describe(token)}`, token);
+    }
+
+    /**
+     * {key: value, ...} after its '{', or null (with nothing consumed) for any other
+     * braced expression
+     */
+    _dictLiteral(token) {
+        const start = this.index;
+        const keys = [];
+        const values = [];
+        try {
+            while (!this._atOp('}')) {
+                keys.push(this._expression());
+                this._expect('OP', ':');
+                values.push(this._expression());
+                if (!this._accept('OP', ',')) break;
+            }
+            this._expect('OP', '}');
+        } catch (e) {
+            this.index = start;
+            return null;
+        }
+        return this._node(token, { type: 'Dict', keys, values });
+    }
+
+    _numberValue(token) {
+        const text = token.value.replace(/_/g, '');
+        if (/[jJ]$/.test(text)) {
+            return { kind: 'complex', re: 0, im: parseFloat(text.slice(0, -1)) };
+        }
+        if (/^0[xX]/.test(text)) return parseInt(text.slice(2), 16);
+        if (/^0[bB]/.test(text)) return parseInt(text.slice(2), 2);
+        if (/^0[oO]/.test(text)) return parseInt(text.slice(2), 8);
+        return parseFloat(text);
+    }
+}
+
+PythonParser.KEYWORDS = [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while',
+    'with', 'yield'
+];
+
+// Export
+window.PythonTokenizer = PythonTokenizer;
+window.PythonParser = PythonParser;
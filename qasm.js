@@ -0,0 +1,536 @@
+/**
+ * OpenQASM Support
+ * Angle formatting/evaluation and an OpenQASM 2.0 reader for QuantumCircuit.fromQASM()
+ */
+
+const QASM = {
+    /**
+     * Write an angle as a multiple of pi when it is one (pi/2, -3*pi/4), else as a number.
+     * Symbolic angles (strings) are written unchanged.
+     */
+    formatAngle: (theta) => {
+        if (typeof theta === 'string') return theta;
+        if (Math.abs(theta) < 1e-12) return '0';
+
+        for (const denominator of [1, 2, 3, 4, 6, 8, 12, 16]) {
+            const k = Math.round(theta * denominator / Math.PI);
+            if (k !== 0 && Math.abs(theta - k * Math.PI / denominator) < 1e-9) {
+                const sign = k < 0 ? '-' : '';
+                const numerator = Math.abs(k) === 1 ? 'pi' : `${Math.abs(k)}*pi`;
+                return denominator === 1 ? `${sign}${numerator}` : `${sign}${numerator}/${denominator}`;
+            }
+        }
+        return String(Number(theta.toPrecision(12)));
+    },
+
+    /**
+     * Free parameter names in a symbolic angle such as '2*theta + pi/4'
+     */
+    symbols: (expr) => {
+        if (typeof expr !== 'string') return [];
+        return [...new Set(expr.match(/[A-Za-z_]\w*/g) || [])].filter(name => !QASM.RESERVED.includes(name));
+    },
+
+    /**
+     * Evaluate a classical parameter expression: numbers, pi, + - * / ^ (or **),
+     * parentheses and sin/cos/tan/exp/ln/sqrt, with parameter values from `bindings`.
+     * Throws on anything else.
+     */
+    evaluate: (text, bindings = {}) => QASM._parse(text, {
+        number: (value) => value,
+        name: (name) => {
+            if (!Object.prototype.hasOwnProperty.call(bindings, name)) {
+                throw new Error(`unknown parameter '${name}' in expression '${text}'`);
+            }
+            return bindings[name];
+        },
+        call: (name, value) => QASM.FUNCTIONS[name](value),
+        unary: (op, value) => (op === '-' ? -value : value),
+        binary: (op, a, b) => QASM._arithmetic(op, a, b)
+    }),
+
+    /**
+     * Read an angle typed by the user: a number when it names no parameters
+     * ('pi/2' -> 1.5708), else its expression in the form symbolic angles are
+     * kept in ('2 * (theta)' -> '2*theta'). Throws on a malformed expression.
+     */
+    normalize: (text) => QASM._parse(String(text), {
+        number: (value) => value,
+        name: (name) => name,
+        call: (name, value) => QASM.apply(name, value),
+        unary: (op, value) => (op === '-' ? QASM.negate(value) : value),
+        binary: (op, a, b) => QASM.combine(op, a, b)
+    }),
+
+    /**
+     * Value of an angle with its parameters bound, e.g. bind('2*theta', { theta: 0.5 }) = 1
+     */
+    bind: (angle, bindings) => (typeof angle === 'string' ? QASM.evaluate(angle, bindings) : angle),
+
+    /**
+     * a op b for op in + - * / **, where either side may be a symbolic angle. Numbers
+     * fold; expressions get the parentheses Python and OpenQASM need and no others.
+     */
+    combine: (op, a, b) => {
+        if (typeof a === 'number' && typeof b === 'number') return QASM._arithmetic(op, a, b);
+
+        const precedence = { '+': 1, '-': 1, '*': 2, '/': 2, '**': 4 }[op];
+        const left = QASM._operand(a);
+        const right = QASM._operand(b);
+        const leftParens = op === '**' ? left.precedence < 5 : left.precedence < precedence;
+        const rightParens = op === '**'
+            ? right.precedence < 3
+            : right.precedence < precedence || (right.precedence === precedence && (op === '-' || op === '/'));
+        const wrap = (operand, parens) => (parens ? `(${operand.text})` : operand.text);
+        const separator = precedence === 1 ? ` ${op} ` : op;
+        return `${wrap(left, leftParens)}${separator}${wrap(right, rightParens)}`;
+    },
+
+    /** Minus an angle, symbolic or not */
+    negate: (angle) => {
+        if (typeof angle === 'number') return -angle;
+        const operand = QASM._operand(angle);
+        if (operand.precedence === 3) {
+            // -(a + b) -> a + b, -x -> x
+            const inner = angle.slice(1);
+            const wrapped = inner.startsWith('(') && QASM._closingParen(inner, 0) === inner.length - 1;
+            return wrapped ? inner.slice(1, -1) : inner;
+        }
+        return operand.precedence < 3 ? `-(${angle})` : `-${angle}`;
+    },
+
+    /** A function of an angle, e.g. apply('sin', 'theta') = 'sin(theta)' */
+    apply: (name, angle) => (typeof angle === 'number' ? QASM.FUNCTIONS[name](angle) : `${name}(${angle})`),
+
+    _arithmetic: (op, a, b) => {
+        switch (op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+            default: return Math.pow(a, b);
+        }
+    },
+
+    /**
+     * An angle as an operand: its text and the precedence of its outermost operator
+     * (1 for + -, 2 for * /, 3 for unary minus, 4 for **, 5 for atoms)
+     */
+    _operand: (angle) => {
+        const text = typeof angle === 'number' ? QASM.formatAngle(angle) : angle;
+        let top = '';
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (depth === 0) top += ch;
+        }
+        if (/ [+-] /.test(top)) return { text, precedence: 1 };
+        if (/[/]|[^*]\*[^*]/.test(top)) return { text, precedence: 2 };
+        if (top.startsWith('-')) return { text, precedence: 3 };
+        if (top.includes('**')) return { text, precedence: 4 };
+        return { text, precedence: 5 };
+    },
+
+    _closingParen: (text, open) => {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '(') depth++;
+            if (text[i] === ')' && --depth === 0) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * Recursive-descent reader shared by evaluate() and normalize(); `build` turns
+     * numbers, parameter names, function calls and operators into values
+     */
+    _parse: (text, build) => {
+        const tokens = text.match(/\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_]\w*|\*\*|\S/g) || [];
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const expect = (token) => {
+            if (tokens[pos] !== token) {
+                throw new Error(`expected '${token}' in expression '${text}'`);
+            }
+            pos++;
+        };
+
+        const primary = () => {
+            const token = tokens[pos++];
+            if (token === undefined) {
+                throw new Error(`unexpected end of expression '${text}'`);
+            }
+            if (token === '(') {
+                const value = expression();
+                expect(')');
+                return value;
+            }
+            if (/^[\d.]/.test(token)) return build.number(parseFloat(token));
+            if (token === 'pi') return build.number(Math.PI);
+            if (QASM.FUNCTIONS[token]) {
+                expect('(');
+                const value = expression();
+                expect(')');
+                return build.call(token, value);
+            }
+            if (/^[A-Za-z_]/.test(token) && !QASM.RESERVED.includes(token)) return build.name(token);
+            throw new Error(`unexpected '${token}' in expression '${text}'`);
+        };
+
+        const unary = () => {
+            if (peek() === '-' || peek() === '+') {
+                const op = tokens[pos++];
+                return build.unary(op, unary());
+            }
+            const base = primary();
+            if (peek() === '^' || peek() === '**') { pos++; return build.binary('**', base, unary()); }
+            return base;
+        };
+
+        const term = () => {
+            let value = unary();
+            while (peek() === '*' || peek() === '/') {
+                const op = tokens[pos++];
+                value = build.binary(op, value, unary());
+            }
+            return value;
+        };
+
+        const expression = () => {
+            let value = term();
+            while (peek() === '+' || peek() === '-') {
+                const op = tokens[pos++];
+                value = build.binary(op, value, term());
+            }
+            return value;
+        };
+
+        const value = expression();
+        if (pos < tokens.length) {
+            throw new Error(`unexpected '${tokens[pos]}' in expression '${text}'`);
+        }
+        return value;
+    }
+};
+
+// Functions an angle expression may call
+QASM.FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    exp: Math.exp, ln: Math.log, sqrt: Math.sqrt
+};
+
+// Names that are not parameters
+QASM.RESERVED = ['pi', ...Object.keys(QASM.FUNCTIONS)];
+
+/**
+ * OpenQASM 2.0 reader producing { numQubits, classicalRegisters, gates }.
+ * Errors for every offending statement are collected and thrown together,
+ * each prefixed with its line number.
+ */
+class QASMParser {
+    constructor() {
+        // qelib1.inc name -> GATES key, from the gates' own qasm templates; U and CX are
+        // built in. OpenQASM 2.0 has no global phase.
+        this.gateNames = { CX: 'CNOT', U: 'U', u: 'U' };
+        for (const [key, def] of Object.entries(GATES)) {
+            if (def.qasm && def.type !== 'measure' && def.type !== 'global') {
+                this.gateNames[def.qasm('a', 'b').match(/^\w+/)[0]] = key;
+            }
+        }
+
+        // qelib1.inc controlled gates (ccx, cswap, crz, cu1, ...) -> CONTROLLED_GATES entry
+        this.controlledNames = {};
+        for (const entry of Object.values(CONTROLLED_GATES)) {
+            if (entry.qasm && !this.gateNames[entry.qasm]) this.controlledNames[entry.qasm] = entry;
+        }
+    }
+
+    parse(source) {
+        this.qregs = [];
+        this.cregs = [];
+        this.numQubits = 0;
+        this.qubitPositions = [];
+        this.clbitPositions = [];
+        this.gates = [];
+
+        const errors = [];
+        for (const statement of this._splitStatements(source)) {
+            try {
+                if (statement.unterminated) {
+                    throw new Error(`missing ';' after '${statement.text}'`);
+                }
+                this._parseStatement(statement.text);
+            } catch (e) {
+                errors.push(`Line ${statement.line}: ${e.message}`);
+            }
+        }
+
+        if (errors.length === 0 && this.numQubits === 0) {
+            errors.push('No qreg declared');
+        }
+        if (errors.length > 0) {
+            const error = new Error(`Invalid OpenQASM:\n${errors.join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        return {
+            numQubits: this.numQubits,
+            classicalRegisters: this.cregs.map(r => ({ name: r.name, size: r.size })),
+            gates: this.gates
+        };
+    }
+
+    /**
+     * Split source into ';'-terminated statements (or '{...}' blocks) with their start line
+     */
+    _splitStatements(source) {
+        const statements = [];
+        const text = source.replace(/\/\/[^\n]*/g, '');
+        let current = '';
+        let line = 1;
+        let startLine = 1;
+        let depth = 0;
+
+        for (const ch of text) {
+            if (!current.trim()) startLine = line;
+            if (ch === '\n') line++;
+
+            current += ch;
+            if (ch === '{') depth++;
+            if (ch === '}') depth--;
+
+            if ((ch === ';' && depth === 0) || (ch === '}' && depth === 0)) {
+                statements.push({ text: current.trim().replace(/;$/, '').replace(/\s+/g, ' '), line: startLine });
+                current = '';
+            }
+        }
+
+        if (current.trim()) {
+            statements.push({ text: current.trim().replace(/\s+/g, ' '), line: startLine, unterminated: true });
+        }
+        return statements;
+    }
+
+    _parseStatement(text) {
+        let match = text.match(/^OPENQASM\s+([\d.]+)$/);
+        if (match) {
+            if (!match[1].startsWith('2')) {
+                throw new Error(`unsupported OpenQASM version ${match[1]} (expected 2.0)`);
+            }
+            return;
+        }
+
+        match = text.match(/^include\s+"([^"]+)"$/);
+        if (match) {
+            if (match[1] !== 'qelib1.inc') {
+                throw new Error(`cannot include '${match[1]}' (only qelib1.inc is available)`);
+            }
+            return;
+        }
+
+        match = text.match(/^(qreg|creg)\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/);
+        if (match) {
+            this._declareRegister(match[1], match[2], parseInt(match[3]));
+            return;
+        }
+        if (/^(qreg|creg)\b/.test(text)) {
+            throw new Error(`malformed register declaration '${text}' (missing ';'?)`);
+        }
+
+        match = text.match(/^if\s*\(\s*([A-Za-z_]\w*)\s*==\s*(\d+)\s*\)\s*(.+)$/);
+        if (match) {
+            if (!this.cregs.some(r => r.name === match[1])) {
+                throw new Error(`unknown creg '${match[1]}' in if`);
+            }
+            const condition = { register: match[1], value: parseInt(match[2]) };
+            this._parseOperation(match[3], condition);
+            return;
+        }
+
+        this._parseOperation(text, null);
+    }
+
+    _declareRegister(kind, name, size) {
+        if ([...this.qregs, ...this.cregs].some(r => r.name === name)) {
+            throw new Error(`register '${name}' is already declared`);
+        }
+        if (size < 1) {
+            throw new Error(`register '${name}' must have at least one bit`);
+        }
+
+        if (kind === 'qreg') {
+            this.qregs.push({ name, size, offset: this.numQubits });
+            this.numQubits += size;
+        } else {
+            const offset = this.cregs.reduce((sum, r) => sum + r.size, 0);
+            this.cregs.push({ name, size, offset });
+        }
+    }
+
+    /**
+     * Gate, measure or barrier, optionally under an if(creg==value)
+     */
+    _parseOperation(text, condition) {
+        const keyword = (text.match(/^[A-Za-z_]\w*/) || [''])[0];
+
+        if (keyword === 'measure') {
+            const match = text.match(/^measure\s+(.+?)\s*->\s*(.+)$/);
+            if (!match) throw new Error(`malformed measure '${text}'`);
+            const qubits = this._resolve(match[1], this.qregs, 'qreg');
+            const clbits = this._resolve(match[2], this.cregs, 'creg');
+            if (qubits.length !== clbits.length) {
+                throw new Error(`measure operands have different sizes (${qubits.length} and ${clbits.length})`);
+            }
+            qubits.forEach((qubit, i) => this._place({ gate: 'M', qubit, clbit: clbits[i], params: {} }, [qubit], condition));
+            return;
+        }
+
+        if (keyword === 'barrier') {
+            if (condition) throw new Error('barrier cannot be conditioned');
+            const qubits = text.slice(keyword.length).split(',')
+                .flatMap(arg => this._resolve(arg, this.qregs, 'qreg'));
+            // Later gates on these qubits start after everything before the barrier
+            const pos = Math.max(...qubits.map(q => this.qubitPositions[q] || 0));
+            qubits.forEach(q => { this.qubitPositions[q] = pos; });
+            return;
+        }
+
+        if (['gate', 'opaque'].includes(keyword)) {
+            // Definitions of gates it knows, such as the ryy and ecr that export writes
+            const name = (text.match(/^gate\s+([A-Za-z_]\w*)/) || [])[1];
+            if (name && this.gateNames[name]) return;
+            throw new Error(`custom gate definitions ('${keyword}') are not supported`);
+        }
+        if (keyword === 'reset') {
+            throw new Error("'reset' is not supported");
+        }
+
+        const controlled = this.controlledNames[keyword];
+        const gateKey = controlled ? controlled.base : this.gateNames[keyword];
+        if (!gateKey) {
+            throw new Error(keyword ? `unsupported gate '${keyword}'` : `unsupported statement '${text}'`);
+        }
+
+        // Parameters: name(expr, ...) args
+        let rest = text.slice(keyword.length).trim();
+        let params = [];
+        if (rest.startsWith('(')) {
+            let depth = 0;
+            let end = 0;
+            for (; end < rest.length; end++) {
+                if (rest[end] === '(') depth++;
+                if (rest[end] === ')' && --depth === 0) break;
+            }
+            const inner = rest.slice(1, end).trim();
+            params = inner ? this._splitArgs(inner).map(arg => QASM.evaluate(arg)) : [];
+            rest = rest.slice(end + 1).trim();
+        }
+
+        const paramNames = GateShape.params(gateKey);
+        const expectedParams = paramNames.length;
+        if (params.length !== expectedParams) {
+            throw new Error(`'${keyword}' takes ${expectedParams} parameter(s), got ${params.length}`);
+        }
+
+        const operands = rest.split(',').map(arg => this._resolve(arg, this.qregs, 'qreg'));
+        const numControls = controlled ? controlled.controls : 0;
+        const arity = numControls + GateShape.arity(gateKey);
+        if (operands.length !== arity) {
+            throw new Error(`'${keyword}' acts on ${arity} qubit(s), got ${operands.length}`);
+        }
+
+        // Whole-register operands broadcast over their qubits
+        const sizes = [...new Set(operands.map(o => o.length).filter(n => n > 1))];
+        if (sizes.length > 1) {
+            throw new Error(`'${keyword}' register operands have different sizes`);
+        }
+        const count = sizes[0] || 1;
+
+        for (let i = 0; i < count; i++) {
+            const qubits = operands.map(o => o.length === 1 ? o[0] : o[i]);
+            if (new Set(qubits).size !== qubits.length) {
+                throw new Error(`'${keyword}' needs ${arity === 2 ? 'two ' : ''}different qubits`);
+            }
+
+            // Controls come first: ccx c0,c1,t
+            const own = qubits.slice(numControls);
+            const gateOp = { gate: gateKey, qubit: own[0], params: {} };
+            if (own.length === 2) gateOp.targetQubit = own[1];
+            if (numControls > 0) gateOp.controls = qubits.slice(0, numControls);
+            paramNames.forEach((name, j) => { gateOp.params[name] = params[j]; });
+            this._place(gateOp, qubits, condition);
+        }
+    }
+
+    /**
+     * Assign a column after every qubit and classical bit the operation depends on
+     */
+    _place(gateOp, qubits, condition) {
+        const clbits = [];
+        if (gateOp.clbit !== undefined) clbits.push(gateOp.clbit);
+        if (condition) {
+            const reg = this.cregs.find(r => r.name === condition.register);
+            for (let i = 0; i < reg.size; i++) clbits.push(reg.offset + i);
+            gateOp.condition = { ...condition };
+        }
+
+        const pos = Math.max(
+            ...qubits.map(q => this.qubitPositions[q] || 0),
+            ...clbits.map(b => this.clbitPositions[b] || 0)
+        );
+        gateOp.position = pos;
+
+        qubits.forEach(q => { this.qubitPositions[q] = pos + 1; });
+        clbits.forEach(b => { this.clbitPositions[b] = pos + 1; });
+        this.gates.push(gateOp);
+    }
+
+    /**
+     * "name[i]" or "name" -> flat bit indices
+     */
+    _resolve(arg, registers, kind) {
+        const match = arg.trim().match(/^([A-Za-z_]\w*)\s*(?:\[\s*(\d+)\s*\])?$/);
+        if (!match) throw new Error(`malformed ${kind} operand '${arg.trim()}'`);
+
+        const reg = registers.find(r => r.name === match[1]);
+        if (!reg) throw new Error(`unknown ${kind} '${match[1]}'`);
+
+        if (match[2] === undefined) {
+            return Array.from({ length: reg.size }, (_, i) => reg.offset + i);
+        }
+        const index = parseInt(match[2]);
+        if (index >= reg.size) {
+            throw new Error(`index ${index} out of range for ${kind} ${reg.name}[${reg.size}]`);
+        }
+        return [reg.offset + index];
+    }
+
+    /**
+     * Split "a, f(b, c)" on top-level commas
+     */
+    _splitArgs(text) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        args.push(current.trim());
+        return args;
+    }
+}
+
+// Export
+window.QASM = QASM;
+window.QASMParser = QASMParser;
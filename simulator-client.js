@@ -0,0 +1,260 @@
+/**
+ * Simulator Client
+ * Promise-based front end for simulator-worker.js, with a main-thread fallback
+ */
+
+class SimulatorClient {
+    constructor(workerUrl = 'simulator-worker.js') {
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.activeRunId = null;
+        this.activeJobs = {};     // Job name -> id of the one running
+
+        // Used when workers are unavailable (e.g. the page is opened from file://)
+        this.localSimulator = null;
+
+        try {
+            this.worker = new Worker(workerUrl);
+            this.worker.onmessage = (e) => this._handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.warn('Simulator worker failed, falling back to main thread:', e.message);
+                this._fallbackToLocal();
+            };
+        } catch (e) {
+            console.warn('Web Workers unavailable, simulating on main thread:', e.message);
+        }
+    }
+
+    /**
+     * Simulate a circuit. Resolves with
+     * { numQubits, amplitudes, probabilities, purity, classicalBits, shots, counts, expectations }
+     * or null if a newer run superseded it. options: { shots, seed } for sampled counts,
+     * and { until } to run only the columns in front of that one, as the debugger does.
+     */
+    simulate(circuit, options = {}) {
+        const circuitData = circuit.toJSON();
+        if (options.until !== undefined) {
+            circuitData.gates = circuitData.gates.filter(g => g.position < options.until);
+        }
+        const shots = options.shots || 0;
+        const seed = options.seed === undefined ? null : options.seed;
+
+        // Cancel the stale run so the worker moves straight on to the new circuit
+        if (this.activeRunId !== null) {
+            this.cancel(this.activeRunId);
+        }
+
+        if (!this.worker) {
+            try {
+                return Promise.resolve(this._simulateLocal(circuitData, shots, seed));
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        }
+
+        const id = this.nextId++;
+        this.activeRunId = id;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, circuitData, shots, seed });
+            this.worker.postMessage({ type: 'simulate', id, circuit: circuitData, shots, seed });
+        });
+    }
+
+    /**
+     * Run one of SimulatorJobs, such as 'sweep', off the main thread; a newer job of
+     * the same name supersedes it. Resolves with its result, or null once cancelled or
+     * superseded; onProgress receives what it reports on the way.
+     */
+    runJob(name, args, onProgress = () => {}) {
+        this.cancelJob(name);
+
+        const id = this.nextId++;
+        this.activeJobs[name] = id;
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, job: name, args, onProgress };
+            this.pending.set(id, entry);
+            if (this.worker) {
+                this.worker.postMessage({ type: 'job', id, job: name, args });
+            } else {
+                this._runJobLocal(id, entry);
+            }
+        });
+    }
+
+    /**
+     * Cancel the running job with this name, if any
+     */
+    cancelJob(name) {
+        if (this.activeJobs[name] !== undefined) {
+            this.cancel(this.activeJobs[name]);
+        }
+    }
+
+    /**
+     * Cancel a run or job; its promise resolves with null
+     */
+    cancel(id) {
+        const entry = this.pending.get(id);
+        if (entry) {
+            this.pending.delete(id);
+            entry.resolve(null);
+        }
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id });
+        }
+        if (this.activeRunId === id) {
+            this.activeRunId = null;
+        }
+        this._forgetJob(id);
+    }
+
+    _forgetJob(id) {
+        for (const name of Object.keys(this.activeJobs)) {
+            if (this.activeJobs[name] === id) delete this.activeJobs[name];
+        }
+    }
+
+    /**
+     * Get the reduced single-qubit state from the last finished run
+     */
+    getQubitState(qubit) {
+        if (!this.worker) {
+            const sim = this.localSimulator;
+            return Promise.resolve(sim && qubit < sim.numQubits ? sim.getQubitState(qubit) : null);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, qubit });
+            this.worker.postMessage({ type: 'qubitState', id, qubit });
+        });
+    }
+
+    _handleMessage(msg) {
+        const entry = this.pending.get(msg.id);
+        if (!entry) return; // Cancelled or superseded
+        if (msg.type === 'progress') {
+            entry.onProgress(msg.progress);
+            return;
+        }
+        this.pending.delete(msg.id);
+        this._forgetJob(msg.id);
+
+        switch (msg.type) {
+            case 'result':
+                if (this.activeRunId === msg.id) {
+                    this.activeRunId = null;
+                }
+                entry.resolve({
+                    numQubits: msg.numQubits,
+                    amplitudes: msg.amplitudes,
+                    probabilities: msg.probabilities,
+                    purity: msg.purity,
+                    classicalBits: msg.classicalBits,
+                    shots: msg.shots,
+                    counts: msg.counts,
+                    expectations: msg.expectations
+                });
+                break;
+            case 'qubitState':
+                entry.resolve(msg.qubitState);
+                break;
+            case 'done':
+                entry.resolve(msg.result);
+                break;
+            case 'error':
+                if (this.activeRunId === msg.id) {
+                    this.activeRunId = null;
+                }
+                entry.reject(new Error(msg.message));
+                break;
+        }
+    }
+
+    _simulateLocal(circuitData, shots = 0, seed = null) {
+        const Backend = QuantumSimulator.backendFor(circuitData);
+        const existing = this.localSimulator;
+        if (!existing || existing.constructor !== Backend || existing.numQubits !== circuitData.numQubits) {
+            this.localSimulator = new Backend(circuitData.numQubits);
+        }
+
+        const sim = this.localSimulator;
+        sim.setShots(shots, seed);
+
+        // Trajectory sampling reuses the simulator, so take counts before the displayed run
+        let counts = null;
+        if (sim.shots > 0 && QuantumSimulator.needsTrajectories(circuitData)) {
+            counts = sim.runShots(circuitData);
+            sim.setSeed(seed);
+        }
+
+        sim.simulateCircuit(circuitData);
+        const probabilities = Float64Array.from(sim.getProbabilities());
+        if (sim.shots > 0 && !counts) {
+            counts = sim.sampleCounts(sim.shots, probabilities);
+        }
+
+        return {
+            numQubits: sim.numQubits,
+            amplitudes: sim.getAmplitudes(),
+            probabilities,
+            purity: sim.getPurity(),
+            classicalBits: [...sim.classicalBits],
+            shots: sim.shots,
+            counts,
+            expectations: (circuitData.observables || []).map(terms => sim.expectationValue(terms))
+        };
+    }
+
+    /**
+     * Run a job on the main thread in slices; it stops once its entry leaves pending
+     */
+    _runJobLocal(id, entry) {
+        const finish = () => {
+            this.pending.delete(id);
+            this._forgetJob(id);
+        };
+        SimulatorJobs.drive(SimulatorJobs[entry.job](entry.args), {
+            progress: entry.onProgress,
+            done: (result) => {
+                finish();
+                entry.resolve(result);
+            },
+            error: (e) => {
+                finish();
+                entry.reject(e);
+            },
+            cancelled: () => this.pending.get(id) !== entry
+        });
+    }
+
+    _fallbackToLocal() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.activeRunId = null;
+
+        // Anything in flight is answered by the main-thread simulator instead
+        const entries = [...this.pending.values()];
+        const jobs = [...this.pending].filter(([, entry]) => entry.job);
+        this.pending = new Map(jobs);
+        jobs.forEach(([id, entry]) => this._runJobLocal(id, entry));
+
+        entries.filter(entry => entry.circuitData).forEach(entry => {
+            try {
+                entry.resolve(this._simulateLocal(entry.circuitData, entry.shots, entry.seed));
+            } catch (e) {
+                entry.reject(e);
+            }
+        });
+        entries.filter(entry => entry.qubit !== undefined)
+            .forEach(entry => this.getQubitState(entry.qubit).then(entry.resolve));
+    }
+}
+
+// Export
+window.SimulatorClient = SimulatorClient;
@@ -0,0 +1,96 @@
+/**
+ * Simulator Jobs
+ * Computations that run the circuit many times, such as parameter sweeps, gradients
+ * and variational optimization, written as generators that yield after each simulation.
+ * The worker runs them in slices so a cancel message gets through between
+ * simulations; SimulatorClient runs the same generators on the main thread when
+ * workers are unavailable.
+ *
+ * A job yields undefined to pause or a payload to report progress, and returns its
+ * result. Its arguments and results are plain data, since they cross postMessage.
+ */
+
+const SimulatorJobs = {
+    /**
+     * Run a job SLICE_MS at a time until it returns, throws or is cancelled.
+     * handlers: { progress(payload), done(result), error(e), cancelled() }
+     */
+    drive: (job, handlers) => {
+        const slice = () => {
+            try {
+                const start = performance.now();
+                for (;;) {
+                    if (handlers.cancelled()) return;
+                    const { done, value } = job.next();
+                    if (done) {
+                        handlers.done(value);
+                        return;
+                    }
+                    if (value !== undefined) handlers.progress(value);
+                    if (performance.now() - start > SimulatorJobs.SLICE_MS) {
+                        setTimeout(slice, 0);
+                        return;
+                    }
+                }
+            } catch (e) {
+                handlers.error(e);
+            }
+        };
+        slice();
+    },
+
+    /**
+     * Scan a parameter over `xs` and report { x, y } per point, where y is the
+     * probability of basis state metric.index or the expectation value of the Pauli
+     * observable metric.terms. Each point starts from the same seed, so measurements
+     * in the middle of the circuit draw the same numbers at every point and the
+     * curve follows one outcome instead of jumping between them.
+     */
+    *sweep({ circuit, parameter, xs, metric, seed }) {
+        const Backend = QuantumSimulator.backendFor(circuit);
+        const sim = new Backend(circuit.numQubits);
+        for (const x of xs) {
+            sim.setSeed(seed);
+            sim.simulateCircuit({ ...circuit, parameters: { ...circuit.parameters, [parameter]: x } });
+            const y = metric.terms ? sim.expectationValue(metric.terms) : sim.getProbabilities()[metric.index];
+            yield { x, y };
+        }
+    },
+
+    /**
+     * Run a VariationalOptimizer for up to `iterations` iterations or until it
+     * converges, from `state` when resuming. Reports optimizer.state() after the
+     * starting cost and after each iteration, and returns the last one.
+     */
+    *optimize({ problem, options, state, iterations }) {
+        const optimizer = new VariationalOptimizer(problem, options, state);
+        if (optimizer.cost === null) {
+            yield* optimizer.initialize();
+            yield optimizer.state();
+        }
+        const end = optimizer.iteration + iterations;
+        while (!optimizer.converged && optimizer.iteration < end) {
+            yield* optimizer.iterate();
+            yield optimizer.state();
+        }
+        return optimizer.state();
+    },
+
+    /**
+     * Parameter-shift gradient of a Variational.problem() at its starting values and,
+     * with `check`, the finite-difference one to compare it with: { gradient, check }
+     */
+    *gradients({ problem, check }) {
+        const gradient = yield* Variational.gradient(problem, problem.start);
+        return {
+            gradient,
+            check: check ? yield* Variational.finiteDifference(problem, problem.start) : null
+        };
+    }
+};
+
+// Longest stretch a job runs before letting messages and rendering through
+SimulatorJobs.SLICE_MS = 12;
+
+// Export
+window.SimulatorJobs = SimulatorJobs;
@@ -0,0 +1,178 @@
+/**
+ * Simulator Worker
+ * Runs QuantumSimulator off the main thread so the editor and canvas stay responsive
+ *
+ * Message protocol (main → worker):
+ *   { type: 'simulate', id, circuit, shots, seed }
+ *                                       circuit is QuantumCircuit.toJSON(); shots = 0 skips sampling
+ *   { type: 'cancel', id }              abandon a run or job that is still in progress
+ *   { type: 'qubitState', id, qubit }   reduced state of a qubit in the last finished run
+ *   { type: 'job', id, job, args }      start SimulatorJobs[job](args), e.g. a parameter sweep or an optimizer run
+ *
+ * Replies (worker → main):
+ *   { type: 'result', id, numQubits, amplitudes, probabilities, purity, classicalBits, shots, counts, expectations }
+ *     (amplitudes and probabilities are Float64Arrays, transferred; amplitudes is null
+ *      for a mixed density-matrix state; counts maps basis index -> count, or is null when shots = 0;
+ *      expectations holds the value of each of the circuit's observables)
+ *   { type: 'qubitState', id, qubit, qubitState }
+ *   { type: 'progress', id, progress }  what a job reports along the way
+ *   { type: 'done', id, result }        a job's result
+ *   { type: 'error', id, message }
+ */
+
+// gates.js, qasm.js, observable.js and the simulators export through `window`
+self.window = self;
+importScripts('gates.js', 'qasm.js', 'noise-model.js', 'observable.js', 'simulator.js', 'density-simulator.js',
+    'variational.js', 'simulator-jobs.js');
+
+// Gates are applied in slices so cancel/simulate messages can interleave with a long run
+const SLICE_MS = 12;
+
+let running = null;   // Simulator used by the run in progress
+let finished = null;  // Simulator holding the last completed state
+let sampler = null;   // Simulator re-running dynamic circuits once per shot
+let currentRun = null;
+const jobs = new Set();  // Ids of jobs still running
+
+function getSimulator(existing, circuitData) {
+    const Backend = QuantumSimulator.backendFor(circuitData);
+    if (existing && existing.constructor === Backend && existing.numQubits === circuitData.numQubits) {
+        return existing;
+    }
+    return new Backend(circuitData.numQubits);
+}
+
+function startRun(id, circuitData, shots = 0, seed = null) {
+    running = getSimulator(running, circuitData);
+    running.setShots(shots, seed);
+    running.prepare(circuitData);
+
+    currentRun = {
+        id,
+        circuitData,
+        gates: [...(circuitData.gates || [])].sort((a, b) => a.position - b.position),
+        index: 0,
+        shots: running.shots,
+        counts: null,
+        trajectories: running.shots > 0 && QuantumSimulator.needsTrajectories(circuitData),
+        shotsDone: 0
+    };
+
+    if (currentRun.trajectories) {
+        sampler = getSimulator(sampler, circuitData);
+        sampler.setSeed(seed);
+        currentRun.counts = {};
+    }
+
+    step(currentRun);
+}
+
+function step(run) {
+    // A newer simulate or a cancel replaced this run
+    if (run !== currentRun) return;
+
+    try {
+        const start = performance.now();
+        while (run.index < run.gates.length) {
+            running.applyGate(run.gates[run.index++]);
+            if (performance.now() - start > SLICE_MS) {
+                setTimeout(() => step(run), 0);
+                return;
+            }
+        }
+
+        // Dynamic circuits: one full trajectory per shot
+        while (run.trajectories && run.shotsDone < run.shots) {
+            const index = sampler.sampleTrajectory(run.circuitData, run.gates);
+            run.counts[index] = (run.counts[index] || 0) + 1;
+            run.shotsDone++;
+            if (performance.now() - start > SLICE_MS) {
+                setTimeout(() => step(run), 0);
+                return;
+            }
+        }
+    } catch (e) {
+        currentRun = null;
+        self.postMessage({ type: 'error', id: run.id, message: e.message });
+        return;
+    }
+
+    // Run complete: keep its state for qubit queries and recycle the other buffer
+    const done = running;
+    running = finished;
+    finished = done;
+    currentRun = null;
+
+    const amplitudes = done.getAmplitudes();
+    const probabilities = Float64Array.from(done.getProbabilities());
+    const counts = run.shots > 0 && !run.trajectories
+        ? done.sampleCounts(run.shots, probabilities)
+        : run.counts;
+
+    self.postMessage({
+        type: 'result',
+        id: run.id,
+        numQubits: done.numQubits,
+        amplitudes,
+        probabilities,
+        purity: done.getPurity(),
+        classicalBits: [...done.classicalBits],
+        shots: run.shots,
+        counts,
+        expectations: (run.circuitData.observables || []).map(terms => done.expectationValue(terms))
+    }, amplitudes ? [amplitudes.buffer, probabilities.buffer] : [probabilities.buffer]);
+}
+
+function startJob(id, name, args) {
+    jobs.add(id);
+    SimulatorJobs.drive(SimulatorJobs[name](args), {
+        progress: (progress) => self.postMessage({ type: 'progress', id, progress }),
+        done: (result) => {
+            jobs.delete(id);
+            self.postMessage({ type: 'done', id, result });
+        },
+        error: (e) => {
+            jobs.delete(id);
+            self.postMessage({ type: 'error', id, message: e.message });
+        },
+        cancelled: () => !jobs.has(id)
+    });
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case 'simulate':
+            try {
+                startRun(msg.id, msg.circuit, msg.shots, msg.seed);
+            } catch (e) {
+                currentRun = null;
+                self.postMessage({ type: 'error', id: msg.id, message: e.message });
+            }
+            break;
+        case 'cancel':
+            if (currentRun && currentRun.id === msg.id) {
+                currentRun = null;
+            }
+            jobs.delete(msg.id);
+            break;
+        case 'job':
+            startJob(msg.id, msg.job, msg.args);
+            break;
+        case 'qubitState':
+            if (!finished || msg.qubit >= finished.numQubits) {
+                self.postMessage({ type: 'qubitState', id: msg.id, qubit: msg.qubit, qubitState: null });
+                break;
+            }
+            self.postMessage({
+                type: 'qubitState',
+                id: msg.id,
+                qubit: msg.qubit,
+                qubitState: finished.getQubitState(msg.qubit)
+            });
+            break;
+        default:
+            console.warn(`Unknown worker message: ${msg.type}`);
+    }
+};
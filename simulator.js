@@ -1,22 +1,68 @@
 /**
  * Quantum Simulator
  * JavaScript-based quantum state simulation for instant visual feedback
+ *
+ * The state vector is stored as an interleaved Float64Array
+ * ([re0, im0, re1, im1, ...]) and gates are applied in place with
+ * bit-stride kernels, so no objects are allocated per gate.
  */
 
 class QuantumSimulator {
     constructor(numQubits = 3) {
         this.numQubits = numQubits;
-        this.stateVector = null;
+        this.state = null;
+        this.classicalBits = [];
+        this.classicalRegisters = [];
+        this.customGates = {};
+        this.parameters = {};
+        this._matrixCache = {};
+
+        // Shot sampling: 0 shots means exact probabilities only; null seed means Math.random
+        this.shots = 0;
+        this.seed = null;
+        this._rngState = null;
+
         this.reset();
     }
 
     /**
-     * Reset to |0...0⟩ state
+     * Reset to |0...0⟩ state and clear the classical register
      */
-    reset() {
-        const size = Math.pow(2, this.numQubits);
-        this.stateVector = new Array(size).fill(null).map(() => Complex.create(0, 0));
-        this.stateVector[0] = Complex.create(1, 0); // |00...0⟩
+    reset(numClbits = this.numQubits) {
+        this.classicalBits = new Array(numClbits).fill(0);
+
+        const size = 1 << this.numQubits;
+        if (this.state && this.state.length === 2 * size) {
+            this.state.fill(0);
+        } else {
+            this.state = new Float64Array(2 * size);
+        }
+        this.state[0] = 1; // |00...0⟩
+    }
+
+    /**
+     * Amplitudes as an interleaved Float64Array copy (null when the state is not pure)
+     */
+    getAmplitudes() {
+        return this.state.slice();
+    }
+
+    /**
+     * Tr(ρ²) of the full register; always 1 for a state vector
+     */
+    getPurity() {
+        return 1;
+    }
+
+    /**
+     * Reset for a run of the given circuit (QuantumCircuit or its toJSON() form)
+     */
+    prepare(circuit) {
+        this.classicalRegisters = circuit.classicalRegisters ||
+            [{ name: 'c', size: circuit.numQubits }];
+        this.customGates = circuit.customGates || {};
+        this.parameters = circuit.parameters || {};
+        this.reset(QuantumSimulator.countClbits(circuit));
     }
 
     /**
@@ -27,21 +73,37 @@ class QuantumSimulator {
         this.reset();
     }
 
+    /**
+     * Bit mask for a qubit (qubit 0 is the most significant bit)
+     */
+    _qubitMask(qubitIndex) {
+        return 1 << (this.numQubits - 1 - qubitIndex);
+    }
+
     /**
      * Get the full state vector
      */
     getStateVector() {
-        return this.stateVector.map(c => ({ ...c }));
+        const size = this.state.length / 2;
+        const vector = new Array(size);
+        for (let i = 0; i < size; i++) {
+            vector[i] = Complex.create(this.state[2 * i], this.state[2 * i + 1]);
+        }
+        return vector;
     }
 
     /**
      * Get measurement probabilities for each basis state
      */
     getProbabilities() {
-        return this.stateVector.map(c => {
-            const mag = Complex.magnitude(c);
-            return mag * mag;
-        });
+        const size = this.state.length / 2;
+        const probs = new Array(size);
+        for (let i = 0; i < size; i++) {
+            const re = this.state[2 * i];
+            const im = this.state[2 * i + 1];
+            probs[i] = re * re + im * im;
+        }
+        return probs;
     }
 
     /**
@@ -49,41 +111,29 @@ class QuantumSimulator {
      * Returns the Bloch sphere coordinates (x, y, z)
      */
     getQubitState(qubitIndex) {
-        const n = this.numQubits;
-        const size = Math.pow(2, n);
-
-        // Calculate reduced density matrix elements
-        let rho00 = Complex.create(0, 0);
-        let rho01 = Complex.create(0, 0);
-        let rho10 = Complex.create(0, 0);
-        let rho11 = Complex.create(0, 0);
-
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size; j++) {
-                // Check if states i and j differ only in the target qubit
-                const bitI = (i >> (n - 1 - qubitIndex)) & 1;
-                const bitJ = (j >> (n - 1 - qubitIndex)) & 1;
-
-                // Mask to check other qubits
-                const mask = ~(1 << (n - 1 - qubitIndex));
-                const otherBitsI = i & mask;
-                const otherBitsJ = j & mask;
-
-                if (otherBitsI === otherBitsJ) {
-                    const amp_i = this.stateVector[i];
-                    const amp_j = this.stateVector[j];
-                    const contrib = Complex.multiply(amp_i, Complex.conjugate(amp_j));
-
-                    if (bitI === 0 && bitJ === 0) {
-                        rho00 = Complex.add(rho00, contrib);
-                    } else if (bitI === 0 && bitJ === 1) {
-                        rho01 = Complex.add(rho01, contrib);
-                    } else if (bitI === 1 && bitJ === 0) {
-                        rho10 = Complex.add(rho10, contrib);
-                    } else {
-                        rho11 = Complex.add(rho11, contrib);
-                    }
-                }
+        const s = this.state;
+        const size = s.length / 2;
+        const mask = this._qubitMask(qubitIndex);
+
+        // Each pair (i, i | mask) differs only in the target qubit,
+        // so a single strided pass accumulates the 2x2 reduced density matrix
+        let rho00 = 0;
+        let rho11 = 0;
+        let rho01Re = 0;
+        let rho01Im = 0;
+
+        for (let base = 0; base < size; base += 2 * mask) {
+            for (let i = base; i < base + mask; i++) {
+                const a = 2 * i;
+                const b = 2 * (i | mask);
+                const aRe = s[a], aIm = s[a + 1];
+                const bRe = s[b], bIm = s[b + 1];
+
+                rho00 += aRe * aRe + aIm * aIm;
+                rho11 += bRe * bRe + bIm * bIm;
+                // a * conj(b)
+                rho01Re += aRe * bRe + aIm * bIm;
+                rho01Im += aIm * bRe - aRe * bIm;
             }
         }
 
@@ -91,100 +141,255 @@ class QuantumSimulator {
         // x = 2 * Re(rho01)
         // y = 2 * Im(rho01)
         // z = rho00 - rho11
-        const x = 2 * rho01.re;
-        const y = 2 * rho01.im;
-        const z = rho00.re - rho11.re;
+        const x = 2 * rho01Re;
+        const y = 2 * rho01Im;
+        const z = rho00 - rho11;
 
         // Purity (1 for pure state, < 1 for mixed)
-        const purity = rho00.re * rho00.re + rho11.re * rho11.re +
-            2 * (rho01.re * rho01.re + rho01.im * rho01.im);
+        const purity = rho00 * rho00 + rho11 * rho11 +
+            2 * (rho01Re * rho01Re + rho01Im * rho01Im);
 
-        return { x, y, z, purity, rho00, rho11, rho01 };
+        return {
+            x, y, z, purity,
+            rho00: Complex.create(rho00, 0),
+            rho11: Complex.create(rho11, 0),
+            rho01: Complex.create(rho01Re, rho01Im)
+        };
     }
 
     /**
-     * Apply a single-qubit gate
+     * Exact ⟨ψ|H|ψ⟩ of an observable (a list of Pauli terms, see Observable)
      */
-    applySingleQubitGate(gateName, qubitIndex, params = {}) {
+    expectationValue(terms) {
+        const s = this.state;
+        const size = s.length / 2;
+        let total = 0;
+
+        for (const term of terms) {
+            // ⟨ψ|P|ψ⟩ = Σ conj(ψ[i ^ flip]) · phase(i) · ψ[i]
+            const { flip, sign, ys } = Observable.masks(term, this.numQubits);
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < size; i++) {
+                const a = 2 * i;
+                const b = 2 * (i ^ flip);
+                const factor = Observable.parity(i & sign) ? -1 : 1;
+                re += factor * (s[b] * s[a] + s[b + 1] * s[a + 1]);
+                im += factor * (s[b] * s[a + 1] - s[b + 1] * s[a]);
+            }
+            total += term.coeff * Observable.rotate(ys, re, im);
+        }
+        return total;
+    }
+
+    /**
+     * Flatten a gate matrix into interleaved [re, im] entries, row by row
+     */
+    _toMatrixArray(matrix) {
+        const dim = matrix.length;
+        const m = new Float64Array(2 * dim * dim);
+        for (let r = 0; r < dim; r++) {
+            for (let c = 0; c < dim; c++) {
+                const el = Complex.fromNumber(matrix[r][c]);
+                m[2 * (dim * r + c)] = el.re;
+                m[2 * (dim * r + c) + 1] = el.im;
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Resolve the flattened matrix of a gate: 2x2 for single-qubit gates, 4x4 for
+     * two-qubit ones
+     */
+    _getGateMatrix(gateName, params = {}) {
         const gate = GATES[gateName];
         if (!gate) {
             console.error(`Unknown gate: ${gateName}`);
-            return;
+            return null;
         }
 
-        let matrix;
-        if (gate.type === 'rotation') {
-            const theta = params.theta || 0;
-            matrix = gate.getMatrix(theta);
-        } else {
-            matrix = gate.matrix;
+        if (gate.getMatrix) {
+            return this._toMatrixArray(gate.getMatrix(...GateShape.angles({ gate: gateName, params })));
         }
 
-        if (!matrix) return;
+        if (!gate.matrix) return null;
 
-        const n = this.numQubits;
-        const size = Math.pow(2, n);
-        const newState = new Array(size).fill(null).map(() => Complex.create(0, 0));
+        if (!this._matrixCache[gateName]) {
+            this._matrixCache[gateName] = this._toMatrixArray(gate.matrix);
+        }
+        return this._matrixCache[gateName];
+    }
 
-        // Apply gate to the specified qubit
-        for (let i = 0; i < size; i++) {
-            const bit = (i >> (n - 1 - qubitIndex)) & 1;
+    /**
+     * Apply a flattened 2x2 matrix in place to the qubit selected by targetMask.
+     * Only basis states with every bit of controlMask set are touched.
+     */
+    _applyMatrix(targetMask, m, controlMask = 0) {
+        const s = this.state;
+        const size = s.length / 2;
+        const m00r = m[0], m00i = m[1], m01r = m[2], m01i = m[3];
+        const m10r = m[4], m10i = m[5], m11r = m[6], m11i = m[7];
+
+        for (let base = 0; base < size; base += 2 * targetMask) {
+            for (let i = base; i < base + targetMask; i++) {
+                if ((i & controlMask) !== controlMask) continue;
+
+                const a = 2 * i;
+                const b = 2 * (i | targetMask);
+                const aRe = s[a], aIm = s[a + 1];
+                const bRe = s[b], bIm = s[b + 1];
+
+                s[a] = m00r * aRe - m00i * aIm + m01r * bRe - m01i * bIm;
+                s[a + 1] = m00r * aIm + m00i * aRe + m01r * bIm + m01i * bRe;
+                s[b] = m10r * aRe - m10i * aIm + m11r * bRe - m11i * bIm;
+                s[b + 1] = m10r * aIm + m10i * aRe + m11r * bIm + m11i * bRe;
+            }
+        }
+    }
 
-            for (let newBit = 0; newBit <= 1; newBit++) {
-                // Calculate the new index
-                const newIndex = (i & ~(1 << (n - 1 - qubitIndex))) | (newBit << (n - 1 - qubitIndex));
+    /**
+     * Apply a flattened 2^k x 2^k matrix in place to the k qubits selected by masks,
+     * the first being the most significant in the matrix. Only basis states with
+     * every bit of controlMask set are touched.
+     */
+    _applyMatrixK(masks, m, controlMask = 0) {
+        const s = this.state;
+        const size = s.length / 2;
+        const dim = 1 << masks.length;
+        const targetMask = masks.reduce((all, mask) => all | mask, 0);
+        const index = new Array(dim);
+        for (let k = 0; k < dim; k++) {
+            index[k] = masks.reduce((acc, mask, b) => ((k >> (masks.length - 1 - b)) & 1 ? acc | mask : acc), 0);
+        }
+        const re = new Float64Array(dim);
+        const im = new Float64Array(dim);
 
-                // Get matrix element
-                const matrixElement = Complex.fromNumber(matrix[newBit][bit]);
-                const contribution = Complex.multiply(matrixElement, this.stateVector[i]);
-                newState[newIndex] = Complex.add(newState[newIndex], contribution);
+        for (let i = 0; i < size; i++) {
+            if ((i & targetMask) || (i & controlMask) !== controlMask) continue;
+
+            for (let k = 0; k < dim; k++) {
+                re[k] = s[2 * (i | index[k])];
+                im[k] = s[2 * (i | index[k]) + 1];
+            }
+            for (let r = 0; r < dim; r++) {
+                let sumRe = 0;
+                let sumIm = 0;
+                for (let c = 0; c < dim; c++) {
+                    const mr = m[2 * (dim * r + c)], mi = m[2 * (dim * r + c) + 1];
+                    sumRe += mr * re[c] - mi * im[c];
+                    sumIm += mr * im[c] + mi * re[c];
+                }
+                s[2 * (i | index[r])] = sumRe;
+                s[2 * (i | index[r]) + 1] = sumIm;
             }
         }
+    }
+
+    /**
+     * Apply a single-qubit gate
+     */
+    applySingleQubitGate(gateName, qubitIndex, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        this._applyMatrix(this._qubitMask(qubitIndex), m);
+    }
+
+    /**
+     * Apply a single-qubit gate to the target, conditioned on the control qubit
+     */
+    applyControlledGate(gateName, controlQubit, targetQubit, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        this._applyMatrix(this._qubitMask(targetQubit), m, this._qubitMask(controlQubit));
+    }
+
+    /**
+     * Apply a single-qubit gate to the target on the basis states where every
+     * control qubit is 1
+     */
+    applyMultiControlledGate(gateName, controlQubits, targetQubit, params = {}) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
+
+        const controlMask = controlQubits.reduce((mask, q) => mask | this._qubitMask(q), 0);
+        this._applyMatrix(this._qubitMask(targetQubit), m, controlMask);
+    }
+
+    /**
+     * Apply a two-qubit gate such as RXX or iSWAP to (qubit1, qubit2), on the basis
+     * states where every control qubit is 1
+     */
+    applyTwoQubitGate(gateName, qubit1, qubit2, params = {}, controlQubits = []) {
+        const m = this._getGateMatrix(gateName, params);
+        if (!m) return;
 
-        this.stateVector = newState;
+        const controlMask = controlQubits.reduce((mask, q) => mask | this._qubitMask(q), 0);
+        this._applyMatrixK([this._qubitMask(qubit1), this._qubitMask(qubit2)], m, controlMask);
+    }
+
+    /**
+     * Apply a custom unitary (rows of {re, im}) to its qubits, the first being the
+     * most significant in the matrix
+     */
+    applyUnitary(matrix, qubits) {
+        this._applyMatrixK(qubits.map(q => this._qubitMask(q)), this._toMatrixArray(matrix));
+    }
+
+    /**
+     * Multiply the state by e^{iθ}
+     */
+    applyGlobalPhase(theta) {
+        const s = this.state;
+        const c = Math.cos(theta);
+        const sn = Math.sin(theta);
+        for (let i = 0; i < s.length; i += 2) {
+            const re = s[i], im = s[i + 1];
+            s[i] = c * re - sn * im;
+            s[i + 1] = c * im + sn * re;
+        }
     }
 
     /**
      * Apply CNOT gate
      */
     applyCNOT(controlQubit, targetQubit) {
-        const n = this.numQubits;
-        const size = Math.pow(2, n);
-        const newState = [...this.stateVector.map(c => ({ ...c }))];
-
-        for (let i = 0; i < size; i++) {
-            const controlBit = (i >> (n - 1 - controlQubit)) & 1;
-
-            if (controlBit === 1) {
-                // Flip the target qubit
-                const targetBit = (i >> (n - 1 - targetQubit)) & 1;
-                const newTargetBit = 1 - targetBit;
-                const newIndex = (i & ~(1 << (n - 1 - targetQubit))) | (newTargetBit << (n - 1 - targetQubit));
-
-                // Swap amplitudes
-                const temp = newState[i];
-                newState[i] = newState[newIndex];
-                newState[newIndex] = temp;
+        const s = this.state;
+        const size = s.length / 2;
+        const controlMask = this._qubitMask(controlQubit);
+        const targetMask = this._qubitMask(targetQubit);
+
+        for (let base = 0; base < size; base += 2 * targetMask) {
+            for (let i = base; i < base + targetMask; i++) {
+                if (!(i & controlMask)) continue;
+
+                // Swap amplitudes of |..c=1..t=0..⟩ and |..c=1..t=1..⟩
+                const a = 2 * i;
+                const b = 2 * (i | targetMask);
+                const re = s[a], im = s[a + 1];
+                s[a] = s[b];
+                s[a + 1] = s[b + 1];
+                s[b] = re;
+                s[b + 1] = im;
             }
         }
-
-        this.stateVector = newState;
     }
 
     /**
      * Apply CZ gate
      */
     applyCZ(controlQubit, targetQubit) {
-        const n = this.numQubits;
-        const size = Math.pow(2, n);
+        const s = this.state;
+        const size = s.length / 2;
+        const mask = this._qubitMask(controlQubit) | this._qubitMask(targetQubit);
 
         for (let i = 0; i < size; i++) {
-            const controlBit = (i >> (n - 1 - controlQubit)) & 1;
-            const targetBit = (i >> (n - 1 - targetQubit)) & 1;
-
-            if (controlBit === 1 && targetBit === 1) {
+            if ((i & mask) === mask) {
                 // Apply -1 phase
-                this.stateVector[i] = Complex.multiply(this.stateVector[i], Complex.create(-1, 0));
+                s[2 * i] = -s[2 * i];
+                s[2 * i + 1] = -s[2 * i + 1];
             }
         }
     }
@@ -193,31 +398,205 @@ class QuantumSimulator {
      * Apply SWAP gate
      */
     applySWAP(qubit1, qubit2) {
-        const n = this.numQubits;
-        const size = Math.pow(2, n);
-        const newState = new Array(size).fill(null).map(() => Complex.create(0, 0));
+        if (qubit1 === qubit2) return;
+
+        const s = this.state;
+        const size = s.length / 2;
+        const mask1 = this._qubitMask(qubit1);
+        const mask2 = this._qubitMask(qubit2);
 
         for (let i = 0; i < size; i++) {
-            const bit1 = (i >> (n - 1 - qubit1)) & 1;
-            const bit2 = (i >> (n - 1 - qubit2)) & 1;
+            // Visit each |..1..0..⟩ ↔ |..0..1..⟩ pair once
+            if ((i & mask1) && !(i & mask2)) {
+                const a = 2 * i;
+                const b = 2 * ((i & ~mask1) | mask2);
+                const re = s[a], im = s[a + 1];
+                s[a] = s[b];
+                s[a + 1] = s[b + 1];
+                s[b] = re;
+                s[b + 1] = im;
+            }
+        }
+    }
 
-            // Create new index with swapped bits
-            let newIndex = i;
-            newIndex = (newIndex & ~(1 << (n - 1 - qubit1))) | (bit2 << (n - 1 - qubit1));
-            newIndex = (newIndex & ~(1 << (n - 1 - qubit2))) | (bit1 << (n - 1 - qubit2));
+    /**
+     * Configure shot sampling. shots = 0 disables it; seed = null uses Math.random.
+     */
+    setShots(shots, seed = this.seed) {
+        this.shots = Math.max(0, Math.floor(shots) || 0);
+        this.setSeed(seed);
+    }
+
+    /**
+     * Seed the random stream (mulberry32) so measurements and samples are reproducible
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined || seed === '' ? null : Number(seed) | 0;
+        this._rngState = this.seed;
+    }
+
+    /**
+     * Uniform random number in [0, 1) used for measurement outcomes and sampling
+     */
+    _random() {
+        if (this._rngState === null) {
+            return Math.random();
+        }
+        let t = (this._rngState = (this._rngState + 0x6D2B79F5) | 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Multinomial sample of basis states from a probability distribution.
+     * Returns { basisIndex: count } containing only observed outcomes.
+     */
+    sampleCounts(shots = this.shots, probabilities = this.getProbabilities()) {
+        const size = probabilities.length;
+        const cdf = new Float64Array(size);
+        let total = 0;
+        for (let i = 0; i < size; i++) {
+            total += probabilities[i];
+            cdf[i] = total;
+        }
+
+        const counts = {};
+        for (let shot = 0; shot < shots; shot++) {
+            const r = this._random() * total;
+            let lo = 0;
+            let hi = size - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (cdf[mid] > r) {
+                    hi = mid;
+                } else {
+                    lo = mid + 1;
+                }
+            }
+            counts[lo] = (counts[lo] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Run one shot of a circuit from scratch and return the sampled basis index.
+     * sortedGates is the circuit's gate list in position order.
+     */
+    sampleTrajectory(circuit, sortedGates) {
+        this.prepare(circuit);
+        for (const gateOp of sortedGates) {
+            this.applyGate(gateOp);
+        }
+        const sample = this.sampleCounts(1);
+        return Number(Object.keys(sample)[0]);
+    }
+
+    /**
+     * Sampled counts for a circuit. Circuits with measurements or conditions are re-run
+     * once per shot so every collapse is resampled; otherwise the final state is sampled.
+     */
+    runShots(circuit, shots = this.shots) {
+        const sortedGates = [...circuit.gates].sort((a, b) => a.position - b.position);
 
-            newState[newIndex] = { ...this.stateVector[i] };
+        if (!QuantumSimulator.needsTrajectories(circuit)) {
+            this.prepare(circuit);
+            sortedGates.forEach(gateOp => this.applyGate(gateOp));
+            return this.sampleCounts(shots);
         }
 
-        this.stateVector = newState;
+        const counts = {};
+        for (let shot = 0; shot < shots; shot++) {
+            const index = this.sampleTrajectory(circuit, sortedGates);
+            counts[index] = (counts[index] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Projective Z-basis measurement of one qubit.
+     * Samples an outcome, collapses and renormalizes the state, and returns 0 or 1.
+     */
+    measureQubit(qubitIndex) {
+        const s = this.state;
+        const size = s.length / 2;
+        const mask = this._qubitMask(qubitIndex);
+
+        let p1 = 0;
+        for (let i = 0; i < size; i++) {
+            if (i & mask) {
+                p1 += s[2 * i] * s[2 * i] + s[2 * i + 1] * s[2 * i + 1];
+            }
+        }
+
+        const outcome = this._random() < p1 ? 1 : 0;
+        const p = outcome ? p1 : 1 - p1;
+        const scale = p > 0 ? 1 / Math.sqrt(p) : 0;
+
+        for (let i = 0; i < size; i++) {
+            if (((i & mask) ? 1 : 0) === outcome) {
+                s[2 * i] *= scale;
+                s[2 * i + 1] *= scale;
+            } else {
+                s[2 * i] = 0;
+                s[2 * i + 1] = 0;
+            }
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Current integer value of a classical register (bit i has weight 2^i)
+     */
+    getRegisterValue(name) {
+        let offset = 0;
+        for (const reg of this.classicalRegisters) {
+            if (reg.name === name) {
+                let value = 0;
+                for (let i = 0; i < reg.size; i++) {
+                    value |= (this.classicalBits[offset + i] || 0) << i;
+                }
+                return value;
+            }
+            offset += reg.size;
+        }
+        return 0;
+    }
+
+    /**
+     * Whether a gate's classical condition holds for the current register contents
+     */
+    conditionHolds(condition) {
+        if (!condition) return true;
+        if (condition.clbit !== undefined) {
+            return (this.classicalBits[condition.clbit] || 0) === condition.value;
+        }
+        return this.getRegisterValue(condition.register) === condition.value;
     }
 
     /**
      * Apply any gate from the circuit
      */
     applyGate(gateOp) {
+        // Classically-conditioned gates only fire when their condition holds
+        if (!this.conditionHolds(gateOp.condition)) return;
+
+        // Symbolic angles take the values their parameters are bound to
+        if (GateShape.angles(gateOp).some(angle => typeof angle === 'string')) {
+            const params = {};
+            for (const [name, angle] of Object.entries(gateOp.params)) {
+                params[name] = QASM.bind(angle, this.parameters);
+            }
+            gateOp = { ...gateOp, params };
+        }
         const { gate, qubit, targetQubit, params } = gateOp;
 
+        if (gateOp.controls) {
+            this.applyControlled(gateOp);
+            return;
+        }
+
         switch (gate) {
             case 'H':
             case 'X':
@@ -225,13 +604,28 @@ class QuantumSimulator {
             case 'Z':
             case 'S':
             case 'T':
+            case 'SDG':
+            case 'TDG':
+            case 'SX':
                 this.applySingleQubitGate(gate, qubit);
                 break;
             case 'RX':
             case 'RY':
             case 'RZ':
+            case 'P':
+            case 'U':
                 this.applySingleQubitGate(gate, qubit, params);
                 break;
+            case 'RXX':
+            case 'RYY':
+            case 'RZZ':
+            case 'ISWAP':
+            case 'ECR':
+                this.applyTwoQubitGate(gate, qubit, targetQubit, params);
+                break;
+            case 'GPHASE':
+                this.applyGlobalPhase(params.theta || 0);
+                break;
             case 'CNOT':
                 this.applyCNOT(qubit, targetQubit);
                 break;
@@ -241,20 +635,75 @@ class QuantumSimulator {
             case 'SWAP':
                 this.applySWAP(qubit, targetQubit);
                 break;
-            case 'M':
-                // Measurement doesn't change state in this simulator
-                // (we just show probabilities)
+            case 'CUSTOM':
+                this.applyCustomGate(gateOp);
+                break;
+            case 'UNITARY':
+                this.applyUnitary(gateOp.matrix, targetQubit !== undefined && targetQubit !== null ? [qubit, targetQubit] : [qubit]);
+                break;
+            case 'M': {
+                const outcome = this.measureQubit(qubit);
+                if (gateOp.clbit !== undefined && gateOp.clbit < this.classicalBits.length) {
+                    this.classicalBits[gateOp.clbit] = outcome;
+                }
                 break;
+            }
             default:
                 console.warn(`Unknown gate: ${gate}`);
         }
     }
 
+    /**
+     * Apply a gate with control qubits on the states where every control holds its
+     * control value; open controls are flipped before and after
+     */
+    applyControlled(gateOp) {
+        const { gate, qubit, targetQubit, params, controls } = gateOp;
+        const open = controls.filter((q, i) => Controls.value(gateOp, i) === 0);
+        open.forEach(q => this.applySingleQubitGate('X', q));
+
+        if (gate === 'SWAP') {
+            // Controlled SWAP = CX(b, a) · C-CX(a, b) · CX(b, a)
+            this.applyCNOT(targetQubit, qubit);
+            this.applyMultiControlledGate('X', [...controls, qubit], targetQubit);
+            this.applyCNOT(targetQubit, qubit);
+        } else if (GateShape.arity(gate) === 2 && Controls.allowed(gate)) {
+            this.applyTwoQubitGate(gate, qubit, targetQubit, params, controls);
+        } else if (Controls.allowed(gate)) {
+            this.applyMultiControlledGate(gate, controls, qubit, params);
+        } else {
+            console.warn(`Gate ${gate} cannot take controls`);
+        }
+
+        open.forEach(q => this.applySingleQubitGate('X', q));
+    }
+
+    /**
+     * Apply a custom gate by applying the gates of its definition to its qubits
+     */
+    applyCustomGate(gateOp) {
+        const definition = this.customGates[gateOp.definition];
+        if (!definition) {
+            console.warn(`Unknown custom gate: ${gateOp.definition}`);
+            return;
+        }
+
+        const wires = gateOp.qubits;
+        const sorted = [...definition.gates].sort((a, b) => a.position - b.position);
+        for (const inner of sorted) {
+            const mapped = { ...inner, qubit: wires[inner.qubit] };
+            if (inner.targetQubit !== undefined) mapped.targetQubit = wires[inner.targetQubit];
+            if (inner.qubits) mapped.qubits = inner.qubits.map(q => wires[q]);
+            if (inner.controls) mapped.controls = inner.controls.map(q => wires[q]);
+            this.applyGate(mapped);
+        }
+    }
+
     /**
      * Simulate a full circuit
      */
     simulateCircuit(circuit) {
-        this.reset();
+        this.prepare(circuit);
 
         // Sort gates by position (left to right)
         const sortedGates = [...circuit.gates].sort((a, b) => a.position - b.position);
@@ -265,7 +714,8 @@ class QuantumSimulator {
 
         return {
             stateVector: this.getStateVector(),
-            probabilities: this.getProbabilities()
+            probabilities: this.getProbabilities(),
+            classicalBits: [...this.classicalBits]
         };
     }
 
@@ -295,9 +745,13 @@ class QuantumSimulator {
      */
     getFormattedState() {
         const states = [];
-        for (let i = 0; i < this.stateVector.length; i++) {
-            const amp = this.stateVector[i];
-            const prob = Complex.magnitude(amp) ** 2;
+        const amplitudes = this.getAmplitudes();
+        if (!amplitudes) return states; // Mixed state
+
+        const size = amplitudes.length / 2;
+        for (let i = 0; i < size; i++) {
+            const amp = Complex.create(amplitudes[2 * i], amplitudes[2 * i + 1]);
+            const prob = amp.re * amp.re + amp.im * amp.im;
 
             if (prob > 0.0001) { // Only show non-negligible amplitudes
                 const basis = '|' + i.toString(2).padStart(this.numQubits, '0') + '⟩';
@@ -313,5 +767,30 @@ class QuantumSimulator {
     }
 }
 
+/**
+ * Whether sampling a circuit needs one run per shot (mid-circuit collapse or classical control)
+ */
+QuantumSimulator.needsTrajectories = (circuit) =>
+    circuit.gates.some(g => g.gate === 'M' || g.condition);
+
+/**
+ * Classical bit count of a QuantumCircuit or its toJSON() form
+ */
+QuantumSimulator.countClbits = (circuit) => {
+    if (!circuit.classicalRegisters) return circuit.numQubits;
+    return circuit.classicalRegisters.reduce((sum, reg) => sum + reg.size, 0);
+};
+
+// Upper bound for the qubit count control; 2^20 amplitudes stay interactive
+QuantumSimulator.MAX_QUBITS = 20;
+
+/**
+ * Simulator classes keyed by circuit.backend; other backends register themselves here
+ */
+QuantumSimulator.backends = { statevector: QuantumSimulator };
+
+QuantumSimulator.backendFor = (circuit) =>
+    QuantumSimulator.backends[circuit.backend] || QuantumSimulator;
+
 // Export
 window.QuantumSimulator = QuantumSimulator;
@@ -0,0 +1,367 @@
+/**
+ * Variational Circuits
+ * The expectation value of an observable as a cost over a circuit's parameters, its
+ * parameter-shift gradient, and optimizers that minimize it one iteration at a time
+ * so a run can be stopped and resumed. Whatever evaluates the cost more than once is
+ * a generator that yields after each simulation, so SimulatorJobs can run it in the
+ * worker and cancel it between simulations; problems and optimizer states are plain
+ * data that cross postMessage.
+ */
+
+// Simulator of each problem, made on its first evaluation so the problem stays plain data
+const variationalSimulators = new WeakMap();
+
+const Variational = {
+    /**
+     * The cost function of a circuit and an observable (a list of Pauli terms, see
+     * Observable). Its variables are the symbolic parameters the gates use or, in a
+     * circuit without any or with options.angles, every angle of its own rotation
+     * gates, starting from their current values. Final
+     * measurements are left out, as an estimator does; throws when the circuit has
+     * other measurements, classical conditions or nothing to vary.
+     *
+     * Returns { names, start, targets, slots, data, terms, evaluations }:
+     * targets tell where each variable's value goes back to ({ parameter } or
+     * { gateId, key }), and slots are the gate angles that depend on the variables.
+     */
+    problem: (circuit, terms, options = {}) => {
+        const sorted = [...circuit.gates].sort((a, b) => a.position - b.position);
+        const measured = new Set();
+        const ops = [];
+        for (const gateOp of circuit.decomposedGates(sorted)) {
+            if (gateOp.condition) {
+                throw new Error('Circuits with classically controlled gates cannot be optimized');
+            }
+            if (gateOp.gate === 'M') {
+                measured.add(gateOp.qubit);
+                continue;
+            }
+            if (GATES[gateOp.gate].type !== 'global' && circuit.gateQubits(gateOp).some(q => measured.has(q))) {
+                throw new Error('Only measurements at the end of the circuit can stay in a circuit being optimized');
+            }
+            ops.push(gateOp);
+        }
+
+        const names = [];
+        const start = [];
+        const targets = [];
+        const used = circuit.usedParameters();
+        let gates;
+        if (used.length > 0 && !options.angles) {
+            used.forEach(name => {
+                names.push(name);
+                start.push(circuit.parameters[name]);
+                targets.push({ parameter: name });
+            });
+            gates = ops.map(gateOp => ({ ...gateOp, params: { ...gateOp.params } }));
+        } else {
+            // Each angle becomes a variable of its own; angles inside custom gates are shared
+            // by every instance and stay as they are
+            gates = ops.map(gateOp => {
+                const copy = { ...gateOp, params: { ...gateOp.params } };
+                if (gateOp.gate === 'GPHASE' || !circuit.gates.includes(gateOp)) return copy;
+                GateShape.params(gateOp.gate).forEach((key, i) => {
+                    const name = `_angle${names.length}`;
+                    names.push(name);
+                    start.push(QASM.bind(GateShape.angles(gateOp)[i], circuit.parameters));
+                    targets.push({ gateId: gateOp.id, key });
+                    copy.params[key] = name;
+                });
+                return copy;
+            });
+        }
+        if (names.length === 0) {
+            throw new Error('The circuit has no parameters or rotation angles to vary');
+        }
+
+        const slots = [];
+        gates.forEach((gateOp, index) => {
+            gateOp.position = index;
+            for (const key of GateShape.params(gateOp.gate)) {
+                const symbols = QASM.symbols(gateOp.params[key]).filter(name => names.includes(name));
+                if (symbols.length > 0) {
+                    slots.push({ index, key, expr: gateOp.params[key], symbols, rule: Variational.shiftRule(gateOp, key) });
+                }
+            }
+        });
+
+        const data = {
+            numQubits: circuit.numQubits,
+            classicalRegisters: circuit.classicalRegisters,
+            customGates: {},
+            parameters: { ...circuit.parameters },
+            backend: circuit.backend,
+            noiseModel: circuit.noiseModel,
+            gates
+        };
+        return { names, start, targets, slots, data, terms, evaluations: 0 };
+    },
+
+    /**
+     * Parameter-shift rule of one angle of a gate, as [shift, coefficient] pairs with
+     * ∂f/∂θ = Σ coefficient · f(θ + shift). Rotations exp(-iθG/2) with G² = 1 take the
+     * two-term rule; controls add a zero eigenvalue to their generator, which needs four
+     * terms. Phases (P, the global phase and U's φ and λ) have eigenvalues 0 and 1 with
+     * or without controls.
+     */
+    shiftRule: (gateOp, key) => {
+        const rotation = ['RX', 'RY', 'RZ', 'RXX', 'RYY', 'RZZ'].includes(gateOp.gate) ||
+            (gateOp.gate === 'U' && key === 'theta');
+        if (rotation && gateOp.controls && gateOp.controls.length > 0) {
+            const near = (Math.SQRT2 + 1) / (4 * Math.SQRT2);
+            const far = (Math.SQRT2 - 1) / (4 * Math.SQRT2);
+            return [[Math.PI / 2, near], [-Math.PI / 2, -near], [3 * Math.PI / 2, -far], [-3 * Math.PI / 2, far]];
+        }
+        return [[Math.PI / 2, 0.5], [-Math.PI / 2, -0.5]];
+    },
+
+    /**
+     * Parameter values with the variables set to `values`
+     */
+    bindings: (problem, values) => {
+        const parameters = { ...problem.data.parameters };
+        problem.names.forEach((name, i) => { parameters[name] = values[i]; });
+        return parameters;
+    },
+
+    /**
+     * Expectation value of the observable at `values`, optionally with other gates
+     */
+    cost: (problem, values, gates = problem.data.gates) => {
+        let simulator = variationalSimulators.get(problem);
+        if (!simulator) {
+            const Backend = QuantumSimulator.backendFor(problem.data);
+            simulator = new Backend(problem.data.numQubits);
+            variationalSimulators.set(problem, simulator);
+        }
+        problem.evaluations++;
+        simulator.simulateCircuit({ ...problem.data, parameters: Variational.bindings(problem, values), gates });
+        return simulator.expectationValue(problem.terms);
+    },
+
+    /**
+     * Gradient of the cost: the parameter-shift derivative of each angle that depends
+     * on the variables, carried to them through the angle's expression (2*theta).
+     * A generator that returns the gradient.
+     */
+    *gradient(problem, values) {
+        const bindings = Variational.bindings(problem, values);
+        const gradient = values.map(() => 0);
+
+        for (const slot of problem.slots) {
+            const angle = QASM.evaluate(slot.expr, bindings);
+            let derivative = 0;
+            for (const [shift, coeff] of slot.rule) {
+                const gates = [...problem.data.gates];
+                const gateOp = gates[slot.index];
+                gates[slot.index] = { ...gateOp, params: { ...gateOp.params, [slot.key]: angle + shift } };
+                derivative += coeff * Variational.cost(problem, values, gates);
+                yield;
+            }
+            for (const name of slot.symbols) {
+                gradient[problem.names.indexOf(name)] += derivative * Variational.partial(slot.expr, bindings, name);
+            }
+        }
+        return gradient;
+    },
+
+    /**
+     * Gradient of the cost by central differences, to check the parameter-shift one.
+     * A generator that returns the gradient.
+     */
+    *finiteDifference(problem, values, step = 1e-4) {
+        const gradient = [];
+        for (let i = 0; i < values.length; i++) {
+            const at = (value) => Variational.cost(problem, values.map((v, j) => (i === j ? value : v)));
+            const above = at(values[i] + step);
+            yield;
+            const below = at(values[i] - step);
+            yield;
+            gradient.push((above - below) / (2 * step));
+        }
+        return gradient;
+    },
+
+    /**
+     * ∂expr/∂name by a central difference, which is exact up to rounding for the
+     * linear angles circuits mostly use
+     */
+    partial: (expr, bindings, name) => {
+        if (expr === name) return 1;
+        const x = bindings[name];
+        const h = 1e-6 * Math.max(1, Math.abs(x));
+        const at = (value) => QASM.evaluate(expr, { ...bindings, [name]: value });
+        return (at(x + h) - at(x - h)) / (2 * h);
+    },
+
+    /**
+     * Write variable values back into the circuit as one undo step
+     */
+    apply: (circuit, problem, values) => {
+        circuit.beginGroup('Optimize parameters');
+        try {
+            problem.targets.forEach((target, i) => {
+                if (target.parameter) {
+                    circuit.setParameter(target.parameter, values[i]);
+                    return;
+                }
+                const gateOp = circuit.gates.find(g => g.id === target.gateId);
+                if (gateOp) circuit.updateGate(gateOp.id, { params: { ...gateOp.params, [target.key]: values[i] } });
+            });
+        } finally {
+            circuit.endGroup();
+        }
+    }
+};
+
+/**
+ * Minimizes a Variational.problem() with gradient descent, Adam or Nelder-Mead. Each
+ * iterate() is one iteration, a generator that yields after every simulation, and
+ * state() is everything needed to pick the run up again in a new optimizer, possibly
+ * on the other side of postMessage.
+ */
+class VariationalOptimizer {
+    /**
+     * options: { method: 'adam' | 'gradient-descent' | 'nelder-mead', stepSize, tolerance }.
+     * stepSize is the learning rate of the gradient methods and the size of the
+     * starting simplex of Nelder-Mead. `state` comes from state() of an earlier run.
+     */
+    constructor(problem, options = {}, state = null) {
+        this.problem = problem;
+        this.method = options.method || 'adam';
+        this.stepSize = options.stepSize !== undefined ? options.stepSize : 0.1;
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 1e-6;
+
+        this.values = [...problem.start];
+        this.iteration = 0;
+        this.cost = null;   // Cost at the current values, once initialize() has run
+        this.best = null;
+        this.converged = false;
+        this.moments = { first: this.values.map(() => 0), second: this.values.map(() => 0) };
+        this.simplex = null;
+
+        if (state) {
+            const { evaluations, ...fields } = JSON.parse(JSON.stringify(state));
+            Object.assign(this, fields);
+            problem.evaluations = evaluations;
+        }
+    }
+
+    static get METHODS() {
+        return { adam: 'Adam', 'gradient-descent': 'Gradient descent', 'nelder-mead': 'Nelder-Mead' };
+    }
+
+    /**
+     * The cost at the starting values, before the first iteration
+     */
+    *initialize() {
+        this.cost = Variational.cost(this.problem, this.values);
+        this.best = { cost: this.cost, values: [...this.values] };
+        yield;
+    }
+
+    /**
+     * One iteration; the optimizer only changes once it has finished, so one abandoned
+     * halfway leaves the state of the previous iteration
+     */
+    *iterate() {
+        const next = this.method === 'nelder-mead' ? yield* this._nelderMeadStep() : yield* this._gradientStep();
+        Object.assign(this, next);
+        this.iteration++;
+        if (this.cost < this.best.cost) {
+            this.best = { cost: this.cost, values: [...this.values] };
+        }
+    }
+
+    /**
+     * Plain copy of where the run stands, including the problem's simulation count
+     */
+    state() {
+        const { values, iteration, cost, best, converged, moments, simplex } = this;
+        return JSON.parse(JSON.stringify({
+            values, iteration, cost, best, converged, moments, simplex, evaluations: this.problem.evaluations
+        }));
+    }
+
+    *_gradientStep() {
+        const gradient = yield* Variational.gradient(this.problem, this.values);
+        let values;
+        let moments = this.moments;
+        if (this.method === 'adam') {
+            const [beta1, beta2, epsilon] = [0.9, 0.999, 1e-8];
+            const t = this.iteration + 1;
+            moments = {
+                first: moments.first.map((m, i) => beta1 * m + (1 - beta1) * gradient[i]),
+                second: moments.second.map((v, i) => beta2 * v + (1 - beta2) * gradient[i] * gradient[i])
+            };
+            values = this.values.map((x, i) => {
+                const m = moments.first[i] / (1 - Math.pow(beta1, t));
+                const v = moments.second[i] / (1 - Math.pow(beta2, t));
+                return x - this.stepSize * m / (Math.sqrt(v) + epsilon);
+            });
+        } else {
+            values = this.values.map((x, i) => x - this.stepSize * gradient[i]);
+        }
+
+        const cost = Variational.cost(this.problem, values);
+        yield;
+        const converged = Math.hypot(...gradient) < this.tolerance || Math.abs(this.cost - cost) < this.tolerance;
+        return { values, cost, moments, converged };
+    }
+
+    /**
+     * One reflection, expansion, contraction or shrink of the simplex; the current
+     * values are its best vertex
+     */
+    *_nelderMeadStep() {
+        const problem = this.problem;
+        function* point(x) {
+            const cost = Variational.cost(problem, x);
+            yield;
+            return { x, cost };
+        }
+        let simplex;
+        if (this.simplex) {
+            simplex = [...this.simplex];
+        } else {
+            simplex = [{ x: this.values, cost: this.cost }];
+            for (let i = 0; i < this.values.length; i++) {
+                simplex.push(yield* point(this.values.map((x, j) => (i === j ? x + this.stepSize : x))));
+            }
+        }
+
+        const n = this.values.length;
+        simplex.sort((a, b) => a.cost - b.cost);
+        const worst = simplex[n];
+        const centroid = this.values.map((_, j) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[j], 0) / n);
+        // The point t of the way from the centroid to the worst vertex (t < 0 is past the centroid)
+        const along = (t) => point(centroid.map((c, j) => c + t * (worst.x[j] - c)));
+
+        const reflected = yield* along(-1);
+        if (reflected.cost < simplex[0].cost) {
+            const expanded = yield* along(-2);
+            simplex[n] = expanded.cost < reflected.cost ? expanded : reflected;
+        } else if (reflected.cost < simplex[n - 1].cost) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = reflected.cost < worst.cost ? yield* along(-0.5) : yield* along(0.5);
+            if (contracted.cost < Math.min(reflected.cost, worst.cost)) {
+                simplex[n] = contracted;
+            } else {
+                for (let i = 1; i <= n; i++) {
+                    simplex[i] = yield* point(simplex[i].x.map((x, j) => simplex[0].x[j] + 0.5 * (x - simplex[0].x[j])));
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.cost - b.cost);
+        const spread = simplex[n].cost - simplex[0].cost;
+        const size = Math.max(...simplex.slice(1).flatMap(p => p.x.map((x, j) => Math.abs(x - simplex[0].x[j]))));
+        const converged = spread < this.tolerance && size < Math.sqrt(this.tolerance);
+        return { values: [...simplex[0].x], cost: simplex[0].cost, simplex, converged };
+    }
+}
+
+// Export
+window.Variational = Variational;
+window.VariationalOptimizer = VariationalOptimizer;
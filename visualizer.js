@@ -9,26 +9,37 @@ class CircuitVisualizer {
         this.circuit = circuit;
 
         // Layout constants
-        this.padding = { top: 30, right: 40, bottom: 30, left: 60 };
+        this.padding = { top: 40, right: 40, bottom: 30, left: 60 };   // The top holds breakpoints
         this.qubitSpacing = 60;
+        this.classicalSpacing = 40;
         this.gateSpacing = 70;
         this.gateSize = 40;
         this.wireColor = '#4b5563';
         this.wireWidth = 2;
 
         // Interaction state
-        this.selectedGate = null;
-        this.draggedGate = null;
+        this.selectedGates = new Set();     // Ids of gates picked by clicking or rubber-band
+        this.pasteAnchor = null;            // { qubit, position } of the empty cell clicked last
+        this.highlightedGates = new Set();  // Ids of gates created by the code under the cursor
+        this.gradients = null;              // Gate id -> ∂⟨O⟩/∂angle per angle, shown as badges
+        this.playhead = null;               // Columns the debugger has run, or null when not debugging
+        this.breakpoints = new Set();       // Columns the debugger stops in front of
+        this.draggedGate = null;            // { gateOp, handle, copy, group, ... } while dragging a placed gate
         this.dropZone = null;
+        this.justDragged = false;           // Swallows the click that ends a drag
 
         // Callbacks
         this.onGateClickCallback = null;
+        this.onGateDoubleClickCallback = null;
+        this.onGateMovedCallback = null;
+        this.onSelectionChangeCallback = null;
         this.onGateAddedCallback = null;
         this.onGateRemovedCallback = null;
 
         // Initialize
         this._setupSVG();
         this._setupDropZones();
+        this._setupSelection();
     }
 
     _setupSVG() {
@@ -39,7 +50,8 @@ class CircuitVisualizer {
         const width = Math.max(600, this.padding.left + this.padding.right +
             (this.circuit.getDepth() + 2) * this.gateSpacing);
         const height = this.padding.top + this.padding.bottom +
-            (this.circuit.numQubits - 1) * this.qubitSpacing;
+            (this.circuit.numQubits - 1) * this.qubitSpacing +
+            this.circuit.classicalRegisters.length * this.classicalSpacing;
 
         this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
         this.svg.style.minWidth = width + 'px';
@@ -121,7 +133,10 @@ class CircuitVisualizer {
         });
     }
 
-    _getDropPosition(e) {
+    /**
+     * Mouse event coordinates in viewBox units
+     */
+    _svgPoint(e) {
         const rect = this.svg.getBoundingClientRect();
         const viewBox = this.svg.viewBox.baseVal;
 
@@ -129,8 +144,14 @@ class CircuitVisualizer {
         const scaleX = viewBox.width / rect.width;
         const scaleY = viewBox.height / rect.height;
 
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    _getDropPosition(e) {
+        const { x, y } = this._svgPoint(e);
 
         // Calculate qubit and position
         const qubit = Math.round((y - this.padding.top) / this.qubitSpacing);
@@ -179,6 +200,7 @@ class CircuitVisualizer {
         this._renderWires();
         this._renderGates();
         this._renderDropZones();
+        this._renderDebugger();
     }
 
     _renderWires() {
@@ -223,12 +245,83 @@ class CircuitVisualizer {
             });
             this.wiresLayer.appendChild(wire);
         }
+
+        this._renderClassicalWires(wireLength);
+    }
+
+    /**
+     * Y coordinate of a classical register's wire
+     */
+    _classicalWireY(registerIndex) {
+        return this.padding.top + (this.circuit.numQubits - 1) * this.qubitSpacing +
+            (registerIndex + 1) * this.classicalSpacing;
+    }
+
+    _renderClassicalWires(wireLength) {
+        this.circuit.classicalRegisters.forEach((reg, r) => {
+            const y = this._classicalWireY(r);
+
+            // Register label
+            const label = this._createSVGElement('text', {
+                x: 15,
+                y: y + 5,
+                'font-family': 'JetBrains Mono, monospace',
+                'font-size': '14',
+                fill: '#f59e0b',
+                'text-anchor': 'start'
+            });
+            label.textContent = reg.name;
+            this.wiresLayer.appendChild(label);
+
+            // Double line for a classical wire
+            for (const offset of [-2, 2]) {
+                const wire = this._createSVGElement('line', {
+                    x1: this.padding.left - 10,
+                    y1: y + offset,
+                    x2: wireLength,
+                    y2: y + offset,
+                    stroke: this.wireColor,
+                    'stroke-width': 1
+                });
+                this.wiresLayer.appendChild(wire);
+            }
+
+            // Bus slash with register width
+            const slash = this._createSVGElement('line', {
+                x1: this.padding.left - 4,
+                y1: y + 6,
+                x2: this.padding.left + 4,
+                y2: y - 6,
+                stroke: this.wireColor,
+                'stroke-width': 1.5
+            });
+            this.wiresLayer.appendChild(slash);
+
+            const size = this._createSVGElement('text', {
+                x: this.padding.left + 2,
+                y: y - 8,
+                'font-family': 'JetBrains Mono, monospace',
+                'font-size': '10',
+                fill: '#6b7280',
+                'text-anchor': 'start'
+            });
+            size.textContent = reg.size;
+            this.wiresLayer.appendChild(size);
+        });
     }
 
     _renderGates() {
         for (const gateOp of this.circuit.gates) {
             this._renderGate(gateOp);
         }
+        const ids = new Set(this.circuit.gates.map(g => g.id));
+        const kept = [...this.selectedGates].filter(id => ids.has(id));
+        if (kept.length !== this.selectedGates.size) {
+            this.setSelection(kept);
+        }
+        this._updateGateClasses();
+        this._renderPasteAnchor();
+        this._renderGradientBadges();
     }
 
     _renderGate(gateOp) {
@@ -245,25 +338,54 @@ class CircuitVisualizer {
             transform: `translate(${x}, ${y})`
         });
 
+        // Classical condition wire sits underneath the gate body
+        if (gateOp.condition) {
+            this._renderCondition(group, gateOp, gateDef, y);
+        }
+
+        // Control dots and the line joining them to the gate sit underneath it
+        if (gateOp.controls) {
+            this._renderControls(group, gateOp, gateDef);
+        }
+
         // Handle different gate types
-        if (gateDef.type === 'controlled') {
+        if (gateOp.controls && gateOp.gate === 'X') {
+            this._renderTargetPlus(group, 0, gateDef.color, null);
+        } else if (gateDef.type === 'controlled') {
             this._renderControlledGate(group, gateOp, gateDef, x, y);
         } else if (gateDef.type === 'swap') {
             this._renderSwapGate(group, gateOp, gateDef, x, y);
         } else if (gateDef.type === 'measure') {
-            this._renderMeasureGate(group, gateOp, gateDef);
+            this._renderMeasureGate(group, gateOp, gateDef, y);
+        } else if (gateDef.type === 'custom') {
+            this._renderCustomGate(group, gateOp, gateDef);
+        } else if (gateDef.type === 'two-qubit' || (gateDef.type === 'unitary' && gateOp.targetQubit !== undefined)) {
+            this._renderTwoQubitGate(group, gateOp, gateDef);
         } else {
             this._renderSingleQubitGate(group, gateOp, gateDef);
         }
 
-        // Click handler
+        // Drag moves the gate (Alt-drag copies it); click selects, double-click edits
+        group.addEventListener('mousedown', (e) => {
+            if (e.button === 0) this._startGateDrag(e, gateOp, group);
+        });
+
         group.addEventListener('click', (e) => {
             e.stopPropagation();
+            if (this.justDragged) return;
+            this.selectGate(gateOp.id, e.shiftKey);
             if (this.onGateClickCallback) {
                 this.onGateClickCallback(gateOp);
             }
         });
 
+        group.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            if (this.onGateDoubleClickCallback) {
+                this.onGateDoubleClickCallback(gateOp);
+            }
+        });
+
         // Right-click to delete
         group.addEventListener('contextmenu', (e) => {
             e.preventDefault();
@@ -275,6 +397,363 @@ class CircuitVisualizer {
         this.gatesLayer.appendChild(group);
     }
 
+    /**
+     * Track a mouse press on a gate; it becomes a drag once the mouse moves a few
+     * pixels. The control dot or target of a two-qubit gate drags that end only.
+     */
+    _startGateDrag(e, gateOp, group) {
+        const handleElement = e.target.closest('[data-handle]');
+        const start = { x: e.clientX, y: e.clientY };
+        const origin = this._svgPoint(e);
+        const transform = group.getAttribute('transform');
+
+        const onMove = (moveEvent) => {
+            if (!this.draggedGate) {
+                if (Math.hypot(moveEvent.clientX - start.x, moveEvent.clientY - start.y) < CircuitVisualizer.DRAG_THRESHOLD) return;
+                const handle = handleElement ? handleElement.getAttribute('data-handle') : 'gate';
+                this.draggedGate = { gateOp, handle, copy: handle === 'gate' && e.altKey, group };
+                this.svg.classList.add('dragging-gate');
+            }
+            this._dragGate(moveEvent, origin, transform);
+        };
+
+        const onUp = (upEvent) => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            if (!this.draggedGate) return;
+
+            const placement = this._dragPlacement(this._getDropPosition(upEvent));
+            const { copy } = this.draggedGate;
+            this.draggedGate = null;
+            this.svg.classList.remove('dragging-gate');
+            this._clearDropHighlight();
+
+            // The click that follows mouseup belongs to the drag
+            this.justDragged = true;
+            setTimeout(() => { this.justDragged = false; }, 0);
+
+            const unchanged = placement && !copy &&
+                Object.keys(placement).every(k => JSON.stringify(placement[k]) === JSON.stringify(gateOp[k]));
+            if (placement && !unchanged && this.onGateMovedCallback) {
+                this.onGateMovedCallback(gateOp.id, placement, copy);
+            } else {
+                this.render();
+            }
+        };
+
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    _dragGate(e, origin, transform) {
+        const { group, handle } = this.draggedGate;
+        const pos = this._getDropPosition(e);
+
+        if (handle === 'gate') {
+            const point = this._svgPoint(e);
+            group.setAttribute('transform', `${transform} translate(${point.x - origin.x}, ${point.y - origin.y})`);
+            this._highlightDropZone(this._dragPlacement(pos) ? pos : null);
+        } else {
+            // An end stays in its column and follows the pointer's qubit
+            const placement = this._dragPlacement(pos);
+            this._highlightDropZone(placement ? { qubit: pos.qubit, position: this.draggedGate.gateOp.position } : null);
+        }
+    }
+
+    /**
+     * New qubits and column for the dragged gate over a drop position, or null
+     * when it cannot go there
+     */
+    _dragPlacement(pos) {
+        if (!pos || !this.draggedGate) return null;
+        const { gateOp, handle } = this.draggedGate;
+        const twoQubit = gateOp.targetQubit !== undefined;
+
+        const controls = gateOp.controls || [];
+
+        if (handle.startsWith('control-')) {
+            const index = Number(handle.slice('control-'.length));
+            if (pos.qubit !== controls[index] && this.circuit.gateQubits(gateOp).includes(pos.qubit)) return null;
+            return { controls: controls.map((q, i) => i === index ? pos.qubit : q) };
+        }
+        if (handle === 'control') {
+            if (pos.qubit === gateOp.targetQubit || controls.includes(pos.qubit)) return null;
+            return { qubit: pos.qubit };
+        }
+        if (handle === 'target') {
+            if (pos.qubit === gateOp.qubit || controls.includes(pos.qubit)) return null;
+            return { targetQubit: pos.qubit };
+        }
+
+        // The whole gate keeps the distance between its qubits; a global phase stays on qubit 0
+        const global = GATES[gateOp.gate].type === 'global';
+        const placement = { qubit: global ? 0 : pos.qubit, position: pos.position };
+        if (controls.length > 0) {
+            placement.controls = controls.map(q => q + pos.qubit - gateOp.qubit);
+            if (placement.controls.some(q => q < 0 || q >= this.circuit.numQubits)) return null;
+        }
+        if (twoQubit) {
+            placement.targetQubit = gateOp.targetQubit + pos.qubit - gateOp.qubit;
+            if (placement.targetQubit < 0 || placement.targetQubit >= this.circuit.numQubits) return null;
+        }
+        if (gateOp.qubits) {
+            placement.qubits = gateOp.qubits.map(q => q + pos.qubit - gateOp.qubit);
+            if (placement.qubits.some(q => q < 0 || q >= this.circuit.numQubits)) return null;
+        }
+        return placement;
+    }
+
+    _gateClass(gateId) {
+        let cls = 'gate';
+        if (this.highlightedGates.has(gateId)) cls += ' highlighted';
+        if (this.selectedGates.has(gateId)) cls += ' selected';
+        return cls;
+    }
+
+    /**
+     * Re-apply selection and highlight classes without re-rendering
+     */
+    _updateGateClasses() {
+        if (!this.gatesLayer) return;
+        for (const group of this.gatesLayer.querySelectorAll('.gate')) {
+            const gateId = Number(group.getAttribute('data-gate-id'));
+            group.setAttribute('class', this._gateClass(gateId));
+            group.setAttribute('filter', this.highlightedGates.has(gateId) ? 'url(#glow)' : '');
+        }
+    }
+
+    /**
+     * Select a gate by id, or clear the selection with null. With `toggle` the gate
+     * is added to or removed from the selection instead.
+     */
+    selectGate(gateId, toggle = false) {
+        const ids = new Set(toggle ? this.selectedGates : []);
+        if (gateId !== null) {
+            if (toggle && ids.has(gateId)) {
+                ids.delete(gateId);
+            } else {
+                ids.add(gateId);
+            }
+        }
+        this.setSelection([...ids]);
+    }
+
+    setSelection(gateIds) {
+        this.selectedGates = new Set(gateIds);
+        this._updateGateClasses();
+        if (this.onSelectionChangeCallback) {
+            this.onSelectionChangeCallback([...this.selectedGates]);
+        }
+    }
+
+    getSelection() {
+        return [...this.selectedGates];
+    }
+
+    /**
+     * Rubber-band selection from a press on empty canvas; a plain click there
+     * clears the selection and marks the cell as the paste anchor
+     */
+    _setupSelection() {
+        this.svg.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('.gate')) return;
+
+            const origin = this._svgPoint(e);
+            const start = { x: e.clientX, y: e.clientY };
+            let band = null;
+
+            const onMove = (moveEvent) => {
+                if (!band) {
+                    if (Math.hypot(moveEvent.clientX - start.x, moveEvent.clientY - start.y) < CircuitVisualizer.DRAG_THRESHOLD) return;
+                    band = this._createSVGElement('rect', { class: 'selection-band' });
+                    this.svg.appendChild(band);
+                }
+                const point = this._svgPoint(moveEvent);
+                band.setAttribute('x', Math.min(origin.x, point.x));
+                band.setAttribute('y', Math.min(origin.y, point.y));
+                band.setAttribute('width', Math.abs(point.x - origin.x));
+                band.setAttribute('height', Math.abs(point.y - origin.y));
+            };
+
+            const onUp = (upEvent) => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+
+                if (!band) {
+                    this.pasteAnchor = this._getDropPosition(upEvent);
+                    this._renderPasteAnchor();
+                    if (!upEvent.shiftKey) this.setSelection([]);
+                    return;
+                }
+
+                const box = band.getBBox();
+                band.remove();
+                const inside = this.circuit.gates.filter(g => {
+                    const x = this.padding.left + g.position * this.gateSpacing;
+                    const y = this.padding.top + g.qubit * this.qubitSpacing;
+                    return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+                }).map(g => g.id);
+                this.setSelection(upEvent.shiftKey ? [...this.selectedGates, ...inside] : inside);
+            };
+
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+    }
+
+    _renderPasteAnchor() {
+        this.svg.querySelectorAll('.paste-anchor').forEach(el => el.remove());
+        const anchor = this.pasteAnchor;
+        if (!anchor || anchor.qubit >= this.circuit.numQubits) return;
+
+        const x = this.padding.left + anchor.position * this.gateSpacing;
+        const y = this.padding.top + anchor.qubit * this.qubitSpacing;
+        this.dropZonesLayer.appendChild(this._createSVGElement('rect', {
+            x: x - this.gateSize / 2,
+            y: y - this.gateSize / 2,
+            width: this.gateSize,
+            height: this.gateSize,
+            rx: 8,
+            class: 'paste-anchor'
+        }));
+    }
+
+    /**
+     * Highlight the gates with the given ids, e.g. those created by the line under the cursor
+     */
+    highlightGates(gateIds) {
+        this.highlightedGates = new Set(gateIds);
+        this._updateGateClasses();
+    }
+
+    /**
+     * Show gradients as badges on their gates: a Map of gate id to the derivatives of
+     * its angles in code order, or null to hide them
+     */
+    setGradients(gradients) {
+        this.gradients = gradients;
+        this._renderGradientBadges();
+    }
+
+    /**
+     * A badge at the top right of each gate with gradients; vanishing ones are grey
+     */
+    _renderGradientBadges() {
+        this.svg.querySelectorAll('.gradient-badge').forEach(el => el.remove());
+        if (!this.gradients) return;
+
+        for (const gateOp of this.circuit.gates) {
+            const values = this.gradients.get(gateOp.id);
+            if (!values) continue;
+
+            const row = gateOp.targetQubit !== undefined && GATES[gateOp.gate].type === 'two-qubit'
+                ? Math.min(gateOp.qubit, gateOp.targetQubit)
+                : gateOp.qubit;
+            const label = values.map(v => (Math.abs(v) < 0.005 ? '0' : v.toFixed(2))).join(', ');
+            const vanishing = values.every(v => Math.abs(v) < CircuitVisualizer.VANISHING_GRADIENT);
+            const width = label.length * 6 + 8;
+            const x = this.padding.left + gateOp.position * this.gateSpacing + this.gateSize / 2 - width + 8;
+            const y = this.padding.top + row * this.qubitSpacing - this.gateSize / 2 - 8;
+
+            const badge = this._createSVGElement('g', {
+                class: 'gradient-badge',
+                transform: `translate(${x}, ${y})`,
+                'pointer-events': 'none'
+            });
+            badge.appendChild(this._createSVGElement('rect', {
+                width,
+                height: 14,
+                rx: 7,
+                fill: vanishing ? '#374151' : '#0e7490',
+                stroke: vanishing ? '#6b7280' : '#06b6d4',
+                'stroke-width': 1
+            }));
+            const text = this._createSVGElement('text', {
+                x: width / 2,
+                y: 10,
+                'font-family': 'JetBrains Mono, monospace',
+                'font-size': '9',
+                fill: vanishing ? '#9ca3af' : '#ecfeff',
+                'text-anchor': 'middle'
+            });
+            text.textContent = label;
+            badge.appendChild(text);
+            this.gatesLayer.appendChild(badge);
+        }
+    }
+
+    /**
+     * Move the debugger's playhead to the boundary in front of `column`, or hide it
+     * and the breakpoint gutter with null
+     */
+    setPlayhead(column) {
+        this.playhead = column;
+        this._renderDebugger();
+    }
+
+    toggleBreakpoint(column) {
+        if (this.breakpoints.has(column)) this.breakpoints.delete(column);
+        else this.breakpoints.add(column);
+        this._renderDebugger();
+    }
+
+    /**
+     * While debugging: a gutter above the wires where a click toggles a breakpoint on
+     * the column below, red dots for the breakpoints, and the playhead as a line in
+     * front of the next column to run
+     */
+    _renderDebugger() {
+        this.svg.querySelectorAll('.debug-overlay').forEach(el => el.remove());
+        if (this.playhead === null) return;
+
+        const columnX = (column) => this.padding.left + column * this.gateSpacing;
+        const depth = Math.max(5, this.circuit.getDepth() + 2);
+        const gutterHeight = this.padding.top - this.gateSize / 2 - 4;
+        const bottom = this.padding.top + (this.circuit.numQubits - 1) * this.qubitSpacing + this.gateSize / 2;
+        const overlay = this._createSVGElement('g', { class: 'debug-overlay' });
+
+        const gutter = this._createSVGElement('rect', {
+            x: columnX(0) - this.gateSpacing / 2,
+            y: 0,
+            width: depth * this.gateSpacing,
+            height: gutterHeight,
+            class: 'breakpoint-gutter'
+        });
+        gutter.addEventListener('mousedown', (e) => e.stopPropagation());
+        gutter.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const column = Math.round((this._svgPoint(e).x - this.padding.left) / this.gateSpacing);
+            if (column >= 0) this.toggleBreakpoint(column);
+        });
+        overlay.appendChild(gutter);
+
+        for (const column of this.breakpoints) {
+            overlay.appendChild(this._createSVGElement('circle', {
+                cx: columnX(column),
+                cy: gutterHeight / 2,
+                r: 5,
+                class: 'breakpoint',
+                'pointer-events': 'none'
+            }));
+        }
+
+        const x = columnX(this.playhead) - this.gateSpacing / 2;
+        overlay.appendChild(this._createSVGElement('line', {
+            x1: x,
+            y1: gutterHeight,
+            x2: x,
+            y2: bottom,
+            class: 'playhead',
+            'pointer-events': 'none'
+        }));
+        overlay.appendChild(this._createSVGElement('path', {
+            d: `M ${x - 6} ${gutterHeight - 6} L ${x + 6} ${gutterHeight - 6} L ${x} ${gutterHeight + 2} Z`,
+            class: 'playhead-marker',
+            'pointer-events': 'none'
+        }));
+        this.gatesLayer.appendChild(overlay);
+    }
+
     _renderSingleQubitGate(group, gateOp, gateDef) {
         const size = this.gateSize;
 
@@ -304,22 +783,129 @@ class CircuitVisualizer {
         text.textContent = gateDef.symbol;
         group.appendChild(text);
 
-        // Parameter display for rotation gates
-        if (gateDef.type === 'rotation' && gateOp.params.theta !== undefined) {
-            const theta = gateOp.params.theta;
-            const paramText = this._formatAngle(theta);
+        this._renderAngles(group, gateOp, size / 2 + 14);
+    }
 
-            const paramLabel = this._createSVGElement('text', {
-                x: 0,
-                y: size / 2 + 14,
+    /**
+     * The angles of a parametric gate, comma-separated, centred at height y
+     */
+    _renderAngles(group, gateOp, y) {
+        const angles = GateShape.angles(gateOp);
+        if (angles.length === 0) return;
+
+        const paramLabel = this._createSVGElement('text', {
+            x: 0,
+            y,
+            'font-family': 'JetBrains Mono, monospace',
+            'font-size': '10',
+            fill: '#9ca3af',
+            'text-anchor': 'middle'
+        });
+        paramLabel.textContent = angles.map(angle => this._formatAngle(angle)).join(', ');
+        group.appendChild(paramLabel);
+    }
+
+    /**
+     * One box over both qubits of a two-qubit gate such as RZZ, iSWAP or a 4×4
+     * unitary, with its first and second qubit marked 0 and 1; each mark drags that end
+     */
+    _renderTwoQubitGate(group, gateOp, gateDef) {
+        const size = this.gateSize;
+        const ends = [0, (gateOp.targetQubit - gateOp.qubit) * this.qubitSpacing];
+        const top = Math.min(...ends) - size / 2;
+        const height = Math.abs(ends[1]) + size;
+
+        group.appendChild(this._createSVGElement('rect', {
+            x: -size / 2,
+            y: top,
+            width: size,
+            height,
+            rx: 8,
+            fill: gateDef.bgColor,
+            stroke: gateDef.color,
+            'stroke-width': 2
+        }));
+
+        ['control', 'target'].forEach((handle, i) => {
+            const mark = this._createSVGElement('text', {
+                x: -size / 2 + 4,
+                y: ends[i] + 4,
                 'font-family': 'JetBrains Mono, monospace',
-                'font-size': '10',
+                'font-size': '9',
                 fill: '#9ca3af',
-                'text-anchor': 'middle'
+                'text-anchor': 'start',
+                'data-handle': handle
             });
-            paramLabel.textContent = paramText;
-            group.appendChild(paramLabel);
-        }
+            mark.textContent = i;
+            group.appendChild(mark);
+        });
+
+        const label = this._createSVGElement('text', {
+            x: 2,
+            y: top + height / 2 + 4,
+            'font-family': 'JetBrains Mono, monospace',
+            'font-size': '12',
+            'font-weight': '600',
+            fill: gateDef.color,
+            'text-anchor': 'middle'
+        });
+        label.textContent = gateDef.symbol;
+        group.appendChild(label);
+
+        this._renderAngles(group, gateOp, top + height + 14);
+    }
+
+    /**
+     * One box from the custom gate's top qubit to its bottom one, labelled with its
+     * name; each qubit it acts on is marked with its index in the definition
+     */
+    _renderCustomGate(group, gateOp, gateDef) {
+        const size = this.gateSize;
+        const qubits = gateOp.qubits;
+        const top = (Math.min(...qubits) - gateOp.qubit) * this.qubitSpacing - size / 2;
+        const height = (Math.max(...qubits) - Math.min(...qubits)) * this.qubitSpacing + size;
+
+        group.appendChild(this._createSVGElement('rect', {
+            x: -size / 2,
+            y: top,
+            width: size,
+            height,
+            rx: 8,
+            fill: gateDef.bgColor,
+            stroke: gateDef.color,
+            'stroke-width': 2
+        }));
+
+        qubits.forEach((q, i) => {
+            const index = this._createSVGElement('text', {
+                x: -size / 2 + 4,
+                y: (q - gateOp.qubit) * this.qubitSpacing + 4,
+                'font-family': 'JetBrains Mono, monospace',
+                'font-size': '9',
+                fill: '#9ca3af',
+                'text-anchor': 'start'
+            });
+            index.textContent = i;
+            group.appendChild(index);
+        });
+
+        // Long names are cut short; the tooltip has the full one
+        const name = gateOp.definition;
+        const label = this._createSVGElement('text', {
+            x: 2,
+            y: top + height / 2 + 4,
+            'font-family': 'JetBrains Mono, monospace',
+            'font-size': '11',
+            'font-weight': '600',
+            fill: gateDef.color,
+            'text-anchor': 'middle'
+        });
+        label.textContent = name.length > 5 ? name.slice(0, 4) + '…' : name;
+        group.appendChild(label);
+
+        const title = this._createSVGElement('title');
+        title.textContent = `${name} (double-click to expand)`;
+        group.appendChild(title);
     }
 
     _renderControlledGate(group, gateOp, gateDef, x, y) {
@@ -345,43 +931,14 @@ class CircuitVisualizer {
             cx: 0,
             cy: controlY,
             r: 6,
-            fill: gateDef.color
+            fill: gateDef.color,
+            'data-handle': 'control'
         });
         group.appendChild(controlDot);
 
         // Target gate
         if (gateOp.gate === 'CNOT') {
-            // XOR symbol (circle with plus)
-            const targetCircle = this._createSVGElement('circle', {
-                cx: 0,
-                cy: targetRelY,
-                r: 15,
-                fill: 'transparent',
-                stroke: gateDef.color,
-                'stroke-width': 2
-            });
-            group.appendChild(targetCircle);
-
-            // Plus sign
-            const hLine = this._createSVGElement('line', {
-                x1: -10,
-                y1: targetRelY,
-                x2: 10,
-                y2: targetRelY,
-                stroke: gateDef.color,
-                'stroke-width': 2
-            });
-            group.appendChild(hLine);
-
-            const vLine = this._createSVGElement('line', {
-                x1: 0,
-                y1: targetRelY - 10,
-                x2: 0,
-                y2: targetRelY + 10,
-                stroke: gateDef.color,
-                'stroke-width': 2
-            });
-            group.appendChild(vLine);
+            this._renderTargetPlus(group, targetRelY, gateDef.color, 'target');
         } else if (gateOp.gate === 'CZ') {
             // Z gate box on target
             const rect = this._createSVGElement('rect', {
@@ -392,7 +949,8 @@ class CircuitVisualizer {
                 rx: 6,
                 fill: gateDef.bgColor,
                 stroke: gateDef.color,
-                'stroke-width': 2
+                'stroke-width': 2,
+                'data-handle': 'target'
             });
             group.appendChild(rect);
 
@@ -405,11 +963,79 @@ class CircuitVisualizer {
                 fill: gateDef.color,
                 'text-anchor': 'middle'
             });
+            text.setAttribute('data-handle', 'target');
             text.textContent = 'Z';
             group.appendChild(text);
         }
     }
 
+    /**
+     * XOR symbol (circle with plus) of an X target at cy
+     */
+    _renderTargetPlus(group, cy, color, handle) {
+        const handleAttrs = handle ? { 'data-handle': handle } : {};
+
+        group.appendChild(this._createSVGElement('circle', {
+            cx: 0,
+            cy,
+            r: 15,
+            fill: handle ? 'transparent' : 'var(--bg-secondary, #111827)',
+            stroke: color,
+            'stroke-width': 2,
+            ...handleAttrs
+        }));
+        group.appendChild(this._createSVGElement('line', {
+            x1: -10,
+            y1: cy,
+            x2: 10,
+            y2: cy,
+            stroke: color,
+            'stroke-width': 2,
+            ...handleAttrs
+        }));
+        group.appendChild(this._createSVGElement('line', {
+            x1: 0,
+            y1: cy - 10,
+            x2: 0,
+            y2: cy + 10,
+            stroke: color,
+            'stroke-width': 2,
+            ...handleAttrs
+        }));
+    }
+
+    /**
+     * A line through every qubit of a gate with controls and a dot on each control:
+     * filled for a closed control, hollow for an open one. Each dot drags that
+     * control to another qubit.
+     */
+    _renderControls(group, gateOp, gateDef) {
+        const relY = (q) => (q - gateOp.qubit) * this.qubitSpacing;
+        const qubits = this.circuit.gateQubits(gateOp);
+
+        group.appendChild(this._createSVGElement('line', {
+            x1: 0,
+            y1: relY(Math.min(...qubits)),
+            x2: 0,
+            y2: relY(Math.max(...qubits)),
+            stroke: gateDef.color,
+            'stroke-width': 2
+        }));
+
+        gateOp.controls.forEach((q, i) => {
+            const closed = Controls.value(gateOp, i) === 1;
+            group.appendChild(this._createSVGElement('circle', {
+                cx: 0,
+                cy: relY(q),
+                r: 6,
+                fill: closed ? gateDef.color : 'var(--bg-secondary, #111827)',
+                stroke: gateDef.color,
+                'stroke-width': 2,
+                'data-handle': `control-${i}`
+            }));
+        });
+    }
+
     _renderSwapGate(group, gateOp, gateDef, x, y) {
         if (gateOp.targetQubit === undefined) return;
 
@@ -427,16 +1053,24 @@ class CircuitVisualizer {
         });
         group.appendChild(line);
 
-        // X marks at both qubits
-        const drawX = (cy) => {
+        // X marks at both qubits, each on a transparent disc that drags that end
+        const drawX = (cy, handle) => {
             const size = 8;
+            group.appendChild(this._createSVGElement('circle', {
+                cx: 0,
+                cy,
+                r: 14,
+                fill: 'transparent',
+                'data-handle': handle
+            }));
             const line1 = this._createSVGElement('line', {
                 x1: -size,
                 y1: cy - size,
                 x2: size,
                 y2: cy + size,
                 stroke: gateDef.color,
-                'stroke-width': 3
+                'stroke-width': 3,
+                'pointer-events': 'none'
             });
             const line2 = this._createSVGElement('line', {
                 x1: size,
@@ -444,19 +1078,54 @@ class CircuitVisualizer {
                 x2: -size,
                 y2: cy + size,
                 stroke: gateDef.color,
-                'stroke-width': 3
+                'stroke-width': 3,
+                'pointer-events': 'none'
             });
             group.appendChild(line1);
             group.appendChild(line2);
         };
 
-        drawX(0);
-        drawX(targetRelY);
+        drawX(0, 'control');
+        drawX(targetRelY, 'target');
     }
 
-    _renderMeasureGate(group, gateOp, gateDef) {
+    _renderMeasureGate(group, gateOp, gateDef, y) {
         const size = this.gateSize;
 
+        // Double line down to the classical bit this measurement writes
+        const bit = gateOp.clbit !== undefined ? this.circuit.getClassicalBit(gateOp.clbit) : null;
+        if (bit) {
+            const registerIndex = this.circuit.classicalRegisters.findIndex(r => r.name === bit.register);
+            const wireRelY = this._classicalWireY(registerIndex) - y;
+
+            for (const offset of [-2, 2]) {
+                group.appendChild(this._createSVGElement('line', {
+                    x1: offset,
+                    y1: size / 2,
+                    x2: offset,
+                    y2: wireRelY - 6,
+                    stroke: gateDef.color,
+                    'stroke-width': 1
+                }));
+            }
+
+            group.appendChild(this._createSVGElement('path', {
+                d: `M -5 ${wireRelY - 8} L 5 ${wireRelY - 8} L 0 ${wireRelY} Z`,
+                fill: gateDef.color
+            }));
+
+            const index = this._createSVGElement('text', {
+                x: 8,
+                y: wireRelY + 14,
+                'font-family': 'JetBrains Mono, monospace',
+                'font-size': '10',
+                fill: '#9ca3af',
+                'text-anchor': 'start'
+            });
+            index.textContent = bit.index;
+            group.appendChild(index);
+        }
+
         // Measurement box
         const rect = this._createSVGElement('rect', {
             x: -size / 2,
@@ -491,6 +1160,66 @@ class CircuitVisualizer {
         group.appendChild(needle);
     }
 
+    /**
+     * Double wire from the gate down to the classical register it is conditioned on,
+     * ending in a filled (==1) or hollow (==0) dot, or a value label for whole registers
+     */
+    _renderCondition(group, gateOp, gateDef, y) {
+        const condition = gateOp.condition;
+        const registerName = condition.clbit !== undefined
+            ? (this.circuit.getClassicalBit(condition.clbit) || {}).register
+            : condition.register;
+        const registerIndex = this.circuit.classicalRegisters.findIndex(r => r.name === registerName);
+        if (registerIndex === -1) return;
+
+        const lowestQubit = Math.max(...this.circuit.gateQubits(gateOp));
+        const startY = (lowestQubit - gateOp.qubit) * this.qubitSpacing + this.gateSize / 2;
+        const wireRelY = this._classicalWireY(registerIndex) - y;
+        const color = '#f59e0b';
+
+        for (const offset of [-2, 2]) {
+            group.appendChild(this._createSVGElement('line', {
+                x1: offset,
+                y1: startY,
+                x2: offset,
+                y2: wireRelY,
+                stroke: color,
+                'stroke-width': 1
+            }));
+        }
+
+        if (condition.clbit !== undefined) {
+            group.appendChild(this._createSVGElement('circle', {
+                cx: 0,
+                cy: wireRelY,
+                r: 5,
+                fill: condition.value ? color : 'var(--bg-secondary, #111827)',
+                stroke: color,
+                'stroke-width': 2
+            }));
+        } else {
+            group.appendChild(this._createSVGElement('circle', {
+                cx: 0,
+                cy: wireRelY,
+                r: 4,
+                fill: color
+            }));
+        }
+
+        const label = this._createSVGElement('text', {
+            x: 8,
+            y: wireRelY + 14,
+            'font-family': 'JetBrains Mono, monospace',
+            'font-size': '10',
+            fill: color,
+            'text-anchor': 'start'
+        });
+        label.textContent = condition.clbit !== undefined
+            ? `${(this.circuit.getClassicalBit(condition.clbit) || {}).index}=${condition.value}`
+            : `=${condition.value}`;
+        group.appendChild(label);
+    }
+
     _renderDropZones() {
         // Create subtle drop zone indicators
         const depth = Math.max(5, this.circuit.getDepth() + 2);
@@ -499,7 +1228,7 @@ class CircuitVisualizer {
             for (let p = 0; p <= depth; p++) {
                 // Check if position is occupied
                 const occupied = this.circuit.gates.some(g =>
-                    g.position === p && (g.qubit === q || g.targetQubit === q)
+                    g.position === p && this.circuit.gateQubits(g).includes(q)
                 );
 
                 if (!occupied) {
@@ -535,6 +1264,11 @@ class CircuitVisualizer {
     }
 
     _formatAngle(theta) {
+        // Symbolic angles show parameters named after Greek letters as the letters: 2*θ
+        if (typeof theta === 'string') {
+            return theta.replace(/[A-Za-z_]\w*/g, name => CircuitVisualizer.GREEK_LETTERS[name] || name);
+        }
+
         // Common angle values
         const PI = Math.PI;
         const tolerance = 0.01;
@@ -565,6 +1299,18 @@ class CircuitVisualizer {
         this.onGateClickCallback = callback;
     }
 
+    onGateDoubleClick(callback) {
+        this.onGateDoubleClickCallback = callback;
+    }
+
+    onGateMoved(callback) {
+        this.onGateMovedCallback = callback;
+    }
+
+    onSelectionChange(callback) {
+        this.onSelectionChangeCallback = callback;
+    }
+
     onGateAdded(callback) {
         this.onGateAddedCallback = callback;
     }
@@ -574,5 +1320,17 @@ class CircuitVisualizer {
     }
 }
 
+// Pixels the mouse must travel before a press on a gate becomes a drag
+CircuitVisualizer.DRAG_THRESHOLD = 5;
+
+// Gradients smaller than this are drawn as vanishing
+CircuitVisualizer.VANISHING_GRADIENT = 1e-3;
+
+// Parameter names drawn as Greek letters
+CircuitVisualizer.GREEK_LETTERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ', lam: 'λ',
+    mu: 'μ', nu: 'ν', phi: 'φ', psi: 'ψ', omega: 'ω', pi: 'π'
+};
+
 // Export
 window.CircuitVisualizer = CircuitVisualizer;